@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Edge Functions run on Deno
+    files: ['supabase/functions/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.browser, Deno: 'readonly' },
+    },
+  },
 ])
@@ -1,12 +1,36 @@
 import { useState } from 'react'
 import { useDemoSession } from './hooks/useDemoSession'
+import { useOutfitSync } from './hooks/useOutfitSync'
 import UploadFitPage from './pages/UploadFitPage'
 import FavoritesPage from './components/FavoritesPage'
+import AuthPanel from './components/AuthPanel'
+import MockAIPanel from './components/MockAIPanel'
 import './App.css'
 
+const PAGES = ['upload', 'favorites']
+
+// The current page lives in the URL (?page=favorites) so reloads land on the same page
+function getPageFromUrl() {
+  const page = new URLSearchParams(window.location.search).get('page')
+  return PAGES.includes(page) ? page : 'upload'
+}
+
 function App() {
-  const [currentPage, setCurrentPage] = useState('upload')
-  const { sessionId, loading } = useDemoSession()
+  const [currentPage, setCurrentPage] = useState(getPageFromUrl)
+  const [showAuth, setShowAuth] = useState(false)
+  const { sessionId, user, loading, register, login, logout } = useDemoSession()
+  // Mounted here so queued offline writes sync from any page
+  const { pendingCount } = useOutfitSync()
+
+  const navigate = (page) => {
+    const params = new URLSearchParams(window.location.search)
+    if (page === 'upload') params.delete('page')
+    else params.set('page', page)
+
+    const search = params.toString()
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`)
+    setCurrentPage(page)
+  }
 
   if (loading) {
     return (
@@ -23,11 +47,27 @@ function App() {
       <div className="demo-banner">
         <div className="banner-content">
           <span className="banner-icon">🔥</span>
-          <span className="banner-text">
-            <strong>FIRE FIT</strong> — Demo Mode (No Login Required)
-          </span>
-          {sessionId && (
-            <span className="session-id">Session: {sessionId.slice(0, 15)}...</span>
+          {user ? (
+            <>
+              <span className="banner-text">
+                <strong>FIRE FIT</strong> — Signed in as {user.email}
+              </span>
+              <button className="banner-auth-btn" onClick={logout}>
+                Sign Out
+              </button>
+            </>
+          ) : (
+            <>
+              <span className="banner-text">
+                <strong>FIRE FIT</strong> — Demo Mode (No Login Required)
+              </span>
+              {sessionId && (
+                <span className="session-id">Session: {sessionId.slice(0, 15)}...</span>
+              )}
+              <button className="banner-auth-btn" onClick={() => setShowAuth(true)}>
+                Sign Up to Keep Your Fits
+              </button>
+            </>
           )}
         </div>
       </div>
@@ -39,15 +79,18 @@ function App() {
           <div className="nav-links">
             <button 
               className={`nav-link ${currentPage === 'upload' ? 'active' : ''}`}
-              onClick={() => setCurrentPage('upload')}
+              onClick={() => navigate('upload')}
             >
               📤 Upload Fit
             </button>
             <button 
               className={`nav-link ${currentPage === 'favorites' ? 'active' : ''}`}
-              onClick={() => setCurrentPage('favorites')}
+              onClick={() => navigate('favorites')}
             >
               💾 Favorites
+              {pendingCount > 0 && (
+                <span className="nav-sync-count" title="Changes waiting to sync">⏳ {pendingCount}</span>
+              )}
             </button>
           </div>
         </div>
@@ -68,6 +111,16 @@ function App() {
           AI-assisted outfit analyzer and recommender demo
         </p>
       </footer>
+
+      {showAuth && (
+        <AuthPanel
+          onRegister={register}
+          onLogin={login}
+          onClose={() => setShowAuth(false)}
+        />
+      )}
+
+      {import.meta.env.DEV && <MockAIPanel />}
     </div>
   )
 }
@@ -0,0 +1,117 @@
+// src/components/AuthPanel.jsx
+// Sign-up / sign-in modal that upgrades the demo session to an account
+
+import { useState } from 'react'
+import '../styles/AuthPanel.css'
+
+/**
+ * AuthPanel - Email/password form for creating an account or signing in
+ * @param {Object} props
+ * @param {Function} props.onRegister - register(email, password) from useDemoSession
+ * @param {Function} props.onLogin - login(email, password) from useDemoSession
+ * @param {Function} props.onClose - Callback to close the panel
+ */
+export default function AuthPanel({ onRegister, onLogin, onClose }) {
+  const [mode, setMode] = useState('signup')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  /**
+   * Describe what the upgrade moved to the account
+   */
+  const describeUpgrade = (upgrade) => {
+    if (!upgrade) return 'Signed in!'
+    const count = (upgrade.outfits || 0) + (upgrade.local || 0)
+    const moved = count > 0
+      ? `Signed in! ${count} demo ${count === 1 ? 'fit was' : 'fits were'} moved to your account.`
+      : 'Signed in!'
+    return upgrade.complete === false
+      ? `${moved} The rest will be moved the next time you sign in.`
+      : moved
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSubmitting(true)
+      setError(null)
+      setMessage(null)
+
+      if (mode === 'signup') {
+        const { needsConfirmation, upgrade } = await onRegister(email, password)
+        if (needsConfirmation) {
+          setMessage('Check your email to confirm your account, then sign in. Your demo fits will move over then.')
+          setMode('signin')
+          return
+        }
+        setMessage(describeUpgrade(upgrade))
+      } else {
+        const { upgrade } = await onLogin(email, password)
+        setMessage(describeUpgrade(upgrade))
+      }
+
+      setTimeout(onClose, 1500)
+
+    } catch (err) {
+      console.error('❌ Authentication failed:', err)
+      setError(err.message || 'Authentication failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="auth-panel" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>✕</button>
+
+        <h2>{mode === 'signup' ? '🔥 Create Account' : '🔥 Sign In'}</h2>
+        <p className="auth-note">
+          Your demo session's favorites and closet are kept when you sign up or sign in.
+        </p>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <label htmlFor="auth-email">Email</label>
+          <input
+            id="auth-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            disabled={submitting}
+          />
+
+          <label htmlFor="auth-password">Password</label>
+          <input
+            id="auth-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            minLength={6}
+            required
+            disabled={submitting}
+          />
+
+          {error && <div className="auth-error">⚠️ {error}</div>}
+          {message && <div className="auth-message">✅ {message}</div>}
+
+          <button type="submit" className="auth-submit" disabled={submitting}>
+            {submitting ? '🔄 Please wait...' : mode === 'signup' ? 'Create Account' : 'Sign In'}
+          </button>
+        </form>
+
+        <button
+          className="auth-switch"
+          onClick={() => setMode(mode === 'signup' ? 'signin' : 'signup')}
+          disabled={submitting}
+        >
+          {mode === 'signup' ? 'Already have an account? Sign in' : 'New here? Create an account'}
+        </button>
+      </div>
+    </div>
+  )
+}
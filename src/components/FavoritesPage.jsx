@@ -1,44 +1,118 @@
 // src/components/FavoritesPage.jsx
 // Page to display all saved outfits
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import { useDemoSession } from '../hooks/useDemoSession'
-import { getSavedFits, deleteOutfit } from '../services/outfitAPI'
+import { useOutfitSync } from '../hooks/useOutfitSync'
+import { useFavoritesFilters } from '../hooks/useFavoritesFilters'
+import { getSavedFits, getOutfit, deleteOutfit, updateOutfit } from '../services/outfitAPI'
+import { SEASON_PRESETS, FORMALITY_LEVELS } from '../utils/seasonPresets'
+import { OUTFIT_SORTS } from '../../supabase/functions/_shared/outfitFilters.js'
+import LocalImage from './LocalImage'
+import SourceBadge from './SourceBadge'
 import '../styles/FavoritesPage.css'
 
+// Rendered image widths (see FavoritesPage.css) so srcset can pick the smallest copy that fits
+const IMAGE_SIZES = {
+  card: '(max-width: 768px) 100vw, 400px',
+  thumbnail: '50px',
+  gallery: '(max-width: 768px) 50vw, 200px'
+}
+
 export default function FavoritesPage() {
   const { sessionId } = useDemoSession()
+  const { pendingCount, conflicts, rejected, statusById, syncing, lastSyncedAt, syncNow, resolveConflict, discardRejected } = useOutfitSync()
+  const { filters, appliedFilters, isFiltered, updateFilter, resetFilters } = useFavoritesFilters()
+  const filterKey = JSON.stringify(appliedFilters)
   const [outfits, setOutfits] = useState([])
+  // A cursor only belongs to the filters it was fetched with; changing them drops it in the same render
+  const [cursorState, setCursorState] = useState({ filterKey: null, cursor: null })
+  const nextCursor = cursorState.filterKey === filterKey ? cursorState.cursor : null
+  // Tier that answered the first page; 'local' means Supabase couldn't be reached
+  const [source, setSource] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
   const [selectedOutfit, setSelectedOutfit] = useState(null)
-
-  useEffect(() => {
-    if (sessionId) {
-      loadOutfits()
-    }
-  }, [sessionId])
+  const loadMoreRef = useRef(null)
+  // Bumped by every first-page load; responses for an older list (other filters) are dropped
+  const listRequestRef = useRef(0)
+  const hasLoadedRef = useRef(false)
 
   /**
-   * Load saved outfits from Supabase
+   * Load the first page of saved outfits from Supabase
+   * Only the first load shows the full-page spinner
    */
-  const loadOutfits = async () => {
+  const loadOutfits = useCallback(async () => {
+    const request = ++listRequestRef.current
     try {
-      setLoading(true)
+      if (!hasLoadedRef.current) setLoading(true)
       setError(null)
       console.log('📂 Loading saved outfits...')
       
-      const savedOutfits = await getSavedFits(sessionId)
-      setOutfits(savedOutfits)
+      const page = await getSavedFits(sessionId, JSON.parse(filterKey))
+      if (request !== listRequestRef.current) return
+
+      setOutfits(page.outfits)
+      setCursorState({ filterKey, cursor: page.nextCursor })
+      setSource(page.source)
+      hasLoadedRef.current = true
       
-      console.log(`✅ Loaded ${savedOutfits.length} outfits`)
+      console.log(`✅ Loaded ${page.outfits.length} outfits`)
     } catch (err) {
+      if (request !== listRequestRef.current) return
       console.error('❌ Error loading outfits:', err)
       setError(err.message)
     } finally {
-      setLoading(false)
+      if (request === listRequestRef.current) setLoading(false)
     }
-  }
+  }, [sessionId, filterKey])
+
+  // Reload when filters change; synced outfits get server IDs, so also refresh after each sync
+  useEffect(() => {
+    if (sessionId) {
+      loadOutfits()
+    }
+  }, [sessionId, lastSyncedAt, loadOutfits])
+
+  /**
+   * Append the next page of outfits
+   * Dropped if the list is reloaded (e.g. for new filters) while the page is on its way
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return
+
+    const request = listRequestRef.current
+    try {
+      setLoadingMore(true)
+      const page = await getSavedFits(sessionId, JSON.parse(filterKey), { cursor: nextCursor })
+      if (request !== listRequestRef.current) return
+
+      // Skip outfits already shown (e.g. a local save that sorted into an earlier page)
+      setOutfits(prev => {
+        const shown = new Set(prev.map(outfit => outfit.id))
+        return [...prev, ...page.outfits.filter(outfit => !shown.has(outfit.id))]
+      })
+      setCursorState({ filterKey, cursor: page.nextCursor })
+    } catch (err) {
+      console.error('❌ Error loading more outfits:', err)
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [sessionId, filterKey, nextCursor, loadingMore])
+
+  // Load the next page when the end of the grid scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '400px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, loadMore])
 
   /**
    * Handle outfit deletion
@@ -50,9 +124,9 @@ export default function FavoritesPage() {
     
     try {
       console.log('🗑️ Deleting outfit:', outfitId)
-      const success = await deleteOutfit(outfitId)
+      const { deleted } = await deleteOutfit(outfitId)
       
-      if (success) {
+      if (deleted) {
         setOutfits(prev => prev.filter(outfit => outfit.id !== outfitId))
         if (selectedOutfit?.id === outfitId) {
           setSelectedOutfit(null)
@@ -65,11 +139,52 @@ export default function FavoritesPage() {
     }
   }
 
+  /**
+   * Save edits to an outfit
+   * A conflict swaps in the server copy and rethrows so the modal can explain it
+   */
+  const handleUpdate = async (outfit, changes) => {
+    const replace = (updated) => {
+      setOutfits(prev => prev.map(item => item.id === outfit.id ? { ...item, ...updated } : item))
+      setSelectedOutfit(prev => prev?.id === outfit.id ? { ...prev, ...updated } : prev)
+    }
+
+    try {
+      const updated = await updateOutfit(outfit.id, changes, outfit.updated_at)
+      replace(updated)
+      console.log('✅ Outfit updated')
+    } catch (err) {
+      if (err.code === 'conflict' && err.current) {
+        replace(err.current)
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Keep or discard a conflicted offline edit, then show the result
+   */
+  const handleResolveConflict = async (operationId, choice) => {
+    await resolveConflict(operationId, choice)
+    setSelectedOutfit(null)
+    loadOutfits()
+  }
+
   /**
    * Open outfit details modal
+   * The grid only has summary fields, so the full record is loaded in the background
    */
-  const handleViewDetails = (outfit) => {
+  const handleViewDetails = async (outfit) => {
     setSelectedOutfit(outfit)
+
+    try {
+      const full = await getOutfit(outfit.id)
+      if (full) {
+        setSelectedOutfit(prev => prev?.id === outfit.id ? { ...prev, ...full } : prev)
+      }
+    } catch (err) {
+      console.warn('⚠️ Could not load outfit details:', err.message)
+    }
   }
 
   /**
@@ -105,15 +220,55 @@ export default function FavoritesPage() {
   return (
     <div className="favorites-page">
       <div className="page-header">
-        <h1>💾 My Favorite Fits</h1>
+        <h1>💾 My Favorite Fits <SourceBadge source={source} /></h1>
         <p className="subtitle">
-          {outfits.length === 0 
-            ? 'No saved outfits yet. Start by uploading and analyzing an outfit!' 
-            : `You have ${outfits.length} saved ${outfits.length === 1 ? 'outfit' : 'outfits'}`}
+          {isFiltered
+            ? `${outfits.length}${nextCursor ? '+' : ''} matching ${outfits.length === 1 ? 'outfit' : 'outfits'}`
+            : outfits.length === 0 
+              ? 'No saved outfits yet. Start by uploading and analyzing an outfit!' 
+              : `You have ${outfits.length}${nextCursor ? '+' : ''} saved ${outfits.length === 1 ? 'outfit' : 'outfits'}`}
         </p>
       </div>
 
-      {outfits.length === 0 ? (
+      {(outfits.length > 0 || isFiltered) && (
+        <FavoritesFilters
+          filters={filters}
+          outfits={outfits}
+          isFiltered={isFiltered}
+          onChange={updateFilter}
+          onReset={resetFilters}
+        />
+      )}
+
+      {(pendingCount > 0 || conflicts.length > 0 || rejected.length > 0) && (
+        <div className="sync-banner">
+          <span>
+            {[
+              pendingCount > 0 && `⏳ ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting to sync`,
+              conflicts.length > 0 && `⚠️ ${conflicts.length} ${conflicts.length === 1 ? 'conflict needs' : 'conflicts need'} your review`,
+              rejected.length > 0 && `🚫 ${rejected.length} ${rejected.length === 1 ? 'change' : 'changes'} could not be synced`
+            ].filter(Boolean).join(' · ')}
+          </span>
+          {pendingCount > 0 && (
+            <button onClick={syncNow} disabled={syncing}>
+              {syncing ? '🔄 Syncing...' : 'Sync Now'}
+            </button>
+          )}
+          {rejected.length > 0 && (
+            <button onClick={discardRejected} title={rejected.map(op => op.last_error).join('\n')}>
+              Discard
+            </button>
+          )}
+        </div>
+      )}
+
+      {outfits.length === 0 && isFiltered ? (
+        <div className="empty-state">
+          <div className="empty-icon">🔍</div>
+          <h2>No Matching Fits</h2>
+          <p>Try a different search or clear the filters.</p>
+        </div>
+      ) : outfits.length === 0 ? (
         <div className="empty-state">
           <div className="empty-icon">👗</div>
           <h2>No Favorites Yet</h2>
@@ -125,6 +280,7 @@ export default function FavoritesPage() {
             <OutfitCard
               key={outfit.id}
               outfit={outfit}
+              syncStatus={statusById[outfit.id]}
               onViewDetails={handleViewDetails}
               onDelete={handleDelete}
             />
@@ -132,22 +288,114 @@ export default function FavoritesPage() {
         </div>
       )}
 
+      {/* Next page loads when this scrolls into view; the button covers browsers without IntersectionObserver */}
+      {outfits.length > 0 && nextCursor && (
+        <div className="load-more" ref={loadMoreRef}>
+          <button className="btn-load-more" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
+
       {/* Details Modal */}
       {selectedOutfit && (
         <OutfitDetailsModal
           outfit={selectedOutfit}
+          conflict={conflicts.find(op => op.outfit_id === selectedOutfit.id)}
           onClose={handleCloseDetails}
           onDelete={handleDelete}
+          onUpdate={handleUpdate}
+          onResolveConflict={handleResolveConflict}
         />
       )}
     </div>
   )
 }
 
+/**
+ * FavoritesFilters Component - Search box, filters and sort order
+ * Tag and color suggestions come from the outfits currently shown.
+ */
+function FavoritesFilters({ filters, outfits, isFiltered, onChange, onReset }) {
+  const tags = [...new Set(outfits.flatMap(outfit => outfit.aesthetic || []))].sort()
+  const colors = [...new Set(outfits.flatMap(outfit => Object.values(outfit.colors || {}).filter(Boolean)))].sort()
+
+  return (
+    <div className="favorites-filters">
+      <input
+        type="search"
+        className="filter-search"
+        placeholder="🔍 Search descriptions and tags..."
+        value={filters.q}
+        onChange={(e) => onChange('q', e.target.value)}
+      />
+
+      <select value={filters.season} onChange={(e) => onChange('season', e.target.value)}>
+        <option value="">All seasons</option>
+        {Object.keys(SEASON_PRESETS).map(season => (
+          <option key={season} value={season}>{season}</option>
+        ))}
+      </select>
+
+      <select value={filters.formality} onChange={(e) => onChange('formality', e.target.value)}>
+        <option value="">All formality</option>
+        {Object.entries(FORMALITY_LEVELS).map(([key, level]) => (
+          <option key={key} value={key}>{level.label}</option>
+        ))}
+      </select>
+
+      <input
+        list="favorites-tag-options"
+        placeholder="Aesthetic tag"
+        value={filters.tag}
+        onChange={(e) => onChange('tag', e.target.value)}
+      />
+      <datalist id="favorites-tag-options">
+        {tags.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+
+      <input
+        list="favorites-color-options"
+        placeholder="Color"
+        value={filters.color}
+        onChange={(e) => onChange('color', e.target.value)}
+      />
+      <datalist id="favorites-color-options">
+        {colors.map(color => <option key={color} value={color} />)}
+      </datalist>
+
+      <select value={filters.sort} onChange={(e) => onChange('sort', e.target.value)}>
+        {Object.entries(OUTFIT_SORTS).map(([key, sort]) => (
+          <option key={key} value={key}>{sort.label}</option>
+        ))}
+      </select>
+
+      {isFiltered && (
+        <button className="filter-reset" onClick={onReset}>
+          Clear Filters
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * SyncBadge Component - Marks outfits with writes that have not reached the server
+ */
+function SyncBadge({ status }) {
+  if (!status) return null
+
+  return (
+    <span className={`sync-badge ${status}`}>
+      {{ conflict: '⚠️ Sync conflict', rejected: '🚫 Not synced' }[status] || '⏳ Pending sync'}
+    </span>
+  )
+}
+
 /**
  * OutfitCard Component - Card display for each saved outfit
  */
-function OutfitCard({ outfit, onViewDetails, onDelete }) {
+function OutfitCard({ outfit, syncStatus, onViewDetails, onDelete }) {
   const imageUrls = [
     outfit.top_url,
     outfit.top_layer_url,
@@ -163,13 +411,14 @@ function OutfitCard({ outfit, onViewDetails, onDelete }) {
       {/* Main Image */}
       <div className="card-image" onClick={() => onViewDetails(outfit)}>
         {mainImage ? (
-          <img src={mainImage} alt="Outfit" />
+          <LocalImage src={mainImage} sizes={IMAGE_SIZES.card} alt="Outfit" />
         ) : (
           <div className="no-image">No Image</div>
         )}
         <div className="card-overlay">
           <button className="view-btn">View Details</button>
         </div>
+        <SyncBadge status={syncStatus} />
       </div>
 
       {/* Card Content */}
@@ -203,7 +452,7 @@ function OutfitCard({ outfit, onViewDetails, onDelete }) {
         <div className="card-thumbnails">
           {imageUrls.slice(0, 5).map((url, index) => (
             <div key={index} className="thumbnail">
-              <img src={url} alt={`Item ${index + 1}`} />
+              <LocalImage src={url} sizes={IMAGE_SIZES.thumbnail} alt={`Item ${index + 1}`} />
             </div>
           ))}
         </div>
@@ -233,7 +482,44 @@ function OutfitCard({ outfit, onViewDetails, onDelete }) {
 /**
  * OutfitDetailsModal Component - Full details modal
  */
-function OutfitDetailsModal({ outfit, onClose, onDelete }) {
+function OutfitDetailsModal({ outfit, conflict, onClose, onDelete, onUpdate, onResolveConflict }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [editError, setEditError] = useState(null)
+
+  const startEditing = () => {
+    setDraft({
+      ai_description: outfit.ai_description || '',
+      season: outfit.season || '',
+      formality: outfit.formality || '',
+      aesthetic: (outfit.aesthetic || []).join(', ')
+    })
+    setEditError(null)
+    setEditing(true)
+  }
+
+  const handleSaveEdits = async () => {
+    try {
+      setSaving(true)
+      setEditError(null)
+      // An outfit without a season or formality keeps it unset unless one is picked
+      const { season, formality, ...rest } = draft
+      await onUpdate(outfit, {
+        ...rest,
+        ...(season && { season }),
+        ...(formality && { formality }),
+        aesthetic: draft.aesthetic.split(',').map(tag => tag.trim()).filter(Boolean)
+      })
+      setEditing(false)
+    } catch (err) {
+      console.error('❌ Error updating outfit:', err)
+      setEditError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
   const imageUrls = [
     { url: outfit.top_url, label: '👕 Top' },
     { url: outfit.top_layer_url, label: '🧥 Top Layer' },
@@ -255,6 +541,69 @@ function OutfitDetailsModal({ outfit, onClose, onDelete }) {
         </div>
 
         <div className="modal-body">
+          {/* Sync Conflict */}
+          {conflict && (
+            <div className="modal-section sync-conflict">
+              <h3>⚠️ Sync Conflict</h3>
+              <p>This outfit was changed somewhere else while your edits were offline.</p>
+              <div className="sync-conflict-actions">
+                <button onClick={() => onResolveConflict(conflict.id, 'mine')}>
+                  Keep My Changes
+                </button>
+                <button onClick={() => onResolveConflict(conflict.id, 'theirs')}>
+                  Use Saved Version
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Edit Form */}
+          {editing && (
+            <div className="modal-section edit-form">
+              <h3>✏️ Edit Outfit</h3>
+              <label htmlFor="edit-description">Description</label>
+              <textarea
+                id="edit-description"
+                rows={3}
+                value={draft.ai_description}
+                onChange={(e) => setDraft({ ...draft, ai_description: e.target.value })}
+              />
+
+              <label htmlFor="edit-season">Season</label>
+              <select
+                id="edit-season"
+                value={draft.season}
+                onChange={(e) => setDraft({ ...draft, season: e.target.value })}
+              >
+                <option value="" disabled>Not set</option>
+                {Object.keys(SEASON_PRESETS).map(season => (
+                  <option key={season} value={season}>{season}</option>
+                ))}
+              </select>
+
+              <label htmlFor="edit-formality">Formality</label>
+              <select
+                id="edit-formality"
+                value={draft.formality}
+                onChange={(e) => setDraft({ ...draft, formality: e.target.value })}
+              >
+                <option value="" disabled>Not set</option>
+                {Object.entries(FORMALITY_LEVELS).map(([key, level]) => (
+                  <option key={key} value={key}>{level.label}</option>
+                ))}
+              </select>
+
+              <label htmlFor="edit-aesthetic">Aesthetic tags (comma separated)</label>
+              <input
+                id="edit-aesthetic"
+                value={draft.aesthetic}
+                onChange={(e) => setDraft({ ...draft, aesthetic: e.target.value })}
+              />
+
+              {editError && <div className="edit-error">⚠️ {editError}</div>}
+            </div>
+          )}
+
           {/* Generated Image */}
           {outfit.ai_image_url && (
             <div className="modal-generated-image">
@@ -281,7 +630,7 @@ function OutfitDetailsModal({ outfit, onClose, onDelete }) {
             <div className="modal-gallery">
               {imageUrls.map((item, index) => (
                 <div key={index} className="gallery-item">
-                  <img src={item.url} alt={item.label} />
+                  <LocalImage src={item.url} sizes={IMAGE_SIZES.gallery} alt={item.label} />
                   <span className="gallery-label">{item.label}</span>
                 </div>
               ))}
@@ -312,6 +661,14 @@ function OutfitDetailsModal({ outfit, onClose, onDelete }) {
                     <div key={item} className="color-item">
                       <span className="color-label">{item}:</span>
                       <span className="color-value">{color}</span>
+                      {outfit.palette?.[item]?.map(swatch => (
+                        <span
+                          key={swatch.hex}
+                          className="color-dot"
+                          style={{ background: swatch.hex }}
+                          title={`${swatch.name} ${swatch.hex}`}
+                        ></span>
+                      ))}
                     </div>
                   ) : null
                 )}
@@ -348,6 +705,20 @@ function OutfitDetailsModal({ outfit, onClose, onDelete }) {
         </div>
 
         <div className="modal-footer">
+          {editing ? (
+            <>
+              <button className="modal-close-btn" onClick={() => setEditing(false)} disabled={saving}>
+                Cancel
+              </button>
+              <button className="modal-save-btn" onClick={handleSaveEdits} disabled={saving}>
+                {saving ? '💾 Saving...' : '💾 Save Changes'}
+              </button>
+            </>
+          ) : (
+            <button className="modal-edit-btn" onClick={startEditing}>
+              ✏️ Edit
+            </button>
+          )}
           <button 
             className="modal-delete-btn"
             onClick={() => {
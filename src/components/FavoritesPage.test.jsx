@@ -0,0 +1,123 @@
+// src/components/FavoritesPage.test.jsx
+// Filters and paging: responses for a list that is no longer shown must not land in it; the edit form
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import { getSavedFits, getOutfit, updateOutfit } from '../services/outfitAPI'
+import FavoritesPage from './FavoritesPage'
+
+vi.mock('../hooks/useDemoSession', () => ({
+  useDemoSession: () => ({ sessionId: 'demo_1_test' })
+}))
+
+vi.mock('../hooks/useOutfitSync', () => ({
+  useOutfitSync: () => ({
+    pendingCount: 0,
+    conflicts: [],
+    rejected: [],
+    statusById: {},
+    syncing: false,
+    lastSyncedAt: null,
+    syncNow: async () => {},
+    resolveConflict: async () => {},
+    discardRejected: async () => {}
+  })
+}))
+
+vi.mock('../services/outfitAPI', () => ({
+  getSavedFits: vi.fn(),
+  getOutfit: vi.fn(),
+  deleteOutfit: vi.fn(),
+  updateOutfit: vi.fn()
+}))
+
+function page(descriptions, nextCursor = null) {
+  return {
+    outfits: descriptions.map(description => ({ id: description, ai_description: description, aesthetic: [], colors: {} })),
+    nextCursor,
+    source: 'edge'
+  }
+}
+
+// A getSavedFits call that answers when the test says so
+function deferredPage() {
+  let resolve
+  getSavedFits.mockImplementationOnce(() => new Promise(done => { resolve = done }))
+  return (result) => act(async () => resolve(result))
+}
+
+function chooseSeason(season) {
+  fireEvent.change(screen.getByDisplayValue(/All seasons|Winter|Summer/), { target: { value: season } })
+}
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/')
+})
+
+describe('FavoritesPage', () => {
+  it('keeps the list for the latest filters when responses arrive out of order', async () => {
+    getSavedFits.mockResolvedValueOnce(page(['First outfit']))
+    render(<FavoritesPage />)
+    await screen.findByText('First outfit')
+
+    const winter = deferredPage()
+    chooseSeason('Winter')
+    const summer = deferredPage()
+    chooseSeason('Summer')
+    await waitFor(() => expect(getSavedFits).toHaveBeenCalledTimes(3))
+
+    await summer(page(['Summer outfit']))
+    await winter(page(['Winter outfit']))
+
+    expect(screen.getByText('Summer outfit')).toBeTruthy()
+    expect(screen.queryByText('Winter outfit')).toBeNull()
+  })
+
+  it('drops the cursor with the filters it belongs to', async () => {
+    getSavedFits.mockResolvedValueOnce(page(['First outfit'], 'cursor-1'))
+    render(<FavoritesPage />)
+    await screen.findByRole('button', { name: 'Load More' })
+
+    const winter = deferredPage()
+    chooseSeason('Winter')
+
+    expect(screen.queryByRole('button', { name: 'Load More' })).toBeNull()
+    await winter(page(['Winter outfit']))
+  })
+
+  it('does not append a page fetched for the previous filters', async () => {
+    getSavedFits.mockResolvedValueOnce(page(['First outfit'], 'cursor-1'))
+    render(<FavoritesPage />)
+
+    const nextPage = deferredPage()
+    fireEvent.click(await screen.findByRole('button', { name: 'Load More' }))
+    expect(getSavedFits).toHaveBeenLastCalledWith('demo_1_test', expect.any(Object), { cursor: 'cursor-1' })
+
+    getSavedFits.mockResolvedValueOnce(page(['Winter outfit']))
+    chooseSeason('Winter')
+    await screen.findByText('Winter outfit')
+    await nextPage(page(['Second page outfit']))
+
+    expect(screen.queryByText('Second page outfit')).toBeNull()
+    expect(screen.getByText('Winter outfit')).toBeTruthy()
+  })
+
+  it('edits an outfit without a season or formality without inventing one', async () => {
+    getSavedFits.mockResolvedValueOnce(page(['Plain outfit']))
+    getOutfit.mockResolvedValueOnce(null)
+    updateOutfit.mockImplementationOnce(async (id, changes) => ({ id, ...changes }))
+    render(<FavoritesPage />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'View Details' }))
+    fireEvent.click(screen.getByRole('button', { name: /Edit/ }))
+
+    expect(screen.getByLabelText('Season').value).toBe('')
+    expect(screen.getByLabelText('Formality').value).toBe('')
+    expect(screen.getAllByRole('option', { name: 'Not set', selected: true })).toHaveLength(2)
+
+    fireEvent.click(screen.getByRole('button', { name: /Save Changes/ }))
+    await waitFor(() => expect(updateOutfit).toHaveBeenCalled())
+
+    expect(updateOutfit.mock.calls[0][1]).toEqual({ ai_description: 'Plain outfit', aesthetic: [] })
+  })
+})
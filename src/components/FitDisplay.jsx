@@ -2,8 +2,15 @@
 // Component to display AI-analyzed outfit results
 
 import { useState } from 'react'
+import LocalImage from './LocalImage'
+import SourceBadge from './SourceBadge'
+import { colorNameToHex } from '../../supabase/functions/_shared/colorNames.js'
+import { scoreOutfit } from '../utils/fitScoring'
 import '../styles/FitDisplay.css'
 
+// Rendered width of a piece in the uploaded images grid, for srcset selection
+const PIECE_IMAGE_SIZES = '(max-width: 768px) 50vw, 240px'
+
 /**
  * FitDisplay - Shows analyzed outfit with AI-generated insights
  * @param {Object} props
@@ -12,25 +19,51 @@ import '../styles/FitDisplay.css'
  * @param {Function} props.onSave - Callback when user saves the outfit
  * @param {Function} props.onReroll - Callback when user wants to reanalyze
  * @param {boolean} props.saving - Whether save operation is in progress
+ * @param {string} props.variantLabel - Label for generated combinations (e.g. "Closet combo 2 of 5")
+ * @param {Object} props.context - { season, formality } the user asked for; scores use the analysis' own when missing
+ * @param {Object} props.progress - While streaming: the latest progress event of analyzeFit; the
+ *   analysis then only holds the fields that have arrived, and scores and actions wait for the rest
  */
 export default function FitDisplay({ 
   analysis, 
   uploadedImages, 
   onSave, 
   onReroll,
-  saving = false 
+  saving = false,
+  variantLabel = null,
+  context = {},
+  progress = null
 }) {
   const [showDetails, setShowDetails] = useState(false)
 
   if (!analysis) return null
 
+  const streaming = progress !== null
+  const scores = streaming ? { overall: null } : scoreOutfit(analysis, context)
+
   return (
     <div className="fit-display">
       <div className="fit-display-header">
-        <h2>🔥 Your Fit Analysis</h2>
-        <div className="confidence-badge">
-          {analysis.confidence ? `${Math.round(analysis.confidence * 100)}% Match` : 'AI Generated'}
+        <div>
+          <h2>
+            {analysis.generated ? '✨ Generated Fit' : '🔥 Your Fit Analysis'}
+            {/* The edge function can run the mock provider too */}
+            <SourceBadge source={analysis.provider === 'mock' ? 'mock' : analysis.source} />
+          </h2>
+          {variantLabel && <span className="variant-label">{variantLabel}</span>}
+          {analysis.cached && (
+            <span className="cached-label" title="Same photos, season and formality as an earlier analysis">
+              ⚡ Cached result · Reroll for a fresh take
+            </span>
+          )}
         </div>
+        {streaming ? (
+          <div className="stream-progress" role="status">{progressMessage(progress)}</div>
+        ) : (
+          <div className="confidence-badge" title="Color harmony, season fit and formality consistency">
+            {scores.overall !== null ? `${scores.overall}% Match` : 'AI Generated'}
+          </div>
+        )}
       </div>
 
       <div className="fit-display-content">
@@ -56,7 +89,7 @@ export default function FitDisplay({
         <div className="uploaded-images-grid">
           {uploadedImages.top && (
             <div className="image-card">
-              <img src={uploadedImages.top} alt="Top" />
+              <LocalImage src={uploadedImages.top} sizes={PIECE_IMAGE_SIZES} alt="Top" />
               <div className="image-label">
                 <span className="label-icon">👕</span>
                 <span>{analysis.top || 'Top'}</span>
@@ -66,7 +99,7 @@ export default function FitDisplay({
 
           {uploadedImages.topLayer && (
             <div className="image-card">
-              <img src={uploadedImages.topLayer} alt="Top Layer" />
+              <LocalImage src={uploadedImages.topLayer} sizes={PIECE_IMAGE_SIZES} alt="Top Layer" />
               <div className="image-label">
                 <span className="label-icon">🧥</span>
                 <span>{analysis.topLayer || 'Top Layer'}</span>
@@ -76,7 +109,7 @@ export default function FitDisplay({
 
           {uploadedImages.bottom && (
             <div className="image-card">
-              <img src={uploadedImages.bottom} alt="Bottom" />
+              <LocalImage src={uploadedImages.bottom} sizes={PIECE_IMAGE_SIZES} alt="Bottom" />
               <div className="image-label">
                 <span className="label-icon">👖</span>
                 <span>{analysis.bottom || 'Bottom'}</span>
@@ -86,7 +119,7 @@ export default function FitDisplay({
 
           {uploadedImages.shoes && (
             <div className="image-card">
-              <img src={uploadedImages.shoes} alt="Shoes" />
+              <LocalImage src={uploadedImages.shoes} sizes={PIECE_IMAGE_SIZES} alt="Shoes" />
               <div className="image-label">
                 <span className="label-icon">👟</span>
                 <span>{analysis.shoes || 'Shoes'}</span>
@@ -96,7 +129,7 @@ export default function FitDisplay({
 
           {uploadedImages.accessories && (
             <div className="image-card">
-              <img src={uploadedImages.accessories} alt="Accessories" />
+              <LocalImage src={uploadedImages.accessories} sizes={PIECE_IMAGE_SIZES} alt="Accessories" />
               <div className="image-label">
                 <span className="label-icon">✨</span>
                 <span>{analysis.accessories?.[0] || 'Accessories'}</span>
@@ -108,7 +141,11 @@ export default function FitDisplay({
         {/* AI Description */}
         <div className="ai-description">
           <h3>🤖 AI Analysis</h3>
-          <p className="description-text">{analysis.ai_description}</p>
+          {analysis.ai_description ? (
+            <p className="description-text">{analysis.ai_description}</p>
+          ) : streaming && (
+            <p className="description-text pending">Writing a description...</p>
+          )}
           
           {analysis.accessories_description && (
             <p className="accessories-note">
@@ -140,119 +177,176 @@ export default function FitDisplay({
               {Object.entries(analysis.colors).map(([item, color]) => 
                 color ? (
                   <div key={item} className="color-chip">
-                    <div className="color-swatch" style={{ background: getColorValue(color) }}></div>
+                    <div
+                      className="color-swatch"
+                      style={{ background: analysis.palette?.[item]?.[0]?.hex || getColorValue(color) }}
+                    ></div>
                     <span className="color-label">{item}: {color}</span>
+                    {analysis.palette?.[item]?.length > 0 && (
+                      <span className="measured-swatches">
+                        {analysis.palette[item].map(swatch => (
+                          <span
+                            key={swatch.hex}
+                            className="measured-swatch"
+                            style={{ background: swatch.hex, flexGrow: swatch.share || 1 }}
+                            title={`${swatch.name} ${swatch.hex}${swatch.share ? ` · ${Math.round(swatch.share * 100)}%` : ''}`}
+                          ></span>
+                        ))}
+                      </span>
+                    )}
                   </div>
                 ) : null
               )}
             </div>
+            {analysis.palette && Object.keys(analysis.palette).length > 0 && (
+              <p className="palette-note">📷 Swatches are measured from your photos</p>
+            )}
           </div>
         )}
 
-        {/* Context Info */}
-        <div className="context-info">
-          <div className="context-badge">
-            <span className="badge-icon">🌦️</span>
-            <span>{analysis.season || 'All Season'}</span>
-          </div>
-          <div className="context-badge">
-            <span className="badge-icon">👔</span>
-            <span>{analysis.formality || 'Casual'}</span>
+        {/* Fit Score */}
+        {scores.overall !== null && (
+          <div className="fit-scores">
+            <h4>📊 Fit Score</h4>
+            {SCORE_LABELS.map(({ key, label }) => (
+              <div key={key} className="score-row">
+                <div className="score-header">
+                  <span className="score-label">{label}</span>
+                  <span className="score-value">{scores[key].score ?? '—'}</span>
+                </div>
+                {scores[key].score !== null && (
+                  <div className="score-bar">
+                    <div
+                      className={`score-fill ${scoreLevel(scores[key].score)}`}
+                      style={{ width: `${scores[key].score}%` }}
+                    ></div>
+                  </div>
+                )}
+                <p className="score-explanation">{scores[key].explanation}</p>
+              </div>
+            ))}
           </div>
-        </div>
-
-        {/* Toggle Details */}
-        <button 
-          className="toggle-details-btn"
-          onClick={() => setShowDetails(!showDetails)}
-        >
-          {showDetails ? '▲ Hide Details' : '▼ Show More Details'}
-        </button>
+        )}
 
-        {showDetails && (
-          <div className="extended-details">
-            {analysis.accessories_tags && analysis.accessories_tags.length > 0 && (
-              <div className="detail-section">
-                <h5>Accessories Breakdown</h5>
-                <ul>
-                  {analysis.accessories_tags.map((tag, index) => (
-                    <li key={index}>{tag}</li>
-                  ))}
-                </ul>
+        {/* Season, formality and details are settled once the whole analysis is in */}
+        {!streaming && (
+          <>
+            {/* Context Info */}
+            <div className="context-info">
+              <div className="context-badge">
+                <span className="badge-icon">🌦️</span>
+                <span>{analysis.season || 'All Season'}</span>
               </div>
-            )}
+              <div className="context-badge">
+                <span className="badge-icon">👔</span>
+                <span>{analysis.formality || 'Casual'}</span>
+              </div>
+            </div>
+
+            {/* Toggle Details */}
+            <button 
+              className="toggle-details-btn"
+              onClick={() => setShowDetails(!showDetails)}
+            >
+              {showDetails ? '▲ Hide Details' : '▼ Show More Details'}
+            </button>
+
+            {showDetails && (
+              <div className="extended-details">
+                {analysis.accessories_tags && analysis.accessories_tags.length > 0 && (
+                  <div className="detail-section">
+                    <h5>Accessories Breakdown</h5>
+                    <ul>
+                      {analysis.accessories_tags.map((tag, index) => (
+                        <li key={index}>{tag}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+            
+                {analysis.confidence !== null && analysis.confidence !== undefined && (
+                  <div className="detail-section">
+                    <h5>AI Confidence</h5>
+                    <p>{Math.round(analysis.confidence * 100)}%</p>
+                  </div>
+                )}
             
-            {analysis.timestamp && (
-              <div className="detail-section">
-                <h5>Analysis Date</h5>
-                <p>{new Date(analysis.timestamp).toLocaleString()}</p>
+                {analysis.timestamp && (
+                  <div className="detail-section">
+                    <h5>Analysis Date</h5>
+                    <p>{new Date(analysis.timestamp).toLocaleString()}</p>
+                  </div>
+                )}
               </div>
             )}
-          </div>
+          </>
         )}
       </div>
 
       {/* Action Buttons */}
-      <div className="fit-display-actions">
-        <button 
-          className="reroll-btn"
-          onClick={onReroll}
-          disabled={saving}
-        >
-          🔄 Reroll Fit
-        </button>
+      {!streaming && (
+        <div className="fit-display-actions">
+          <button 
+            className="reroll-btn"
+            onClick={onReroll}
+            disabled={saving}
+          >
+            🔄 Reroll Fit
+          </button>
         
-        <button 
-          className="save-btn"
-          onClick={onSave}
-          disabled={saving}
-        >
-          {saving ? '💾 Saving...' : '💾 Save to Favorites'}
-        </button>
-      </div>
+          <button 
+            className="save-btn"
+            onClick={onSave}
+            disabled={saving}
+          >
+            {saving ? '💾 Saving...' : '💾 Save to Favorites'}
+          </button>
+        </div>
+      )}
     </div>
   )
 }
 
+const SCORE_LABELS = [
+  { key: 'harmony', label: '🎨 Color Harmony' },
+  { key: 'season', label: '🌦️ Season Fit' },
+  { key: 'formality', label: '👔 Formality' }
+]
+
+/**
+ * Status line for a progress event from analyzeFit
+ */
+function progressMessage({ stage, fetched, total, attempt }) {
+  switch (stage) {
+    case 'cache':
+      return '⚡ Checking for an earlier analysis...'
+    case 'fetching_images':
+      return `📤 Sending photos to the AI (${fetched}/${total})...`
+    case 'retrying':
+      return `🔁 Asking the AI again (attempt ${attempt})...`
+    case 'analyzing':
+      return '🤖 The AI is looking at your fit...'
+    default:
+      return '🔄 Analyzing...'
+  }
+}
+
+/**
+ * Bar color class for a 0–100 score
+ */
+function scoreLevel(score) {
+  if (score >= 80) return 'high'
+  if (score >= 60) return 'medium'
+  return 'low'
+}
+
 /**
  * Get CSS color value from color name
- * Simple mapping for demo - would use more sophisticated color library in production
+ * Names come from the model or the mock; see _shared/colorNames.js for the table
  */
 function getColorValue(colorName) {
-  const colorMap = {
-    // Basic colors
-    'white': '#FFFFFF',
-    'black': '#000000',
-    'gray': '#808080',
-    'grey': '#808080',
-    'navy': '#000080',
-    'blue': '#0000FF',
-    'red': '#FF0000',
-    'green': '#008000',
-    'yellow': '#FFFF00',
-    'orange': '#FFA500',
-    'purple': '#800080',
-    'pink': '#FFC0CB',
-    'brown': '#8B4513',
-    
-    // Extended colors
-    'beige': '#F5F5DC',
-    'cream': '#FFFDD0',
-    'rust': '#B7410E',
-    'olive': '#808000',
-    'burgundy': '#800020',
-    'mustard': '#FFDB58',
-    'turquoise': '#40E0D0',
-    'coral': '#FF7F50',
-    'lavender': '#E6E6FA',
-    'mint green': '#98FF98',
-    'pastel pink': '#FFD1DC',
-    'forest green': '#228B22',
-    'light wash': '#A4C2D8',
-    'neutral': '#D3D3D3',
-    'mixed metals': 'linear-gradient(135deg, #D4AF37 0%, #C0C0C0 50%, #B87333 100%)'
+  if (colorName.toLowerCase() === 'mixed metals') {
+    return 'linear-gradient(135deg, #D4AF37 0%, #C0C0C0 50%, #B87333 100%)'
   }
-  
-  const lowerName = colorName.toLowerCase()
-  return colorMap[lowerName] || '#CCCCCC'
+  return colorNameToHex(colorName) || '#CCCCCC'
 }
@@ -0,0 +1,50 @@
+// src/components/LocalImage.jsx
+// <img> that can also show images kept on the device while offline
+
+import { useState } from 'react'
+import { useImageUrl } from '../hooks/useImageUrl'
+import { buildSrcSet } from '../../supabase/functions/_shared/imagePaths.js'
+
+/**
+ * LocalImage - Drop-in <img> for outfit piece URLs
+ * When `sizes` is given and the image is a stored original, the browser picks between the
+ * thumbnail, medium and original copies. If a copy is missing (uploaded before derivatives
+ * existed and not yet backfilled) the image falls back to the original. An image that can't be
+ * read from the device shows a placeholder instead.
+ * @param {Object} props
+ * @param {string} props.src - Image URL (http(s), data: or local-image:...)
+ * @param {string} props.sizes - Rendered width for srcset selection, e.g. "(max-width: 600px) 50vw, 320px"
+ */
+export default function LocalImage({ src, sizes, onError, ...props }) {
+  const { src: url, failed } = useImageUrl(src)
+  const [failedSrcSet, setFailedSrcSet] = useState(null)
+  if (failed) {
+    return (
+      <div className="image-unavailable" role="img" aria-label={props.alt} title="Image unavailable on this device">
+        📷
+      </div>
+    )
+  }
+  if (!url) return null
+
+  const srcSet = sizes && failedSrcSet !== url ? buildSrcSet(url) : null
+
+  const handleError = (event) => {
+    if (srcSet) {
+      console.warn('⚠️ Resized image unavailable, loading the original:', url)
+      setFailedSrcSet(url)
+      return
+    }
+    onError?.(event)
+  }
+
+  return (
+    <img
+      src={url}
+      srcSet={srcSet || undefined}
+      sizes={srcSet ? sizes : undefined}
+      onError={handleError}
+      {...props}
+    />
+  )
+}
@@ -0,0 +1,79 @@
+// src/components/MockAIPanel.jsx
+// Dev-only toggle for the mock AI: force it on, pick a curated scenario or pin a seed
+
+import { useState } from 'react'
+import { MOCK_SCENARIOS, getMockSettings, saveMockSettings } from '../utils/mockAI'
+import '../styles/MockAIPanel.css'
+
+/**
+ * MockAIPanel - Floating dev panel, rendered by App only in development builds
+ * Settings are read by analyzeFit on every analysis, so changes apply to the next one.
+ */
+export default function MockAIPanel() {
+  const [open, setOpen] = useState(false)
+  const [settings, setSettings] = useState(getMockSettings)
+
+  const update = (changes) => {
+    setSettings(saveMockSettings({ ...settings, ...changes }))
+  }
+
+  const isActive = settings.forceMock || settings.scenario || settings.seed
+
+  if (!open) {
+    return (
+      <button
+        className={`mock-ai-toggle ${isActive ? 'active' : ''}`}
+        onClick={() => setOpen(true)}
+        title="Mock AI settings (dev only)"
+      >
+        🎭 {isActive ? 'Mock AI on' : 'Mock AI'}
+      </button>
+    )
+  }
+
+  return (
+    <div className="mock-ai-panel">
+      <div className="mock-ai-header">
+        <h3>🎭 Mock AI</h3>
+        <button className="mock-ai-close" onClick={() => setOpen(false)} aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      <label className="mock-ai-check">
+        <input
+          type="checkbox"
+          checked={settings.forceMock}
+          onChange={(e) => update({ forceMock: e.target.checked })}
+        />
+        Always use mock AI (skip analyze-fit)
+      </label>
+
+      <label htmlFor="mock-ai-scenario">Scenario</label>
+      <select
+        id="mock-ai-scenario"
+        value={settings.scenario}
+        onChange={(e) => update({ scenario: e.target.value })}
+      >
+        <option value="">Generated from inputs</option>
+        {Object.entries(MOCK_SCENARIOS).map(([key, scenario]) => (
+          <option key={key} value={key}>{scenario.label}</option>
+        ))}
+      </select>
+
+      <label htmlFor="mock-ai-seed">Seed</label>
+      <input
+        id="mock-ai-seed"
+        type="text"
+        value={settings.seed}
+        placeholder="Derived from images, season and formality"
+        disabled={Boolean(settings.scenario)}
+        onChange={(e) => update({ seed: e.target.value.trim() })}
+      />
+
+      <p className="mock-ai-note">
+        The mock is used whenever analyze-fit is unreachable; these settings make its output reproducible.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,115 @@
+// src/components/MyCloset.jsx
+// Closet view for browsing saved garments and picking them into upload slots
+
+import { useState, useEffect } from 'react'
+import { getWardrobeItems, deleteWardrobeItem } from '../services/wardrobeAPI'
+import { OUTFIT_CATEGORIES, getCategory } from '../utils/outfitCategories'
+import '../styles/MyCloset.css'
+
+/**
+ * MyCloset - Modal listing wardrobe items by category
+ * @param {Object} props
+ * @param {string} props.sessionId - Demo session ID
+ * @param {string} props.initialCategory - Category tab to open on
+ * @param {Function} props.onPick - Callback with the chosen wardrobe item
+ * @param {Function} props.onClose - Callback to close the closet
+ */
+export default function MyCloset({ sessionId, initialCategory = 'top', onPick, onClose }) {
+  const [category, setCategory] = useState(initialCategory)
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadItems() {
+      setLoading(true)
+      const closetItems = await getWardrobeItems(sessionId)
+      if (!cancelled) {
+        setItems(closetItems)
+        setLoading(false)
+      }
+    }
+
+    loadItems()
+    return () => { cancelled = true }
+  }, [sessionId])
+
+  /**
+   * Remove an item from the closet
+   */
+  const handleDelete = async (itemId) => {
+    if (!confirm('Remove this item from your closet?')) {
+      return
+    }
+
+    const success = await deleteWardrobeItem(itemId)
+    if (success) {
+      setItems(prev => prev.filter(item => item.id !== itemId))
+    }
+  }
+
+  const visibleItems = items.filter(item => item.category === category)
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="closet-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>✕</button>
+
+        <div className="closet-header">
+          <h2>👚 My Closet</h2>
+          <p className="subtitle">Pick a saved piece instead of uploading it again</p>
+        </div>
+
+        <div className="closet-tabs">
+          {OUTFIT_CATEGORIES.map(({ key, label }) => (
+            <button
+              key={key}
+              className={`closet-tab ${category === key ? 'active' : ''}`}
+              onClick={() => setCategory(key)}
+            >
+              {label} ({items.filter(item => item.category === key).length})
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="loading-state">
+            <div className="spinner"></div>
+            <p>Loading your closet...</p>
+          </div>
+        ) : visibleItems.length === 0 ? (
+          <div className="closet-empty">
+            <p>No {getCategory(category).label} pieces yet.</p>
+            <p>Analyzed uploads are added to your closet automatically.</p>
+          </div>
+        ) : (
+          <div className="closet-grid">
+            {visibleItems.map(item => (
+              <div key={item.id} className="closet-item">
+                <button className="closet-item-image" onClick={() => onPick(item)}>
+                  <img src={item.image_url} alt={item.description || item.category} />
+                </button>
+                <div className="closet-item-info">
+                  <span className="closet-item-description">
+                    {item.description || 'No description'}
+                  </span>
+                  {item.colors?.length > 0 && (
+                    <span className="closet-item-colors">{item.colors.join(', ')}</span>
+                  )}
+                </div>
+                <button
+                  className="closet-item-delete"
+                  onClick={() => handleDelete(item.id)}
+                  title="Remove from closet"
+                >
+                  🗑️
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
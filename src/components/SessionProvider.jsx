@@ -0,0 +1,19 @@
+// src/components/SessionProvider.jsx
+// Initializes the demo session once and shares it with every component below it
+
+import { SessionContext, useSessionState } from '../hooks/useDemoSession'
+
+/**
+ * SessionProvider - Wraps the app so useDemoSession() returns the same session everywhere
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export default function SessionProvider({ children }) {
+  const session = useSessionState()
+
+  return (
+    <SessionContext.Provider value={session}>
+      {children}
+    </SessionContext.Provider>
+  )
+}
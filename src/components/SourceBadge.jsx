@@ -0,0 +1,32 @@
+// src/components/SourceBadge.jsx
+// Tells the user when what they see didn't come from the live service
+
+import '../styles/SourceBadge.css'
+
+const BADGES = {
+  mock: {
+    label: '🎭 Mock AI',
+    title: 'The AI service was unavailable, so this analysis comes from the built-in generator'
+  },
+  local: {
+    label: '📦 On this device',
+    title: 'Supabase was unreachable, so this comes from data stored on this device'
+  }
+}
+
+/**
+ * SourceBadge - Small label for results from mock AI or local storage
+ * Renders nothing for results from an Edge Function or the database.
+ * @param {Object} props
+ * @param {string} props.source - Result source from outfitAPI ('edge', 'db', 'local' or 'mock')
+ */
+export default function SourceBadge({ source }) {
+  const badge = BADGES[source]
+  if (!badge) return null
+
+  return (
+    <span className={`source-badge ${source}`} title={badge.title}>
+      {badge.label}
+    </span>
+  )
+}
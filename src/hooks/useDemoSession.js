@@ -1,28 +1,140 @@
 // src/hooks/useDemoSession.js
-// Hook to manage demo session ID and preferences
+// Shared demo session, preferences and optional account sign-in (see SessionProvider)
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useContext, createContext } from 'react'
 import { supabase } from '../lib/client'
+import { SESSION_STORAGE_KEY, getStoredSession } from '../lib/session'
+import { createClaimSecret, offlineSessionId } from '../../supabase/functions/_shared/sessionToken.js'
+import { createDemoSession, signUp, signIn, signOut, upgradeDemoSession } from '../services/authAPI'
 import { getCurrentSeason } from '../utils/seasonPresets'
 
-const SESSION_STORAGE_KEY = 'fire_fit_demo_session'
+export const SessionContext = createContext(null)
+
+function defaultPreferences() {
+  return {
+    season: getCurrentSeason(),
+    formality: 'casual'
+  }
+}
+
+// Initialization in progress, shared so a second mount (StrictMode) doesn't create a second session
+let pendingSession = null
 
 /**
- * Custom hook to manage demo session
+ * Get the stored session, or create one (signed by Supabase when reachable)
+ * @returns {Promise<Object>} Stored session record { id, started_at, preferences, token }
+ */
+function loadOrCreateSession() {
+  if (!pendingSession) {
+    pendingSession = restoreOrCreateSession().finally(() => {
+      pendingSession = null
+    })
+  }
+  return pendingSession
+}
+
+async function restoreOrCreateSession() {
+  // Check localStorage first
+  const stored = localStorage.getItem(SESSION_STORAGE_KEY)
+
+  if (stored) {
+    const sessionData = JSON.parse(stored)
+    console.log('✅ Existing session loaded:', sessionData.id)
+
+    // Sessions without a token claim it now: offline sessions with their claim secret, older
+    // sessions (from before claim secrets) by ID, once. A refused claim isn't retried.
+    if (!sessionData.token && !sessionData.upgraded_to && !sessionData.claim_refused) {
+      try {
+        const { token } = await createDemoSession({
+          sessionId: sessionData.id,
+          claimSecret: sessionData.claim_secret,
+          preferences: sessionData.preferences
+        })
+        const { claim_secret: _claimSecret, ...claimed } = sessionData
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...claimed, token }))
+      } catch (tokenError) {
+        console.warn('⚠️ Could not get a session token (continuing with local session):', tokenError.message)
+        if ([403, 409].includes(tokenError.context?.status)) {
+          localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...sessionData, claim_refused: true }))
+        }
+      }
+    }
+    return sessionData
+  }
+
+  // Create new session
+  const newPreferences = defaultPreferences()
+
+  // The server picks the ID and signs it; offline we fall back to a local ID without a token,
+  // derived from a secret so this browser alone can claim the token later
+  let newSessionId
+  let token = null
+  let claimSecret = null
+  try {
+    const created = await createDemoSession({ preferences: newPreferences })
+    newSessionId = created.session_id
+    token = created.token
+  } catch (createError) {
+    console.warn('⚠️ Could not create session on Supabase (continuing with local session):', createError.message)
+    claimSecret = createClaimSecret()
+    newSessionId = await offlineSessionId(claimSecret)
+  }
+
+  const sessionData = {
+    id: newSessionId,
+    started_at: new Date().toISOString(),
+    preferences: newPreferences,
+    token,
+    ...(claimSecret && { claim_secret: claimSecret })
+  }
+
+  // Save to localStorage
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessionData))
+  console.log('✅ New session created:', newSessionId)
+  return sessionData
+}
+
+/**
+ * Session state behind SessionProvider
  * Creates and persists a session ID in localStorage
- * Optionally syncs with Supabase demo_sessions table
+ * Gets a signed session token from the create-session Edge Function when available
+ * When a user signs in, their auth user ID replaces the demo session ID
+ * Follows session and preference changes made in other tabs
  */
-export function useDemoSession() {
+export function useSessionState() {
   const [sessionId, setSessionId] = useState(null)
-  const [preferences, setPreferences] = useState({
-    season: getCurrentSeason(),
-    formality: 'casual'
-  })
+  const [user, setUser] = useState(null)
+  const [preferences, setPreferences] = useState(defaultPreferences)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
   useEffect(() => {
     initializeSession()
+    
+    // Track Supabase Auth state (sign in / sign out / token refresh)
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, authSession) => {
+      setUser(authSession?.user ?? null)
+    })
+    
+    return () => subscription.unsubscribe()
+  }, [])
+
+  useEffect(() => {
+    // Fires for writes made by other tabs only. A tab that clears its session writes a new one
+    // right after, so removals are skipped and the replacement is picked up instead.
+    const onStorage = (event) => {
+      if (event.key !== SESSION_STORAGE_KEY || !event.newValue) return
+
+      const stored = getStoredSession()
+      if (!stored?.id) return
+
+      setSessionId(stored.id)
+      setPreferences(stored.preferences || defaultPreferences())
+      console.log('🔄 Session updated in another tab:', stored.id)
+    }
+
+    window.addEventListener('storage', onStorage)
+    return () => window.removeEventListener('storage', onStorage)
   }, [])
 
   /**
@@ -32,45 +144,13 @@ export function useDemoSession() {
     try {
       console.log('🔄 Initializing demo session...')
       
-      // Check localStorage first
-      let session = localStorage.getItem(SESSION_STORAGE_KEY)
+      // Restore a signed-in user, if any
+      const { data: { session: authSession } } = await supabase.auth.getSession()
+      setUser(authSession?.user ?? null)
       
-      if (session) {
-        const sessionData = JSON.parse(session)
-        setSessionId(sessionData.id)
-        setPreferences(sessionData.preferences || {
-          season: getCurrentSeason(),
-          formality: 'casual'
-        })
-        console.log('✅ Existing session loaded:', sessionData.id)
-      } else {
-        // Create new session
-        const newSessionId = `demo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        const newPreferences = {
-          season: getCurrentSeason(),
-          formality: 'casual'
-        }
-        
-        const sessionData = {
-          id: newSessionId,
-          started_at: new Date().toISOString(),
-          preferences: newPreferences
-        }
-        
-        // Save to localStorage
-        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessionData))
-        setSessionId(newSessionId)
-        setPreferences(newPreferences)
-        
-        console.log('✅ New session created:', newSessionId)
-        
-        // Try to sync with Supabase (optional - fails gracefully)
-        try {
-          await syncSessionToSupabase(sessionData)
-        } catch (syncError) {
-          console.warn('⚠️ Could not sync session to Supabase (continuing with local session):', syncError.message)
-        }
-      }
+      const sessionData = await loadOrCreateSession()
+      setSessionId(sessionData.id)
+      setPreferences(sessionData.preferences || defaultPreferences())
       
       setLoading(false)
     } catch (err) {
@@ -80,22 +160,6 @@ export function useDemoSession() {
     }
   }
 
-  /**
-   * Sync session to Supabase demo_sessions table
-   */
-  async function syncSessionToSupabase(sessionData) {
-    const { error } = await supabase
-      .from('demo_sessions')
-      .upsert({
-        id: sessionData.id,
-        started_at: sessionData.started_at,
-        preferences: sessionData.preferences
-      })
-    
-    if (error) throw error
-    console.log('✅ Session synced to Supabase')
-  }
-
   /**
    * Update session preferences
    */
@@ -109,12 +173,14 @@ export function useDemoSession() {
       session.preferences = updatedPreferences
       localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
       
-      // Try to sync with Supabase
+      // Try to sync with Supabase (RLS lets a session update its own preferences column only)
       try {
-        await supabase
+        const { error: updateError } = await supabase
           .from('demo_sessions')
           .update({ preferences: updatedPreferences })
           .eq('id', sessionId)
+
+        if (updateError) throw updateError
       } catch (syncError) {
         console.warn('⚠️ Could not sync preferences to Supabase:', syncError.message)
       }
@@ -125,16 +191,66 @@ export function useDemoSession() {
     }
   }
 
+  /**
+   * Move demo data to the signed-in account (once per demo session)
+   * Until the server has moved everything the session stays unmarked, so the next sign-in retries
+   */
+  async function upgradeSession(authUser) {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY))
+    if (!session || session.upgraded_to) return null
+    
+    const result = await upgradeDemoSession(session.id, authUser.id)
+    if (result.complete) {
+      session.upgraded_to = authUser.id
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+    }
+    return result
+  }
+
+  /**
+   * Create an account and carry over the demo session's fits
+   * @returns {Promise<Object>} { needsConfirmation, upgrade }
+   */
+  async function register(email, password) {
+    const { user: newUser, session: authSession } = await signUp(email, password)
+    
+    // Email confirmation pending - the upgrade runs on first sign-in instead
+    if (!authSession) {
+      return { needsConfirmation: true, upgrade: null }
+    }
+    
+    setUser(newUser)
+    const upgrade = await upgradeSession(newUser)
+    return { needsConfirmation: false, upgrade }
+  }
+
+  /**
+   * Sign in and carry over the demo session's fits
+   * @returns {Promise<Object>} { upgrade }
+   */
+  async function login(email, password) {
+    const { user: authUser } = await signIn(email, password)
+    setUser(authUser)
+    const upgrade = await upgradeSession(authUser)
+    return { upgrade }
+  }
+
+  /**
+   * Sign out and start a fresh demo session
+   */
+  async function logout() {
+    await signOut()
+    setUser(null)
+    clearSession()
+  }
+
   /**
    * Clear session and start fresh
    */
   function clearSession() {
     localStorage.removeItem(SESSION_STORAGE_KEY)
     setSessionId(null)
-    setPreferences({
-      season: getCurrentSeason(),
-      formality: 'casual'
-    })
+    setPreferences(defaultPreferences())
     console.log('🗑️ Session cleared')
     
     // Reinitialize
@@ -142,11 +258,29 @@ export function useDemoSession() {
   }
 
   return {
-    sessionId,
+    sessionId: user?.id || sessionId,
+    demoSessionId: sessionId,
+    user,
     preferences,
     loading,
     error,
     updatePreferences,
-    clearSession
+    clearSession,
+    register,
+    login,
+    logout
+  }
+}
+
+/**
+ * Get the shared session from the nearest SessionProvider
+ * @returns {Object} { sessionId, demoSessionId, user, preferences, loading, error,
+ *   updatePreferences, clearSession, register, login, logout }
+ */
+export function useDemoSession() {
+  const session = useContext(SessionContext)
+  if (!session) {
+    throw new Error('useDemoSession must be used inside <SessionProvider>')
   }
+  return session
 }
@@ -0,0 +1,235 @@
+// src/hooks/useDemoSession.test.js
+// Session lifecycle: creation (online and offline), restore, preferences, clearSession, sign-in,
+// sharing through SessionProvider and sync across tabs
+
+import { createElement, StrictMode } from 'react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { renderHook, waitFor, act } from '@testing-library/react'
+import { supabase } from '../lib/client'
+import { SESSION_STORAGE_KEY, getStoredSession } from '../lib/session'
+import { createDemoSession, signIn, upgradeDemoSession } from '../services/authAPI'
+import { callsOf } from '../test/supabaseMock'
+import SessionProvider from '../components/SessionProvider'
+import { useDemoSession } from './useDemoSession'
+
+vi.mock('../lib/client', async () => {
+  const { createSupabaseMock } = await import('../test/supabaseMock')
+  return { supabase: createSupabaseMock() }
+})
+
+vi.mock('../services/authAPI', () => ({
+  createDemoSession: vi.fn(),
+  signUp: vi.fn(),
+  signIn: vi.fn(),
+  signOut: vi.fn(),
+  upgradeDemoSession: vi.fn()
+}))
+
+function storeSession(session) {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+}
+
+function wrapper({ children }) {
+  return createElement(StrictMode, null, createElement(SessionProvider, null, children))
+}
+
+async function renderSession() {
+  const hook = renderHook(() => useDemoSession(), { wrapper })
+  await waitFor(() => expect(hook.result.current.loading).toBe(false))
+  return hook
+}
+
+// What the browser fires in this tab when another tab writes the session
+function writeFromOtherTab(session) {
+  const newValue = session ? JSON.stringify(session) : null
+  if (newValue) localStorage.setItem(SESSION_STORAGE_KEY, newValue)
+  else localStorage.removeItem(SESSION_STORAGE_KEY)
+  act(() => window.dispatchEvent(new StorageEvent('storage', { key: SESSION_STORAGE_KEY, newValue })))
+}
+
+beforeEach(() => {
+  supabase.reset()
+})
+
+describe('useDemoSession', () => {
+  it('creates a signed session on Supabase', async () => {
+    createDemoSession.mockResolvedValue({ session_id: 'demo_1_server', token: 'demo_1_server.sig' })
+
+    const { result } = await renderSession()
+
+    expect(result.current.sessionId).toBe('demo_1_server')
+    expect(result.current.preferences.formality).toBe('casual')
+    expect(getStoredSession()).toMatchObject({ id: 'demo_1_server', token: 'demo_1_server.sig' })
+    // StrictMode mounts twice; both share the one create-session call
+    expect(createDemoSession).toHaveBeenCalledTimes(1)
+  })
+
+  it('continues with a local session when Supabase is unreachable', async () => {
+    createDemoSession.mockRejectedValue(new Error('Failed to fetch'))
+
+    const { result } = await renderSession()
+
+    expect(result.current.sessionId).toMatch(/^demo_\d+_[0-9a-f]{32}$/)
+    expect(result.current.error).toBeNull()
+    expect(getStoredSession()).toMatchObject({ id: result.current.sessionId, token: null, claim_secret: expect.stringMatching(/^[0-9a-f]{64}$/) })
+  })
+
+  it('restores the stored session and its preferences', async () => {
+    const preferences = { season: 'Winter', formality: 'formal' }
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences })
+
+    const { result } = await renderSession()
+
+    expect(result.current.sessionId).toBe('demo_1_stored')
+    expect(result.current.preferences).toEqual(preferences)
+    expect(createDemoSession).not.toHaveBeenCalled()
+  })
+
+  it('claims the token for a session started offline', async () => {
+    storeSession({ id: 'demo_1_offline', token: null, claim_secret: 'secret', preferences: { season: 'Fall', formality: 'casual' } })
+    createDemoSession.mockResolvedValue({ session_id: 'demo_1_offline', token: 'demo_1_offline.sig' })
+
+    await renderSession()
+
+    expect(createDemoSession).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'demo_1_offline', claimSecret: 'secret' }))
+    await waitFor(() => expect(getStoredSession().token).toBe('demo_1_offline.sig'))
+    expect(getStoredSession().claim_secret).toBeUndefined()
+  })
+
+  it('claims the token for an older session without a claim secret by its ID', async () => {
+    storeSession({ id: 'demo_1_legacy1', token: null, preferences: { season: 'Fall', formality: 'casual' } })
+    createDemoSession.mockResolvedValue({ session_id: 'demo_1_legacy1', token: 'demo_1_legacy1.sig' })
+
+    const { result } = await renderSession()
+
+    expect(result.current.sessionId).toBe('demo_1_legacy1')
+    expect(createDemoSession).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'demo_1_legacy1', claimSecret: undefined }))
+    await waitFor(() => expect(getStoredSession().token).toBe('demo_1_legacy1.sig'))
+  })
+
+  it('stops claiming a token once create-session refuses the session', async () => {
+    storeSession({ id: 'demo_1_legacy1', token: null, preferences: { season: 'Fall', formality: 'casual' } })
+    createDemoSession.mockRejectedValue(Object.assign(new Error('Edge Function returned a non-2xx status code'), {
+      context: new Response(null, { status: 403 })
+    }))
+
+    const { result } = await renderSession()
+
+    expect(result.current.sessionId).toBe('demo_1_legacy1')
+    await waitFor(() => expect(getStoredSession().claim_refused).toBe(true))
+    expect(getStoredSession().token).toBeNull()
+  })
+
+  it('does not try to claim a session that was refused before', async () => {
+    storeSession({ id: 'demo_1_legacy1', token: null, claim_refused: true, preferences: { season: 'Fall', formality: 'casual' } })
+
+    const { result } = await renderSession()
+
+    expect(result.current.sessionId).toBe('demo_1_legacy1')
+    expect(createDemoSession).not.toHaveBeenCalled()
+  })
+
+  it('merges, stores and syncs preference updates', async () => {
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Fall', formality: 'casual' } })
+    const { result } = await renderSession()
+
+    await act(() => result.current.updatePreferences({ season: 'Summer' }))
+
+    expect(result.current.preferences).toEqual({ season: 'Summer', formality: 'casual' })
+    expect(getStoredSession().preferences).toEqual({ season: 'Summer', formality: 'casual' })
+    expect(callsOf(supabase, 'demo_sessions', 'update')).toEqual([[{ preferences: { season: 'Summer', formality: 'casual' } }]])
+    expect(callsOf(supabase, 'demo_sessions', 'eq')).toEqual([['id', 'demo_1_stored']])
+  })
+
+  it('warns when Supabase refuses the preference update', async () => {
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Fall', formality: 'casual' } })
+    supabase.queueResult('demo_sessions', { data: null, error: { code: '42501', message: 'permission denied for table demo_sessions' } })
+    const warn = vi.spyOn(console, 'warn')
+    const { result } = await renderSession()
+
+    await act(() => result.current.updatePreferences({ season: 'Summer' }))
+
+    expect(warn).toHaveBeenCalledWith('⚠️ Could not sync preferences to Supabase:', 'permission denied for table demo_sessions')
+    expect(getStoredSession().preferences.season).toBe('Summer')
+  })
+
+  it('starts a fresh session after clearSession', async () => {
+    storeSession({ id: 'demo_1_old', token: 'demo_1_old.sig', preferences: { season: 'Winter', formality: 'formal' } })
+    createDemoSession.mockResolvedValue({ session_id: 'demo_2_new', token: 'demo_2_new.sig' })
+    const { result } = await renderSession()
+
+    act(() => result.current.clearSession())
+
+    await waitFor(() => expect(result.current.sessionId).toBe('demo_2_new'))
+    expect(result.current.preferences.formality).toBe('casual')
+    expect(getStoredSession()).toMatchObject({ id: 'demo_2_new', token: 'demo_2_new.sig' })
+  })
+
+  it('uses the account ID once signed in and upgrades the demo session once', async () => {
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Fall', formality: 'casual' } })
+    const user = { id: 'user-1', email: 'fit@example.com' }
+    signIn.mockResolvedValue({ user, session: { user } })
+    upgradeDemoSession.mockResolvedValue({ outfits: 2, local: 0, complete: true })
+    const { result } = await renderSession()
+
+    await act(() => result.current.login('fit@example.com', 'secret'))
+
+    expect(result.current.sessionId).toBe('user-1')
+    expect(result.current.demoSessionId).toBe('demo_1_stored')
+    expect(upgradeDemoSession).toHaveBeenCalledWith('demo_1_stored', 'user-1')
+    expect(getStoredSession().upgraded_to).toBe('user-1')
+
+    await act(() => result.current.login('fit@example.com', 'secret'))
+    expect(upgradeDemoSession).toHaveBeenCalledTimes(1)
+  })
+
+  it('retries the upgrade on the next sign-in when the server data was not moved', async () => {
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Fall', formality: 'casual' } })
+    const user = { id: 'user-1', email: 'fit@example.com' }
+    signIn.mockResolvedValue({ user, session: { user } })
+    upgradeDemoSession
+      .mockResolvedValueOnce({ outfits: 0, local: 1, complete: false })
+      .mockResolvedValueOnce({ outfits: 2, local: 0, complete: true })
+    const { result } = await renderSession()
+
+    await act(() => result.current.login('fit@example.com', 'secret'))
+    expect(getStoredSession().upgraded_to).toBeUndefined()
+
+    await act(() => result.current.login('fit@example.com', 'secret'))
+    expect(upgradeDemoSession).toHaveBeenCalledTimes(2)
+    expect(getStoredSession().upgraded_to).toBe('user-1')
+  })
+
+  it('shares one session and its preferences between components', async () => {
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Fall', formality: 'casual' } })
+    const { result } = renderHook(() => [useDemoSession(), useDemoSession()], { wrapper })
+    await waitFor(() => expect(result.current[0].loading).toBe(false))
+
+    await act(() => result.current[0].updatePreferences({ formality: 'formal' }))
+
+    expect(result.current[1].sessionId).toBe('demo_1_stored')
+    expect(result.current[1].preferences).toEqual({ season: 'Fall', formality: 'formal' })
+  })
+
+  it('follows preference and session changes made in another tab', async () => {
+    storeSession({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Fall', formality: 'casual' } })
+    const { result } = await renderSession()
+
+    writeFromOtherTab({ id: 'demo_1_stored', token: 'demo_1_stored.sig', preferences: { season: 'Winter', formality: 'casual' } })
+    expect(result.current.preferences).toEqual({ season: 'Winter', formality: 'casual' })
+
+    // Cleared there: wait for the session that tab creates next
+    writeFromOtherTab(null)
+    expect(result.current.sessionId).toBe('demo_1_stored')
+
+    writeFromOtherTab({ id: 'demo_2_new', token: 'demo_2_new.sig', preferences: { season: 'Spring', formality: 'casual' } })
+    expect(result.current.sessionId).toBe('demo_2_new')
+    expect(result.current.preferences.season).toBe('Spring')
+    expect(createDemoSession).not.toHaveBeenCalled()
+  })
+
+  it('needs a SessionProvider', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(() => renderHook(() => useDemoSession())).toThrow('useDemoSession must be used inside <SessionProvider>')
+  })
+})
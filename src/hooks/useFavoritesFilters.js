@@ -0,0 +1,69 @@
+// src/hooks/useFavoritesFilters.js
+// Hook for the favorites search / filter / sort controls, kept in the URL query string
+
+import { useState, useEffect } from 'react'
+import {
+  DEFAULT_OUTFIT_FILTERS,
+  normalizeOutfitFilters,
+  hasActiveFilters
+} from '../../supabase/functions/_shared/outfitFilters.js'
+
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300
+
+function readFiltersFromUrl() {
+  return normalizeOutfitFilters(Object.fromEntries(new URLSearchParams(window.location.search)))
+}
+
+/**
+ * Mirror filters into the URL (defaults are left out) without adding history entries
+ */
+function writeFiltersToUrl(filters) {
+  const params = new URLSearchParams(window.location.search)
+  Object.keys(DEFAULT_OUTFIT_FILTERS).forEach(key => {
+    if (filters[key] && filters[key] !== DEFAULT_OUTFIT_FILTERS[key]) {
+      params.set(key, filters[key])
+    } else {
+      params.delete(key)
+    }
+  })
+
+  const search = params.toString()
+  window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`)
+}
+
+/**
+ * Custom hook for favorites filters
+ * Filters are read from the URL on load and written back on every change, so they survive reloads.
+ * @returns {Object} { filters, appliedFilters, isFiltered, updateFilter, resetFilters }
+ *   appliedFilters lags behind filters while the search box is being typed in
+ */
+export function useFavoritesFilters() {
+  const [filters, setFilters] = useState(readFiltersFromUrl)
+  const [debouncedQuery, setDebouncedQuery] = useState(filters.q)
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedQuery(filters.q), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timeout)
+  }, [filters.q])
+
+  const updateFilter = (key, value) => {
+    const next = { ...filters, [key]: value }
+    setFilters(next)
+    writeFiltersToUrl(next)
+  }
+
+  const resetFilters = () => {
+    setFilters(DEFAULT_OUTFIT_FILTERS)
+    setDebouncedQuery('')
+    writeFiltersToUrl(DEFAULT_OUTFIT_FILTERS)
+  }
+
+  return {
+    filters,
+    appliedFilters: { ...filters, q: debouncedQuery },
+    isFiltered: hasActiveFilters(filters),
+    updateFilter,
+    resetFilters
+  }
+}
@@ -0,0 +1,47 @@
+// src/hooks/useImageUrl.js
+// Hook that turns local-image:... URLs into something an <img> can display
+
+import { useState, useEffect } from 'react'
+import { isLocalImageUrl, getLocalImage } from '../lib/localDB'
+
+/**
+ * Resolve an image URL for rendering
+ * Remote URLs pass through; images kept on the device become object URLs for their blob,
+ * or the uploaded URL once they have been synced.
+ * @param {string} url - Image URL (http(s), data: or local-image:...)
+ * @returns {Object} { src, failed } - src is null while a local image loads; failed is true when it
+ *   is gone or the device's storage could not be read
+ */
+export function useImageUrl(url) {
+  const [resolved, setResolved] = useState({ url: null, src: null, failed: false })
+
+  useEffect(() => {
+    if (!isLocalImageUrl(url)) return
+
+    let cancelled = false
+    let objectUrl = null
+
+    getLocalImage(url)
+      .then(image => {
+        if (cancelled) return
+        if (image?.blob) {
+          objectUrl = URL.createObjectURL(image.blob)
+        }
+        const src = objectUrl || image?.remote_url || null
+        setResolved({ url, src, failed: !src })
+      })
+      .catch(error => {
+        // IndexedDB can be unavailable (private browsing), over quota or fail mid-read
+        console.warn('⚠️ Could not read image from this device:', error.message)
+        if (!cancelled) setResolved({ url, src: null, failed: true })
+      })
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [url])
+
+  if (!isLocalImageUrl(url)) return { src: url, failed: false }
+  return resolved.url === url ? { src: resolved.src, failed: resolved.failed } : { src: null, failed: false }
+}
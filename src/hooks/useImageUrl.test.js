@@ -0,0 +1,44 @@
+// src/hooks/useImageUrl.test.js
+// Resolving remote and on-device image URLs, and falling back when the device can't provide one
+
+import { describe, it, expect, vi } from 'vitest'
+import { renderHook, waitFor } from '@testing-library/react'
+import { getLocalImage } from '../lib/localDB'
+import { useImageUrl } from './useImageUrl'
+
+vi.mock('../lib/localDB', () => ({
+  isLocalImageUrl: url => typeof url === 'string' && url.startsWith('local-image:'),
+  getLocalImage: vi.fn()
+}))
+
+describe('useImageUrl', () => {
+  it('passes remote URLs through', () => {
+    const { result } = renderHook(() => useImageUrl('https://example.com/top.jpg'))
+    expect(result.current).toEqual({ src: 'https://example.com/top.jpg', failed: false })
+    expect(getLocalImage).not.toHaveBeenCalled()
+  })
+
+  it('uses the uploaded URL of a synced local image', async () => {
+    getLocalImage.mockResolvedValue({ remote_url: 'https://example.com/top.jpg' })
+    const { result } = renderHook(() => useImageUrl('local-image:img-1'))
+
+    expect(result.current).toEqual({ src: null, failed: false })
+    await waitFor(() => expect(result.current).toEqual({ src: 'https://example.com/top.jpg', failed: false }))
+  })
+
+  it('fails instead of loading forever when the device storage throws', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    getLocalImage.mockRejectedValue(new Error('QuotaExceededError'))
+    const { result } = renderHook(() => useImageUrl('local-image:img-1'))
+
+    await waitFor(() => expect(result.current).toEqual({ src: null, failed: true }))
+    expect(warn).toHaveBeenCalled()
+  })
+
+  it('fails when the image is no longer on the device', async () => {
+    getLocalImage.mockResolvedValue(null)
+    const { result } = renderHook(() => useImageUrl('local-image:img-1'))
+
+    await waitFor(() => expect(result.current).toEqual({ src: null, failed: true }))
+  })
+})
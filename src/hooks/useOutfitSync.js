@@ -0,0 +1,82 @@
+// src/hooks/useOutfitSync.js
+// Hook that replays queued offline outfit writes and exposes their status to the UI
+
+import { useState, useEffect } from 'react'
+import { syncPendingOutfits, discardSyncOperation } from '../services/outfitAPI'
+import { getSyncState, subscribeToSyncQueue, resolveConflict } from '../lib/syncQueue'
+
+// Retry interval while writes are waiting (backoff per operation still applies)
+const SYNC_INTERVAL_MS = 30000
+
+/**
+ * Custom hook for background sync of offline saves, edits and deletes
+ * Syncs on mount, when the browser comes back online and every 30 seconds.
+ * @returns {Object} { pendingCount, conflicts, rejected, statusById, syncing, lastSyncedAt, syncNow, resolveConflict,
+ *   discardRejected }
+ */
+export function useOutfitSync() {
+  const [syncState, setSyncState] = useState(getSyncState)
+  const [syncing, setSyncing] = useState(false)
+  const [lastSyncedAt, setLastSyncedAt] = useState(null)
+
+  const syncNow = async () => {
+    if (getSyncState().pendingCount === 0) return
+
+    setSyncing(true)
+    try {
+      const { synced } = await syncPendingOutfits()
+      if (synced > 0) setLastSyncedAt(Date.now())
+    } catch (err) {
+      console.error('❌ Error syncing outfits:', err)
+    } finally {
+      setSyncing(false)
+    }
+  }
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSyncQueue(() => setSyncState(getSyncState()))
+    return unsubscribe
+  }, [])
+
+  useEffect(() => {
+    syncNow()
+
+    const interval = setInterval(syncNow, SYNC_INTERVAL_MS)
+    window.addEventListener('online', syncNow)
+
+    return () => {
+      clearInterval(interval)
+      window.removeEventListener('online', syncNow)
+    }
+  }, [])
+
+  /**
+   * Keep the local edit ('mine') or the server version ('theirs') of a conflicted outfit
+   */
+  const handleResolveConflict = async (operationId, choice) => {
+    resolveConflict(operationId, choice)
+    if (choice === 'mine') {
+      await syncNow()
+    } else {
+      setLastSyncedAt(Date.now())
+    }
+  }
+
+  /**
+   * Drop every write the server refused
+   */
+  const discardRejected = async () => {
+    for (const op of getSyncState().rejected) {
+      await discardSyncOperation(op.id)
+    }
+  }
+
+  return {
+    ...syncState,
+    syncing,
+    lastSyncedAt,
+    syncNow,
+    resolveConflict: handleResolveConflict,
+    discardRejected
+  }
+}
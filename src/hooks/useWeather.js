@@ -0,0 +1,35 @@
+// src/hooks/useWeather.js
+// Hook to load current weather conditions and the outfit context derived from them
+
+import { useState, useEffect } from 'react'
+import { getCurrentConditions } from '../services/weatherAPI'
+import { getWeatherContext } from '../utils/weatherContext'
+
+/**
+ * Custom hook to fetch weather once on mount
+ * Uses the provider configured by VITE_WEATHER_PROVIDER
+ * @returns {Object} { conditions, context, loading }
+ */
+export function useWeather() {
+  const [conditions, setConditions] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+
+    getCurrentConditions().then(result => {
+      if (!cancelled) {
+        setConditions(result)
+        setLoading(false)
+      }
+    })
+
+    return () => { cancelled = true }
+  }, [])
+
+  return {
+    conditions,
+    context: getWeatherContext(conditions),
+    loading
+  }
+}
@@ -1,6 +1,39 @@
 import { createClient } from '@supabase/supabase-js'
+import { getSessionToken } from './session'
 
 const URL = import.meta.env.VITE_SUPABASE_URL
 const API_Key = import.meta.env.VITE_SUPABASE_ANON_KEY
-export const supabase = createClient(URL, API_Key);
 
+// Attach the demo session token to every request (REST, Storage and Edge Functions)
+// so RLS policies and functions can verify which session is calling
+function fetchWithSessionToken(input, init = {}) {
+  const token = getSessionToken()
+  if (!token) return fetch(input, init)
+
+  const headers = new Headers(init.headers)
+  headers.set('x-session-token', token)
+  return fetch(input, { ...init, headers })
+}
+
+export const supabase = createClient(URL, API_Key, {
+  global: { fetch: fetchWithSessionToken }
+});
+
+export const SUPABASE_URL = URL
+
+/**
+ * Headers the Supabase client sends with its own requests, for requests made without it
+ * (uploads through XMLHttpRequest so they can report progress)
+ * @returns {Promise<Object>} apikey, Authorization and, for demo sessions, x-session-token
+ */
+export async function getRequestHeaders() {
+  const { data } = await supabase.auth.getSession()
+  const headers = {
+    apikey: API_Key,
+    Authorization: `Bearer ${data.session?.access_token || API_Key}`
+  }
+
+  const token = getSessionToken()
+  if (token) headers['x-session-token'] = token
+  return headers
+}
@@ -0,0 +1,151 @@
+// src/lib/edgeFunctions.js
+// Calls Edge Functions through the shared contracts in supabase/functions/_shared/contracts.js
+
+import { FunctionsHttpError, FunctionsFetchError } from '@supabase/supabase-js'
+import { supabase, SUPABASE_URL, getRequestHeaders } from './client'
+import { fetchWithProgress } from './uploadRequest'
+import {
+  ContractError,
+  validateRequest,
+  validateResponse,
+  API_VERSION,
+  API_VERSION_HEADER
+} from '../../supabase/functions/_shared/contracts.js'
+
+export { ContractError }
+
+/**
+ * Invoke an Edge Function through XMLHttpRequest so the upload can report progress
+ * Returns the same { data, error } shape as supabase.functions.invoke
+ */
+async function invokeWithProgress(functionName, body, { headers, signal, onProgress }) {
+  const isForm = body instanceof FormData
+  let response
+  try {
+    response = await fetchWithProgress(`${SUPABASE_URL}/functions/v1/${functionName}`, {
+      // FormData sets its own multipart boundary
+      headers: { ...(isForm ? {} : { 'Content-Type': 'application/json' }), ...(await getRequestHeaders()), ...headers },
+      body: isForm ? body : JSON.stringify(body),
+      signal,
+      onProgress
+    })
+  } catch (fetchError) {
+    // Network failures and aborts, like supabase.functions.invoke reports them
+    return { data: null, error: new FunctionsFetchError(fetchError) }
+  }
+
+  if (!response.ok) {
+    return { data: null, error: new FunctionsHttpError(response) }
+  }
+  return { data: await response.json(), error: null }
+}
+
+/**
+ * Invoke an Edge Function with a contract-checked request and response
+ * A ContractError means this client and the function disagree on the shape of the data;
+ * callers rethrow it instead of falling back, so the mismatch is not hidden.
+ * Any other error (network, auth, 404, 409, unsupported version) is the usual FunctionsError.
+ * @param {string} functionName - Edge Function name (key of CONTRACTS)
+ * @param {Object|FormData} body - Request body; FormData for functions that take files
+ * @param {Object} options - { signal } to cancel, { onProgress } (fraction 0–1) to follow the upload
+ * @returns {Promise<Object>} Response body
+ */
+export async function invokeFunction(functionName, body, { signal, onProgress } = {}) {
+  validateRequest(functionName, body instanceof FormData ? Object.fromEntries(body) : body)
+
+  const headers = { [API_VERSION_HEADER]: String(API_VERSION) }
+  const { data, error } = onProgress
+    ? await invokeWithProgress(functionName, body, { headers, signal, onProgress })
+    : await supabase.functions.invoke(functionName, { body, headers, signal })
+
+  if (error) await throwInvokeError(functionName, error)
+
+  return validateResponse(functionName, data)
+}
+
+/**
+ * Invoke an Edge Function that streams server-sent events before its result
+ * Functions deployed before streaming answer with plain JSON, which is returned as is.
+ * @param {string} functionName - Edge Function name (key of CONTRACTS)
+ * @param {Object} body - Request body
+ * @param {Object} options - { signal } to cancel, { onEvent } (event, data) for every event
+ *   before the final "done"
+ * @returns {Promise<Object>} Contract-checked data of the "done" event
+ * @throws {Error} With the status and details of an "error" event
+ */
+export async function streamFunction(functionName, body, { signal, onEvent } = {}) {
+  validateRequest(functionName, body)
+
+  const headers = { [API_VERSION_HEADER]: String(API_VERSION), Accept: 'text/event-stream' }
+  // supabase-js hands back the raw Response for text/event-stream
+  const { data, error } = await supabase.functions.invoke(functionName, { body, headers, signal })
+
+  if (error) await throwInvokeError(functionName, error)
+  if (!(data instanceof Response)) return validateResponse(functionName, data)
+
+  let result = null
+  await readEventStream(data, (event, eventData) => {
+    if (event === 'done') {
+      result = eventData
+    } else if (event === 'error') {
+      const streamError = new Error(eventData.details ? `${eventData.error}: ${eventData.details}` : eventData.error)
+      streamError.status = eventData.status
+      throw streamError
+    } else {
+      onEvent?.(event, eventData)
+    }
+  })
+
+  if (!result) {
+    throw new Error(`${functionName} stream ended without a result`)
+  }
+  return validateResponse(functionName, result)
+}
+
+/**
+ * Turn a failed invoke into the error callers handle
+ */
+async function throwInvokeError(functionName, error) {
+  // The function rejected the request against the same contract
+  if (error.context?.status === 400) {
+    const details = await error.context.clone().json().catch(() => null)
+    if (details?.code === 'invalid_request') {
+      throw new ContractError(`${functionName} rejected the request`, details.issues || [])
+    }
+  }
+  throw error
+}
+
+/**
+ * Read server-sent events ("event: name" and "data: json" lines, blank line between events)
+ * @param {Response} response - Streaming response
+ * @param {Function} onEvent - (event, data) per event; throwing stops reading
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) return
+
+      buffer += value
+      const blocks = buffer.split(/\r?\n\r?\n/)
+      buffer = blocks.pop()
+
+      blocks.forEach(block => {
+        let event = 'message'
+        const data = []
+        block.split(/\r?\n/).forEach(line => {
+          if (line.startsWith('event:')) event = line.slice('event:'.length).trim()
+          else if (line.startsWith('data:')) data.push(line.slice('data:'.length).trim())
+        })
+        if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')))
+      })
+    }
+  } finally {
+    // Closes the connection when reading stopped early
+    reader.cancel().catch(() => {})
+  }
+}
@@ -0,0 +1,200 @@
+// src/lib/localDB.js
+// IndexedDB store for offline outfits and the original image blobs they reference
+// Falls back to localStorage (metadata only) where IndexedDB is unavailable
+
+const DB_NAME = 'fire_fit'
+const DB_VERSION = 1
+const OUTFITS_STORE = 'outfits'
+const IMAGES_STORE = 'images'
+
+// Outfits saved before this store existed
+const LEGACY_OUTFITS_KEY = 'saved_outfits'
+
+// Image URLs that point at a blob in this store look like "local-image:img_..."
+const LOCAL_IMAGE_PREFIX = 'local-image:'
+
+let dbPromise = null
+
+function hasIndexedDB() {
+  return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open (and on first use create) the database, moving legacy localStorage outfits into it
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        const outfits = db.createObjectStore(OUTFITS_STORE, { keyPath: 'id' })
+        outfits.createIndex('session_id', 'session_id')
+        const images = db.createObjectStore(IMAGES_STORE, { keyPath: 'id' })
+        images.createIndex('session_id', 'session_id')
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).then(async db => {
+      await migrateLegacyOutfits(db)
+      return db
+    })
+
+    // Let a later call retry if opening failed (e.g. blocked by private browsing)
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+async function migrateLegacyOutfits(db) {
+  const legacy = JSON.parse(localStorage.getItem(LEGACY_OUTFITS_KEY) || '[]')
+  if (legacy.length === 0) return
+
+  const tx = db.transaction(OUTFITS_STORE, 'readwrite')
+  legacy.forEach(outfit => tx.objectStore(OUTFITS_STORE).put(outfit))
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+
+  localStorage.removeItem(LEGACY_OUTFITS_KEY)
+  console.log(`📦 Moved ${legacy.length} local outfits to IndexedDB`)
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} run - Receives the store, returns an IDBRequest
+ */
+async function withStore(storeName, mode, run) {
+  const db = await openDB()
+  return promisify(run(db.transaction(storeName, mode).objectStore(storeName)))
+}
+
+/**
+ * Get locally stored outfits
+ * @param {string} [sessionId] - Only outfits for this session
+ * @returns {Promise<Array>} Outfits
+ */
+export async function getLocalOutfits(sessionId = null) {
+  if (!hasIndexedDB()) {
+    const outfits = JSON.parse(localStorage.getItem(LEGACY_OUTFITS_KEY) || '[]')
+    return sessionId ? outfits.filter(outfit => outfit.session_id === sessionId) : outfits
+  }
+
+  return sessionId
+    ? withStore(OUTFITS_STORE, 'readonly', store => store.index('session_id').getAll(sessionId))
+    : withStore(OUTFITS_STORE, 'readonly', store => store.getAll())
+}
+
+/**
+ * Insert or replace a local outfit
+ * @param {Object} outfit - Outfit record with a local_... id
+ */
+export async function putLocalOutfit(outfit) {
+  if (!hasIndexedDB()) {
+    const outfits = JSON.parse(localStorage.getItem(LEGACY_OUTFITS_KEY) || '[]')
+    const updated = [...outfits.filter(item => item.id !== outfit.id), outfit]
+    localStorage.setItem(LEGACY_OUTFITS_KEY, JSON.stringify(updated))
+    return
+  }
+
+  await withStore(OUTFITS_STORE, 'readwrite', store => store.put(outfit))
+}
+
+/**
+ * Remove a local outfit
+ * @param {string} outfitId - local_... ID
+ */
+export async function deleteLocalOutfit(outfitId) {
+  if (!hasIndexedDB()) {
+    const outfits = JSON.parse(localStorage.getItem(LEGACY_OUTFITS_KEY) || '[]')
+    localStorage.setItem(LEGACY_OUTFITS_KEY, JSON.stringify(outfits.filter(item => item.id !== outfitId)))
+    return
+  }
+
+  await withStore(OUTFITS_STORE, 'readwrite', store => store.delete(outfitId))
+}
+
+/**
+ * Check whether a URL points at a locally stored image blob
+ * @param {string} url - Image URL
+ * @returns {boolean}
+ */
+export function isLocalImageUrl(url) {
+  return typeof url === 'string' && url.startsWith(LOCAL_IMAGE_PREFIX)
+}
+
+/**
+ * Keep an original image on the device until it can be uploaded
+ * @param {Blob} blob - Image file
+ * @param {Object} meta - { sessionId, category }
+ * @returns {Promise<string>} local-image:... URL to store in outfit records
+ */
+export async function saveLocalImage(blob, { sessionId, category }) {
+  if (!hasIndexedDB()) {
+    throw new Error('IndexedDB is not available to keep images offline')
+  }
+
+  const id = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  await withStore(IMAGES_STORE, 'readwrite', store => store.put({
+    id,
+    session_id: sessionId,
+    category,
+    name: blob.name || `${category}.jpg`,
+    type: blob.type,
+    blob,
+    remote_url: null,
+    created_at: new Date().toISOString()
+  }))
+
+  console.log(`📦 ${category} image kept offline:`, id)
+  return `${LOCAL_IMAGE_PREFIX}${id}`
+}
+
+/**
+ * Look up a locally stored image
+ * @param {string} url - local-image:... URL
+ * @returns {Promise<Object|null>} { id, session_id, category, name, type, blob, remote_url }
+ */
+export async function getLocalImage(url) {
+  if (!isLocalImageUrl(url) || !hasIndexedDB()) return null
+  const record = await withStore(IMAGES_STORE, 'readonly', store => store.get(url.slice(LOCAL_IMAGE_PREFIX.length)))
+  return record || null
+}
+
+/**
+ * Record where a local image was uploaded and drop its blob to free space
+ * Other records still holding the local-image:... URL resolve to the remote URL.
+ * @param {string} url - local-image:... URL
+ * @param {string} remoteUrl - Public Storage URL
+ */
+export async function markLocalImageUploaded(url, remoteUrl) {
+  const record = await getLocalImage(url)
+  if (!record) return
+
+  await withStore(IMAGES_STORE, 'readwrite', store => store.put({ ...record, blob: null, remote_url: remoteUrl }))
+}
+
+/**
+ * Remove a locally stored image
+ * @param {string} url - local-image:... URL
+ */
+export async function deleteLocalImage(url) {
+  if (!isLocalImageUrl(url) || !hasIndexedDB()) return
+  await withStore(IMAGES_STORE, 'readwrite', store => store.delete(url.slice(LOCAL_IMAGE_PREFIX.length)))
+}
@@ -0,0 +1,164 @@
+// src/lib/resilience.js
+// Guards for the fallback chains in services/outfitAPI.js (Edge Function → direct Supabase →
+// local store): each remote tier gets a timeout, so a hung request falls through instead of
+// blocking the UI, and a circuit breaker that skips a tier for a while after it keeps failing.
+// Circuits are kept per tier and function, so one broken Edge Function doesn't take the others down.
+// Results are tagged with the tier that produced them (see SOURCES).
+
+import { createAbortError, isAbortError } from './retry'
+
+// Where a result came from: an Edge Function, a direct Supabase query, the local store or mock AI
+export const SOURCES = {
+  EDGE: 'edge',
+  DB: 'db',
+  LOCAL: 'local',
+  MOCK: 'mock'
+}
+
+// Default timeout per remote tier; calls that are slow by nature (uploads, AI analysis) pass their own
+export const TIER_TIMEOUTS_MS = {
+  [SOURCES.EDGE]: 15000,
+  [SOURCES.DB]: 10000
+}
+
+// Consecutive outages that open a tier's circuit, and how long it then stays open
+const FAILURE_THRESHOLD = 3
+const COOLDOWN_MS = 30000
+
+// Circuit state per "<tier>:<name>": { failures, openUntil }
+const circuits = new Map()
+
+const circuitKey = (tier, name) => `${tier}:${name}`
+
+/**
+ * Error thrown when a tier didn't answer within its timeout
+ */
+export class TimeoutError extends Error {
+  constructor(tier, ms) {
+    super(`${tier} did not respond within ${ms}ms`)
+    this.name = 'TimeoutError'
+    this.status = 408
+  }
+}
+
+/**
+ * Error thrown instead of calling a tier whose circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(tier, name, retryAt) {
+    super(`${name} (${tier}) is skipped after repeated failures (retrying after ${new Date(retryAt).toLocaleTimeString()})`)
+    this.name = 'CircuitOpenError'
+    this.tier = tier
+    this.function = name
+  }
+}
+
+/**
+ * Check whether a failure means the tier itself is down, rather than this one request being wrong
+ * Timeouts, network errors and server errors count; bad requests, auth failures, 404s and
+ * conflicts are answers from a working tier.
+ */
+function isOutage(error) {
+  if (error instanceof TimeoutError) return true
+  const status = Number(error?.status ?? error?.statusCode ?? error?.context?.status)
+  if (!status) return true
+  return status >= 500
+}
+
+/**
+ * Check whether a tier is currently being skipped for a function
+ * @param {string} tier - One of SOURCES
+ * @param {string} name - Function the tier serves (see runTier)
+ * @returns {boolean}
+ */
+export function isCircuitOpen(tier, name) {
+  return (circuits.get(circuitKey(tier, name))?.openUntil || 0) > Date.now()
+}
+
+/**
+ * Forget every circuit's failures
+ */
+export function resetCircuits() {
+  circuits.clear()
+}
+
+// Failures while offline say nothing about the tiers once the connection is back
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', resetCircuits)
+}
+
+function recordSuccess(key) {
+  circuits.delete(key)
+}
+
+// Once open, the circuit lets one call through after the cooldown; if that fails it opens again
+function recordFailure(tier, name) {
+  const key = circuitKey(tier, name)
+  const failures = (circuits.get(key)?.failures || 0) + 1
+  const openUntil = failures >= FAILURE_THRESHOLD ? Date.now() + COOLDOWN_MS : 0
+  circuits.set(key, { failures, openUntil })
+
+  if (failures === FAILURE_THRESHOLD) {
+    console.warn(`🔌 ${name} failed ${failures} times in a row on the ${tier} tier, skipping it for ${COOLDOWN_MS / 1000}s`)
+  }
+}
+
+/**
+ * Run one tier of a fallback chain
+ * The operation gets an AbortSignal that fires on timeout or when the caller's signal aborts;
+ * pass it on to the request so it is cancelled rather than left running.
+ * @param {string} tier - SOURCES.EDGE or SOURCES.DB
+ * @param {string} name - Edge Function the call belongs to; the db tier uses the name of the
+ *   function it stands in for ("save-fit"), so each fallback has its own circuit
+ * @param {Function} operation - (signal) => Promise
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Overrides the tier's default timeout
+ * @param {AbortSignal} options.signal - Caller's cancel signal; a cancel doesn't count against the tier
+ * @returns {Promise<*>} Result of the operation
+ * @throws {CircuitOpenError} Without calling the operation while the tier is skipped for this function
+ * @throws {TimeoutError} When the operation takes longer than the timeout
+ */
+export async function runTier(tier, name, operation, { timeoutMs = TIER_TIMEOUTS_MS[tier], signal } = {}) {
+  const key = circuitKey(tier, name)
+  if (isCircuitOpen(tier, name)) {
+    throw new CircuitOpenError(tier, name, circuits.get(key).openUntil)
+  }
+  if (signal?.aborted) throw createAbortError()
+
+  const controller = new AbortController()
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Settle first so the race reports the timeout, not the abort it causes
+      reject(new TimeoutError(tier, timeoutMs))
+      controller.abort()
+    }, timeoutMs)
+  })
+
+  try {
+    const result = await Promise.race([operation(controller.signal), timeout])
+    recordSuccess(key)
+    return result
+  } catch (error) {
+    if (!signal?.aborted && !isAbortError(error) && isOutage(error)) {
+      recordFailure(tier, name)
+    }
+    throw error
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Tag a result with the tier that produced it
+ * @param {Object|null} result - Result object (null passes through)
+ * @param {string} source - One of SOURCES
+ * @returns {Object|null} Copy of the result with `source`
+ */
+export function withSource(result, source) {
+  return result ? { ...result, source } : result
+}
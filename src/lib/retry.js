@@ -0,0 +1,122 @@
+// src/lib/retry.js
+// Retries with exponential backoff for requests that can fail transiently (flaky mobile
+// connections, a cold-starting Edge Function), and helpers to tell those failures apart
+// from ones a retry can't fix
+
+const DEFAULT_ATTEMPTS = 3
+const DEFAULT_BASE_DELAY_MS = 1000
+const DEFAULT_MAX_DELAY_MS = 8000
+
+/**
+ * Error thrown when an AbortSignal cancels an operation
+ */
+export function createAbortError(message = 'Cancelled') {
+  return new DOMException(message, 'AbortError')
+}
+
+/**
+ * Check whether an error comes from a cancelled operation
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * Network errors (no status), timeouts, rate limits and server errors are; anything else
+ * (bad request, auth, payload too large, a circuit that is open) would fail the same way again.
+ * @param {Error} error - Error with an optional status / statusCode
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (isAbortError(error)) return false
+  // A skipped tier (resilience.js) stays skipped until its cooldown ends
+  if (error?.name === 'CircuitOpenError') return false
+  // Offline: retrying now only delays the fallback
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return false
+
+  const status = Number(error?.status ?? error?.statusCode ?? error?.context?.status)
+  if (!status) return true
+  return status === 408 || status === 429 || status >= 500
+}
+
+// PostgreSQL error classes a retry can't fix: data exceptions, integrity violations and access
+// or syntax errors (42501 is a row-level security refusal); PGRST1xx are malformed requests
+const PERMANENT_DB_ERROR = /^(22|23|42|PGRST1)/
+
+/**
+ * Check whether a failed request would fail the same way however often it is sent
+ * Contract errors, client errors other than timeouts and rate limits, and database errors such
+ * as a row-level security refusal are. Network errors, timeouts, server errors and open circuits
+ * are only worth waiting out, as are errors without a status or code.
+ * @param {Error} error - Error with an optional status / statusCode / code
+ * @returns {boolean}
+ */
+export function isPermanentError(error) {
+  if (error?.name === 'ContractError') return true
+
+  const status = Number(error?.status ?? error?.statusCode ?? error?.context?.status)
+  if (status) return status >= 400 && status < 500 && status !== 408 && status !== 429
+  return PERMANENT_DB_ERROR.test(String(error?.code ?? ''))
+}
+
+/**
+ * Wait for a delay, ending early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional cancel signal
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff and jitter
+ * @param {Function} operation - (attempt) => Promise; attempt starts at 1
+ * @param {Object} options
+ * @param {number} options.attempts - Total attempts including the first
+ * @param {number} options.baseDelayMs - Delay before the second attempt; doubles each time
+ * @param {number} options.maxDelayMs - Upper bound for a single delay
+ * @param {AbortSignal} options.signal - Stops retrying (and waiting) when aborted
+ * @param {Function} options.shouldRetry - (error) => boolean, defaults to isTransientError
+ * @param {Function} options.onRetry - (nextAttempt, delayMs, error) called before each wait
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws The last error when every attempt failed or the error isn't retryable
+ */
+export async function retryWithBackoff(operation, {
+  attempts = DEFAULT_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  signal,
+  shouldRetry = isTransientError,
+  onRetry
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw createAbortError()
+
+    try {
+      return await operation(attempt)
+    } catch (error) {
+      if (attempt >= attempts || signal?.aborted || !shouldRetry(error)) throw error
+
+      // Full jitter between half and all of the backoff keeps parallel retries apart
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+      const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2))
+      onRetry?.(attempt + 1, delay, error)
+      await sleep(delay, signal)
+    }
+  }
+}
@@ -0,0 +1,26 @@
+// src/lib/session.js
+// Read access to the persisted demo session (id, preferences, signed token)
+
+export const SESSION_STORAGE_KEY = 'fire_fit_demo_session'
+
+/**
+ * Get the stored demo session record
+ * @returns {Object|null} { id, started_at, preferences, token, claim_secret, claim_refused, upgraded_to }
+ *   claim_secret is only kept by sessions started offline, until their token is issued;
+ *   claim_refused marks a session create-session won't issue a token for
+ */
+export function getStoredSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Get the signed token that proves ownership of the demo session
+ * @returns {string|null} Session token
+ */
+export function getSessionToken() {
+  return getStoredSession()?.token || null
+}
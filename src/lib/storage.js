@@ -6,7 +6,7 @@ export async function uploadOutfitImage(file, category) {
 
     const filePath = `${category}/${Date.now()}_${file.name}`
 
-    const { data, error } = await supabase.storage
+    const { error } = await supabase.storage
       .from('outfit-images')
       .upload(filePath, file)
 
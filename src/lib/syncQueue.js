@@ -0,0 +1,273 @@
+// src/lib/syncQueue.js
+// Persistent queue of outfit writes (save, update, delete) made while Supabase was unreachable
+
+const QUEUE_STORAGE_KEY = 'outfit_sync_queue'
+const ID_MAP_STORAGE_KEY = 'outfit_id_map'
+const SYNC_EVENT = 'fire-fit:sync-queue'
+
+// Retry delays grow from 5s up to 5 minutes
+const BASE_RETRY_MS = 5000
+const MAX_RETRY_MS = 5 * 60 * 1000
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback
+  } catch {
+    return fallback
+  }
+}
+
+function writeQueue(queue) {
+  localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue))
+  window.dispatchEvent(new Event(SYNC_EVENT))
+}
+
+/**
+ * Get all queued operations in the order they were made
+ * @returns {Array<Object>} { id, type, outfit_id, payload, base_updated_at, attempts, next_attempt_at, last_error, conflict, rejected }
+ */
+export function getQueue() {
+  return readJson(QUEUE_STORAGE_KEY, [])
+}
+
+/**
+ * Queue an outfit write for background sync
+ * Writes to the same outfit are coalesced: edits fold into a pending save, and deleting
+ * an outfit that never reached the server drops its queued operations entirely.
+ * @param {Object} operation
+ * @param {string} operation.type - 'save' | 'update' | 'delete'
+ * @param {string} operation.outfitId - Outfit ID (local_... for unsynced saves)
+ * @param {Object} [operation.payload] - Outfit record (save) or changed fields (update)
+ * @param {string} [operation.baseUpdatedAt] - updated_at the edit was based on, for conflict checks
+ */
+export function enqueueOperation({ type, outfitId, payload = null, baseUpdatedAt = null }) {
+  let queue = getQueue()
+  const pendingSave = queue.find(op => op.type === 'save' && op.outfit_id === outfitId)
+
+  if (type === 'update' && pendingSave) {
+    pendingSave.payload = { ...pendingSave.payload, ...payload }
+    writeQueue(queue)
+    return
+  }
+
+  if (type === 'update') {
+    const pendingUpdate = queue.find(op => op.type === 'update' && op.outfit_id === outfitId && !op.conflict)
+    if (pendingUpdate) {
+      pendingUpdate.payload = { ...pendingUpdate.payload, ...payload }
+      writeQueue(queue)
+      return
+    }
+  }
+
+  if (type === 'delete') {
+    // Earlier writes to a deleted outfit no longer matter
+    queue = queue.filter(op => op.outfit_id !== outfitId)
+    if (pendingSave) {
+      writeQueue(queue)
+      return
+    }
+  }
+
+  queue.push({
+    id: `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    outfit_id: outfitId,
+    payload,
+    base_updated_at: baseUpdatedAt,
+    attempts: 0,
+    next_attempt_at: null,
+    last_error: null,
+    conflict: null,
+    rejected: false,
+    created_at: new Date().toISOString()
+  })
+  writeQueue(queue)
+  console.log(`📝 Queued ${type} for sync:`, outfitId)
+}
+
+/**
+ * Remove a finished operation from the queue
+ * @param {string} operationId - Queue entry ID
+ */
+export function removeOperation(operationId) {
+  writeQueue(getQueue().filter(op => op.id !== operationId))
+}
+
+/**
+ * Record a failed attempt and schedule the next retry with exponential backoff
+ * @param {string} operationId - Queue entry ID
+ * @param {string} message - Error message
+ */
+export function markOperationFailed(operationId, message) {
+  const queue = getQueue()
+  const op = queue.find(entry => entry.id === operationId)
+  if (!op) return
+
+  op.attempts += 1
+  op.last_error = message
+  op.next_attempt_at = Date.now() + Math.min(BASE_RETRY_MS * 2 ** (op.attempts - 1), MAX_RETRY_MS)
+  writeQueue(queue)
+}
+
+/**
+ * Park an edit that collided with a newer server version until the user picks a side
+ * @param {string} operationId - Queue entry ID
+ * @param {Object} current - The outfit as it is on the server now
+ */
+export function markOperationConflict(operationId, current) {
+  const queue = getQueue()
+  const op = queue.find(entry => entry.id === operationId)
+  if (!op) return
+
+  op.conflict = current
+  writeQueue(queue)
+}
+
+/**
+ * Park an operation the server refused for good (invalid, not allowed) so it stops holding up
+ * the ones behind it; it stays in the queue, marked for the user, until they discard it
+ * @param {string} operationId - Queue entry ID
+ * @param {string} message - Error message
+ */
+export function markOperationRejected(operationId, message) {
+  const queue = getQueue()
+  const op = queue.find(entry => entry.id === operationId)
+  if (!op) return
+
+  op.attempts += 1
+  op.last_error = message
+  op.rejected = true
+  writeQueue(queue)
+}
+
+/**
+ * Resolve a conflicted edit
+ * @param {string} operationId - Queue entry ID
+ * @param {string} choice - 'mine' overwrites the server copy, 'theirs' discards the local edit
+ */
+export function resolveConflict(operationId, choice) {
+  const queue = getQueue()
+  const op = queue.find(entry => entry.id === operationId)
+  if (!op) return
+
+  if (choice === 'theirs') {
+    writeQueue(queue.filter(entry => entry.id !== operationId))
+    return
+  }
+
+  op.base_updated_at = null
+  op.conflict = null
+  op.attempts = 0
+  op.next_attempt_at = null
+  writeQueue(queue)
+}
+
+/**
+ * Check whether an operation is due for another attempt
+ * @param {Object} op - Queue entry
+ * @returns {boolean}
+ */
+export function isOperationReady(op) {
+  return !op.conflict && !op.rejected && (!op.next_attempt_at || op.next_attempt_at <= Date.now())
+}
+
+/**
+ * Map a local_... ID to the server UUID it was saved as
+ * Later queued operations and lookups follow the new ID.
+ * @param {string} localId - local_... ID
+ * @param {string} serverId - Server UUID
+ */
+export function remapOutfitId(localId, serverId) {
+  const idMap = readJson(ID_MAP_STORAGE_KEY, {})
+  idMap[localId] = serverId
+  localStorage.setItem(ID_MAP_STORAGE_KEY, JSON.stringify(idMap))
+
+  writeQueue(getQueue().map(op =>
+    op.outfit_id === localId ? { ...op, outfit_id: serverId } : op
+  ))
+  console.log('🔁 Remapped outfit ID:', localId, '→', serverId)
+}
+
+/**
+ * Move queued saves to another session (used when a demo session is upgraded to an account)
+ * @param {string} fromSessionId - Previous session ID
+ * @param {string} toSessionId - New session ID
+ */
+export function reassignQueuedSession(fromSessionId, toSessionId) {
+  writeQueue(getQueue().map(op =>
+    op.payload?.session_id === fromSessionId
+      ? { ...op, payload: { ...op.payload, session_id: toSessionId } }
+      : op
+  ))
+}
+
+/**
+ * Resolve an outfit ID that may have been synced since it was handed out
+ * @param {string} outfitId - Outfit ID
+ * @returns {string} Server UUID if the local record was synced, otherwise the same ID
+ */
+export function resolveOutfitId(outfitId) {
+  return readJson(ID_MAP_STORAGE_KEY, {})[outfitId] || outfitId
+}
+
+/**
+ * Summarize the queue for UI indicators
+ * @returns {Object} { pendingCount, conflicts, rejected, statusById } - statusById maps outfit ID →
+ *   'pending' | 'rejected' | 'conflict' (the most severe of its operations)
+ */
+export function getSyncState() {
+  const queue = getQueue()
+  const statusById = {}
+  const severity = { pending: 0, rejected: 1, conflict: 2 }
+
+  queue.forEach(op => {
+    const status = op.conflict ? 'conflict' : op.rejected ? 'rejected' : 'pending'
+    if (!(severity[statusById[op.outfit_id]] >= severity[status])) {
+      statusById[op.outfit_id] = status
+    }
+  })
+
+  return {
+    pendingCount: queue.filter(op => !op.conflict && !op.rejected).length,
+    conflicts: queue.filter(op => op.conflict),
+    rejected: queue.filter(op => op.rejected),
+    statusById
+  }
+}
+
+/**
+ * Show queued writes on top of a fetched outfit list
+ * Hides outfits with a pending delete, applies pending edits and adds unsynced local saves.
+ * @param {Array} outfits - Outfits from the server
+ * @param {Array} localOutfits - Unsynced local_... outfits for the same session
+ * @returns {Array} Outfits as the user last left them, newest first
+ */
+export function applyPendingOperations(outfits, localOutfits = []) {
+  const queue = getQueue()
+  const deleted = new Set(queue.filter(op => op.type === 'delete').map(op => op.outfit_id))
+  const edits = {}
+  queue
+    .filter(op => op.type === 'update')
+    .forEach(op => { edits[op.outfit_id] = { ...edits[op.outfit_id], ...op.payload } })
+
+  const known = new Set(outfits.map(outfit => outfit.id))
+  const merged = [
+    ...localOutfits.filter(outfit => !known.has(outfit.id)),
+    ...outfits
+  ]
+
+  return merged
+    .filter(outfit => !deleted.has(outfit.id))
+    .map(outfit => edits[outfit.id] ? { ...outfit, ...edits[outfit.id] } : outfit)
+    .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0))
+}
+
+/**
+ * Subscribe to queue changes
+ * @param {Function} listener - Called after every queue write
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSyncQueue(listener) {
+  window.addEventListener(SYNC_EVENT, listener)
+  return () => window.removeEventListener(SYNC_EVENT, listener)
+}
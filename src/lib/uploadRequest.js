@@ -0,0 +1,64 @@
+// src/lib/uploadRequest.js
+// fetch() can't report upload progress, so uploads that show a progress bar go through
+// XMLHttpRequest. The result is wrapped in a standard Response so callers handle it like fetch.
+
+import { createAbortError } from './retry'
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = [204, 205, 304]
+
+function parseHeaders(raw) {
+  const headers = new Headers()
+  raw.trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+    const index = line.indexOf(':')
+    if (index > 0) headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim())
+  })
+  return headers
+}
+
+/**
+ * Send a request body, reporting how much of it has been sent
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default POST)
+ * @param {Object} options.headers - Request headers
+ * @param {Blob|FormData} options.body - Request body
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @param {Function} options.onProgress - (fraction 0–1) as the body is sent
+ * @returns {Promise<Response>} Response for any HTTP status
+ * @throws {TypeError} On network failure, AbortError when cancelled
+ */
+export function fetchWithProgress(url, { method = 'POST', headers = {}, body, signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError('Upload cancelled'))
+      return
+    }
+
+    const xhr = new XMLHttpRequest()
+    const onAbort = () => xhr.abort()
+
+    xhr.open(method, url)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable && event.total > 0) onProgress?.(event.loaded / event.total)
+    }
+    xhr.onload = () => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve(new Response(NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.responseText, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: parseHeaders(xhr.getAllResponseHeaders())
+      }))
+    }
+    xhr.onerror = () => {
+      signal?.removeEventListener('abort', onAbort)
+      reject(new TypeError('Network request failed'))
+    }
+    xhr.onabort = () => reject(createAbortError('Upload cancelled'))
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+    xhr.send(body)
+  })
+}
@@ -3,13 +3,27 @@
 
 import { useState, useRef } from 'react'
 import { useDemoSession } from '../hooks/useDemoSession'
+import { useWeather } from '../hooks/useWeather'
 import { uploadFile, analyzeFit, saveFit } from '../services/outfitAPI'
+import { catalogOutfitItems, getWardrobeItems } from '../services/wardrobeAPI'
+import { isLocalImageUrl } from '../lib/localDB'
+import { isAbortError } from '../lib/retry'
+import { SOURCES } from '../lib/resilience'
 import FitDisplay from '../components/FitDisplay'
+import SourceBadge from '../components/SourceBadge'
+import MyCloset from '../components/MyCloset'
 import { SEASON_PRESETS, FORMALITY_LEVELS } from '../utils/seasonPresets'
+import { OUTFIT_CATEGORIES, createCategoryMap } from '../utils/outfitCategories'
+import { generateFitCandidates, buildGeneratedAnalysis } from '../utils/fitGenerator'
+import { extractOutfitPalette } from '../utils/colorExtraction'
+import { preprocessImage, formatBytes, MAX_INPUT_BYTES, UnsupportedImageError } from '../utils/imagePreprocessing'
+import { sha256Hex } from '../../supabase/functions/_shared/contentHash.js'
+import { hashFromUrl } from '../../supabase/functions/_shared/imagePaths.js'
 import '../styles/UploadFitPage.css'
 
 export default function UploadFitPage() {
   const { sessionId, preferences, updatePreferences } = useDemoSession()
+  const { conditions, context: weatherContext, loading: weatherLoading } = useWeather()
   
   // Upload state
   const [uploads, setUploads] = useState({
@@ -36,13 +50,39 @@ export default function UploadFitPage() {
     accessories: null
   })
   
+  // Original vs processed size of each selected photo, and which are still being processed
+  const [imageStats, setImageStats] = useState(createCategoryMap())
+  const [processing, setProcessing] = useState(createCategoryMap(false))
+  // Latest selection per category, so a slow earlier photo can't overwrite a newer one
+  const selectionIds = useRef(createCategoryMap(0))
+  
+  // Upload progress per category: { state, progress (0–1), attempt, error }
+  // state is uploading, retrying, done, local (kept on this device), failed or cancelled
+  const [uploadStatus, setUploadStatus] = useState(createCategoryMap())
+  const [uploading, setUploading] = useState(false)
+  const uploadController = useRef(null)
+  // File last uploaded per category and its URL, so analyzing again only uploads what changed
+  const storedUploads = useRef(createCategoryMap())
+  
+  // Wardrobe items picked from the closet (or cataloged after analysis)
+  const [closetItems, setClosetItems] = useState(createCategoryMap())
+  const [closetCategory, setClosetCategory] = useState(null)
+  
+  // Generated combinations from the closet ("Generate Fit" mode)
+  const [candidates, setCandidates] = useState([])
+  const [candidateIndex, setCandidateIndex] = useState(0)
+  
   // UI state
-  const [loading, setLoading] = useState(false)
   const [analyzing, setAnalyzing] = useState(false)
+  const [generating, setGenerating] = useState(false)
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState(null)
   const [analysis, setAnalysis] = useState(null)
+  // Fields of the analysis in progress, shown as they stream in, and its latest progress event
+  const [partialAnalysis, setPartialAnalysis] = useState(null)
+  const [analysisProgress, setAnalysisProgress] = useState(null)
   const [savedSuccess, setSavedSuccess] = useState(false)
+  const [savedSource, setSavedSource] = useState(null)
   
   // Context state
   const [season, setSeason] = useState(preferences.season || 'Fall')
@@ -59,32 +99,56 @@ export default function UploadFitPage() {
 
   /**
    * Handle file selection and preview
+   * The photo is downscaled, oriented and stripped of location data before it is used
    */
-  const handleFileSelect = (category, event) => {
-    const file = event.target.files[0]
-    if (!file) return
+  const handleFileSelect = async (category, event) => {
+    const selected = event.target.files[0]
+    if (!selected) return
     
     // Validate file type
-    if (!file.type.startsWith('image/')) {
+    if (!selected.type.startsWith('image/')) {
       setError(`${category} must be an image file`)
       return
     }
     
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      setError(`${category} image must be less than 5MB`)
+    // Large photos are fine, they are shrunk below; only refuse what can't be decoded safely
+    if (selected.size > MAX_INPUT_BYTES) {
+      setError(`${category} image must be less than ${formatBytes(MAX_INPUT_BYTES)}`)
       return
     }
     
-    // Update uploads
-    setUploads(prev => ({ ...prev, [category]: file }))
-    
-    // Create preview URL
-    const previewUrl = URL.createObjectURL(file)
-    setPreviewUrls(prev => ({ ...prev, [category]: previewUrl }))
-    
+    const selectionId = selectionIds.current[category] + 1
+    selectionIds.current[category] = selectionId
+    setProcessing(prev => ({ ...prev, [category]: true }))
     setError(null)
-    console.log(`📸 ${category} selected:`, file.name)
+    
+    try {
+      const result = await preprocessImage(selected)
+      if (selectionIds.current[category] !== selectionId) return
+      
+      // Update uploads
+      setUploads(prev => ({ ...prev, [category]: result.file }))
+      setImageStats(prev => ({ ...prev, [category]: result }))
+      setUploadStatus(prev => ({ ...prev, [category]: null }))
+      setClosetItems(prev => ({ ...prev, [category]: null }))
+      setCandidates([])
+      
+      // Create preview URL
+      const previewUrl = URL.createObjectURL(result.file)
+      setPreviewUrls(prev => {
+        if (prev[category]) URL.revokeObjectURL(prev[category])
+        return { ...prev, [category]: previewUrl }
+      })
+      
+      console.log(`📸 ${category} selected:`, result.file.name)
+    } catch (err) {
+      console.error(`❌ Could not prepare ${category} image:`, err)
+      setError(err instanceof UnsupportedImageError ? err.message : `${category} image could not be processed`)
+    } finally {
+      if (selectionIds.current[category] === selectionId) {
+        setProcessing(prev => ({ ...prev, [category]: false }))
+      }
+    }
   }
 
   /**
@@ -97,8 +161,12 @@ export default function UploadFitPage() {
     }
     
     setUploads(prev => ({ ...prev, [category]: null }))
+    setImageStats(prev => ({ ...prev, [category]: null }))
+    setUploadStatus(prev => ({ ...prev, [category]: null }))
     setPreviewUrls(prev => ({ ...prev, [category]: null }))
     setUploadedUrls(prev => ({ ...prev, [category]: null }))
+    setClosetItems(prev => ({ ...prev, [category]: null }))
+    setCandidates([])
     
     // Reset file input
     if (fileInputRefs[category].current) {
@@ -108,13 +176,82 @@ export default function UploadFitPage() {
     console.log(`🗑️ ${category} removed`)
   }
 
+  /**
+   * Put a wardrobe item from the closet into its upload slot
+   */
+  const handlePickFromCloset = (item) => {
+    const category = item.category
+    
+    if (previewUrls[category]) {
+      URL.revokeObjectURL(previewUrls[category])
+    }
+    if (fileInputRefs[category].current) {
+      fileInputRefs[category].current.value = ''
+    }
+    
+    setUploads(prev => ({ ...prev, [category]: null }))
+    setImageStats(prev => ({ ...prev, [category]: null }))
+    setUploadStatus(prev => ({ ...prev, [category]: null }))
+    setClosetItems(prev => ({ ...prev, [category]: item }))
+    setPreviewUrls(prev => ({ ...prev, [category]: item.image_url }))
+    setClosetCategory(null)
+    setCandidates([])
+    setError(null)
+    console.log(`👚 ${category} picked from closet:`, item.id)
+  }
+
+  /**
+   * Upload one piece, tracking its progress on the card
+   * A file that was already uploaded (e.g. on reroll) is not sent again.
+   * @returns {Promise<Object>} { url, isNew }
+   */
+  const uploadPiece = async (category, file, hash, signal) => {
+    const stored = storedUploads.current[category]
+    if (stored?.file === file) {
+      return { url: stored.url, isNew: false }
+    }
+    
+    const updateStatus = (status) => setUploadStatus(prev => ({ ...prev, [category]: status }))
+    updateStatus({ state: 'uploading', progress: 0 })
+    
+    try {
+      const { url, source } = await uploadFile(file, category, sessionId, {
+        signal,
+        hash,
+        onProgress: (progress) => setUploadStatus(prev => ({
+          ...prev,
+          [category]: { ...prev[category], progress }
+        })),
+        onRetry: (attempt) => updateStatus({ state: 'retrying', progress: 0, attempt })
+      })
+      
+      storedUploads.current[category] = { file, url }
+      updateStatus({ state: source === SOURCES.LOCAL ? 'local' : 'done', progress: 1 })
+      return { url, isNew: true }
+      
+    } catch (uploadError) {
+      updateStatus(isAbortError(uploadError)
+        ? { state: 'cancelled', progress: 0 }
+        : { state: 'failed', progress: 0, error: uploadError.message })
+      throw uploadError
+    }
+  }
+
+  /**
+   * Cancel the uploads in progress; analysis doesn't start
+   */
+  const handleCancelUpload = () => {
+    uploadController.current?.abort()
+  }
+
   /**
    * Handle analyze button click
+   * @param {Object} options - { bypassCache } asks the AI again instead of reusing a cached analysis
    */
-  const handleAnalyze = async () => {
+  const handleAnalyze = async ({ bypassCache = false } = {}) => {
     try {
       // Validate at least one image is uploaded
-      const hasAnyImage = Object.values(uploads).some(file => file !== null)
+      const hasAnyImage = OUTFIT_CATEGORIES.some(({ key }) => uploads[key] || closetItems[key])
       if (!hasAnyImage) {
         setError('Please upload at least one image to analyze')
         return
@@ -124,27 +261,86 @@ export default function UploadFitPage() {
       setError(null)
       setAnalysis(null)
       setSavedSuccess(false)
+      setCandidates([])
       
       console.log('🚀 Starting analysis flow...')
       
-      // Step 1: Upload all images to Supabase Storage
+      // Step 0: Measure each piece's dominant colors from the photo itself
+      const palette = await extractOutfitPalette(Object.fromEntries(
+        OUTFIT_CATEGORIES.map(({ key }) => [key, uploads[key] || closetItems[key]?.image_url || null])
+      ))
+      
+      // Content hashes key the analysis cache and let uploads skip photos already stored;
+      // closet items stored under their hash carry it in the URL
+      const hashes = {}
+      for (const { key } of OUTFIT_CATEGORIES) {
+        if (closetItems[key]) {
+          hashes[key] = hashFromUrl(closetItems[key].image_url)
+        } else if (uploads[key]) {
+          hashes[key] = await sha256Hex(await uploads[key].arrayBuffer())
+        }
+      }
+      
+      // Step 1: Upload new images to Supabase Storage in parallel (closet items are already stored)
       console.log('📤 Uploading images...')
       const urls = {}
+      const newlyUploaded = {}
+      const pending = []
+      
+      OUTFIT_CATEGORIES.forEach((category) => {
+        if (closetItems[category.key]) {
+          urls[category.key] = closetItems[category.key].image_url
+        } else if (uploads[category.key]) {
+          pending.push(category)
+        }
+      })
+      
+      const controller = new AbortController()
+      uploadController.current = controller
+      setUploading(true)
+      const results = await Promise.allSettled(
+        pending.map(({ key }) => uploadPiece(key, uploads[key], hashes[key], controller.signal))
+      )
+      uploadController.current = null
+      setUploading(false)
+      
+      if (controller.signal.aborted) {
+        setError('Upload cancelled. Your photos are still here — analyze again when ready.')
+        return
+      }
       
-      for (const [category, file] of Object.entries(uploads)) {
-        if (file) {
-          try {
-            const url = await uploadFile(file, category, sessionId)
-            urls[category] = url
-          } catch (uploadError) {
-            console.error(`Failed to upload ${category}:`, uploadError)
-            // Continue with other uploads
-          }
+      const failed = []
+      results.forEach((result, index) => {
+        const { key } = pending[index]
+        if (result.status === 'rejected') {
+          failed.push(pending[index])
+          return
         }
+        urls[key] = result.value.url
+        // Pieces kept on the device join the closet once they are uploaded
+        if (result.value.isNew && !isLocalImageUrl(result.value.url)) {
+          newlyUploaded[key] = result.value.url
+        }
+      })
+      
+      // Analyzing without a top, bottom or shoes would describe a different outfit
+      const failedRequired = failed.filter(category => !category.optional)
+      if (failedRequired.length > 0) {
+        const names = failedRequired.map(category => category.label.split(' ').slice(1).join(' '))
+        setError(`Couldn't upload ${names.join(', ')}. Analyze again to retry, or replace the photo.`)
+        return
+      }
+      if (failed.length > 0) {
+        console.warn('⚠️ Analyzing without optional pieces:', failed.map(category => category.key).join(', '))
       }
       
       setUploadedUrls(urls)
-      console.log('✅ All images uploaded')
+      console.log('✅ All images stored')
+      
+      // Pieces that failed to upload are not analyzed, so their colors are dropped too
+      const measuredPalette = Object.fromEntries(
+        Object.entries(palette).filter(([category]) => urls[category])
+      )
       
       // Step 2: Call analyze API
       console.log('🤖 Analyzing outfit...')
@@ -156,14 +352,41 @@ export default function UploadFitPage() {
         shoes_url: urls.shoes || null,
         accessories_url: urls.accessories || null,
         season,
-        formality
+        formality,
+        weather: conditions ? { ...conditions, ...weatherContext } : null,
+        palette: Object.keys(measuredPalette).length > 0 ? measuredPalette : null,
+        // Only complete sets can be cached; one unknown piece and the function asks the AI
+        image_hashes: Object.keys(urls).every(key => hashes[key])
+          ? Object.fromEntries(Object.keys(urls).map(key => [key, hashes[key]]))
+          : null,
+        bypass_cache: bypassCache
       }
       
-      const result = await analyzeFit(analysisPayload)
+      // Measured swatches are known up front; the rest fills in as the AI answers
+      setPartialAnalysis({ palette: analysisPayload.palette })
+      setAnalysisProgress({ stage: 'analyzing' })
+      const result = await analyzeFit(analysisPayload, {
+        onProgress: setAnalysisProgress,
+        onPartial: (field, value) => setPartialAnalysis(prev => ({ ...prev, [field]: value }))
+      })
       setAnalysis(result)
       
       console.log('✅ Analysis complete:', result)
       
+      // Step 3: Add new pieces to the closet so they can be reused
+      if (Object.keys(newlyUploaded).length > 0) {
+        try {
+          const cataloged = await catalogOutfitItems({
+            sessionId,
+            urls: newlyUploaded,
+            analysis: result
+          })
+          setClosetItems(prev => ({ ...prev, ...cataloged }))
+        } catch (catalogError) {
+          console.warn('⚠️ Could not add pieces to closet:', catalogError.message)
+        }
+      }
+      
       // Update preferences
       await updatePreferences({ season, formality })
       
@@ -172,6 +395,74 @@ export default function UploadFitPage() {
       setError(err.message || 'Failed to analyze outfit. Please try again.')
     } finally {
       setAnalyzing(false)
+      setPartialAnalysis(null)
+      setAnalysisProgress(null)
+    }
+  }
+
+  /**
+   * Show a generated candidate in the upload slots and the analysis view
+   */
+  const applyCandidate = (candidate, index, allCandidates) => {
+    Object.values(previewUrls).forEach(url => {
+      if (url) URL.revokeObjectURL(url)
+    })
+    Object.values(fileInputRefs).forEach(ref => {
+      if (ref.current) ref.current.value = ''
+    })
+    
+    const items = createCategoryMap()
+    const urls = createCategoryMap()
+    OUTFIT_CATEGORIES.forEach(({ key }) => {
+      items[key] = candidate[key] || null
+      urls[key] = candidate[key]?.image_url || null
+    })
+    
+    setUploads(createCategoryMap())
+    setImageStats(createCategoryMap())
+    setUploadStatus(createCategoryMap())
+    setClosetItems(items)
+    setPreviewUrls(urls)
+    setUploadedUrls(urls)
+    setCandidateIndex(index)
+    setAnalysis(buildGeneratedAnalysis(candidate, { season, formality }, allCandidates[0].score))
+  }
+
+  /**
+   * Handle generate button click - compose fits from the saved closet
+   */
+  const handleGenerate = async () => {
+    try {
+      setGenerating(true)
+      setError(null)
+      setAnalysis(null)
+      setSavedSuccess(false)
+      
+      console.log('✨ Generating fits from closet...')
+      const items = await getWardrobeItems(sessionId)
+      const generated = generateFitCandidates(items, {
+        season,
+        formality,
+        needsTopLayer: weatherContext?.needsTopLayer
+      })
+      
+      if (generated.length === 0) {
+        setCandidates([])
+        setError('Your closet needs at least a top, a bottom and shoes to generate a fit')
+        return
+      }
+      
+      console.log(`✅ Generated ${generated.length} candidate fits`)
+      setCandidates(generated)
+      applyCandidate(generated[0], 0, generated)
+      
+      await updatePreferences({ season, formality })
+      
+    } catch (err) {
+      console.error('❌ Generation failed:', err)
+      setError(err.message || 'Failed to generate a fit. Please try again.')
+    } finally {
+      setGenerating(false)
     }
   }
 
@@ -192,19 +483,27 @@ export default function UploadFitPage() {
         bottom_url: uploadedUrls.bottom,
         shoes_url: uploadedUrls.shoes,
         accessories_url: uploadedUrls.accessories,
+        top_item_id: closetItems.top?.id || null,
+        top_layer_item_id: closetItems.topLayer?.id || null,
+        bottom_item_id: closetItems.bottom?.id || null,
+        shoes_item_id: closetItems.shoes?.id || null,
+        accessories_item_id: closetItems.accessories?.id || null,
         ai_description: analysis.ai_description,
         ai_image_url: analysis.ai_image_url,
         season: analysis.season,
         formality: analysis.formality,
         aesthetic: analysis.aesthetic,
         colors: analysis.colors,
+        palette: analysis.palette || null,
         accessories_description: analysis.accessories_description,
-        accessories_tags: analysis.accessories_tags
+        accessories_tags: analysis.accessories_tags,
+        confidence: analysis.confidence ?? null
       }
       
       const saved = await saveFit(savePayload)
       console.log('✅ Outfit saved:', saved)
       
+      setSavedSource(saved.source)
       setSavedSuccess(true)
       setTimeout(() => setSavedSuccess(false), 3000)
       
@@ -217,11 +516,20 @@ export default function UploadFitPage() {
   }
 
   /**
-   * Handle reroll (reanalyze with same images)
+   * Handle reroll - next generated combination, or reanalyze with same images
    */
   const handleReroll = async () => {
+    if (candidates.length > 0) {
+      const nextIndex = (candidateIndex + 1) % candidates.length
+      console.log(`🔄 Showing generated fit ${nextIndex + 1}/${candidates.length}`)
+      applyCandidate(candidates[nextIndex], nextIndex, candidates)
+      setSavedSuccess(false)
+      return
+    }
+    
+    // A reroll wants a fresh take, not the cached one
     console.log('🔄 Rerolling analysis...')
-    await handleAnalyze()
+    await handleAnalyze({ bypassCache: true })
   }
 
   /**
@@ -254,6 +562,11 @@ export default function UploadFitPage() {
       shoes: null,
       accessories: null
     })
+    setImageStats(createCategoryMap())
+    setUploadStatus(createCategoryMap())
+    storedUploads.current = createCategoryMap()
+    setClosetItems(createCategoryMap())
+    setCandidates([])
     setAnalysis(null)
     setError(null)
     setSavedSuccess(false)
@@ -266,6 +579,8 @@ export default function UploadFitPage() {
     console.log('🧹 All uploads cleared')
   }
 
+  const isProcessing = Object.values(processing).some(Boolean)
+
   return (
     <div className="upload-fit-page">
       <div className="page-header">
@@ -306,76 +621,60 @@ export default function UploadFitPage() {
             ))}
           </select>
         </div>
+
+        <div className="context-group weather-panel">
+          <label>🌡️ Current Conditions</label>
+          {weatherLoading ? (
+            <span className="weather-summary">Checking the weather...</span>
+          ) : weatherContext ? (
+            <>
+              <span className="weather-summary">
+                {conditions.location}: {weatherContext.summary}
+              </span>
+              <span className={`weather-suggestion ${weatherContext.needsTopLayer ? 'needs-layer' : ''}`}>
+                {weatherContext.needsTopLayer ? '🧥' : '👕'} {weatherContext.suggestion}
+              </span>
+              {weatherContext.effectiveSeason !== season && (
+                <span className="weather-hint">
+                  Feels like {weatherContext.effectiveSeason} —{' '}
+                  <button
+                    className="weather-apply-btn"
+                    onClick={() => setSeason(weatherContext.effectiveSeason)}
+                    disabled={analyzing}
+                  >
+                    use {weatherContext.effectiveSeason}
+                  </button>
+                </span>
+              )}
+            </>
+          ) : (
+            <span className="weather-summary">Weather unavailable</span>
+          )}
+        </div>
       </div>
 
       {/* Upload Grid */}
       <div className="upload-grid">
-        {/* Top */}
-        <UploadCard
-          category="top"
-          label="👕 Top"
-          description="T-shirt, blouse, sweater"
-          file={uploads.top}
-          previewUrl={previewUrls.top}
-          onSelect={handleFileSelect}
-          onRemove={handleRemoveImage}
-          inputRef={fileInputRefs.top}
-          disabled={analyzing}
-        />
-
-        {/* Top Layer */}
-        <UploadCard
-          category="topLayer"
-          label="🧥 Top Layer"
-          description="Jacket, coat, cardigan"
-          file={uploads.topLayer}
-          previewUrl={previewUrls.topLayer}
-          onSelect={handleFileSelect}
-          onRemove={handleRemoveImage}
-          inputRef={fileInputRefs.topLayer}
-          disabled={analyzing}
-          optional
-        />
-
-        {/* Bottom */}
-        <UploadCard
-          category="bottom"
-          label="👖 Bottom"
-          description="Pants, skirt, shorts"
-          file={uploads.bottom}
-          previewUrl={previewUrls.bottom}
-          onSelect={handleFileSelect}
-          onRemove={handleRemoveImage}
-          inputRef={fileInputRefs.bottom}
-          disabled={analyzing}
-        />
-
-        {/* Shoes */}
-        <UploadCard
-          category="shoes"
-          label="👟 Shoes"
-          description="Sneakers, boots, sandals"
-          file={uploads.shoes}
-          previewUrl={previewUrls.shoes}
-          onSelect={handleFileSelect}
-          onRemove={handleRemoveImage}
-          inputRef={fileInputRefs.shoes}
-          disabled={analyzing}
-        />
-
-        {/* Accessories */}
-        <UploadCard
-          category="accessories"
-          label="✨ Accessories"
-          description="Jewelry, bags, hats, etc."
-          file={uploads.accessories}
-          previewUrl={previewUrls.accessories}
-          onSelect={handleFileSelect}
-          onRemove={handleRemoveImage}
-          inputRef={fileInputRefs.accessories}
-          disabled={analyzing}
-          optional
-        />
+        {OUTFIT_CATEGORIES.map(({ key, label, description, optional }) => (
+          <UploadCard
+            key={key}
+            category={key}
+            label={label}
+            description={description}
+            file={uploads[key]}
+            closetItem={closetItems[key]}
+            previewUrl={previewUrls[key]}
+            onSelect={handleFileSelect}
+            onRemove={handleRemoveImage}
+            onOpenCloset={setClosetCategory}
+            inputRef={fileInputRefs[key]}
+            disabled={analyzing}
+            optional={optional}
+            stats={imageStats[key]}
+            processing={processing[key]}
+            upload={uploadStatus[key]}
+          />
+        ))}
       </div>
 
       {/* Error Display */}
@@ -390,7 +689,8 @@ export default function UploadFitPage() {
       {savedSuccess && (
         <div className="success-message">
           <span className="success-icon">✅</span>
-          Outfit saved to favorites!
+          {savedSource === 'local' ? 'Outfit saved! It will sync once Supabase is reachable.' : 'Outfit saved to favorites!'}
+          <SourceBadge source={savedSource} />
         </div>
       )}
 
@@ -399,17 +699,34 @@ export default function UploadFitPage() {
         <button 
           className="clear-btn"
           onClick={handleClear}
-          disabled={analyzing || loading}
+          disabled={analyzing || generating}
         >
           🧹 Clear All
         </button>
         
+        {uploading ? (
+          <button 
+            className="cancel-upload-btn"
+            onClick={handleCancelUpload}
+          >
+            ✕ Cancel Upload
+          </button>
+        ) : (
+          <button 
+            className="analyze-btn"
+            onClick={() => handleAnalyze()}
+            disabled={analyzing || generating || isProcessing || !sessionId}
+          >
+            {analyzing ? '🔄 Analyzing...' : isProcessing ? '🗜️ Optimizing photos...' : '🤖 Analyze Fit'}
+          </button>
+        )}
+        
         <button 
-          className="analyze-btn"
-          onClick={handleAnalyze}
-          disabled={analyzing || loading || !sessionId}
+          className="generate-btn"
+          onClick={handleGenerate}
+          disabled={analyzing || generating || !sessionId}
         >
-          {analyzing ? '🔄 Analyzing...' : '🤖 Analyze Fit'}
+          {generating ? '🔄 Generating...' : '✨ Generate Fit'}
         </button>
       </div>
 
@@ -421,6 +738,27 @@ export default function UploadFitPage() {
           onSave={handleSave}
           onReroll={handleReroll}
           saving={saving}
+          variantLabel={candidates.length > 0 ? `Closet combo ${candidateIndex + 1} of ${candidates.length}` : null}
+          context={{ season, formality }}
+        />
+      )}
+
+      {/* Analysis streaming in */}
+      {!analysis && partialAnalysis && (
+        <FitDisplay
+          analysis={partialAnalysis}
+          uploadedImages={uploadedUrls}
+          progress={analysisProgress}
+        />
+      )}
+
+      {/* Closet Picker */}
+      {closetCategory && (
+        <MyCloset
+          sessionId={sessionId}
+          initialCategory={closetCategory}
+          onPick={handlePickFromCloset}
+          onClose={() => setClosetCategory(null)}
         />
       )}
     </div>
@@ -435,15 +773,20 @@ function UploadCard({
   label, 
   description, 
   file, 
+  closetItem,
   previewUrl, 
   onSelect, 
   onRemove, 
+  onOpenCloset,
   inputRef,
   disabled = false,
-  optional = false
+  optional = false,
+  stats = null,
+  processing = false,
+  upload = null
 }) {
   return (
-    <div className={`upload-card ${file ? 'has-image' : ''}`}>
+    <div className={`upload-card ${file || closetItem ? 'has-image' : ''} ${upload?.state === 'failed' ? 'upload-failed' : ''}`}>
       <input
         ref={inputRef}
         type="file"
@@ -454,9 +797,26 @@ function UploadCard({
         id={`upload-${category}`}
       />
       
+      {processing && (
+        <div className="processing-overlay">
+          <div className="spinner"></div>
+          <span>Optimizing photo...</span>
+        </div>
+      )}
+      
       {previewUrl ? (
         <div className="preview-container">
           <img src={previewUrl} alt={label} className="preview-image" />
+          {closetItem && <span className="closet-badge">👚 From Closet</span>}
+          {stats && !closetItem && (
+            <span className="image-stats" title={stats.locationRemoved ? 'Location data removed' : undefined}>
+              {stats.processed
+                ? `${formatBytes(stats.originalSize)} → ${formatBytes(stats.size)}`
+                : formatBytes(stats.size)}
+              {stats.locationRemoved && ' · 📍 removed'}
+            </span>
+          )}
+          {upload && <UploadStatus status={upload} />}
           <div className="preview-overlay">
             <button 
               className="remove-btn"
@@ -478,6 +838,47 @@ function UploadCard({
           <div className="upload-prompt">Click to upload</div>
         </label>
       )}
+      
+      {!previewUrl && (
+        <button
+          className="closet-pick-btn"
+          onClick={() => onOpenCloset(category)}
+          disabled={disabled}
+        >
+          👚 Pick from Closet
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * UploadStatus Component - Progress bar and result of a piece's upload
+ */
+function UploadStatus({ status }) {
+  const percent = Math.round((status.progress || 0) * 100)
+  const inProgress = status.state === 'uploading' || status.state === 'retrying'
+  
+  const messages = {
+    uploading: `Uploading ${percent}%`,
+    retrying: `Retrying (attempt ${status.attempt})...`,
+    done: '✅ Uploaded',
+    local: '💾 Saved on this device',
+    failed: '❌ Upload failed',
+    cancelled: 'Upload cancelled'
+  }
+  
+  return (
+    <div className={`upload-status ${status.state}`} title={status.error || undefined}>
+      {inProgress && (
+        <div className="upload-progress">
+          <div className="upload-progress-fill" style={{ width: `${percent}%` }}></div>
+        </div>
+      )}
+      <span className="upload-status-text">{messages[status.state]}</span>
+      {status.state === 'failed' && status.error && (
+        <span className="upload-status-detail">{status.error}</span>
+      )}
     </div>
   )
 }
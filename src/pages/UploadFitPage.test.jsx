@@ -0,0 +1,178 @@
+// src/pages/UploadFitPage.test.jsx
+// The main flow: pick photos → upload → analysis streams into FitDisplay → save to favorites
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { uploadFile, analyzeFit, saveFit } from '../services/outfitAPI'
+import { preprocessImage, UnsupportedImageError } from '../utils/imagePreprocessing'
+import UploadFitPage from './UploadFitPage'
+
+vi.mock('../hooks/useDemoSession', () => ({
+  useDemoSession: () => ({
+    sessionId: 'demo_1_test',
+    preferences: { season: 'Fall', formality: 'casual' },
+    updatePreferences: async () => {}
+  })
+}))
+
+vi.mock('../hooks/useWeather', () => ({
+  useWeather: () => ({ conditions: null, context: null, loading: false })
+}))
+
+vi.mock('../services/outfitAPI', () => ({
+  uploadFile: vi.fn(),
+  analyzeFit: vi.fn(),
+  saveFit: vi.fn()
+}))
+
+vi.mock('../services/wardrobeAPI', () => ({
+  catalogOutfitItems: vi.fn(async () => ({})),
+  getWardrobeItems: vi.fn(async () => [])
+}))
+
+// Canvas decoding isn't available in jsdom; photos are used as selected
+vi.mock('../utils/imagePreprocessing', async (importOriginal) => ({
+  ...await importOriginal(),
+  preprocessImage: vi.fn(async (file) => ({ file, size: file.size, originalSize: file.size, processed: false }))
+}))
+
+vi.mock('../utils/colorExtraction', () => ({
+  extractOutfitPalette: vi.fn(async () => ({}))
+}))
+
+const ANALYSIS = {
+  top: 'white tee',
+  bottom: 'straight jeans',
+  shoes: 'white sneakers',
+  accessories: [],
+  aesthetic: ['minimal'],
+  colors: { top: 'white', bottom: 'blue', shoes: 'white' },
+  ai_description: 'A clean everyday fit',
+  season: 'Fall',
+  formality: 'casual',
+  confidence: 0.8,
+  provider: 'gemini',
+  source: 'edge'
+}
+
+async function selectPhoto(container, category) {
+  const content = `${category} photo`
+  const file = new File([content], `${category}.jpg`, { type: 'image/jpeg' })
+  // jsdom's File can't be read; the page hashes each photo before uploading it
+  file.arrayBuffer = async () => new TextEncoder().encode(content).buffer
+  fireEvent.change(container.querySelector(`#upload-${category}`), { target: { files: [file] } })
+  await waitFor(() => expect(container.querySelector(`.upload-card:has(#upload-${category}) .preview-image`)).not.toBeNull())
+  return file
+}
+
+beforeEach(() => {
+  URL.createObjectURL = vi.fn(() => 'blob:preview')
+  URL.revokeObjectURL = vi.fn()
+  uploadFile.mockImplementation(async (file, category) => ({ url: `https://cdn/${category}.jpg`, source: 'edge' }))
+})
+
+describe('UploadFitPage', () => {
+  it('uploads, streams the analysis into FitDisplay and saves it', async () => {
+    let finishAnalysis
+    analyzeFit.mockImplementation((payload, { onProgress, onPartial }) => {
+      onProgress({ stage: 'analyzing' })
+      onPartial('top', 'white tee')
+      return new Promise(resolve => { finishAnalysis = resolve })
+    })
+    saveFit.mockResolvedValue({ id: 'uuid-1', source: 'edge' })
+
+    const { container } = render(<UploadFitPage />)
+    const top = await selectPhoto(container, 'top')
+    await selectPhoto(container, 'bottom')
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Fit/ }))
+
+    // Streaming: progress and the fields received so far, no save button yet
+    expect((await screen.findByRole('status')).textContent).toBe('🤖 The AI is looking at your fit...')
+    expect(screen.getByText('Writing a description...')).toBeTruthy()
+    expect(screen.queryByRole('button', { name: /Save to Favorites/ })).toBeNull()
+
+    expect(uploadFile).toHaveBeenCalledWith(top, 'top', 'demo_1_test', expect.objectContaining({ hash: expect.any(String) }))
+    expect(analyzeFit).toHaveBeenCalledWith(expect.objectContaining({
+      session_id: 'demo_1_test',
+      top_url: 'https://cdn/top.jpg',
+      bottom_url: 'https://cdn/bottom.jpg',
+      shoes_url: null,
+      season: 'Fall',
+      formality: 'casual'
+    }), expect.anything())
+
+    finishAnalysis(ANALYSIS)
+    expect(await screen.findByText('A clean everyday fit')).toBeTruthy()
+    expect(screen.queryByRole('status')).toBeNull()
+
+    fireEvent.click(screen.getByRole('button', { name: /Save to Favorites/ }))
+
+    expect(await screen.findByText(/Outfit saved to favorites!/)).toBeTruthy()
+    expect(saveFit).toHaveBeenCalledWith(expect.objectContaining({
+      session_id: 'demo_1_test',
+      top_url: 'https://cdn/top.jpg',
+      bottom_url: 'https://cdn/bottom.jpg',
+      ai_description: 'A clean everyday fit',
+      aesthetic: ['minimal'],
+      confidence: 0.8
+    }))
+  })
+
+  it('says when the outfit was only saved on this device', async () => {
+    analyzeFit.mockResolvedValue(ANALYSIS)
+    saveFit.mockResolvedValue({ id: 'local_1', source: 'local' })
+
+    const { container } = render(<UploadFitPage />)
+    await selectPhoto(container, 'top')
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Fit/ }))
+    fireEvent.click(await screen.findByRole('button', { name: /Save to Favorites/ }))
+
+    expect(await screen.findByText(/It will sync once Supabase is reachable/)).toBeTruthy()
+    expect(screen.getByText(/On this device/)).toBeTruthy()
+  })
+
+  it('asks for a photo before analyzing', async () => {
+    render(<UploadFitPage />)
+
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Fit/ }))
+
+    expect(await screen.findByText('Please upload at least one image to analyze')).toBeTruthy()
+    expect(analyzeFit).not.toHaveBeenCalled()
+  })
+
+  it('does not analyze when a required piece fails to upload', async () => {
+    uploadFile.mockRejectedValue(new Error('Storage unavailable'))
+
+    const { container } = render(<UploadFitPage />)
+    await selectPhoto(container, 'top')
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Fit/ }))
+
+    expect(await screen.findByText(/Couldn't upload Top/)).toBeTruthy()
+    expect(screen.getByText('❌ Upload failed')).toBeTruthy()
+    expect(analyzeFit).not.toHaveBeenCalled()
+  })
+
+  it('refuses a photo the browser cannot decode', async () => {
+    const heic = new File(['heic photo'], 'IMG_0001.HEIC', { type: 'image/heic' })
+    preprocessImage.mockRejectedValue(new UnsupportedImageError(heic, new Error('unsupported')))
+
+    const { container } = render(<UploadFitPage />)
+    fireEvent.change(container.querySelector('#upload-top'), { target: { files: [heic] } })
+
+    expect(await screen.findByText(/IMG_0001.HEIC can't be read by this browser/)).toBeTruthy()
+    expect(container.querySelector('.preview-image')).toBeNull()
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Fit/ }))
+    expect(uploadFile).not.toHaveBeenCalled()
+  })
+
+  it('shows the error when the analysis fails', async () => {
+    analyzeFit.mockRejectedValue(new Error('analyze-fit rejected the request'))
+
+    const { container } = render(<UploadFitPage />)
+    await selectPhoto(container, 'top')
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Fit/ }))
+
+    expect(await screen.findByText('analyze-fit rejected the request')).toBeTruthy()
+    expect(screen.queryByRole('button', { name: /Save to Favorites/ })).toBeNull()
+  })
+})
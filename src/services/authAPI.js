@@ -0,0 +1,107 @@
+// src/services/authAPI.js
+// Supabase Auth wrappers and the demo-session → account upgrade flow
+
+import { supabase } from '../lib/client'
+import { invokeFunction, ContractError } from '../lib/edgeFunctions'
+import { reassignQueuedSession } from '../lib/syncQueue'
+import { getLocalOutfits, putLocalOutfit } from '../lib/localDB'
+
+// localStorage collections that are keyed by session_id
+const LOCAL_COLLECTIONS = ['wardrobe_items']
+
+/**
+ * Start a demo session on the server and get its signed token
+ * Calls: supabase/functions/create-session/index.js
+ * @param {Object} params
+ * @param {string} [params.sessionId] - Session started offline to claim a token for
+ * @param {string} [params.claimSecret] - Secret the offline session ID was derived from
+ * @param {Object} [params.preferences] - Initial preferences
+ * @returns {Promise<Object>} { session_id, token }
+ */
+export async function createDemoSession({ sessionId, claimSecret, preferences } = {}) {
+  const data = await invokeFunction('create-session', { session_id: sessionId, claim_secret: claimSecret, preferences })
+
+  console.log('✅ Session token issued:', data.session_id)
+  return data
+}
+
+/**
+ * Create a new account
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { user, session } - session is null until the email is confirmed
+ */
+export async function signUp(email, password) {
+  const { data, error } = await supabase.auth.signUp({ email, password })
+  if (error) throw error
+
+  console.log('✅ Account created:', data.user?.id)
+  return data
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { user, session }
+ */
+export async function signIn(email, password) {
+  const { data, error } = await supabase.auth.signInWithPassword({ email, password })
+  if (error) throw error
+
+  console.log('✅ Signed in:', data.user.id)
+  return data
+}
+
+/**
+ * Sign out of the current account
+ */
+export async function signOut() {
+  const { error } = await supabase.auth.signOut()
+  if (error) throw error
+  console.log('👋 Signed out')
+}
+
+/**
+ * Move a demo session's outfits, closet and images to the signed-in user
+ * Calls: supabase/functions/upgrade-session/index.js, then reassigns local-only records
+ * @param {string} demoSessionId - The demo_<timestamp> session ID
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Promise<Object>} Counts of moved records ({ outfits, wardrobe_items, storage_objects, local }) and
+ *   complete - false when the server data could not be moved yet; calling again finishes the move
+ */
+export async function upgradeDemoSession(demoSessionId, userId) {
+  console.log('⬆️ Upgrading demo session to account...', demoSessionId)
+
+  let result = { outfits: 0, wardrobe_items: 0, storage_objects: 0 }
+  let complete = true
+  try {
+    result = await invokeFunction('upgrade-session', { demo_session_id: demoSessionId })
+  } catch (edgeFunctionError) {
+    if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
+    console.warn('⚠️ Could not upgrade server data (local data is still moved):', edgeFunctionError.message)
+    complete = false
+  }
+
+  // Local fallback records belong to the new account too
+  let local = 0
+  LOCAL_COLLECTIONS.forEach(key => {
+    const records = JSON.parse(localStorage.getItem(key) || '[]')
+    const updated = records.map(record => {
+      if (record.session_id !== demoSessionId) return record
+      local++
+      return { ...record, session_id: userId }
+    })
+    localStorage.setItem(key, JSON.stringify(updated))
+  })
+
+  const localOutfits = await getLocalOutfits(demoSessionId)
+  for (const outfit of localOutfits) {
+    await putLocalOutfit({ ...outfit, session_id: userId })
+    local++
+  }
+  reassignQueuedSession(demoSessionId, userId)
+
+  console.log('✅ Demo session upgraded:', { ...result, local, complete })
+  return { ...result, local, complete }
+}
@@ -1,57 +1,266 @@
 // src/services/outfitAPI.js
 // API wrapper functions for outfit operations
 
-import { supabase } from '../lib/client'
-import { uploadOutfitImage } from '../lib/storage'
-import { generateMockAnalysis, simulateDelay } from '../utils/mockAI'
+import { supabase, SUPABASE_URL, getRequestHeaders } from '../lib/client'
+import { invokeFunction, streamFunction, ContractError } from '../lib/edgeFunctions'
+import { fetchWithProgress } from '../lib/uploadRequest'
+import { retryWithBackoff, isTransientError, isPermanentError, isAbortError, createAbortError } from '../lib/retry'
+import { runTier, withSource, SOURCES } from '../lib/resilience'
+import { generateMockAnalysis, simulateDelay, getMockSettings } from '../utils/mockAI'
+import { validateAnalysis, PARTIAL_ANALYSIS_FIELDS, isPartialAnalysisValue } from '../../supabase/functions/_shared/analysisSchema.js'
+import { IMAGE_URL_COLUMNS, removeUnreferencedImages } from '../../supabase/functions/_shared/storageCleanup.js'
+import { originalFileName, isDuplicateObjectError } from '../../supabase/functions/_shared/imagePaths.js'
+import { sha256Hex } from '../../supabase/functions/_shared/contentHash.js'
+import {
+  getQueue,
+  enqueueOperation,
+  removeOperation,
+  markOperationFailed,
+  markOperationConflict,
+  markOperationRejected,
+  isOperationReady,
+  remapOutfitId,
+  resolveOutfitId,
+  applyPendingOperations
+} from '../lib/syncQueue'
+import {
+  getLocalOutfits,
+  putLocalOutfit,
+  deleteLocalOutfit,
+  isLocalImageUrl,
+  saveLocalImage,
+  getLocalImage,
+  markLocalImageUploaded,
+  deleteLocalImage
+} from '../lib/localDB'
+import {
+  normalizeOutfitFilters,
+  applyOutfitFilters,
+  filterOutfits,
+  encodeCursor,
+  normalizePageSize,
+  paginateOutfits,
+  withinPage,
+  OUTFIT_SUMMARY_FIELDS
+} from '../../supabase/functions/_shared/outfitFilters.js'
+
+// Fields the favorites page lets users edit
+export const EDITABLE_OUTFIT_FIELDS = ['ai_description', 'season', 'formality', 'aesthetic']
+
+// Outfit fields holding uploaded piece images
+const PIECE_URL_FIELDS = ['top_url', 'top_layer_url', 'bottom_url', 'shoes_url', 'accessories_url']
+
+// Uploads and AI analysis take longer than the default tier timeouts (see lib/resilience.js)
+const UPLOAD_TIMEOUT_MS = 60000
+const ANALYZE_TIMEOUT_MS = 60000
+
+/**
+ * Path of an original in the session's folder; content-addressed when the hash is known
+ */
+function originalPath(file, category, sessionId, hash) {
+  return `${sessionId}/originals/${originalFileName(category, { hash, name: file.name, type: file.type })}`
+}
+
+/**
+ * Upload a file to the session's folder in Supabase Storage
+ * With a hash the object is named after it; if that object already exists it is reused.
+ * @param {Object} options - { signal, onProgress, hash } - with onProgress the upload goes through
+ *   XMLHttpRequest so it can report how much has been sent
+ * @returns {Promise<string>} Public URL of uploaded file
+ */
+async function uploadToStorage(file, category, sessionId, { signal, onProgress, hash = null } = {}) {
+  // Create path with session folder structure
+  const filePath = originalPath(file, category, sessionId, hash)
+
+  if (onProgress) {
+    const response = await fetchWithProgress(`${SUPABASE_URL}/storage/v1/object/outfit-images/${filePath}`, {
+      headers: {
+        ...(await getRequestHeaders()),
+        'Content-Type': file.type || 'application/octet-stream',
+        'Cache-Control': 'max-age=3600',
+        'x-upsert': 'false'
+      },
+      body: file,
+      signal,
+      onProgress
+    })
+
+    const details = response.ok ? null : await response.json().catch(() => ({}))
+    if (details && !isDuplicateObjectError(details)) {
+      throw Object.assign(new Error(details.message || details.error || `Storage upload failed (${response.status})`), {
+        status: response.status
+      })
+    }
+  } else {
+    const { error } = await supabase.storage
+      .from('outfit-images')
+      .upload(filePath, file, {
+        cacheControl: '3600',
+        upsert: false
+      })
+
+    if (error && !isDuplicateObjectError(error)) throw error
+  }
+
+  // Get public URL
+  const { data: publicUrlData } = supabase.storage
+    .from('outfit-images')
+    .getPublicUrl(filePath)
+
+  return publicUrlData.publicUrl
+}
+
+/**
+ * Find a photo that is already stored under its content hash, without sending it
+ * @returns {Promise<string|null>} Public URL, or null when it isn't stored (or can't be checked)
+ */
+async function findStoredOriginal(file, category, sessionId, hash, signal) {
+  const { data } = supabase.storage
+    .from('outfit-images')
+    .getPublicUrl(originalPath(file, category, sessionId, hash))
+
+  try {
+    const response = await fetch(data.publicUrl, { method: 'HEAD', signal })
+    return response.ok ? data.publicUrl : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Upload a file through the Edge Function, or directly to Storage when it is unavailable
+ * @returns {Promise<Object>} { url, source } - public URL of the uploaded file and the tier that stored it
+ */
+async function uploadRemote(file, category, sessionId, { signal, onProgress, hash }) {
+  if (hash) {
+    const existing = await findStoredOriginal(file, category, sessionId, hash, signal)
+    if (existing) {
+      console.log(`♻️ ${category} is already stored, skipping upload:`, existing)
+      onProgress?.(1)
+      return withSource({ url: existing }, SOURCES.DB)
+    }
+  }
+
+  try {
+    const body = new FormData()
+    body.append('file', file, file.name || `${category}.jpg`)
+    body.append('category', category)
+
+    const data = await runTier(
+      SOURCES.EDGE,
+      'upload-file',
+      tierSignal => invokeFunction('upload-file', body, { signal: tierSignal, onProgress }),
+      { signal, timeoutMs: UPLOAD_TIMEOUT_MS }
+    )
+    console.log(`✅ ${category} ${data.deduplicated ? 'matched a stored copy' : 'uploaded'} via Edge Function:`, data.url)
+    if (!data.thumb_url) {
+      console.warn(`⚠️ No resized copies for ${category}, galleries will load the original`)
+    }
+    return withSource({ url: data.url }, SOURCES.EDGE)
+
+  } catch (edgeFunctionError) {
+    if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
+    if (signal?.aborted) throw createAbortError('Upload cancelled')
+    console.warn('⚠️ Edge Function unavailable, uploading directly to storage:', edgeFunctionError.message)
+  }
+
+  onProgress?.(0)
+  const url = await runTier(
+    SOURCES.DB,
+    'upload-file',
+    tierSignal => uploadToStorage(file, category, sessionId, { signal: tierSignal, onProgress, hash }),
+    { signal, timeoutMs: UPLOAD_TIMEOUT_MS }
+  )
+  console.log(`✅ ${category} uploaded:`, url)
+  return withSource({ url }, SOURCES.DB)
+}
 
 /**
  * Upload a file to Supabase Storage
- * Calls the upload-file Edge Function or uses direct storage API
+ * Calls: supabase/functions/upload-file/index.js
+ * The Edge Function also stores thumbnail and medium-size copies next to the original
+ * (see supabase/functions/_shared/imagePaths.js). Falls back to direct storage upload; transient
+ * failures (network, 5xx, 429) are retried with backoff. When Storage is still unreachable the
+ * original is kept in IndexedDB and a local-image:... URL is returned, which is uploaded later
+ * when the outfit syncs
  * @param {File} file - File object to upload
  * @param {string} category - Category folder (top, bottom, shoes, accessories)
  * @param {string} sessionId - Demo session ID
- * @returns {Promise<string>} Public URL of uploaded file
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the upload (rejects with an AbortError)
+ * @param {Function} options.onProgress - (fraction 0–1) as the file is sent; restarts at 0 on retry
+ * @param {Function} options.onRetry - (attempt, delayMs, error) before each retry
+ * @param {string} options.hash - SHA-256 of the file; a photo already stored under it isn't sent again
+ * @returns {Promise<Object>} { url, source } - public URL of the uploaded file, or a local-image:... URL
+ *   when offline; source is 'edge', 'db' or 'local'
  */
-export async function uploadFile(file, category, sessionId) {
+export async function uploadFile(file, category, sessionId, { signal, onProgress, onRetry, hash = null } = {}) {
   try {
     if (!file) {
       throw new Error('No file provided')
     }
 
     console.log(`📤 Uploading ${category} image...`)
-    
-    // Try using Edge Function first (optional - for advanced processing)
-    // For now, use direct storage upload for simplicity
-    
-    // Create path with session folder structure
-    const timestamp = Date.now()
-    const fileName = `${timestamp}_${file.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`
-    const filePath = `${sessionId}/originals/${category}_${fileName}`
-
-    const { data, error } = await supabase.storage
-      .from('outfit-images')
-      .upload(filePath, file, {
-        cacheControl: '3600',
-        upsert: false
-      })
-
-    if (error) throw error
 
-    // Get public URL
-    const { data: publicUrlData } = supabase.storage
-      .from('outfit-images')
-      .getPublicUrl(filePath)
+    try {
+      return await retryWithBackoff(() => uploadRemote(file, category, sessionId, { signal, onProgress, hash }), {
+        signal,
+        shouldRetry: (error) => !(error instanceof ContractError) && isTransientError(error),
+        onRetry: (attempt, delay, error) => {
+          console.warn(`🔁 Retrying ${category} upload in ${delay}ms (attempt ${attempt}):`, error.message)
+          onProgress?.(0)
+          onRetry?.(attempt, delay, error)
+        }
+      })
 
-    console.log(`✅ ${category} uploaded:`, publicUrlData.publicUrl)
-    return publicUrlData.publicUrl
+    } catch (storageError) {
+      if (storageError instanceof ContractError || isAbortError(storageError)) throw storageError
+      console.warn(`⚠️ Could not upload ${category}, keeping it on this device:`, storageError.message)
+      return withSource({ url: await saveLocalImage(file, { sessionId, category }) }, SOURCES.LOCAL)
+    }
 
   } catch (error) {
-    console.error(`❌ Error uploading ${category}:`, error.message)
+    if (isAbortError(error)) {
+      console.log(`🛑 ${category} upload cancelled`)
+    } else {
+      console.error(`❌ Error uploading ${category}:`, error.message)
+    }
     throw error
   }
 }
 
+/**
+ * Upload images that were kept on the device and swap in their public URLs
+ * @param {Object} outfitData - Outfit record that may hold local-image:... URLs
+ * @returns {Promise<Object>} Outfit record with only remote image URLs
+ */
+async function uploadLocalImages(outfitData) {
+  const resolved = { ...outfitData }
+
+  for (const field of PIECE_URL_FIELDS) {
+    if (!isLocalImageUrl(resolved[field])) continue
+
+    const image = await getLocalImage(resolved[field])
+    if (!image) {
+      console.warn('⚠️ Local image is missing, dropping it from the outfit:', resolved[field])
+      resolved[field] = null
+      continue
+    }
+
+    if (!image.remote_url) {
+      const file = new File([image.blob], image.name, { type: image.type })
+      const hash = await sha256Hex(await image.blob.arrayBuffer())
+      const remoteUrl = await uploadToStorage(file, image.category, outfitData.session_id, { hash })
+      await markLocalImageUploaded(resolved[field], remoteUrl)
+      image.remote_url = remoteUrl
+      console.log(`✅ Offline ${image.category} image uploaded:`, remoteUrl)
+    }
+    resolved[field] = image.remote_url
+  }
+
+  return resolved
+}
+
 /**
  * Analyze outfit using Supabase Edge Function (analyze-fit) or mock AI fallback
  * Calls: supabase/functions/analyze-fit/index.js
@@ -64,40 +273,57 @@ export async function uploadFile(file, category, sessionId) {
  * @param {string} payload.accessories_url - Accessories image URL
  * @param {string} payload.season - Season context
  * @param {string} payload.formality - Formality level
- * @returns {Promise<Object>} AI analysis result
+ * @param {Object} payload.weather - Current conditions and derived weather context (optional)
+ * @param {Object} payload.palette - Colors measured from each photo by utils/colorExtraction.js (optional)
+ * @param {Object} options - Follow the analysis while it runs (the Edge Function then streams it)
+ * @param {Function} options.onProgress - ({ stage, ... }) cache, fetching_images, analyzing or retrying
+ * @param {Function} options.onPartial - (field, value) for each piece of the analysis as it arrives;
+ *   only a preview, the returned analysis is the validated one
+ * @returns {Promise<Object>} AI analysis result; source is 'edge' or 'mock'
  */
-export async function analyzeFit(payload) {
+export async function analyzeFit(payload, { onProgress, onPartial } = {}) {
   try {
     console.log('🤖 Starting outfit analysis...', payload)
 
+    // Images still on the device can't be read by the Edge Function
+    const hasLocalImages = PIECE_URL_FIELDS.some(field => isLocalImageUrl(payload[field]))
+    // Dev toggle: skip the Edge Function and use a seeded or curated mock
+    const mockSettings = getMockSettings()
+
     // Call Supabase Edge Function: analyze-fit
     try {
-      console.log('📡 Attempting to call Edge Function...')
-      
-      const { data, error } = await supabase.functions.invoke('analyze-fit', {
-        body: payload
-      })
-
-      if (error) {
-        console.warn('⚠️ Edge Function error:', error)
-        throw error
+      if (hasLocalImages) {
+        throw new Error('Some images are only stored on this device')
       }
-      
-      if (data && (data.top || data.ai_description)) {
-        console.log('✅ AI analysis complete (Edge Function)')
-        return data
+      if (mockSettings.forceMock) {
+        throw new Error('Mock AI is forced on in the dev panel')
       }
+
+      console.log('📡 Attempting to call Edge Function...')
       
-      console.warn('⚠️ Edge Function returned empty data')
-      throw new Error('Empty response from Edge Function')
+      const data = await runTier(SOURCES.EDGE, 'analyze-fit', signal => onProgress || onPartial
+        ? streamFunction('analyze-fit', payload, {
+          signal,
+          onEvent: (event, eventData) => {
+            if (event === 'progress') onProgress?.(eventData)
+            if (event === 'partial') onPartial?.(eventData.field, eventData.value)
+          }
+        })
+        : invokeFunction('analyze-fit', payload, { signal }), { timeoutMs: ANALYZE_TIMEOUT_MS })
+
+      // Functions deployed before analysisSchema.js may still send unrepaired output
+      const { analysis } = validateAnalysis(data, payload)
+      console.log('✅ AI analysis complete (Edge Function)')
+      return { ...data, ...analysis, palette: payload.palette || null, source: SOURCES.EDGE }
       
     } catch (edgeFunctionError) {
+      if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
       console.warn('⚠️ Edge Function not available, falling back to mock AI:', edgeFunctionError.message)
     }
 
     // Fallback to mock AI
     console.log('🎭 Using mock AI generator...')
-    await simulateDelay(1500) // Simulate API call
+    onProgress?.({ stage: 'analyzing' })
     const mockResult = generateMockAnalysis({
       topUrl: payload.top_url,
       topLayerUrl: payload.top_layer_url,
@@ -105,11 +331,26 @@ export async function analyzeFit(payload) {
       shoesUrl: payload.shoes_url,
       accessoriesUrl: payload.accessories_url,
       season: payload.season,
-      formality: payload.formality
+      formality: payload.formality,
+      weather: payload.weather,
+      palette: payload.palette,
+      seed: mockSettings.seed || undefined,
+      scenario: mockSettings.scenario || undefined
     })
 
+    // Mock output goes through the same validator as the AI's
+    const { analysis } = validateAnalysis(mockResult, payload)
+
+    // Simulate API call, revealing the analysis a field at a time like a streamed answer
+    const fields = onPartial ? PARTIAL_ANALYSIS_FIELDS.filter(field => isPartialAnalysisValue(analysis[field])) : []
+    for (const field of fields) {
+      await simulateDelay(1500 / fields.length)
+      onPartial(field, analysis[field])
+    }
+    if (fields.length === 0) await simulateDelay(1500)
+
     console.log('✅ AI analysis complete (Mock)')
-    return mockResult
+    return { ...mockResult, ...analysis, palette: payload.palette || null, source: SOURCES.MOCK }
 
   } catch (error) {
     console.error('❌ Error analyzing outfit:', error.message)
@@ -117,77 +358,233 @@ export async function analyzeFit(payload) {
   }
 }
 
+/**
+ * Get the HTTP status from an Edge Function error (null for network failures)
+ */
+function getErrorStatus(error) {
+  return error?.context?.status ?? null
+}
+
+/**
+ * Insert an outfit on the server
+ * Images kept on the device are uploaded first.
+ * Replays are idempotent: an outfit already saved under the same client_id is returned as is.
+ * @param {Object} localData - Outfit record including client_id
+ * @returns {Promise<Object>} Saved outfit record with the source that saved it
+ */
+async function saveOutfitRemote(localData) {
+  const outfitData = await uploadLocalImages(localData)
+
+  // Try using Edge Function first
+  try {
+    const data = await runTier(SOURCES.EDGE, 'save-fit', signal => invokeFunction('save-fit', outfitData, { signal }))
+
+    console.log('✅ Outfit saved via Edge Function:', data.id)
+    return withSource(data, SOURCES.EDGE)
+
+  } catch (edgeFunctionError) {
+    if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
+    console.warn('⚠️ Edge Function not available, using direct DB insert:', edgeFunctionError.message)
+  }
+
+  // Fallback: Direct database insert
+  const data = await runTier(SOURCES.DB, 'save-fit', async signal => {
+    const { data: existing, error: lookupError } = await supabase
+      .from('outfits')
+      .select('*')
+      .eq('session_id', outfitData.session_id)
+      .eq('client_id', outfitData.client_id)
+      .abortSignal(signal)
+      .maybeSingle()
+
+    if (lookupError) throw lookupError
+    if (existing) return existing
+
+    const { data: inserted, error } = await supabase
+      .from('outfits')
+      .insert(outfitData)
+      .select()
+      .abortSignal(signal)
+      .single()
+
+    if (error) throw error
+    return inserted
+  })
+
+  console.log('✅ Outfit saved to Supabase:', data.id)
+  return withSource(data, SOURCES.DB)
+}
+
+/**
+ * Delete an outfit on the server; deleting an outfit that is already gone succeeds
+ * @param {string} outfitId - Server outfit ID
+ * @returns {Promise<string>} Source that deleted it ('edge' or 'db')
+ */
+async function deleteOutfitRemote(outfitId) {
+  // Try using Edge Function first
+  try {
+    const data = await runTier(SOURCES.EDGE, 'delete-fit', signal => invokeFunction('delete-fit', { id: outfitId }, { signal }))
+
+    console.log('✅ Outfit deleted via Edge Function', data.removed_objects ? `(${data.removed_objects} images removed)` : '')
+    return SOURCES.EDGE
+
+  } catch (edgeFunctionError) {
+    if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
+    console.warn('⚠️ Edge Function not available, using direct DB delete:', edgeFunctionError.message)
+  }
+
+  // Fallback: Direct database delete (row-level security limits it to the caller's rows)
+  const deleted = await runTier(SOURCES.DB, 'delete-fit', async signal => {
+    const { data, error } = await supabase
+      .from('outfits')
+      .delete()
+      .eq('id', outfitId)
+      .select(['session_id', ...IMAGE_URL_COLUMNS.outfits].join(', '))
+      .abortSignal(signal)
+
+    if (error) throw error
+    return data
+  })
+  console.log('✅ Outfit deleted from Supabase')
+
+  // Like delete-fit: images no other outfit or closet item uses go too; cleanup-storage catches the rest
+  for (const outfit of deleted || []) {
+    try {
+      const removed = await removeUnreferencedImages(
+        supabase,
+        IMAGE_URL_COLUMNS.outfits.map(column => outfit[column]),
+        outfit.session_id
+      )
+      if (removed.length > 0) console.log('🧹 Removed unused images:', removed.length)
+    } catch (cleanupError) {
+      console.warn('⚠️ Could not remove outfit images:', cleanupError.message)
+    }
+  }
+  return SOURCES.DB
+}
+
+/**
+ * Apply edits to an outfit on the server
+ * When baseUpdatedAt is given the edit only applies if nobody changed the outfit since.
+ * @param {string} outfitId - Server outfit ID
+ * @param {Object} changes - Changed fields
+ * @param {string|null} baseUpdatedAt - updated_at the edit was based on
+ * @returns {Promise<Object>} { status: 'updated' | 'conflict' | 'missing', outfit, source }
+ */
+async function updateOutfitRemote(outfitId, changes, baseUpdatedAt) {
+  // Try using Edge Function first
+  try {
+    const data = await runTier(SOURCES.EDGE, 'update-fit', signal => invokeFunction(
+      'update-fit',
+      { id: outfitId, changes, expected_updated_at: baseUpdatedAt },
+      { signal }
+    ))
+
+    console.log('✅ Outfit updated via Edge Function')
+    return { status: 'updated', outfit: data, source: SOURCES.EDGE }
+
+  } catch (edgeFunctionError) {
+    if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
+    if (getErrorStatus(edgeFunctionError) === 409) {
+      const body = await edgeFunctionError.context.json()
+      return { status: 'conflict', outfit: body.current, source: SOURCES.EDGE }
+    }
+    console.warn('⚠️ Edge Function not available, using direct DB update:', edgeFunctionError.message)
+  }
+
+  // Fallback: Direct database update guarded by updated_at
+  return runTier(SOURCES.DB, 'update-fit', async signal => {
+    let query = supabase
+      .from('outfits')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', outfitId)
+
+    if (baseUpdatedAt) {
+      query = query.eq('updated_at', baseUpdatedAt)
+    }
+
+    const { data, error } = await query.select().abortSignal(signal)
+    if (error) throw error
+    if (data.length > 0) {
+      console.log('✅ Outfit updated in Supabase')
+      return { status: 'updated', outfit: data[0], source: SOURCES.DB }
+    }
+
+    // Nothing matched: the outfit was either deleted or changed elsewhere
+    const { data: current, error: lookupError } = await supabase
+      .from('outfits')
+      .select('*')
+      .eq('id', outfitId)
+      .abortSignal(signal)
+      .maybeSingle()
+
+    if (lookupError) throw lookupError
+    return current
+      ? { status: 'conflict', outfit: current, source: SOURCES.DB }
+      : { status: 'missing', outfit: null, source: SOURCES.DB }
+  })
+}
+
 /**
  * Save analyzed outfit to Supabase
  * Calls: supabase/functions/save-fit/index.js (Edge Function) or direct DB insert
+ * When Supabase is unreachable the outfit is kept locally and queued for background sync.
  * @param {Object} payload - Outfit data to save
- * @returns {Promise<Object>} Saved outfit record
+ * @returns {Promise<Object>} Saved outfit record (id starts with local_ until synced); source is
+ *   'edge', 'db' or 'local'
  */
 export async function saveFit(payload) {
   try {
     console.log('💾 Saving outfit...', payload)
 
+    const clientId = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    const now = new Date().toISOString()
+
     const outfitData = {
       session_id: payload.session_id,
+      client_id: clientId,
       top_url: payload.top_url,
       top_layer_url: payload.top_layer_url,
       bottom_url: payload.bottom_url,
       shoes_url: payload.shoes_url,
       accessories_url: payload.accessories_url,
+      top_item_id: payload.top_item_id || null,
+      top_layer_item_id: payload.top_layer_item_id || null,
+      bottom_item_id: payload.bottom_item_id || null,
+      shoes_item_id: payload.shoes_item_id || null,
+      accessories_item_id: payload.accessories_item_id || null,
       ai_description: payload.ai_description,
       ai_image_url: payload.ai_image_url,
       season: payload.season,
       formality: payload.formality,
       aesthetic: payload.aesthetic || [],
       colors: payload.colors || {},
+      palette: payload.palette || null,
       accessories_description: payload.accessories_description,
       accessories_tags: payload.accessories_tags || [],
+      confidence: payload.confidence ?? null,
       saved: true,
-      created_at: new Date().toISOString()
+      created_at: now,
+      updated_at: now
     }
 
-    // Try using Edge Function first
     try {
-      const { data, error } = await supabase.functions.invoke('save-fit', {
-        body: outfitData
-      })
-
-      if (error) throw error
+      return await saveOutfitRemote(outfitData)
 
-      console.log('✅ Outfit saved via Edge Function:', data.id)
-      return data
-
-    } catch (edgeFunctionError) {
-      console.warn('⚠️ Edge Function not available, using direct DB insert:', edgeFunctionError.message)
+    } catch (supabaseError) {
+      if (supabaseError instanceof ContractError) throw supabaseError
+      console.warn('⚠️ Could not save to Supabase, saving locally:', supabaseError.message)
       
-      // Fallback: Direct database insert
-      try {
-        const { data, error } = await supabase
-          .from('outfits')
-          .insert(outfitData)
-          .select()
-          .single()
-
-        if (error) throw error
-
-        console.log('✅ Outfit saved to Supabase:', data.id)
-        return data
-
-      } catch (supabaseError) {
-        console.warn('⚠️ Could not save to Supabase, saving locally:', supabaseError.message)
-        
-        // Fallback: save to localStorage
-        const localOutfits = JSON.parse(localStorage.getItem('saved_outfits') || '[]')
-        const localOutfit = {
-          ...outfitData,
-          id: `local_${Date.now()}`
-        }
-        localOutfits.push(localOutfit)
-        localStorage.setItem('saved_outfits', JSON.stringify(localOutfits))
-        
-        console.log('✅ Outfit saved locally:', localOutfit.id)
-        return localOutfit
+      // Fallback: save to IndexedDB and sync once Supabase is reachable again
+      const localOutfit = {
+        ...outfitData,
+        id: clientId
       }
+      await putLocalOutfit(localOutfit)
+      enqueueOperation({ type: 'save', outfitId: clientId, payload: outfitData })
+      
+      console.log('✅ Outfit saved locally:', localOutfit.id)
+      return withSource(localOutfit, SOURCES.LOCAL)
     }
 
   } catch (error) {
@@ -197,92 +594,341 @@ export async function saveFit(payload) {
 }
 
 /**
- * Get all saved outfits for a session
+ * Get a page of saved outfits for a session
+ * Queued offline writes are applied on top, so unsynced saves, edits and deletes show up right away
  * Calls: supabase/functions/getSavedFits/index.js (Edge Function) or direct DB query
+ * Filters and pages run in the database when it is reachable and client-side over the local store otherwise.
+ * Rows only carry the summary fields the grid needs; use getOutfit() for the full record.
  * @param {string} sessionId - Session ID
- * @returns {Promise<Array>} Array of saved outfits
+ * @param {Object} filters - { q, season, formality, tag, color, sort } (see _shared/outfitFilters.js)
+ * @param {Object} page - { cursor, limit } - cursor is the nextCursor of the previous page
+ * @returns {Promise<Object>} { outfits, nextCursor, source } - nextCursor is null on the last page;
+ *   source is 'edge', 'db' or 'local'
  */
-export async function getSavedFits(sessionId) {
+export async function getSavedFits(sessionId, filters = {}, { cursor = null, limit } = {}) {
+  const normalized = normalizeOutfitFilters(filters)
+  const pageSize = normalizePageSize(limit)
+
+  // Local outfits that sort into this page (and pending edits/deletes) are merged into server results.
+  // Server rows already match the filters (with stemmed full-text search), so only rows that are
+  // local or have a pending edit go through the client-side matcher again.
+  const withPending = async (outfits, nextCursor, source) => {
+    const localOutfits = withinPage(
+      filterOutfits(await getLocalOutfits(sessionId), normalized),
+      cursor,
+      nextCursor,
+      normalized.sort
+    )
+    const serverIds = new Set(outfits.map(outfit => outfit.id))
+    const editedIds = new Set(getQueue().filter(op => op.type === 'update').map(op => op.outfit_id))
+    const isAsServed = outfit => serverIds.has(outfit.id) && !editedIds.has(outfit.id)
+
+    const merged = applyPendingOperations(outfits, localOutfits)
+    const matching = new Set(filterOutfits(merged.filter(outfit => !isAsServed(outfit)), normalized).map(outfit => outfit.id))
+    return {
+      outfits: merged.filter(outfit => isAsServed(outfit) || matching.has(outfit.id)),
+      nextCursor,
+      source
+    }
+  }
+
   try {
-    console.log('📂 Fetching saved outfits for session:', sessionId)
+    console.log('📂 Fetching saved outfits for session:', sessionId, normalized)
 
     // Try using Edge Function first
     try {
-      const { data, error } = await supabase.functions.invoke('getSavedFits', {
-        body: { session_id: sessionId }
-      })
-
-      if (error) throw error
+      const data = await runTier(SOURCES.EDGE, 'getSavedFits', signal => invokeFunction(
+        'getSavedFits',
+        { session_id: sessionId, ...normalized, cursor, limit: pageSize },
+        { signal }
+      ))
 
-      console.log(`✅ Retrieved ${data.length} outfits via Edge Function`)
-      return data
+      console.log(`✅ Retrieved ${data.outfits.length} outfits via Edge Function`)
+      return withPending(data.outfits, data.next_cursor, SOURCES.EDGE)
 
     } catch (edgeFunctionError) {
+      if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
       console.warn('⚠️ Edge Function not available, using direct DB query:', edgeFunctionError.message)
       
       // Fallback: Direct database query
       try {
-        const { data, error } = await supabase
-          .from('outfits')
-          .select('*')
-          .eq('session_id', sessionId)
-          .eq('saved', true)
-          .order('created_at', { ascending: false })
+        const data = await runTier(SOURCES.DB, 'getSavedFits', async signal => {
+          const query = supabase
+            .from('outfits')
+            .select(OUTFIT_SUMMARY_FIELDS)
+            .eq('session_id', sessionId)
+            .eq('saved', true)
+
+          // One extra row tells whether there is another page
+          const { data: rows, error } = await applyOutfitFilters(query, normalized, cursor)
+            .limit(pageSize + 1)
+            .abortSignal(signal)
 
-        if (error) throw error
+          if (error) throw error
+          return rows
+        })
 
-        console.log(`✅ Retrieved ${data.length} outfits from Supabase`)
-        return data
+        const outfits = data.slice(0, pageSize)
+        const nextCursor = data.length > pageSize ? encodeCursor(outfits[outfits.length - 1]) : null
+
+        console.log(`✅ Retrieved ${outfits.length} outfits from Supabase`)
+        return withPending(outfits, nextCursor, SOURCES.DB)
 
       } catch (supabaseError) {
-        console.warn('⚠️ Could not fetch from Supabase, checking localStorage:', supabaseError.message)
+        console.warn('⚠️ Could not fetch from Supabase, checking the local store:', supabaseError.message)
         
-        // Fallback: get from localStorage
-        const localOutfits = JSON.parse(localStorage.getItem('saved_outfits') || '[]')
-        const sessionOutfits = localOutfits.filter(outfit => outfit.session_id === sessionId)
+        // Fallback: get from the local store
+        const localOutfits = filterOutfits(
+          applyPendingOperations([], await getLocalOutfits(sessionId)),
+          normalized
+        )
+        const page = paginateOutfits(localOutfits, normalized, cursor, pageSize)
         
-        console.log(`✅ Retrieved ${sessionOutfits.length} outfits from localStorage`)
-        return sessionOutfits
+        console.log(`✅ Retrieved ${page.outfits.length} outfits from the local store`)
+        return { ...page, source: SOURCES.LOCAL }
       }
     }
 
   } catch (error) {
+    if (error instanceof ContractError) throw error
     console.error('❌ Error fetching saved outfits:', error.message)
-    return []
+    return { outfits: [], nextCursor: null, source: SOURCES.LOCAL }
+  }
+}
+
+/**
+ * Get the full record of a saved outfit (for the details view)
+ * Calls: supabase/functions/getSavedFits/index.js with an id, or direct DB query
+ * @param {string} outfitId - Outfit ID
+ * @returns {Promise<Object|null>} Outfit with pending edits applied and its source, or null if it no longer exists
+ */
+export async function getOutfit(outfitId) {
+  const id = resolveOutfitId(outfitId)
+  const withPending = (outfit, source) => withSource(outfit ? applyPendingOperations([outfit])[0] || null : null, source)
+
+  if (id.startsWith('local_')) {
+    const localOutfits = await getLocalOutfits()
+    return withPending(localOutfits.find(outfit => outfit.id === id), SOURCES.LOCAL)
   }
+
+  // Try using Edge Function first
+  try {
+    const data = await runTier(SOURCES.EDGE, 'getSavedFits', signal => invokeFunction('getSavedFits', { id }, { signal }))
+    return withPending(data.outfit, SOURCES.EDGE)
+
+  } catch (edgeFunctionError) {
+    if (edgeFunctionError instanceof ContractError) throw edgeFunctionError
+    console.warn('⚠️ Edge Function not available, using direct DB query:', edgeFunctionError.message)
+  }
+
+  // Fallback: Direct database query (row-level security limits it to the caller's rows)
+  const data = await runTier(SOURCES.DB, 'getSavedFits', async signal => {
+    const { data: outfit, error } = await supabase
+      .from('outfits')
+      .select('*')
+      .eq('id', id)
+      .abortSignal(signal)
+      .maybeSingle()
+
+    if (error) throw error
+    return outfit
+  })
+  return withPending(data, SOURCES.DB)
 }
 
 /**
  * Delete an outfit
+ * Calls: supabase/functions/delete-fit/index.js (ownership-checked) or direct DB delete (RLS-protected)
+ * Offline deletes are queued and replayed by syncPendingOutfits()
  * @param {string} outfitId - Outfit ID to delete
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<Object>} { deleted, source } - source is 'edge', 'db' or 'local' (queued for sync),
+ *   null when the delete failed
  */
 export async function deleteOutfit(outfitId) {
   try {
-    console.log('🗑️ Deleting outfit:', outfitId)
-
-    // Try Supabase first
-    if (!outfitId.startsWith('local_')) {
-      const { error } = await supabase
-        .from('outfits')
-        .delete()
-        .eq('id', outfitId)
-
-      if (error) throw error
-      console.log('✅ Outfit deleted from Supabase')
-      return true
+    const id = resolveOutfitId(outfitId)
+    console.log('🗑️ Deleting outfit:', id)
+
+    if (id.startsWith('local_')) {
+      // Never reached the server: drop the local copy, its images and its queued save
+      const localOutfits = await getLocalOutfits()
+      const outfit = localOutfits.find(item => item.id === id)
+      const stillUsed = new Set(localOutfits
+        .filter(item => item.id !== id)
+        .flatMap(item => PIECE_URL_FIELDS.map(field => item[field])))
+
+      await deleteLocalOutfit(id)
+      for (const field of PIECE_URL_FIELDS) {
+        if (isLocalImageUrl(outfit?.[field]) && !stillUsed.has(outfit[field])) {
+          await deleteLocalImage(outfit[field])
+        }
+      }
+      enqueueOperation({ type: 'delete', outfitId: id })
+
+      console.log('✅ Outfit deleted from the local store')
+      return withSource({ deleted: true }, SOURCES.LOCAL)
     }
 
-    // Delete from localStorage
-    const localOutfits = JSON.parse(localStorage.getItem('saved_outfits') || '[]')
-    const updatedOutfits = localOutfits.filter(outfit => outfit.id !== outfitId)
-    localStorage.setItem('saved_outfits', JSON.stringify(updatedOutfits))
-    
-    console.log('✅ Outfit deleted from localStorage')
-    return true
+    try {
+      return withSource({ deleted: true }, await deleteOutfitRemote(id))
+    } catch (supabaseError) {
+      if (supabaseError instanceof ContractError) throw supabaseError
+      console.warn('⚠️ Could not delete from Supabase, queued for sync:', supabaseError.message)
+      enqueueOperation({ type: 'delete', outfitId: id })
+      return withSource({ deleted: true }, SOURCES.LOCAL)
+    }
 
   } catch (error) {
     console.error('❌ Error deleting outfit:', error.message)
-    return false
+    return { deleted: false, source: null }
+  }
+}
+
+/**
+ * Edit a saved outfit
+ * Calls: supabase/functions/update-fit/index.js (ownership- and conflict-checked) or direct DB update
+ * Offline edits are queued and replayed by syncPendingOutfits()
+ * @param {string} outfitId - Outfit ID to edit
+ * @param {Object} changes - Fields to change (see EDITABLE_OUTFIT_FIELDS)
+ * @param {string} [baseUpdatedAt] - updated_at of the copy being edited
+ * @returns {Promise<Object>} Updated outfit; source is 'edge', 'db' or 'local' (not synced yet)
+ * @throws {Error} With code 'conflict' and the server copy as `current` when the outfit changed elsewhere
+ */
+export async function updateOutfit(outfitId, changes, baseUpdatedAt = null) {
+  const id = resolveOutfitId(outfitId)
+  const edits = Object.fromEntries(
+    Object.entries(changes).filter(([field]) => EDITABLE_OUTFIT_FIELDS.includes(field))
+  )
+  console.log('✏️ Updating outfit:', id, edits)
+
+  if (id.startsWith('local_')) {
+    // Not on the server yet: edit the local copy and fold the change into its queued save
+    const updatedAt = new Date().toISOString()
+    const outfit = (await getLocalOutfits()).find(item => item.id === id)
+    // Deleted or already synced under its server ID; don't write a record without one
+    if (!outfit) throw updateError('missing', null)
+    const updated = { ...outfit, ...edits, updated_at: updatedAt }
+    await putLocalOutfit(updated)
+    enqueueOperation({ type: 'update', outfitId: id, payload: { ...edits, updated_at: updatedAt } })
+    return withSource(updated, SOURCES.LOCAL)
+  }
+
+  let result
+  try {
+    result = await updateOutfitRemote(id, edits, baseUpdatedAt)
+  } catch (supabaseError) {
+    if (supabaseError instanceof ContractError) throw supabaseError
+    console.warn('⚠️ Could not update in Supabase, queued for sync:', supabaseError.message)
+    enqueueOperation({ type: 'update', outfitId: id, payload: edits, baseUpdatedAt })
+    return { id, ...edits, source: SOURCES.LOCAL }
+  }
+
+  if (result.status === 'updated') return withSource(result.outfit, result.source)
+  throw updateError(result.status, result.outfit)
+}
+
+// Error for an edit that couldn't be applied; code is 'conflict' or 'missing'
+function updateError(code, current) {
+  const error = new Error(code === 'conflict'
+    ? 'This outfit was changed somewhere else. Reload to see the latest version.'
+    : 'This outfit no longer exists.')
+  error.code = code
+  error.current = current
+  return error
+}
+
+// Shared by every caller so overlapping sync triggers replay the queue only once
+let activeSync = null
+
+/**
+ * Replay queued offline writes against the Edge Functions / database, oldest first
+ * Stops at the first network failure so later writes never overtake earlier ones.
+ * Saved local_... outfits are remapped to their server UUIDs; edits that collide with a
+ * newer server version are parked as conflicts for the user to resolve, and writes the
+ * server refuses for good (see isPermanentError) are parked as rejected.
+ * @returns {Promise<Object>} { synced, conflicts, rejected, remaining }
+ */
+export function syncPendingOutfits() {
+  if (!activeSync) {
+    activeSync = replayQueue().finally(() => { activeSync = null })
   }
+  return activeSync
+}
+
+async function replayQueue() {
+  let synced = 0
+  let conflicts = 0
+  let rejected = 0
+
+  // Outfits saved locally before the queue existed have no queued save yet
+  const queuedIds = new Set(getQueue().map(op => op.outfit_id))
+  const localOutfits = await getLocalOutfits()
+  localOutfits
+    .filter(outfit => !queuedIds.has(outfit.id))
+    .forEach(({ id, ...outfit }) => {
+      enqueueOperation({ type: 'save', outfitId: id, payload: { ...outfit, client_id: id } })
+    })
+
+  for (const queued of getQueue()) {
+    // Earlier iterations may have remapped IDs or removed entries
+    const op = getQueue().find(entry => entry.id === queued.id)
+    if (!op || !isOperationReady(op)) continue
+
+    try {
+      if (op.type === 'save') {
+        const saved = await saveOutfitRemote(op.payload)
+        await deleteLocalOutfit(op.outfit_id)
+        removeOperation(op.id)
+        remapOutfitId(op.outfit_id, saved.id)
+
+      } else if (op.type === 'delete') {
+        await deleteOutfitRemote(op.outfit_id)
+        removeOperation(op.id)
+
+      } else if (op.type === 'update') {
+        const result = await updateOutfitRemote(op.outfit_id, op.payload, op.base_updated_at)
+        if (result.status === 'conflict') {
+          console.warn('⚠️ Sync conflict on outfit:', op.outfit_id)
+          markOperationConflict(op.id, result.outfit)
+          conflicts++
+          continue
+        }
+        // A missing outfit was deleted elsewhere; the edit has nothing to apply to
+        removeOperation(op.id)
+      }
+
+      synced++
+
+    } catch (error) {
+      // Retrying a refused write can't help and would hold up everything queued after it
+      if (isPermanentError(error)) {
+        console.warn(`⚠️ Queued ${op.type} was refused, setting it aside:`, error.message)
+        markOperationRejected(op.id, error.message)
+        rejected++
+        continue
+      }
+      console.warn(`⚠️ Sync of queued ${op.type} failed, will retry:`, error.message)
+      markOperationFailed(op.id, error.message)
+      break
+    }
+  }
+
+  const remaining = getQueue().length
+  if (synced > 0 || conflicts > 0 || rejected > 0) {
+    console.log('🔄 Sync finished:', { synced, conflicts, rejected, remaining })
+  }
+  return { synced, conflicts, rejected, remaining }
+}
+
+/**
+ * Drop a queued write the server refused, with the unsynced local copy of an outfit it was saving
+ * @param {string} operationId - Queue entry ID
+ */
+export async function discardSyncOperation(operationId) {
+  const op = getQueue().find(entry => entry.id === operationId)
+  if (!op) return
+
+  if (op.type === 'save') await deleteLocalOutfit(op.outfit_id)
+  removeOperation(op.id)
+  console.log(`🗑️ Discarded queued ${op.type}:`, op.outfit_id)
 }
@@ -0,0 +1,586 @@
+// src/services/outfitAPI.test.js
+// Every tier of the outfitAPI fallback chains: Edge Function → direct Supabase → local store
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { supabase } from '../lib/client'
+import { invokeFunction, streamFunction, ContractError } from '../lib/edgeFunctions'
+import { saveLocalImage, putLocalOutfit, getLocalOutfits } from '../lib/localDB'
+import { getQueue, enqueueOperation, getSyncState } from '../lib/syncQueue'
+import { callsOf } from '../test/supabaseMock'
+import { runTier, SOURCES } from '../lib/resilience'
+import {
+  uploadFile,
+  analyzeFit,
+  saveFit,
+  getSavedFits,
+  getOutfit,
+  deleteOutfit,
+  updateOutfit,
+  syncPendingOutfits,
+  discardSyncOperation
+} from './outfitAPI'
+
+vi.mock('../lib/client', async () => {
+  const { createSupabaseMock, TEST_SUPABASE_URL } = await import('../test/supabaseMock')
+  return {
+    supabase: createSupabaseMock(),
+    SUPABASE_URL: TEST_SUPABASE_URL,
+    getRequestHeaders: async () => ({})
+  }
+})
+
+vi.mock('../lib/edgeFunctions', async (importOriginal) => ({
+  ...await importOriginal(),
+  invokeFunction: vi.fn(),
+  streamFunction: vi.fn()
+}))
+
+// jsdom has no IndexedDB: outfits use the localStorage fallback, images can't be kept offline
+vi.mock('../lib/localDB', async (importOriginal) => ({
+  ...await importOriginal(),
+  saveLocalImage: vi.fn(async () => 'local-image:img_test')
+}))
+
+vi.mock('../utils/mockAI', async (importOriginal) => ({
+  ...await importOriginal(),
+  simulateDelay: vi.fn(async () => {})
+}))
+
+const SESSION_ID = 'demo_1700000000000_test'
+
+const ANALYSIS = {
+  top: 'white tee',
+  bottom: 'straight jeans',
+  shoes: 'white sneakers',
+  accessories: [],
+  aesthetic: ['minimal', 'casual'],
+  colors: { top: 'white', bottom: 'blue', shoes: 'white' },
+  ai_description: 'A clean everyday fit',
+  season: 'Fall',
+  formality: 'casual',
+  confidence: 0.8
+}
+
+// supabase.functions.invoke failures: no response at all, or an HTTP error with the response
+function unavailable() {
+  return Object.assign(new Error('Failed to send a request to the Edge Function'), { name: 'FunctionsFetchError' })
+}
+
+function httpError(status, body = {}) {
+  return Object.assign(new Error(`Edge Function returned a non-2xx status code`), {
+    name: 'FunctionsHttpError',
+    context: new Response(JSON.stringify(body), { status })
+  })
+}
+
+function outfit(id, fields = {}) {
+  return {
+    id,
+    session_id: SESSION_ID,
+    client_id: null,
+    ai_description: `Outfit ${id}`,
+    aesthetic: [],
+    season: 'Fall',
+    formality: 'casual',
+    confidence: null,
+    created_at: '2026-01-01T00:00:00.000Z',
+    updated_at: '2026-01-01T00:00:00.000Z',
+    ...fields
+  }
+}
+
+beforeEach(() => {
+  supabase.reset()
+})
+
+describe('uploadFile', () => {
+  const file = new File(['photo'], 'top.jpg', { type: 'image/jpeg' })
+
+  it('returns the URL from the upload-file Edge Function', async () => {
+    invokeFunction.mockResolvedValueOnce({ url: 'https://cdn/top.jpg', thumb_url: 'https://cdn/thumb.jpg' })
+
+    await expect(uploadFile(file, 'top', SESSION_ID)).resolves.toEqual({ url: 'https://cdn/top.jpg', source: 'edge' })
+
+    const [name, body] = invokeFunction.mock.calls[0]
+    expect(name).toBe('upload-file')
+    expect(body.get('category')).toBe('top')
+    expect(supabase.storage.bucket.upload).not.toHaveBeenCalled()
+  })
+
+  it('uploads directly to Storage when the Edge Function is unavailable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+
+    const { url, source } = await uploadFile(file, 'top', SESSION_ID)
+
+    const [path] = supabase.storage.bucket.upload.mock.calls[0]
+    expect(path).toMatch(new RegExp(`^${SESSION_ID}/originals/top`))
+    expect(url).toContain(path)
+    expect(source).toBe('db')
+  })
+
+  it('treats an object that already exists as uploaded', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.storage.bucket.upload.mockResolvedValueOnce({
+      data: null,
+      error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' }
+    })
+
+    const { url } = await uploadFile(file, 'top', SESSION_ID)
+    expect(url).toContain(`${SESSION_ID}/originals/top`)
+    expect(saveLocalImage).not.toHaveBeenCalled()
+  })
+
+  it('skips the upload when the photo is already stored under its hash', async () => {
+    const hash = 'a'.repeat(64)
+    const fetchMock = vi.fn(async () => new Response(null, { status: 200 }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    try {
+      const { url } = await uploadFile(file, 'top', SESSION_ID, { hash })
+
+      expect(url).toContain(hash)
+      expect(fetchMock).toHaveBeenCalledWith(url, expect.objectContaining({ method: 'HEAD' }))
+      expect(invokeFunction).not.toHaveBeenCalled()
+    } finally {
+      vi.unstubAllGlobals()
+    }
+  })
+
+  it('keeps the photo on the device when Storage refuses it', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.storage.bucket.upload.mockResolvedValueOnce({
+      data: null,
+      error: { statusCode: '403', message: 'new row violates row-level security policy' }
+    })
+
+    await expect(uploadFile(file, 'top', SESSION_ID)).resolves.toEqual({ url: 'local-image:img_test', source: 'local' })
+    expect(saveLocalImage).toHaveBeenCalledWith(file, { sessionId: SESSION_ID, category: 'top' })
+  })
+
+  it('keeps the photo on the device without retrying while both upload tiers are skipped', async () => {
+    for (const tier of [SOURCES.EDGE, SOURCES.DB]) {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await runTier(tier, 'upload-file', async () => { throw unavailable() }).catch(() => {})
+      }
+    }
+    const onRetry = vi.fn()
+
+    await expect(uploadFile(file, 'top', SESSION_ID, { onRetry })).resolves.toEqual({ url: 'local-image:img_test', source: 'local' })
+    expect(onRetry).not.toHaveBeenCalled()
+    expect(invokeFunction).not.toHaveBeenCalled()
+    expect(supabase.storage.bucket.upload).not.toHaveBeenCalled()
+  })
+
+  it('rethrows contract errors without falling back', async () => {
+    invokeFunction.mockRejectedValueOnce(new ContractError('upload-file rejected the request', ['category is required']))
+
+    await expect(uploadFile(file, 'top', SESSION_ID)).rejects.toBeInstanceOf(ContractError)
+    expect(supabase.storage.bucket.upload).not.toHaveBeenCalled()
+    expect(saveLocalImage).not.toHaveBeenCalled()
+  })
+
+  it('rejects without a file', async () => {
+    await expect(uploadFile(null, 'top', SESSION_ID)).rejects.toThrow('No file provided')
+  })
+})
+
+describe('analyzeFit', () => {
+  const payload = {
+    session_id: SESSION_ID,
+    top_url: 'https://cdn/top.jpg',
+    bottom_url: 'https://cdn/bottom.jpg',
+    shoes_url: 'https://cdn/shoes.jpg',
+    season: 'Fall',
+    formality: 'casual'
+  }
+
+  it('returns the validated Edge Function analysis', async () => {
+    invokeFunction.mockResolvedValueOnce({ ...ANALYSIS, provider: 'gemini' })
+
+    const result = await analyzeFit(payload)
+
+    expect(invokeFunction).toHaveBeenCalledWith('analyze-fit', payload, expect.anything())
+    expect(result).toMatchObject({ top: 'white tee', provider: 'gemini', palette: null, source: 'edge' })
+  })
+
+  it('streams progress and partial fields when asked to', async () => {
+    streamFunction.mockImplementationOnce(async (name, body, { onEvent }) => {
+      onEvent('progress', { stage: 'analyzing' })
+      onEvent('partial', { field: 'top', value: 'white tee' })
+      return ANALYSIS
+    })
+    const onProgress = vi.fn()
+    const onPartial = vi.fn()
+
+    const result = await analyzeFit(payload, { onProgress, onPartial })
+
+    expect(invokeFunction).not.toHaveBeenCalled()
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'analyzing' })
+    expect(onPartial).toHaveBeenCalledWith('top', 'white tee')
+    expect(result.source).toBe('edge')
+  })
+
+  it('falls back to the mock AI when the Edge Function is unavailable', async () => {
+    const onPartial = vi.fn()
+    streamFunction.mockRejectedValueOnce(unavailable())
+
+    const result = await analyzeFit(payload, { onPartial })
+
+    expect(result.source).toBe('mock')
+    expect(result.ai_description).toEqual(expect.any(String))
+    expect(onPartial).toHaveBeenCalledWith('ai_description', result.ai_description)
+  })
+
+  it('uses the mock AI for images only stored on this device', async () => {
+    const result = await analyzeFit({ ...payload, top_url: 'local-image:img_1' })
+
+    expect(invokeFunction).not.toHaveBeenCalled()
+    expect(result.source).toBe('mock')
+  })
+
+  it('rethrows contract errors', async () => {
+    invokeFunction.mockRejectedValueOnce(new ContractError('analyze-fit returned an unexpected response', []))
+
+    await expect(analyzeFit(payload)).rejects.toBeInstanceOf(ContractError)
+  })
+})
+
+describe('saveFit', () => {
+  const payload = { session_id: SESSION_ID, top_url: 'https://cdn/top.jpg', ...ANALYSIS }
+
+  it('saves through the save-fit Edge Function', async () => {
+    invokeFunction.mockResolvedValueOnce(outfit('uuid-1'))
+
+    const saved = await saveFit(payload)
+
+    const [name, body] = invokeFunction.mock.calls[0]
+    expect(name).toBe('save-fit')
+    expect(body.client_id).toMatch(/^local_/)
+    expect(saved).toMatchObject({ id: 'uuid-1', source: 'edge' })
+  })
+
+  it('inserts directly when the Edge Function is unavailable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: null })
+    supabase.queueResult('outfits', { data: outfit('uuid-2'), error: null })
+
+    const saved = await saveFit(payload)
+
+    expect(saved).toMatchObject({ id: 'uuid-2', source: 'db' })
+    const [[inserted]] = callsOf(supabase, 'outfits', 'insert')
+    expect(inserted).toMatchObject({ session_id: SESSION_ID, saved: true, ai_description: ANALYSIS.ai_description })
+  })
+
+  it('returns the outfit already saved under the same client_id', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: outfit('uuid-3'), error: null })
+
+    const saved = await saveFit(payload)
+
+    expect(saved).toMatchObject({ id: 'uuid-3', source: 'db' })
+    expect(callsOf(supabase, 'outfits', 'insert')).toHaveLength(0)
+  })
+
+  it('skips the Edge Function once its circuit is open', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      invokeFunction.mockRejectedValueOnce(unavailable())
+      supabase.queueResult('outfits', { data: outfit(`uuid-${attempt}`), error: null })
+      await saveFit(payload)
+    }
+    supabase.queueResult('outfits', { data: outfit('uuid-4'), error: null })
+
+    const saved = await saveFit(payload)
+
+    expect(invokeFunction).toHaveBeenCalledTimes(3)
+    expect(saved).toMatchObject({ id: 'uuid-4', source: 'db' })
+  })
+
+  it('keeps calling other Edge Functions while save-fit is skipped', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      invokeFunction.mockRejectedValueOnce(unavailable())
+      supabase.queueResult('outfits', { data: outfit(`uuid-${attempt}`), error: null })
+      await saveFit(payload)
+    }
+    invokeFunction.mockResolvedValueOnce({ outfits: [outfit('uuid-1')], next_cursor: null })
+
+    const page = await getSavedFits(SESSION_ID)
+
+    expect(invokeFunction).toHaveBeenLastCalledWith('getSavedFits', expect.anything(), expect.anything())
+    expect(page.source).toBe('edge')
+  })
+
+  it('saves locally and queues a sync when Supabase is unreachable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+
+    const saved = await saveFit(payload)
+
+    expect(saved.id).toMatch(/^local_/)
+    expect(saved.source).toBe('local')
+    expect(await getLocalOutfits(SESSION_ID)).toEqual([expect.objectContaining({ id: saved.id })])
+    expect(getQueue()).toEqual([expect.objectContaining({ type: 'save', outfit_id: saved.id })])
+  })
+
+  it('does not save locally on a contract error', async () => {
+    invokeFunction.mockRejectedValueOnce(new ContractError('save-fit rejected the request', []))
+
+    await expect(saveFit(payload)).rejects.toBeInstanceOf(ContractError)
+    expect(await getLocalOutfits()).toEqual([])
+  })
+})
+
+describe('getSavedFits', () => {
+  it('returns a page from the getSavedFits Edge Function', async () => {
+    invokeFunction.mockResolvedValueOnce({ outfits: [outfit('uuid-1')], next_cursor: 'cursor-2' })
+
+    const page = await getSavedFits(SESSION_ID, { season: 'Fall' }, { limit: 1 })
+
+    expect(invokeFunction).toHaveBeenCalledWith(
+      'getSavedFits',
+      expect.objectContaining({ session_id: SESSION_ID, season: 'Fall', limit: 1 }),
+      expect.anything()
+    )
+    expect(page).toEqual({ outfits: [outfit('uuid-1')], nextCursor: 'cursor-2', source: 'edge' })
+  })
+
+  it('queries the database when the Edge Function is unavailable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', {
+      data: [outfit('uuid-1'), outfit('uuid-2', { created_at: '2025-12-01T00:00:00.000Z' })],
+      error: null
+    })
+
+    const page = await getSavedFits(SESSION_ID, {}, { limit: 1 })
+
+    expect(page.source).toBe('db')
+    expect(page.outfits.map(item => item.id)).toEqual(['uuid-1'])
+    expect(page.nextCursor).toEqual(expect.any(String))
+    expect(callsOf(supabase, 'outfits', 'eq')).toContainEqual(['session_id', SESSION_ID])
+    // One extra row tells whether there is another page
+    expect(callsOf(supabase, 'outfits', 'limit')).toEqual([[2]])
+  })
+
+  it('reads the local store when Supabase is unreachable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+    await putLocalOutfit(outfit('local_1'))
+    await putLocalOutfit(outfit('local_2', { session_id: 'demo_someone_else' }))
+
+    const page = await getSavedFits(SESSION_ID)
+
+    expect(page.source).toBe('local')
+    expect(page.outfits.map(item => item.id)).toEqual(['local_1'])
+  })
+
+  it('shows unsynced local saves next to server results', async () => {
+    invokeFunction.mockResolvedValueOnce({ outfits: [outfit('uuid-1')], next_cursor: null })
+    await putLocalOutfit(outfit('local_1', { created_at: '2026-02-01T00:00:00.000Z' }))
+
+    const page = await getSavedFits(SESSION_ID)
+
+    expect(page.outfits.map(item => item.id)).toEqual(['local_1', 'uuid-1'])
+  })
+
+  it('keeps server search matches that do not contain the query as written', async () => {
+    // Full-text search stems "jackets" to "jacket"; the server's answer stands as it is
+    invokeFunction.mockResolvedValueOnce({
+      outfits: [outfit('uuid-1', { ai_description: 'Denim jacket over a tee' })],
+      next_cursor: 'cursor-2'
+    })
+
+    const page = await getSavedFits(SESSION_ID, { q: 'jackets' }, { limit: 1 })
+
+    expect(page.outfits.map(item => item.id)).toEqual(['uuid-1'])
+    expect(page.nextCursor).toBe('cursor-2')
+  })
+
+  it('drops a server match whose pending edit no longer fits the filters', async () => {
+    invokeFunction.mockResolvedValueOnce({ outfits: [outfit('uuid-1'), outfit('uuid-2')], next_cursor: null })
+    enqueueOperation({ type: 'update', outfitId: 'uuid-2', payload: { season: 'Winter' } })
+
+    const page = await getSavedFits(SESSION_ID, { season: 'Fall' })
+
+    expect(page.outfits.map(item => item.id)).toEqual(['uuid-1'])
+  })
+
+  it('rethrows contract errors', async () => {
+    invokeFunction.mockRejectedValueOnce(new ContractError('getSavedFits rejected the request', []))
+
+    await expect(getSavedFits(SESSION_ID)).rejects.toBeInstanceOf(ContractError)
+  })
+})
+
+describe('getOutfit', () => {
+  it('reads local outfits from the local store', async () => {
+    await putLocalOutfit(outfit('local_1'))
+
+    await expect(getOutfit('local_1')).resolves.toMatchObject({ id: 'local_1', source: 'local' })
+    expect(invokeFunction).not.toHaveBeenCalled()
+  })
+
+  it('falls back to the database', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: outfit('uuid-1'), error: null })
+
+    await expect(getOutfit('uuid-1')).resolves.toMatchObject({ id: 'uuid-1', source: 'db' })
+  })
+
+  it('returns null for an outfit that no longer exists', async () => {
+    invokeFunction.mockResolvedValueOnce({ outfit: null })
+
+    await expect(getOutfit('uuid-1')).resolves.toBeNull()
+  })
+})
+
+describe('deleteOutfit', () => {
+  it('deletes through the delete-fit Edge Function', async () => {
+    invokeFunction.mockResolvedValueOnce({ id: 'uuid-1', deleted: true, removed_objects: 2 })
+
+    await expect(deleteOutfit('uuid-1')).resolves.toEqual({ deleted: true, source: 'edge' })
+    expect(invokeFunction).toHaveBeenCalledWith('delete-fit', { id: 'uuid-1' }, expect.anything())
+  })
+
+  it('deletes directly when the Edge Function is unavailable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: [], error: null })
+
+    await expect(deleteOutfit('uuid-1')).resolves.toEqual({ deleted: true, source: 'db' })
+    expect(callsOf(supabase, 'outfits', 'delete')).toHaveLength(1)
+    expect(getQueue()).toEqual([])
+  })
+
+  it('queues the delete when Supabase is unreachable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+
+    await expect(deleteOutfit('uuid-1')).resolves.toEqual({ deleted: true, source: 'local' })
+    expect(getQueue()).toEqual([expect.objectContaining({ type: 'delete', outfit_id: 'uuid-1' })])
+  })
+
+  it('removes outfits that never reached the server from the local store', async () => {
+    await putLocalOutfit(outfit('local_1'))
+
+    await expect(deleteOutfit('local_1')).resolves.toEqual({ deleted: true, source: 'local' })
+    expect(await getLocalOutfits()).toEqual([])
+    expect(invokeFunction).not.toHaveBeenCalled()
+  })
+})
+
+describe('updateOutfit', () => {
+  const baseUpdatedAt = '2026-01-01T00:00:00.000Z'
+
+  it('updates through the update-fit Edge Function, dropping fields that are not editable', async () => {
+    invokeFunction.mockResolvedValueOnce(outfit('uuid-1', { season: 'Winter' }))
+
+    const updated = await updateOutfit('uuid-1', { season: 'Winter', confidence: 1 }, baseUpdatedAt)
+
+    expect(invokeFunction).toHaveBeenCalledWith(
+      'update-fit',
+      { id: 'uuid-1', changes: { season: 'Winter' }, expected_updated_at: baseUpdatedAt },
+      expect.anything()
+    )
+    expect(updated).toMatchObject({ season: 'Winter', source: 'edge' })
+  })
+
+  it('reports a conflict with the server copy', async () => {
+    const current = outfit('uuid-1', { season: 'Spring', updated_at: '2026-01-02T00:00:00.000Z' })
+    invokeFunction.mockRejectedValueOnce(httpError(409, { error: 'Conflict', current }))
+
+    await expect(updateOutfit('uuid-1', { season: 'Winter' }, baseUpdatedAt))
+      .rejects.toMatchObject({ code: 'conflict', current })
+  })
+
+  it('updates directly when the Edge Function is unavailable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: [outfit('uuid-1', { season: 'Winter' })], error: null })
+
+    await expect(updateOutfit('uuid-1', { season: 'Winter' }, baseUpdatedAt))
+      .resolves.toMatchObject({ season: 'Winter', source: 'db' })
+    expect(callsOf(supabase, 'outfits', 'eq')).toContainEqual(['updated_at', baseUpdatedAt])
+  })
+
+  it('reports an outfit deleted elsewhere as missing', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: [], error: null })
+    supabase.queueResult('outfits', { data: null, error: null })
+
+    await expect(updateOutfit('uuid-1', { season: 'Winter' }, baseUpdatedAt))
+      .rejects.toMatchObject({ code: 'missing' })
+  })
+
+  it('queues the edit when Supabase is unreachable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+
+    await expect(updateOutfit('uuid-1', { season: 'Winter' }, baseUpdatedAt))
+      .resolves.toEqual({ id: 'uuid-1', season: 'Winter', source: 'local' })
+    expect(getQueue()).toEqual([expect.objectContaining({ type: 'update', outfit_id: 'uuid-1' })])
+  })
+
+  it('reports a local outfit that is no longer on the device as missing', async () => {
+    await expect(updateOutfit('local_gone', { season: 'Winter' }))
+      .rejects.toMatchObject({ code: 'missing' })
+
+    expect(await getLocalOutfits()).toEqual([])
+    expect(getQueue()).toEqual([])
+  })
+})
+
+describe('syncPendingOutfits', () => {
+  it('replays a queued save and drops the local copy', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+    const local = await saveFit({ session_id: SESSION_ID, ...ANALYSIS })
+
+    invokeFunction.mockResolvedValueOnce(outfit('uuid-1'))
+    await expect(syncPendingOutfits()).resolves.toEqual({ synced: 1, conflicts: 0, rejected: 0, remaining: 0 })
+
+    expect(invokeFunction).toHaveBeenLastCalledWith(
+      'save-fit',
+      expect.objectContaining({ client_id: local.id }),
+      expect.anything()
+    )
+    expect(await getLocalOutfits()).toEqual([])
+  })
+
+  it('keeps the queue when the server is still unreachable', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+    await deleteOutfit('uuid-1')
+
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+
+    await expect(syncPendingOutfits()).resolves.toEqual({ synced: 0, conflicts: 0, rejected: 0, remaining: 1 })
+  })
+
+  it('sets aside a write the server refuses and syncs the ones behind it', async () => {
+    enqueueOperation({ type: 'delete', outfitId: 'uuid-1' })
+    enqueueOperation({ type: 'delete', outfitId: 'uuid-2' })
+
+    // Not this session's outfit: both tiers refuse it
+    invokeFunction.mockRejectedValueOnce(httpError(403, { error: 'Not your outfit' }))
+    supabase.queueResult('outfits', { data: null, error: { code: '42501', message: 'permission denied for table outfits' } })
+    invokeFunction.mockResolvedValueOnce({ deleted: true, removed_objects: 0 })
+
+    await expect(syncPendingOutfits()).resolves.toEqual({ synced: 1, conflicts: 0, rejected: 1, remaining: 1 })
+    expect(getQueue()).toEqual([expect.objectContaining({ outfit_id: 'uuid-1', rejected: true })])
+    expect(getSyncState()).toMatchObject({ pendingCount: 0, statusById: { 'uuid-1': 'rejected' } })
+
+    // Not retried on later syncs
+    await expect(syncPendingOutfits()).resolves.toEqual({ synced: 0, conflicts: 0, rejected: 0, remaining: 1 })
+  })
+
+  it('discards a refused save together with its local copy', async () => {
+    invokeFunction.mockRejectedValueOnce(unavailable())
+    supabase.queueResult('outfits', { data: null, error: { message: 'TypeError: Failed to fetch' } })
+    await saveFit({ session_id: SESSION_ID, ...ANALYSIS })
+
+    invokeFunction.mockRejectedValueOnce(new ContractError('save-fit rejected the request', ['aesthetic must be an array']))
+    await syncPendingOutfits()
+    await discardSyncOperation(getQueue()[0].id)
+
+    expect(getQueue()).toEqual([])
+    expect(await getLocalOutfits()).toEqual([])
+  })
+})
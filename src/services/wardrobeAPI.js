@@ -0,0 +1,190 @@
+// src/services/wardrobeAPI.js
+// API wrapper functions for the garment-level wardrobe catalog
+
+import { supabase } from '../lib/client'
+import { OUTFIT_CATEGORIES } from '../utils/outfitCategories'
+import { removeUnreferencedImages } from '../../supabase/functions/_shared/storageCleanup.js'
+
+const LOCAL_WARDROBE_KEY = 'wardrobe_items'
+
+function readLocalItems() {
+  return JSON.parse(localStorage.getItem(LOCAL_WARDROBE_KEY) || '[]')
+}
+
+function writeLocalItems(items) {
+  localStorage.setItem(LOCAL_WARDROBE_KEY, JSON.stringify(items))
+}
+
+/**
+ * Save a single garment to the wardrobe
+ * Calls: direct DB insert or localStorage fallback
+ * @param {Object} item - Wardrobe item
+ * @param {string} item.session_id - Session ID
+ * @param {string} item.category - Category key (top, topLayer, bottom, shoes, accessories)
+ * @param {string} item.image_url - Public URL of the stored image
+ * @param {string} item.description - AI description of the garment
+ * @param {Array<string>} item.colors - Color names
+ * @param {Array<string>} item.tags - Style tags
+ * @returns {Promise<Object>} Saved wardrobe item
+ */
+export async function saveWardrobeItem(item) {
+  const itemData = {
+    session_id: item.session_id,
+    category: item.category,
+    image_url: item.image_url,
+    description: item.description || null,
+    colors: item.colors || [],
+    tags: item.tags || [],
+    season: item.season || null,
+    formality: item.formality || null,
+    created_at: new Date().toISOString()
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('wardrobe_items')
+      .insert(itemData)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    console.log(`✅ ${item.category} added to closet:`, data.id)
+    return data
+
+  } catch (supabaseError) {
+    console.warn('⚠️ Could not save wardrobe item to Supabase, saving locally:', supabaseError.message)
+
+    const localItems = readLocalItems()
+    const localItem = {
+      ...itemData,
+      id: `local_${Date.now()}_${item.category}`
+    }
+    localItems.push(localItem)
+    writeLocalItems(localItems)
+
+    console.log(`✅ ${item.category} added to local closet:`, localItem.id)
+    return localItem
+  }
+}
+
+/**
+ * Get wardrobe items for a session
+ * Calls: direct DB query, merged with any locally stored items
+ * @param {string} sessionId - Session ID
+ * @param {string} [category] - Optional category filter
+ * @returns {Promise<Array>} Array of wardrobe items, newest first
+ */
+export async function getWardrobeItems(sessionId, category = null) {
+  const localItems = readLocalItems().filter(item =>
+    item.session_id === sessionId && (!category || item.category === category)
+  )
+
+  try {
+    let query = supabase
+      .from('wardrobe_items')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false })
+
+    if (category) {
+      query = query.eq('category', category)
+    }
+
+    const { data, error } = await query
+    if (error) throw error
+
+    console.log(`✅ Retrieved ${data.length} closet items from Supabase`)
+    return [...localItems.reverse(), ...data]
+
+  } catch (supabaseError) {
+    console.warn('⚠️ Could not fetch closet from Supabase, using localStorage:', supabaseError.message)
+    return localItems.reverse()
+  }
+}
+
+/**
+ * Remove a garment from the wardrobe
+ * Outfits keep their own image URLs, so removing an item does not break saved fits; the image
+ * itself is only deleted from Storage when no outfit uses it either
+ * @param {string} itemId - Wardrobe item ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteWardrobeItem(itemId) {
+  try {
+    if (!itemId.startsWith('local_')) {
+      const { data: deleted, error } = await supabase
+        .from('wardrobe_items')
+        .delete()
+        .eq('id', itemId)
+        .select('session_id, image_url')
+
+      if (error) throw error
+      console.log('✅ Closet item deleted from Supabase')
+
+      // Anything left behind is removed by the cleanup-storage function
+      for (const item of deleted || []) {
+        try {
+          await removeUnreferencedImages(supabase, [item.image_url], item.session_id)
+        } catch (cleanupError) {
+          console.warn('⚠️ Could not remove closet item image:', cleanupError.message)
+        }
+      }
+      return true
+    }
+
+    writeLocalItems(readLocalItems().filter(item => item.id !== itemId))
+    console.log('✅ Closet item deleted from localStorage')
+    return true
+
+  } catch (error) {
+    console.error('❌ Error deleting closet item:', error.message)
+    return false
+  }
+}
+
+/**
+ * Turn freshly uploaded and analyzed images into reusable wardrobe items
+ * An image already in the closet (same URL) keeps its existing item.
+ * @param {Object} params
+ * @param {string} params.sessionId - Session ID
+ * @param {Object} params.urls - Uploaded image URLs keyed by category
+ * @param {Object} params.analysis - Result of analyzeFit()
+ * @returns {Promise<Object>} Saved wardrobe items keyed by category
+ */
+export async function catalogOutfitItems({ sessionId, urls, analysis }) {
+  const cataloged = {}
+  // Photos stored under their content hash come back with the same URL; reuse their closet item
+  const existing = await getWardrobeItems(sessionId)
+
+  for (const { key } of OUTFIT_CATEGORIES) {
+    if (!urls[key]) continue
+
+    const match = existing.find(item => item.category === key && item.image_url === urls[key])
+    if (match) {
+      cataloged[key] = match
+      continue
+    }
+
+    const description = key === 'accessories'
+      ? (analysis.accessories || []).join(', ')
+      : analysis[key]
+    const color = analysis.colors?.[key]
+    const tags = key === 'accessories'
+      ? [...(analysis.aesthetic || []), ...(analysis.accessories_tags || [])]
+      : analysis.aesthetic || []
+
+    cataloged[key] = await saveWardrobeItem({
+      session_id: sessionId,
+      category: key,
+      image_url: urls[key],
+      description,
+      colors: color ? [color] : [],
+      tags,
+      season: analysis.season,
+      formality: analysis.formality
+    })
+  }
+
+  return cataloged
+}
@@ -0,0 +1,120 @@
+// src/services/weatherAPI.js
+// Weather providers that supply current conditions for outfit context
+//
+// A provider is any object with:
+//   name: string
+//   getConditions(location): Promise<{ location, temperatureC, precipitationMm, windKph }>
+
+import { WEATHER_FIXTURES, DEFAULT_WEATHER_FIXTURE } from '../utils/weatherFixtures'
+
+const DEFAULT_LOCATION = { latitude: 40.7128, longitude: -74.006, label: 'New York, NY' }
+const GEOLOCATION_TIMEOUT_MS = 5000
+
+/**
+ * Provider backed by the free Open-Meteo forecast API (no key required)
+ * @returns {Object} Weather provider
+ */
+export function createOpenMeteoProvider() {
+  return {
+    name: 'open-meteo',
+    async getConditions({ latitude, longitude, label }) {
+      const params = new URLSearchParams({
+        latitude,
+        longitude,
+        current: 'temperature_2m,precipitation,wind_speed_10m'
+      })
+      const response = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`)
+      if (!response.ok) {
+        throw new Error(`Open-Meteo request failed (${response.status})`)
+      }
+
+      const { current } = await response.json()
+      return {
+        location: label || `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`,
+        temperatureC: current.temperature_2m,
+        precipitationMm: current.precipitation,
+        windKph: current.wind_speed_10m
+      }
+    }
+  }
+}
+
+/**
+ * Provider that returns bundled readings - for offline use and tests
+ * @param {string} fixtureName - Key in WEATHER_FIXTURES
+ * @param {Object} fixtures - Fixture table (defaults to the bundled one)
+ * @returns {Object} Weather provider
+ */
+export function createFixtureProvider(fixtureName = DEFAULT_WEATHER_FIXTURE, fixtures = WEATHER_FIXTURES) {
+  return {
+    name: 'fixture',
+    async getConditions() {
+      const fixture = fixtures[fixtureName]
+      if (!fixture) {
+        throw new Error(`Unknown weather fixture: ${fixtureName}`)
+      }
+      return { ...fixture }
+    }
+  }
+}
+
+/**
+ * Pick the provider configured by VITE_WEATHER_PROVIDER
+ * ("open-meteo" by default, or "fixture" / "fixture:<name>")
+ * @returns {Object} Weather provider
+ */
+export function getWeatherProvider() {
+  const setting = import.meta.env.VITE_WEATHER_PROVIDER || 'open-meteo'
+
+  if (setting.startsWith('fixture')) {
+    const [, fixtureName] = setting.split(':')
+    return createFixtureProvider(fixtureName || DEFAULT_WEATHER_FIXTURE)
+  }
+
+  return createOpenMeteoProvider()
+}
+
+/**
+ * Get the browser location, falling back to a default city
+ * @returns {Promise<Object>} { latitude, longitude, label }
+ */
+export function getBrowserLocation() {
+  return new Promise(resolve => {
+    if (!navigator.geolocation) {
+      resolve(DEFAULT_LOCATION)
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        label: 'Your location'
+      }),
+      () => resolve(DEFAULT_LOCATION),
+      { timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 30 * 60 * 1000 }
+    )
+  })
+}
+
+/**
+ * Get current conditions from a provider, falling back to the fixture provider
+ * @param {Object} options
+ * @param {Object} options.provider - Weather provider (defaults to getWeatherProvider())
+ * @param {Object} options.location - { latitude, longitude, label } (defaults to browser location)
+ * @returns {Promise<Object>} Conditions with a `provider` field naming the source
+ */
+export async function getCurrentConditions({ provider = getWeatherProvider(), location } = {}) {
+  try {
+    const resolvedLocation = location || await getBrowserLocation()
+    const conditions = await provider.getConditions(resolvedLocation)
+    console.log(`🌡️ Weather from ${provider.name}:`, conditions)
+    return { ...conditions, provider: provider.name }
+
+  } catch (error) {
+    console.warn('⚠️ Weather provider failed, using fixture data:', error.message)
+    const fallback = createFixtureProvider()
+    const conditions = await fallback.getConditions()
+    return { ...conditions, provider: fallback.name }
+  }
+}
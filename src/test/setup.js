@@ -0,0 +1,13 @@
+// src/test/setup.js
+// Runs before every app test file: a clean DOM, storage and mock state per test
+
+import { afterEach, vi } from 'vitest'
+import { cleanup } from '@testing-library/react'
+import { resetCircuits } from '../lib/resilience'
+
+afterEach(() => {
+  cleanup()
+  localStorage.clear()
+  resetCircuits()
+  vi.resetAllMocks()
+})
@@ -0,0 +1,81 @@
+// src/test/supabaseMock.js
+// Stand-in for the Supabase client in lib/client.js, for vi.mock('../lib/client', ...)
+// Table queries record every builder call and resolve to results queued per table
+// (default { data: null, error: null }); storage and auth methods are vi.fn()s.
+
+import { vi } from 'vitest'
+
+export const TEST_SUPABASE_URL = 'https://test.supabase.co'
+
+/**
+ * Create a mock client
+ * @returns {Object} Client with from(), storage, auth and functions, plus:
+ *   queueResult(table, { data, error }) - result of the next query on the table
+ *   queries - [{ table, calls: [[method, ...args]] }] in the order they were built
+ *   reset() - forget queued results, recorded queries and mock calls
+ */
+export function createSupabaseMock() {
+  const results = new Map()
+  const queries = []
+
+  function from(table) {
+    const query = { table, calls: [] }
+    queries.push(query)
+
+    // Every builder method chains; awaiting the builder takes the table's next result
+    const builder = new Proxy({}, {
+      get(_target, method) {
+        if (method === 'then') {
+          const result = results.get(table)?.shift() || { data: null, error: null }
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        }
+        return (...args) => {
+          query.calls.push([method, ...args])
+          return builder
+        }
+      }
+    })
+    return builder
+  }
+
+  const bucket = {
+    upload: vi.fn(async (path) => ({ data: { path }, error: null })),
+    getPublicUrl: vi.fn((path) => ({
+      data: { publicUrl: `${TEST_SUPABASE_URL}/storage/v1/object/public/outfit-images/${path}` }
+    })),
+    list: vi.fn(async () => ({ data: [], error: null })),
+    remove: vi.fn(async (paths) => ({ data: paths.map(name => ({ name })), error: null }))
+  }
+
+  const subscription = { unsubscribe: vi.fn() }
+
+  return {
+    from: vi.fn(from),
+    storage: { from: vi.fn(() => bucket), bucket },
+    auth: {
+      getSession: vi.fn(async () => ({ data: { session: null }, error: null })),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription } }))
+    },
+    functions: { invoke: vi.fn() },
+    queries,
+
+    queueResult(table, result) {
+      results.set(table, [...(results.get(table) || []), result])
+    },
+
+    reset() {
+      results.clear()
+      queries.length = 0
+    }
+  }
+}
+
+/**
+ * Find the recorded calls of a builder method across the queries on a table
+ * @returns {Array<Array>} Arguments of each call
+ */
+export function callsOf(supabase, table, method) {
+  return supabase.queries
+    .filter(query => query.table === table)
+    .flatMap(query => query.calls.filter(([name]) => name === method).map(([, ...args]) => args))
+}
@@ -0,0 +1,205 @@
+// src/utils/colorExtraction.js
+// Dominant-color extraction for outfit photos, run in the browser before analysis
+// Each image is drawn small onto a canvas and its pixels are clustered with k-means in
+// CIE Lab space. A plain studio/floor background is detected from the image border and
+// left out, so the swatches describe the garment rather than what it was photographed on.
+
+import { isLocalImageUrl, getLocalImage } from '../lib/localDB'
+import { nearestColorName, rgbToLab, rgbToHex } from '../../supabase/functions/_shared/colorNames.js'
+
+// Images are scaled down to at most this many pixels per side before clustering
+const SAMPLE_SIZE = 64
+const KMEANS_ITERATIONS = 12
+// Clusters smaller than this share of the garment are noise (logos, shadows, stitching)
+const MIN_SHARE = 0.05
+
+/**
+ * Load an image source into something drawImage accepts
+ * @param {Blob|string} source - File/Blob, or an image URL (http(s), data: or local-image:...)
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function loadImage(source) {
+  if (isLocalImageUrl(source)) {
+    const image = await getLocalImage(source)
+    if (!image) throw new Error('Local image not found')
+    source = image.blob || image.remote_url
+  }
+
+  if (source instanceof Blob) {
+    return createImageBitmap(source)
+  }
+
+  // Remote images need CORS headers, otherwise the canvas is tainted and can't be read
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.crossOrigin = 'anonymous'
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error(`Could not load image: ${source}`))
+    img.src = source
+  })
+}
+
+/**
+ * Draw an image at sample size and read its pixels
+ * @returns {Object} { data, width, height } - RGBA bytes
+ */
+function samplePixels(image) {
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(image.width, image.height))
+  const width = Math.max(1, Math.round(image.width * scale))
+  const height = Math.max(1, Math.round(image.height * scale))
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height })
+  const context = canvas.getContext('2d', { willReadFrequently: true })
+  context.drawImage(image, 0, 0, width, height)
+
+  return { data: context.getImageData(0, 0, width, height).data, width, height }
+}
+
+function distance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2
+}
+
+/**
+ * Cluster pixels with k-means
+ * Centers start from maximin seeding (each new center is the pixel farthest from the ones
+ * picked so far), so the same image always gives the same palette.
+ * @param {Array<Object>} pixels - { rgb, lab, border, center }
+ * @param {number} k - Number of clusters
+ * @returns {Array<Object>} Clusters { rgb, lab, count, border, center }
+ */
+function kMeans(pixels, k) {
+  const centers = [pixels[0].lab]
+  while (centers.length < Math.min(k, pixels.length)) {
+    let farthest = pixels[0]
+    let farthestDistance = -1
+    pixels.forEach(pixel => {
+      const nearest = Math.min(...centers.map(center => distance(pixel.lab, center)))
+      if (nearest > farthestDistance) {
+        farthest = pixel
+        farthestDistance = nearest
+      }
+    })
+    if (farthestDistance === 0) break
+    centers.push(farthest.lab)
+  }
+
+  let clusters = []
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    clusters = centers.map(() => ({ lab: [0, 0, 0], rgb: [0, 0, 0], count: 0, border: 0, center: 0 }))
+
+    pixels.forEach(pixel => {
+      let index = 0
+      let best = Infinity
+      centers.forEach((center, i) => {
+        const d = distance(pixel.lab, center)
+        if (d < best) {
+          best = d
+          index = i
+        }
+      })
+
+      const cluster = clusters[index]
+      for (let c = 0; c < 3; c++) {
+        cluster.lab[c] += pixel.lab[c]
+        cluster.rgb[c] += pixel.rgb[c]
+      }
+      cluster.count++
+      if (pixel.border) cluster.border++
+      if (pixel.center) cluster.center++
+    })
+
+    let moved = false
+    clusters.forEach((cluster, i) => {
+      if (cluster.count === 0) return
+      cluster.lab = cluster.lab.map(sum => sum / cluster.count)
+      cluster.rgb = cluster.rgb.map(sum => sum / cluster.count)
+      if (distance(cluster.lab, centers[i]) > 0.01) moved = true
+      centers[i] = cluster.lab
+    })
+    if (!moved) break
+  }
+
+  return clusters.filter(cluster => cluster.count > 0)
+}
+
+/**
+ * Extract the dominant colors of one image
+ * @param {Blob|string} source - File/Blob or image URL
+ * @param {Object} options - { maxColors }
+ * @returns {Promise<Array<Object>>} Swatches sorted by share: [{ hex, name, share }]
+ */
+export async function extractPalette(source, { maxColors = 3 } = {}) {
+  const image = await loadImage(source)
+  const { data, width, height } = samplePixels(image)
+  if (typeof image.close === 'function') image.close()
+
+  const pixels = []
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4
+      // Transparent pixels (cut-out PNGs) are not part of the garment
+      if (data[offset + 3] < 128) continue
+
+      const rgb = [data[offset], data[offset + 1], data[offset + 2]]
+      pixels.push({
+        rgb,
+        lab: rgbToLab(rgb),
+        border: x === 0 || y === 0 || x === width - 1 || y === height - 1,
+        center: Math.abs(x - width / 2) < width / 4 && Math.abs(y - height / 2) < height / 4
+      })
+    }
+  }
+  if (pixels.length === 0) return []
+
+  // One extra cluster so a background can be dropped without losing a garment color
+  let clusters = kMeans(pixels, maxColors + 1)
+
+  // The background holds most of the border but little of the middle of the photo
+  const borderTotal = clusters.reduce((sum, cluster) => sum + cluster.border, 0)
+  const centerTotal = clusters.reduce((sum, cluster) => sum + cluster.center, 0)
+  const background = clusters.reduce((most, cluster) => (cluster.border > most.border ? cluster : most))
+  if (
+    clusters.length > 1 &&
+    borderTotal > 0 &&
+    background.border / borderTotal > 0.5 &&
+    background.center / Math.max(centerTotal, 1) < 0.2
+  ) {
+    clusters = clusters.filter(cluster => cluster !== background)
+  }
+
+  const total = clusters.reduce((sum, cluster) => sum + cluster.count, 0)
+  return clusters
+    .map(cluster => {
+      const hex = rgbToHex(cluster.rgb)
+      return { hex, name: nearestColorName(hex), share: Math.round((cluster.count / total) * 100) / 100 }
+    })
+    .filter(swatch => swatch.share >= MIN_SHARE)
+    .sort((a, b) => b.share - a.share)
+    .slice(0, maxColors)
+}
+
+/**
+ * Extract palettes for every piece of an outfit
+ * A piece whose image can't be read (e.g. a remote image without CORS headers) is left out.
+ * @param {Object} sources - { top, topLayer, bottom, shoes, accessories } → File/Blob or URL
+ * @returns {Promise<Object>} { [category]: [{ hex, name, share }] }
+ */
+export async function extractOutfitPalette(sources) {
+  const palette = {}
+
+  // One image at a time: decoding several full-size photos at once is heavy on phones
+  for (const [category, source] of Object.entries(sources)) {
+    if (!source) continue
+    try {
+      const swatches = await extractPalette(source)
+      if (swatches.length > 0) palette[category] = swatches
+    } catch (error) {
+      console.warn(`⚠️ Could not extract ${category} colors:`, error.message)
+    }
+  }
+
+  console.log('🎨 Extracted palette:', palette)
+  return palette
+}
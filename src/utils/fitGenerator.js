@@ -0,0 +1,181 @@
+// src/utils/fitGenerator.js
+// Composes ranked outfit combinations from saved wardrobe items
+
+import { getSeasonPreset, FORMALITY_LEVELS } from './seasonPresets'
+
+// Cap per-category options so the combination count stays small
+const MAX_OPTIONS_PER_CATEGORY = 6
+const LAYER_SEASONS = ['Fall', 'Winter']
+
+const normalize = (value) => String(value || '').toLowerCase()
+
+/**
+ * Check whether any value in `values` overlaps with any keyword in `keywords`
+ * Uses substring matching so "dark olive" matches "olive"
+ */
+function countMatches(values = [], keywords = []) {
+  return values.filter(value =>
+    keywords.some(keyword => normalize(value).includes(normalize(keyword)))
+  ).length
+}
+
+/**
+ * Score a single wardrobe item against the requested context
+ * @param {Object} item - Wardrobe item
+ * @param {Object} context - { season, formality }
+ * @returns {number} Item score
+ */
+export function scoreItem(item, { season, formality }) {
+  const preset = getSeasonPreset(season)
+  const formalityExamples = FORMALITY_LEVELS[formality]?.examples || []
+  let score = 0
+
+  if (item.season === season) score += 2
+  if (item.formality === formality) score += 2
+  score += countMatches(item.colors, preset.recommendedColors)
+  score += 0.5 * countMatches(item.tags, preset.aesthetic)
+  score += 0.5 * countMatches(item.tags, formalityExamples)
+
+  return score
+}
+
+/**
+ * Generate ranked outfit candidates from the closet
+ * A candidate needs a top, bottom and shoes; top layer and accessories are optional
+ * @param {Array} items - Wardrobe items
+ * @param {Object} options
+ * @param {string} options.season - Season context
+ * @param {string} options.formality - Formality level
+ * @param {boolean} options.needsTopLayer - Weather-based layering advice; falls back to the season when omitted
+ * @param {number} options.limit - Maximum number of candidates to return
+ * @returns {Array<Object>} Candidates sorted best first: { top, topLayer, bottom, shoes, accessories, score }
+ */
+export function generateFitCandidates(items, { season, formality, needsTopLayer, limit = 20 }) {
+  const context = { season, formality }
+
+  const ranked = (category) => items
+    .filter(item => item.category === category)
+    .map(item => ({ item, score: scoreItem(item, context) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_OPTIONS_PER_CATEGORY)
+
+  const tops = ranked('top')
+  const bottoms = ranked('bottom')
+  const shoes = ranked('shoes')
+
+  if (tops.length === 0 || bottoms.length === 0 || shoes.length === 0) {
+    return []
+  }
+
+  const layers = [null, ...ranked('topLayer')]
+  const accessories = [null, ...ranked('accessories')]
+  const wantsLayer = needsTopLayer ?? LAYER_SEASONS.includes(season)
+  const avoidsLayer = needsTopLayer === false || season === 'Summer'
+  const candidates = []
+
+  for (const top of tops) {
+    for (const bottom of bottoms) {
+      for (const shoe of shoes) {
+        for (const layer of layers) {
+          for (const accessory of accessories) {
+            const picked = [top, bottom, shoe, layer, accessory].filter(Boolean)
+            let score = picked.reduce((sum, entry) => sum + entry.score, 0)
+
+            // Reward pieces that share style tags with each other
+            score += 0.25 * countSharedTags(picked.map(entry => entry.item))
+
+            // Layers belong in cold or wet weather, not summer
+            if (layer && wantsLayer) score += 1
+            else if (layer && avoidsLayer) score -= 1
+            else if (!layer && wantsLayer) score -= 1
+
+            candidates.push({
+              top: top.item,
+              topLayer: layer?.item || null,
+              bottom: bottom.item,
+              shoes: shoe.item,
+              accessories: accessory?.item || null,
+              score
+            })
+          }
+        }
+      }
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+/**
+ * Count tags that appear on more than one item
+ */
+function countSharedTags(items) {
+  const counts = {}
+  items.forEach(item => {
+    new Set((item.tags || []).map(normalize)).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1
+    })
+  })
+  return Object.values(counts).filter(count => count > 1).length
+}
+
+/**
+ * Build an analysis object (same shape as analyzeFit results) for a generated candidate
+ * @param {Object} candidate - Candidate from generateFitCandidates()
+ * @param {Object} context - { season, formality }
+ * @param {number} bestScore - Score of the top candidate, used to scale confidence
+ * @returns {Object} Analysis result for FitDisplay
+ */
+export function buildGeneratedAnalysis(candidate, { season, formality }, bestScore = candidate.score) {
+  const { top, topLayer, bottom, shoes, accessories } = candidate
+  const pieces = [top, topLayer, bottom, shoes, accessories].filter(Boolean)
+
+  const tagCounts = {}
+  pieces.forEach(item => (item.tags || []).forEach(tag => {
+    tagCounts[tag] = (tagCounts[tag] || 0) + 1
+  }))
+  const aesthetic = Object.entries(tagCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 4)
+    .map(([tag]) => tag)
+
+  const accessoriesList = accessories?.description
+    ? accessories.description.split(',').map(part => part.trim()).filter(Boolean)
+    : []
+
+  const descriptionParts = [top.description || 'top']
+  if (topLayer) descriptionParts.push(`with ${topLayer.description || 'a top layer'}`)
+  descriptionParts.push(bottom.description || 'bottoms', shoes.description || 'shoes')
+  if (accessoriesList.length > 0) {
+    descriptionParts.push(`accessorized with ${accessoriesList.join(', ')}`)
+  }
+
+  return {
+    top: top.description,
+    topLayer: topLayer?.description || null,
+    bottom: bottom.description,
+    shoes: shoes.description,
+    accessories: accessoriesList,
+    aesthetic,
+    colors: {
+      top: top.colors?.[0] || null,
+      topLayer: topLayer?.colors?.[0] || null,
+      bottom: bottom.colors?.[0] || null,
+      shoes: shoes.colors?.[0] || null,
+      accessories: accessories?.colors?.[0] || null
+    },
+    ai_description: `Generated from your closet: ${descriptionParts.join(', ')}`,
+    accessories_description: accessoriesList.length > 0
+      ? `Accessorized with ${accessoriesList.join(' and ')}`
+      : null,
+    accessories_tags: accessoriesList,
+    ai_image_url: null,
+    season,
+    formality,
+    confidence: bestScore > 0 ? Math.max(0.1, Math.min(1, candidate.score / bestScore)) : 0.5,
+    generated: true,
+    timestamp: new Date().toISOString()
+  }
+}
@@ -0,0 +1,286 @@
+// src/utils/fitScoring.js
+// Deterministic outfit scoring: color harmony, season fit and formality consistency
+// Every rule is explicit so the same outfit always gets the same score, and each sub-score
+// comes with a sentence explaining it. Colors come from the measured palette when there is one
+// (utils/colorExtraction.js) and from the analysis color names otherwise.
+
+import { SEASON_PRESETS, FORMALITY_LEVELS } from './seasonPresets'
+import { OUTFIT_CATEGORIES } from './outfitCategories'
+import { colorNameToHex, hexToRgb, rgbToLab } from '../../supabase/functions/_shared/colorNames.js'
+
+// Weights of the sub-scores in the overall score
+const WEIGHTS = { harmony: 0.4, season: 0.3, formality: 0.3 }
+
+// Colors that go with anything; fashion treats navy, denim, camel and metals as neutrals too
+const NEUTRAL_NAMES = [
+  'white', 'ivory', 'cream', 'beige', 'tan', 'camel', 'khaki', 'taupe', 'grey', 'gray',
+  'charcoal', 'black', 'brown', 'chocolate', 'navy', 'midnight blue', 'indigo', 'denim', 'wash',
+  'gold', 'silver', 'metals', 'metallic'
+]
+
+// Pieces that signal a formality level, on top of the examples in FORMALITY_LEVELS
+const FORMALITY_KEYWORDS = {
+  casual: ['jean', 'sneaker', 't-shirt', 'tee', 'hoodie', 'sweatshirt', 'shorts', 'cargo', 'tank', 'slides', 'sandal', 'crop top', 'graphic', 'beanie', 'bucket hat'],
+  'semi-formal': ['skirt', 'blouse', 'dress pants', 'trouser', 'loafer', 'chino', 'cardigan', 'silk', 'midi', 'heel', 'flats'],
+  'business-casual': ['slacks', 'button-up', 'button-down', 'blazer', 'dress shoe', 'oxford', 'trouser', 'turtleneck', 'overcoat', 'pleated', 'chelsea boot', 'peacoat'],
+  sports: ['activewear', 'athletic', 'performance', 'running', 'leggings', 'tights', 'track', 'gym', 'moisture-wicking', 'sports bra', 'trainer', 'yoga']
+}
+
+// Levels that sit next to each other on the casual → business scale; sports stands apart
+const FORMALITY_SCALE = ['casual', 'semi-formal', 'business-casual']
+
+const PIECE_LABELS = Object.fromEntries(
+  OUTFIT_CATEGORIES.map(({ key, label }) => [key, label.split(' ').slice(1).join(' ').toLowerCase()])
+)
+
+const clamp = (value) => Math.min(100, Math.max(0, Math.round(value)))
+
+/**
+ * Convert [r, g, b] to { hue (0–360), saturation, lightness (0–1) }
+ */
+function rgbToHsl([r, g, b]) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255]
+  const max = Math.max(rn, gn, bn)
+  const min = Math.min(rn, gn, bn)
+  const lightness = (max + min) / 2
+  const delta = max - min
+  if (delta === 0) return { hue: 0, saturation: 0, lightness }
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1))
+  let hue
+  if (max === rn) hue = ((gn - bn) / delta) % 6
+  else if (max === gn) hue = (bn - rn) / delta + 2
+  else hue = (rn - gn) / delta + 4
+
+  return { hue: (hue * 60 + 360) % 360, saturation, lightness }
+}
+
+/**
+ * One main color per piece
+ * @returns {Array<Object>} [{ piece, name, hex, neutral, hsl }]
+ */
+function getOutfitColors(analysis) {
+  return OUTFIT_CATEGORIES
+    .map(({ key }) => {
+      const measured = analysis.palette?.[key]?.[0]
+      const name = measured?.name || analysis.colors?.[key]
+      const hex = measured?.hex || colorNameToHex(name)
+      if (!hex) return null
+
+      const hsl = rgbToHsl(hexToRgb(hex))
+      const lowerName = String(name).toLowerCase()
+      // "tan leather" and "light grey" count, "tangerine" doesn't
+      const neutral = NEUTRAL_NAMES.includes(lowerName) ||
+        lowerName.split(/[\s-]+/).some(word => NEUTRAL_NAMES.includes(word)) ||
+        hsl.saturation < 0.15 || hsl.lightness < 0.12 || hsl.lightness > 0.92
+      return { piece: key, name: lowerName, hex, neutral, hsl }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Rate two accent colors by the angle between their hues
+ * @returns {Object} { score, relation }
+ */
+function rateHuePair(a, b) {
+  const difference = Math.abs(a.hsl.hue - b.hsl.hue)
+  const angle = Math.min(difference, 360 - difference)
+
+  if (angle <= 15) return { score: 92, relation: 'tonal' }
+  if (angle <= 45) return { score: 90, relation: 'analogous' }
+  if (angle >= 150) return { score: 85, relation: 'complementary' }
+  if (angle >= 105 && angle <= 135) return { score: 75, relation: 'triadic' }
+  return { score: 50, relation: 'clashing' }
+}
+
+/**
+ * Score how well the outfit's colors go together
+ * @param {Array<Object>} colors - From getOutfitColors()
+ * @returns {Object} { score, explanation }
+ */
+export function scoreColorHarmony(colors) {
+  if (colors.length === 0) {
+    return { score: null, explanation: 'No colors to compare yet.' }
+  }
+
+  const accents = colors.filter(color => color.neutral === false)
+  const uniqueAccents = [...new Map(accents.map(color => [color.name, color])).values()]
+
+  if (uniqueAccents.length === 0) {
+    return { score: 85, explanation: 'All neutrals — a cohesive base that is hard to get wrong.' }
+  }
+  if (uniqueAccents.length === 1) {
+    return {
+      score: 95,
+      explanation: `A single accent (${uniqueAccents[0].name}) against ${colors.length > 1 ? 'neutrals' : 'nothing else'} keeps the look focused.`
+    }
+  }
+
+  const pairs = []
+  for (let i = 0; i < uniqueAccents.length; i++) {
+    for (let j = i + 1; j < uniqueAccents.length; j++) {
+      pairs.push({ a: uniqueAccents[i], b: uniqueAccents[j], ...rateHuePair(uniqueAccents[i], uniqueAccents[j]) })
+    }
+  }
+
+  // More than three accents reads busy even when each pair works
+  const busyPenalty = Math.max(0, uniqueAccents.length - 3) * 10
+  const score = clamp(pairs.reduce((sum, pair) => sum + pair.score, 0) / pairs.length - busyPenalty)
+
+  const clash = pairs.find(pair => pair.relation === 'clashing')
+  const best = [...pairs].sort((x, y) => y.score - x.score)[0]
+  let explanation = clash
+    ? `${capitalize(clash.a.name)} and ${clash.b.name} sit awkwardly apart on the color wheel.`
+    : `${capitalize(best.a.name)} and ${best.b.name} are ${best.relation} colors, which pair well.`
+  if (busyPenalty > 0) {
+    explanation += ` ${uniqueAccents.length} accent colors make it busy.`
+  }
+
+  return { score, explanation }
+}
+
+/**
+ * Score the outfit's colors and aesthetic against the season's preset
+ * @param {Array<Object>} colors - From getOutfitColors()
+ * @param {Array<string>} aesthetic - Style tags from the analysis
+ * @param {string} season - Season to score against
+ * @returns {Object} { score, explanation }
+ */
+export function scoreSeasonFit(colors, aesthetic, season) {
+  const preset = SEASON_PRESETS[season]
+  if (!preset) {
+    return { score: null, explanation: 'No season selected.' }
+  }
+  if (colors.length === 0) {
+    return { score: null, explanation: `No colors to compare with ${season}'s palette yet.` }
+  }
+
+  const seasonLabs = preset.recommendedColors
+    .map(name => colorNameToHex(name))
+    .filter(Boolean)
+    .map(hex => rgbToLab(hexToRgb(hex)))
+
+  // Closeness to the nearest recommended color; neutrals work in any season
+  const fits = colors.map(color => {
+    const lab = rgbToLab(hexToRgb(color.hex))
+    const nearest = Math.min(...seasonLabs.map(target => Math.hypot(lab[0] - target[0], lab[1] - target[1], lab[2] - target[2])))
+    const closeness = Math.max(0, 1 - nearest / 60)
+    return { color, fit: color.neutral ? Math.max(closeness, 0.75) : closeness }
+  })
+
+  const tagMatches = (aesthetic || []).filter(tag =>
+    preset.aesthetic.some(keyword => tag.toLowerCase().includes(keyword))
+  )
+  const score = clamp((fits.reduce((sum, entry) => sum + entry.fit, 0) / fits.length) * 100 + Math.min(tagMatches.length * 5, 10))
+
+  const onPalette = fits.filter(entry => !entry.color.neutral && entry.fit >= 0.6).map(entry => entry.color.name)
+  const offPalette = fits.filter(entry => entry.fit < 0.4).map(entry => entry.color.name)
+  const parts = []
+  if (onPalette.length > 0) {
+    parts.push(`${capitalize(listNames(onPalette))} ${onPalette.length === 1 ? 'fits' : 'fit'} ${season}'s palette.`)
+  }
+  if (offPalette.length > 0) {
+    parts.push(`${capitalize(listNames(offPalette))} ${offPalette.length === 1 ? 'is' : 'are'} off-palette for ${season} (${preset.recommendedColors.slice(0, 3).join(', ')}).`)
+  }
+  if (parts.length === 0) {
+    parts.push(`Mostly neutral colors, which work in ${season}.`)
+  }
+  if (tagMatches.length > 0) {
+    parts.push(`The ${listNames(tagMatches)} style suits the season.`)
+  }
+
+  return { score, explanation: parts.join(' ') }
+}
+
+/**
+ * Find the formality levels a piece description points to
+ */
+function matchFormalityLevels(description) {
+  const text = description.toLowerCase()
+  return Object.keys(FORMALITY_LEVELS).filter(level => {
+    const keywords = [...(FORMALITY_KEYWORDS[level] || []), ...FORMALITY_LEVELS[level].examples]
+    return keywords.some(keyword => text.includes(keyword))
+  })
+}
+
+/**
+ * Score how consistently the pieces match the formality level
+ * @param {Object} analysis - Analysis with piece descriptions
+ * @param {string} formality - Formality level to score against
+ * @returns {Object} { score, explanation }
+ */
+export function scoreFormality(analysis, formality) {
+  const level = FORMALITY_LEVELS[formality]
+  if (!level) {
+    return { score: null, explanation: 'No formality level selected.' }
+  }
+
+  const pieces = ['top', 'topLayer', 'bottom', 'shoes']
+    .filter(key => analysis[key])
+    .map(key => ({ key, description: analysis[key], levels: matchFormalityLevels(analysis[key]) }))
+  if (pieces.length === 0) {
+    return { score: null, explanation: 'No pieces described yet.' }
+  }
+
+  const targetIndex = FORMALITY_SCALE.indexOf(formality)
+  const rated = pieces.map(piece => {
+    if (piece.levels.length === 0 || piece.levels.includes(formality)) {
+      // Pieces no rule recognizes get the benefit of the doubt
+      return { ...piece, fit: piece.levels.length === 0 ? 0.8 : 1 }
+    }
+    // A neighbouring level on the casual → business scale is a smaller miss than sportswear at the office
+    const near = piece.levels.some(other => {
+      const index = FORMALITY_SCALE.indexOf(other)
+      return targetIndex !== -1 && index !== -1 && Math.abs(index - targetIndex) === 1
+    })
+    return { ...piece, fit: near ? 0.5 : 0.2 }
+  })
+
+  const score = clamp((rated.reduce((sum, piece) => sum + piece.fit, 0) / rated.length) * 100)
+  const misses = rated.filter(piece => piece.fit < 0.8)
+
+  const explanation = misses.length === 0
+    ? `Every piece reads ${level.label.toLowerCase()}.`
+    : misses
+      .map(piece => `The ${piece.description} (${PIECE_LABELS[piece.key]}) reads ${FORMALITY_LEVELS[piece.levels[0]].label.toLowerCase()}, not ${level.label.toLowerCase()}.`)
+      .join(' ')
+
+  return { score, explanation }
+}
+
+/**
+ * Score an outfit
+ * @param {Object} analysis - Analysis result (pieces, colors, palette, aesthetic)
+ * @param {Object} context - { season, formality } to score against; defaults to the analysis' own
+ * @returns {Object} { overall, harmony, season, formality } - sub-scores are { score (0–100 or null), explanation }
+ */
+export function scoreOutfit(analysis, context = {}) {
+  const season = context.season || analysis.season
+  const formality = context.formality || analysis.formality
+  const colors = getOutfitColors(analysis)
+
+  const scores = {
+    harmony: scoreColorHarmony(colors),
+    season: scoreSeasonFit(colors, analysis.aesthetic, season),
+    formality: scoreFormality(analysis, formality)
+  }
+
+  // Sub-scores without data don't count towards the overall score
+  const rated = Object.entries(scores).filter(([, entry]) => entry.score !== null)
+  const totalWeight = rated.reduce((sum, [key]) => sum + WEIGHTS[key], 0)
+  const overall = totalWeight > 0
+    ? clamp(rated.reduce((sum, [key, entry]) => sum + entry.score * WEIGHTS[key], 0) / totalWeight)
+    : null
+
+  return { overall, ...scores }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+function listNames(names) {
+  const unique = [...new Set(names)]
+  if (unique.length <= 1) return unique.join('')
+  return `${unique.slice(0, -1).join(', ')} and ${unique[unique.length - 1]}`
+}
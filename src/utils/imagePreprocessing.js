@@ -0,0 +1,250 @@
+// src/utils/imagePreprocessing.js
+// Shrinks photos in the browser before they are uploaded or analyzed
+// Full-resolution phone photos are downscaled, rotated upright from their EXIF orientation and
+// re-encoded (WebP, JPEG where WebP encoding isn't supported). Drawing onto a canvas drops all
+// metadata, so GPS coordinates never leave the device: the original is only kept when it is known
+// to carry none, and photos the browser can't decode are refused.
+
+// Longest side of a processed image; plenty for analysis and the fit display
+export const MAX_DIMENSION = 1600
+// Processed images are re-encoded at lower quality until they fit
+export const TARGET_BYTES = 1024 * 1024
+// Larger files are refused before decoding so a huge image can't exhaust memory
+export const MAX_INPUT_BYTES = 40 * 1024 * 1024
+
+const QUALITY_STEPS = [0.85, 0.75, 0.65, 0.55]
+
+// Animated and vector images would lose what makes them what they are
+const PASSTHROUGH_TYPES = ['image/gif', 'image/svg+xml']
+
+/**
+ * Thrown for a photo the browser can't decode; it is refused rather than uploaded with its metadata
+ */
+export class UnsupportedImageError extends Error {
+  constructor(file, cause) {
+    super(`${file.name} can't be read by this browser. Try a JPEG, PNG or WebP photo (on iPhone: Settings → Camera → Formats → Most Compatible).`)
+    this.name = 'UnsupportedImageError'
+    this.cause = cause
+  }
+}
+
+// JPEG segments that don't describe the photo or its owner: JFIF header, Adobe color transform
+const JPEG_SAFE_APP_MARKERS = [0xFFE0, 0xFFEE]
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP ']
+
+const fourCC = (view, offset) => String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset, 4))
+
+/**
+ * Read the EXIF orientation and what metadata a photo carries
+ * hasMetadata is only false when the file was fully understood and nothing was found, so
+ * formats this can't read (HEIC, AVIF, ...) always count as carrying metadata.
+ * @param {Blob} file - Image file
+ * @returns {Promise<Object>} { orientation (1–8), hasLocation, hasMetadata }
+ */
+export async function readImageMetadata(file) {
+  const info = { orientation: 1, hasLocation: false, hasMetadata: true }
+  if (file.type === 'image/jpeg') return readJpegMetadata(file, info)
+  if (file.type === 'image/png') return readPngMetadata(new DataView(await file.arrayBuffer()), info)
+  if (file.type === 'image/webp') return readWebpMetadata(new DataView(await file.arrayBuffer()), info)
+  return info
+}
+
+async function readJpegMetadata(file, info) {
+  // Metadata segments come before the image data; anything after the end marker (maker trailers,
+  // extra pictures with their own EXIF) counts as metadata
+  const view = new DataView(await file.slice(0, 256 * 1024).arrayBuffer())
+  const end = new DataView(await file.slice(-2).arrayBuffer())
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return info
+
+  let found = end.byteLength !== 2 || end.getUint16(0) !== 0xFFD9
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    const length = view.getUint16(offset + 2)
+    if ((marker & 0xFF00) !== 0xFF00) return info
+    if (marker === 0xFFDA) return { ...info, hasMetadata: found }
+
+    // APP1..APP15 (EXIF, XMP, ICC, IPTC, maker data) and comments, except the harmless ones
+    const isApp = marker >= 0xFFE1 && marker <= 0xFFEF
+    if ((isApp || marker === 0xFFFE) && !JPEG_SAFE_APP_MARKERS.includes(marker)) found = true
+    // "Exif\0\0"
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      readTiff(view, offset + 10, info)
+    }
+    offset += 2 + length
+  }
+  // Ran out of header before the image data: can't tell
+  return info
+}
+
+function readPngMetadata(view, info) {
+  if (view.byteLength < 8 || view.getUint32(0) !== 0x89504E47) return info
+
+  let found = false
+  let offset = 8
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset)
+    const type = fourCC(view, offset + 4)
+    if (PNG_METADATA_CHUNKS.includes(type)) found = true
+    if (type === 'eXIf') readTiff(view, offset + 8, info)
+    if (type === 'IEND') return { ...info, hasMetadata: found }
+    offset += 12 + length
+  }
+  return info
+}
+
+function readWebpMetadata(view, info) {
+  if (view.byteLength < 12 || fourCC(view, 0) !== 'RIFF' || fourCC(view, 8) !== 'WEBP') return info
+
+  let found = false
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    const type = fourCC(view, offset)
+    const length = view.getUint32(offset + 4, true)
+    if (WEBP_METADATA_CHUNKS.includes(type)) found = true
+    if (type === 'EXIF') {
+      // Some encoders keep the JPEG "Exif\0\0" prefix
+      const start = offset + 8 + (offset + 12 <= view.byteLength && view.getUint32(offset + 8) === 0x45786966 ? 6 : 0)
+      readTiff(view, start, info)
+    }
+    // Chunks are padded to an even length
+    offset += 8 + length + (length % 2)
+  }
+  return offset === view.byteLength ? { ...info, hasMetadata: found } : info
+}
+
+/**
+ * Read the orientation and GPS pointer from the first IFD of an EXIF TIFF header
+ */
+function readTiff(view, start, info) {
+  if (start + 8 > view.byteLength) return info
+  const little = view.getUint16(start) === 0x4949
+  const ifd = start + view.getUint32(start + 4, little)
+  if (ifd + 2 > view.byteLength) return info
+
+  const entries = view.getUint16(ifd, little)
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+    const tag = view.getUint16(entry, little)
+    if (tag === 0x0112) info.orientation = view.getUint16(entry + 8, little)
+    if (tag === 0x8825) info.hasLocation = true
+  }
+  return info
+}
+
+/**
+ * Encode a canvas to a Blob
+ */
+function encodeCanvas(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality })
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality)
+  })
+}
+
+/**
+ * Rename a file for its new type ("IMG_1234.HEIC" → "IMG_1234.webp")
+ */
+function renameForType(name, type) {
+  const extension = type === 'image/webp' ? 'webp' : 'jpg'
+  const base = name.replace(/\.[^.]+$/, '') || 'image'
+  return `${base}.${extension}`
+}
+
+/**
+ * Downscale, orient and re-encode a photo, stripping its metadata
+ * @param {File} file - Selected image
+ * @param {Object} options - { maxDimension, targetBytes }
+ * @returns {Promise<Object>} { file, originalSize, size, width, height, originalWidth, originalHeight, locationRemoved, processed }
+ * @throws {UnsupportedImageError} When the browser can't decode the image
+ */
+export async function preprocessImage(file, { maxDimension = MAX_DIMENSION, targetBytes = TARGET_BYTES } = {}) {
+  const unchanged = {
+    file,
+    originalSize: file.size,
+    size: file.size,
+    width: null,
+    height: null,
+    originalWidth: null,
+    originalHeight: null,
+    locationRemoved: false,
+    processed: false
+  }
+  if (PASSTHROUGH_TYPES.includes(file.type)) return unchanged
+
+  const metadata = await readImageMetadata(file).catch(() => ({ orientation: 1, hasLocation: false, hasMetadata: true }))
+
+  let bitmap
+  try {
+    // from-image applies the EXIF orientation while decoding
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch (decodeError) {
+    console.warn(`⚠️ Could not decode ${file.name}:`, decodeError.message)
+    throw new UnsupportedImageError(file, decodeError)
+  }
+
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height))
+  const width = Math.round(bitmap.width * scale)
+  const height = Math.round(bitmap.height * scale)
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height })
+  const context = canvas.getContext('2d')
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(bitmap, 0, 0, width, height)
+  const originalWidth = bitmap.width
+  const originalHeight = bitmap.height
+  bitmap.close()
+
+  let type = 'image/webp'
+  let blob = null
+  for (const quality of QUALITY_STEPS) {
+    blob = await encodeCanvas(canvas, type, quality)
+
+    // Browsers without a WebP encoder hand back PNG; use JPEG on a white background instead
+    if (blob.type !== type) {
+      type = 'image/jpeg'
+      context.globalCompositeOperation = 'destination-over'
+      context.fillStyle = '#FFFFFF'
+      context.fillRect(0, 0, width, height)
+      context.globalCompositeOperation = 'source-over'
+      blob = await encodeCanvas(canvas, type, quality)
+    }
+    if (blob.size <= targetBytes) break
+  }
+
+  // A small, upright original known to carry no metadata is already as good as it gets
+  const needsProcessing = scale < 1 || metadata.orientation !== 1 || metadata.hasMetadata
+  if (!needsProcessing && blob.size >= file.size) {
+    return { ...unchanged, width: originalWidth, height: originalHeight, originalWidth, originalHeight }
+  }
+
+  const processed = new File([blob], renameForType(file.name, type), { type, lastModified: file.lastModified })
+  console.log(`🗜️ ${file.name}: ${formatBytes(file.size)} → ${formatBytes(processed.size)} (${width}×${height})`)
+
+  return {
+    file: processed,
+    originalSize: file.size,
+    size: processed.size,
+    width,
+    height,
+    originalWidth,
+    originalHeight,
+    locationRemoved: metadata.hasLocation,
+    processed: true
+  }
+}
+
+/**
+ * Format a byte count for display ("4.2 MB", "310 KB")
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${bytes} B`
+}
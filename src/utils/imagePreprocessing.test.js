@@ -0,0 +1,150 @@
+// src/utils/imagePreprocessing.test.js
+// Metadata detection for JPEG, PNG and WebP, and when preprocessImage keeps, re-encodes or refuses a photo
+
+// jsdom's Blob has no arrayBuffer(); Node's File behaves like the browser's
+import { File } from 'node:buffer'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { preprocessImage, readImageMetadata, UnsupportedImageError } from './imagePreprocessing'
+
+const ascii = text => [...text].map(char => char.charCodeAt(0))
+const u16 = value => [value >> 8, value & 0xFF]
+const u32 = value => [value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]
+const u32le = value => u32(value).reverse()
+
+// Big-endian TIFF header with a single IFD holding the given 12-byte entries
+function tiff(entries) {
+  return [...ascii('MM'), 0, 42, ...u32(8), ...u16(entries.length), ...entries.flat(), ...u32(0)]
+}
+const ORIENTATION = value => [...u16(0x0112), ...u16(3), ...u32(1), ...u16(value), 0, 0]
+const GPS_POINTER = [...u16(0x8825), ...u16(4), ...u32(1), ...u32(0)]
+
+function jpeg(segments = [], { trailer = [] } = {}) {
+  const segment = (marker, payload) => [...u16(marker), ...u16(payload.length + 2), ...payload]
+  const jfif = segment(0xFFE0, [...ascii('JFIF'), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0])
+  const body = [...segment(0xFFDA, [1, 1, 0, 0, 63, 0]), 0x12, 0x34, ...u16(0xFFD9), ...trailer]
+  const bytes = [...u16(0xFFD8), ...jfif, ...segments.flatMap(([marker, payload]) => segment(marker, payload)), ...body]
+  return new File([new Uint8Array(bytes)], 'photo.jpg', { type: 'image/jpeg' })
+}
+const exif = entries => [0xFFE1, [...ascii('Exif'), 0, 0, ...tiff(entries)]]
+
+function png(chunks = []) {
+  const chunk = (type, data) => [...u32(data.length), ...ascii(type), ...data, 0, 0, 0, 0]
+  const bytes = [
+    0x89, ...ascii('PNG'), 0x0D, 0x0A, 0x1A, 0x0A,
+    ...chunk('IHDR', new Array(13).fill(0)),
+    ...chunks.flatMap(([type, data]) => chunk(type, data)),
+    ...chunk('IDAT', [1, 2, 3]),
+    ...chunk('IEND', [])
+  ]
+  return new File([new Uint8Array(bytes)], 'photo.png', { type: 'image/png' })
+}
+
+function webp(chunks = []) {
+  const body = [['VP8 ', [1, 2, 3]], ...chunks].flatMap(([type, data]) => [
+    ...ascii(type), ...u32le(data.length), ...data, ...(data.length % 2 ? [0] : [])
+  ])
+  const bytes = [...ascii('RIFF'), ...u32le(body.length + 4), ...ascii('WEBP'), ...body]
+  return new File([new Uint8Array(bytes)], 'photo.webp', { type: 'image/webp' })
+}
+
+// Stand-ins for the browser's decoder and canvas; every encode produces a blob of encodedSize bytes
+function stubCanvas({ width = 800, height = 600, encodedSize = 10_000 } = {}) {
+  vi.stubGlobal('createImageBitmap', vi.fn(async () => ({ width, height, close: vi.fn() })))
+  vi.stubGlobal('OffscreenCanvas', class {
+    constructor(canvasWidth, canvasHeight) {
+      Object.assign(this, { width: canvasWidth, height: canvasHeight })
+    }
+
+    getContext() {
+      return { drawImage: vi.fn(), fillRect: vi.fn() }
+    }
+
+    async convertToBlob({ type }) {
+      return new Blob([new Uint8Array(encodedSize)], { type })
+    }
+  })
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('readImageMetadata', () => {
+  it('finds nothing in a JPEG with only a JFIF header', async () => {
+    expect(await readImageMetadata(jpeg())).toEqual({ orientation: 1, hasLocation: false, hasMetadata: false })
+  })
+
+  it('reads orientation and GPS from a JPEG EXIF segment', async () => {
+    const metadata = await readImageMetadata(jpeg([exif([ORIENTATION(6), GPS_POINTER])]))
+    expect(metadata).toEqual({ orientation: 6, hasLocation: true, hasMetadata: true })
+  })
+
+  it('counts JPEG comments and data after the end marker as metadata', async () => {
+    expect((await readImageMetadata(jpeg([[0xFFFE, ascii('hello')]]))).hasMetadata).toBe(true)
+    expect((await readImageMetadata(jpeg([], { trailer: [0xFF, 0xD8, 0xFF, 0xE1] }))).hasMetadata).toBe(true)
+  })
+
+  it('reads GPS from a PNG eXIf chunk and counts text chunks as metadata', async () => {
+    expect(await readImageMetadata(png())).toEqual({ orientation: 1, hasLocation: false, hasMetadata: false })
+    expect(await readImageMetadata(png([['eXIf', tiff([GPS_POINTER])]])))
+      .toEqual({ orientation: 1, hasLocation: true, hasMetadata: true })
+    expect((await readImageMetadata(png([['tEXt', ascii('Author\0me')]]))).hasMetadata).toBe(true)
+  })
+
+  it('reads GPS from a WebP EXIF chunk, with or without the Exif prefix', async () => {
+    expect(await readImageMetadata(webp())).toEqual({ orientation: 1, hasLocation: false, hasMetadata: false })
+    expect((await readImageMetadata(webp([['EXIF', tiff([GPS_POINTER])]]))).hasLocation).toBe(true)
+    expect((await readImageMetadata(webp([['EXIF', [...ascii('Exif'), 0, 0, ...tiff([GPS_POINTER])]]]))).hasLocation).toBe(true)
+    expect((await readImageMetadata(webp([['XMP ', ascii('<x/>')]]))).hasMetadata).toBe(true)
+  })
+
+  it('assumes formats it cannot read carry metadata', async () => {
+    const heic = new File([new Uint8Array(16)], 'IMG_0001.HEIC', { type: 'image/heic' })
+    expect((await readImageMetadata(heic)).hasMetadata).toBe(true)
+    const truncated = new File([new Uint8Array([0x89, ...ascii('PNG')])], 'cut.png', { type: 'image/png' })
+    expect((await readImageMetadata(truncated)).hasMetadata).toBe(true)
+  })
+})
+
+describe('preprocessImage', () => {
+  it('refuses a photo the browser cannot decode instead of uploading it as is', async () => {
+    vi.stubGlobal('createImageBitmap', vi.fn(async () => { throw new Error('unsupported') }))
+    const heic = new File([new Uint8Array(16)], 'IMG_0001.HEIC', { type: 'image/heic' })
+
+    await expect(preprocessImage(heic)).rejects.toBeInstanceOf(UnsupportedImageError)
+  })
+
+  it('re-encodes a photo with metadata even when the result is larger', async () => {
+    stubCanvas({ encodedSize: 10_000 })
+    const result = await preprocessImage(png([['tEXt', ascii('GPS\0somewhere')]]))
+
+    expect(result.processed).toBe(true)
+    expect(result.file.type).toBe('image/webp')
+    expect(result.file.name).toBe('photo.webp')
+  })
+
+  it('re-encodes a HEIC it can decode, flagging removed location only when it was seen', async () => {
+    stubCanvas({ encodedSize: 10_000 })
+    const heic = new File([new Uint8Array(16)], 'IMG_0001.HEIC', { type: 'image/heic' })
+    const result = await preprocessImage(heic)
+
+    expect(result.processed).toBe(true)
+    expect(result.locationRemoved).toBe(false)
+  })
+
+  it('reports removed location for a JPEG with GPS data', async () => {
+    stubCanvas({ encodedSize: 10 })
+    const result = await preprocessImage(jpeg([exif([GPS_POINTER])]))
+
+    expect(result).toMatchObject({ processed: true, locationRemoved: true })
+  })
+
+  it('keeps a small metadata-free original when re-encoding would not shrink it', async () => {
+    stubCanvas({ encodedSize: 10_000 })
+    const original = png()
+    const result = await preprocessImage(original)
+
+    expect(result.processed).toBe(false)
+    expect(result.file).toBe(original)
+  })
+})
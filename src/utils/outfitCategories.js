@@ -0,0 +1,63 @@
+// src/utils/outfitCategories.js
+// Outfit slot definitions shared by the upload page, closet and API wrappers
+
+export const OUTFIT_CATEGORIES = [
+  {
+    key: 'top',
+    label: '👕 Top',
+    description: 'T-shirt, blouse, sweater',
+    urlField: 'top_url',
+    itemField: 'top_item_id',
+    optional: false
+  },
+  {
+    key: 'topLayer',
+    label: '🧥 Top Layer',
+    description: 'Jacket, coat, cardigan',
+    urlField: 'top_layer_url',
+    itemField: 'top_layer_item_id',
+    optional: true
+  },
+  {
+    key: 'bottom',
+    label: '👖 Bottom',
+    description: 'Pants, skirt, shorts',
+    urlField: 'bottom_url',
+    itemField: 'bottom_item_id',
+    optional: false
+  },
+  {
+    key: 'shoes',
+    label: '👟 Shoes',
+    description: 'Sneakers, boots, sandals',
+    urlField: 'shoes_url',
+    itemField: 'shoes_item_id',
+    optional: false
+  },
+  {
+    key: 'accessories',
+    label: '✨ Accessories',
+    description: 'Jewelry, bags, hats, etc.',
+    urlField: 'accessories_url',
+    itemField: 'accessories_item_id',
+    optional: true
+  }
+]
+
+/**
+ * Get category definition by key
+ * @param {string} key - Category key (top, topLayer, bottom, shoes, accessories)
+ * @returns {object|undefined} Category definition
+ */
+export function getCategory(key) {
+  return OUTFIT_CATEGORIES.find(category => category.key === key)
+}
+
+/**
+ * Build an object with one entry per category
+ * @param {*} value - Initial value for every category
+ * @returns {object} e.g. { top: null, topLayer: null, ... }
+ */
+export function createCategoryMap(value = null) {
+  return Object.fromEntries(OUTFIT_CATEGORIES.map(category => [category.key, value]))
+}
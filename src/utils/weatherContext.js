@@ -0,0 +1,56 @@
+// src/utils/weatherContext.js
+// Turns raw weather conditions into outfit context (effective season, layering advice)
+
+// Below this temperature (°C) a top layer is recommended
+const LAYER_TEMPERATURE_C = 16
+// Rain or wind above these thresholds also calls for a layer
+const LAYER_PRECIPITATION_MM = 0.5
+const LAYER_WIND_KPH = 30
+
+/**
+ * Map a temperature to the season whose presets fit it best
+ * @param {number} temperatureC - Temperature in °C
+ * @returns {string} Season name
+ */
+export function getSeasonForTemperature(temperatureC) {
+  if (temperatureC >= 24) return 'Summer'
+  if (temperatureC >= 15) return 'Spring'
+  if (temperatureC >= 5) return 'Fall'
+  return 'Winter'
+}
+
+/**
+ * Derive outfit context from weather conditions
+ * @param {Object} conditions - { temperatureC, precipitationMm, windKph, location }
+ * @returns {Object|null} { effectiveSeason, needsTopLayer, summary, suggestion }
+ */
+export function getWeatherContext(conditions) {
+  if (!conditions) return null
+
+  const { temperatureC, precipitationMm = 0, windKph = 0 } = conditions
+  const isWet = precipitationMm > LAYER_PRECIPITATION_MM
+  const isWindy = windKph > LAYER_WIND_KPH
+  const isCold = temperatureC < LAYER_TEMPERATURE_C
+  const needsTopLayer = isCold || isWet || isWindy
+
+  const reasons = []
+  if (isCold) reasons.push('it is cool out')
+  if (isWet) reasons.push('rain is expected')
+  if (isWindy) reasons.push('it is windy')
+
+  const summary = [
+    `${Math.round(temperatureC)}°C`,
+    precipitationMm > 0 ? `${precipitationMm} mm rain` : 'no rain',
+    `wind ${Math.round(windKph)} km/h`
+  ].join(' · ')
+
+  return {
+    effectiveSeason: getSeasonForTemperature(temperatureC),
+    needsTopLayer,
+    isWet,
+    summary,
+    suggestion: needsTopLayer
+      ? `Add a top layer — ${reasons.join(' and ')}`
+      : 'No top layer needed'
+  }
+}
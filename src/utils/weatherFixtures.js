@@ -0,0 +1,37 @@
+// src/utils/weatherFixtures.js
+// Bundled weather readings for offline use, demos and tests
+
+export const WEATHER_FIXTURES = {
+  'warm-october': {
+    location: 'Austin, TX',
+    temperatureC: 27,
+    precipitationMm: 0,
+    windKph: 9
+  },
+  'cold-rain': {
+    location: 'Seattle, WA',
+    temperatureC: 7,
+    precipitationMm: 4.2,
+    windKph: 18
+  },
+  'hot-summer': {
+    location: 'Phoenix, AZ',
+    temperatureC: 38,
+    precipitationMm: 0,
+    windKph: 6
+  },
+  'mild-breezy': {
+    location: 'San Francisco, CA',
+    temperatureC: 16,
+    precipitationMm: 0,
+    windKph: 32
+  },
+  'winter-snow': {
+    location: 'Chicago, IL',
+    temperatureC: -4,
+    precipitationMm: 2.5,
+    windKph: 24
+  }
+}
+
+export const DEFAULT_WEATHER_FIXTURE = 'mild-breezy'
@@ -0,0 +1,405 @@
+// Shared helper: AI providers for outfit analysis
+// Every provider takes the same request and returns an analysis validated by analysisSchema.js, so the
+// model behind analyze-fit can be switched through env config without touching the client:
+//   AI_PROVIDER      gemini (default) | openai | mock
+//   AI_MODEL         Model name override for gemini/openai
+//   GOOGLE_API_KEY   Gemini API key
+//   OPENAI_API_KEY   Key for the OpenAI-compatible endpoint (optional for local servers)
+//   OPENAI_BASE_URL  OpenAI-compatible base URL (default https://api.openai.com/v1)
+//   AI_JSON_MODE     "off" for endpoints that reject JSON-mode / structured-output requests
+//   AI_MOCK_SCENARIO Curated scenario for the mock provider (key of MOCK_SCENARIOS)
+//   AI_MOCK_SEED     Fixed seed for the mock provider (default: derived from the request)
+
+import { GoogleGenerativeAI } from '@google/generative-ai'
+import { generateMockAnalysis } from './mockAnalysis.js'
+import { readCompleteFields } from './partialJson.js'
+import {
+  validateAnalysis,
+  parseAnalysisText,
+  AnalysisValidationError,
+  ANALYSIS_RESPONSE_SCHEMA,
+  ANALYSIS_SEASONS,
+  ANALYSIS_FORMALITIES,
+  PARTIAL_ANALYSIS_FIELDS,
+  isPartialAnalysisValue
+} from './analysisSchema.js'
+
+export const AI_PROVIDERS = ['gemini', 'openai', 'mock']
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini'
+}
+
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1'
+
+// A malformed answer is sent back to the model with what was wrong, this many times in total
+const MAX_ATTEMPTS = 3
+
+// Part of the analysis cache key (see analyze-fit); bump whenever buildAnalysisPrompt or the
+// analysis schema changes so cached answers to the old prompt are no longer served
+export const PROMPT_VERSION = 1
+
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ProviderConfigError'
+  }
+}
+
+/**
+ * Build the analysis prompt shared by all model providers
+ * @param {Object} request - { images: [{ key, label, url }], season, formality, weather, palette }
+ * @param {string} [feedback] - Why the previous answer was rejected
+ * @returns {string} Prompt text
+ */
+export function buildAnalysisPrompt({ images, season, formality, weather, palette }, feedback = null) {
+  // Describe real conditions so the model can judge layering, not just the calendar season
+  const weatherLine = weather
+    ? `- Current weather${weather.location ? ` in ${weather.location}` : ''}: ${weather.temperatureC}°C, ${weather.precipitationMm || 0} mm precipitation, wind ${weather.windKph || 0} km/h (${weather.needsTopLayer ? 'a top layer is recommended' : 'no top layer needed'})`
+    : '- Current weather: not provided'
+
+  // Colors measured from the photos; more reliable than judging color from a compressed image
+  const paletteLines = images
+    .filter(image => palette?.[image.key]?.length > 0)
+    .map(image => `  - ${image.label}: ${palette[image.key].map(swatch => `${swatch.name} (${swatch.hex})`).join(', ')}`)
+  const paletteLine = paletteLines.length > 0
+    ? `- Measured dominant colors (most to least):\n${paletteLines.join('\n')}`
+    : '- Measured dominant colors: not provided'
+
+  return `You are a fashion AI assistant analyzing outfit images for the Fire Fit app.
+
+Context:
+- Season: ${season || 'not specified'}
+- Formality: ${formality || 'casual'}
+${weatherLine}
+${paletteLine}
+- Images provided: ${images.map(image => image.label).join(', ')}
+
+Analyze the outfit images, taking the current weather into account, and provide a JSON response with the following structure:
+{
+  "top": "brief description of the top (e.g., 'white cropped t-shirt')",
+  "topLayer": "brief description of top layer if present (e.g., 'denim jacket')",
+  "bottom": "brief description of bottom (e.g., 'light wash jeans')",
+  "shoes": "brief description of shoes (e.g., 'white sneakers')",
+  "accessories": ["array", "of", "accessories"],
+  "aesthetic": ["array", "of", "style", "tags"],
+  "colors": {
+    "top": "primary color",
+    "topLayer": "primary color",
+    "bottom": "primary color",
+    "shoes": "primary color",
+    "accessories": "color description"
+  },
+  "ai_description": "A complete sentence describing the entire outfit",
+  "accessories_description": "Specific description of accessories if present",
+  "accessories_tags": ["tag1", "tag2"],
+  "season": "one of ${ANALYSIS_SEASONS.join(', ')}",
+  "formality": "one of ${ANALYSIS_FORMALITIES.join(', ')}",
+  "confidence": 0.85
+}
+
+Use null for pieces that are not in the images and a number between 0 and 1 for confidence.
+Prefer the measured dominant colors when naming colors.
+Provide only the JSON response, no additional text.${feedback
+    ? `\n\nYour previous answer was rejected (${feedback}). Answer again with a valid JSON object only.`
+    : ''}`
+}
+
+// Chunked so large photos don't overflow the argument list of String.fromCharCode
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Download an image for a model that takes inline image data
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} { data, mimeType } - data is base64
+ */
+async function fetchImage(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Could not fetch image (${response.status}): ${url}`)
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+  const mimeType = contentType.startsWith('image/')
+    ? contentType.split(';')[0]
+    : url.includes('.png') ? 'image/png' : 'image/jpeg'
+
+  return { data: toBase64(await response.arrayBuffer()), mimeType }
+}
+
+/**
+ * Download every image of a request, reporting each one as it arrives
+ * @param {Array} images - [{ key, label, url }]
+ * @param {Function} onProgress - ({ stage: 'fetching_images', fetched, total })
+ * @returns {Promise<Array>} [{ data, mimeType }] in request order
+ */
+async function fetchImages(images, onProgress) {
+  let fetched = 0
+  onProgress?.({ stage: 'fetching_images', fetched, total: images.length })
+
+  return Promise.all(images.map(async image => {
+    const data = await fetchImage(image.url)
+    fetched++
+    onProgress?.({ stage: 'fetching_images', fetched, total: images.length })
+    return data
+  }))
+}
+
+/**
+ * Ask a model for an analysis until it gives a usable one
+ * @param {Function} generate - (prompt, onText) => Promise<string> raw model output; streams
+ *   the text so far to onText when it is given
+ * @param {Object} request - The analysis request
+ * @param {Object} callbacks - { onProgress, onPartial } (see getAIProvider)
+ * @returns {Promise<Object>} Validated analysis
+ */
+async function generateAnalysis(generate, request, { onProgress, onPartial } = {}) {
+  let feedback = null
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    onProgress?.(attempt === 1 ? { stage: 'analyzing' } : { stage: 'retrying', attempt })
+
+    // Each attempt is a new answer, so its fields are streamed again
+    const streamed = new Set()
+    const onText = onPartial && (partialText => {
+      Object.entries(readCompleteFields(partialText)).forEach(([field, value]) => {
+        if (streamed.has(field) || !PARTIAL_ANALYSIS_FIELDS.includes(field) || !isPartialAnalysisValue(value)) return
+        streamed.add(field)
+        onPartial(field, value)
+      })
+    })
+
+    const text = await generate(buildAnalysisPrompt(request, feedback), onText)
+    console.log('📄 AI Response:', text)
+
+    try {
+      const { analysis, repairs } = validateAnalysis(parseAnalysisText(text), request)
+      if (repairs.length > 0) {
+        console.warn('🩹 Repaired AI analysis:', repairs)
+      }
+      return analysis
+    } catch (error) {
+      if (!(error instanceof AnalysisValidationError) || attempt === MAX_ATTEMPTS) throw error
+      console.warn(`⚠️ Unusable AI analysis (attempt ${attempt}/${MAX_ATTEMPTS}), asking again:`, error.message)
+      feedback = error.message
+    }
+  }
+}
+
+/**
+ * Google Gemini through @google/generative-ai
+ */
+function createGeminiProvider({ apiKey, model, jsonMode }) {
+  const genAI = new GoogleGenerativeAI(apiKey)
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    // Structured output: the model answers with JSON matching the analysis schema
+    generationConfig: jsonMode
+      ? { responseMimeType: 'application/json', responseSchema: ANALYSIS_RESPONSE_SCHEMA }
+      : undefined
+  })
+
+  return {
+    name: 'gemini',
+    model,
+    async analyze(request, callbacks = {}) {
+      const images = await fetchImages(request.images, callbacks.onProgress)
+      const imageParts = images.map(inlineData => ({ inlineData }))
+
+      return generateAnalysis(async (prompt, onText) => {
+        if (!onText) {
+          const result = await generativeModel.generateContent([prompt, ...imageParts])
+          return result.response.text()
+        }
+
+        const result = await generativeModel.generateContentStream([prompt, ...imageParts])
+        let text = ''
+        for await (const chunk of result.stream) {
+          text += chunk.text()
+          onText(text)
+        }
+        return text
+      }, request, callbacks)
+    }
+  }
+}
+
+/**
+ * Any endpoint that speaks the OpenAI chat completions API (OpenAI, local model servers, CI stand-ins)
+ */
+function createOpenAIProvider({ apiKey, baseUrl, model, jsonMode }) {
+  return {
+    name: 'openai',
+    model,
+    async analyze(request, callbacks = {}) {
+      const images = await fetchImages(request.images, callbacks.onProgress)
+
+      return generateAnalysis(
+        (prompt, onText) => requestCompletion({ apiKey, baseUrl, model, jsonMode, prompt, images, onText }),
+        request,
+        callbacks
+      )
+    }
+  }
+}
+
+/**
+ * One chat completion request with the prompt and images
+ * With onText the completion is streamed and onText gets the answer so far after every chunk.
+ * @returns {Promise<string>} The model's answer
+ */
+async function requestCompletion({ apiKey, baseUrl, model, jsonMode, prompt, images, onText }) {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify({
+      model,
+      ...(onText ? { stream: true } : {}),
+      // JSON mode is the most widely supported structured output option
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map(({ data, mimeType }) => ({
+            type: 'image_url',
+            image_url: { url: `data:${mimeType};base64,${data}` }
+          }))
+        ]
+      }]
+    })
+  })
+
+  if (!response.ok) {
+    throw new Error(`OpenAI-compatible request failed (${response.status}): ${await response.text()}`)
+  }
+
+  // Some OpenAI-compatible servers ignore "stream" and answer in one piece
+  if (onText && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+    return readCompletionStream(response, onText)
+  }
+
+  const completion = await response.json()
+  return completion.choices?.[0]?.message?.content
+}
+
+/**
+ * Collect a streamed chat completion ("data: {...}" lines ending with "data: [DONE]")
+ * @returns {Promise<string>} The complete answer
+ */
+async function readCompletionStream(response, onText) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  let text = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += value
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+
+    for (const line of lines) {
+      const trimmed = line.trim()
+      if (!trimmed.startsWith('data:')) continue
+      const data = trimmed.slice('data:'.length).trim()
+      if (data === '[DONE]') continue
+
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content
+      if (delta) {
+        text += delta
+        onText(text)
+      }
+    }
+  }
+
+  return text
+}
+
+/**
+ * The same mock generator the client falls back to; needs no key or network
+ */
+function createMockProvider({ scenario, seed }) {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async analyze(request, { onProgress, onPartial } = {}) {
+      onProgress?.({ stage: 'analyzing' })
+      const urls = Object.fromEntries(request.images.map(image => [image.key, image.url]))
+
+      // Mock output passes the same validator as real model answers
+      const { analysis } = validateAnalysis(generateMockAnalysis({
+        topUrl: urls.top,
+        topLayerUrl: urls.topLayer,
+        bottomUrl: urls.bottom,
+        shoesUrl: urls.shoes,
+        accessoriesUrl: urls.accessories,
+        season: request.season || undefined,
+        formality: request.formality || undefined,
+        weather: request.weather,
+        palette: request.palette,
+        scenario,
+        seed
+      }), request)
+
+      // Streams like a model would, one field at a time
+      PARTIAL_ANALYSIS_FIELDS.forEach(field => {
+        if (isPartialAnalysisValue(analysis[field])) onPartial?.(field, analysis[field])
+      })
+      return analysis
+    }
+  }
+}
+
+/**
+ * Pick the provider configured in the environment
+ * @param {Function} getEnv - Reads an env variable, e.g. (name) => Deno.env.get(name)
+ * @returns {Object} Provider { name, model, analyze(request, { onProgress, onPartial }) }
+ *   onProgress({ stage, ... }) reports fetching_images, analyzing and retrying;
+ *   onPartial(field, value) gets each of PARTIAL_ANALYSIS_FIELDS as soon as the model has written it
+ * @throws {ProviderConfigError} When the provider is unknown or missing its key
+ */
+export function getAIProvider(getEnv) {
+  const name = (getEnv('AI_PROVIDER') || 'gemini').toLowerCase()
+  const model = getEnv('AI_MODEL') || DEFAULT_MODELS[name]
+  const jsonMode = (getEnv('AI_JSON_MODE') || 'on').toLowerCase() !== 'off'
+
+  if (name === 'gemini') {
+    const apiKey = getEnv('GOOGLE_API_KEY')
+    if (!apiKey) {
+      throw new ProviderConfigError('Google API key not configured')
+    }
+    return createGeminiProvider({ apiKey, model, jsonMode })
+  }
+
+  if (name === 'openai') {
+    const baseUrl = getEnv('OPENAI_BASE_URL') || OPENAI_DEFAULT_BASE_URL
+    const apiKey = getEnv('OPENAI_API_KEY')
+    // Local OpenAI-compatible servers usually don't need a key; the hosted API does
+    if (!apiKey && baseUrl === OPENAI_DEFAULT_BASE_URL) {
+      throw new ProviderConfigError('OpenAI API key not configured')
+    }
+    return createOpenAIProvider({ apiKey, baseUrl, model, jsonMode })
+  }
+
+  if (name === 'mock') {
+    return createMockProvider({
+      scenario: getEnv('AI_MOCK_SCENARIO') || undefined,
+      seed: getEnv('AI_MOCK_SEED') || undefined
+    })
+  }
+
+  throw new ProviderConfigError(`Unknown AI_PROVIDER "${name}" (expected ${AI_PROVIDERS.join(', ')})`)
+}
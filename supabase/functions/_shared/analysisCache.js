@@ -0,0 +1,81 @@
+// Shared helper: the analysis_cache table (Edge Functions only)
+// analyze-fit answers repeat requests for the same images from here instead of calling the
+// model again. Lookups use the content hashes the client sends; an entry is only written after
+// the function has hashed the images itself, so a client can't file an analysis under
+// somebody else's image hash.
+
+import { sha256Hex } from './contentHash.js'
+
+const CACHE_TABLE = 'analysis_cache'
+
+// Fields that describe the request rather than the outfit; filled in per request on a hit
+const REQUEST_FIELDS = ['palette', 'ai_image_url', 'cached', 'cached_at']
+
+/**
+ * Look up a cached analysis and count the hit
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} key - analysisCacheKey()
+ * @returns {Promise<Object|null>} { analysis, created_at }, or null on a miss
+ */
+export async function readCachedAnalysis(supabase, key) {
+  const { data, error } = await supabase
+    .from(CACHE_TABLE)
+    .select('analysis, hit_count, created_at')
+    .eq('cache_key', key)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) return null
+
+  // Hit statistics are best effort
+  const { error: updateError } = await supabase
+    .from(CACHE_TABLE)
+    .update({ hit_count: (data.hit_count || 0) + 1, last_hit_at: new Date().toISOString() })
+    .eq('cache_key', key)
+  if (updateError) console.warn('⚠️ Could not record cache hit:', updateError.message)
+
+  return { analysis: data.analysis, created_at: data.created_at }
+}
+
+/**
+ * Store an analysis
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} key - analysisCacheKey()
+ * @param {Object} entry - { hashes, season, formality, weather, promptVersion, model, analysis }
+ */
+export async function writeCachedAnalysis(supabase, key, { hashes, season, formality, weather, promptVersion, model, analysis }) {
+  const stored = Object.fromEntries(
+    Object.entries(analysis).filter(([field]) => !REQUEST_FIELDS.includes(field))
+  )
+
+  const { error } = await supabase
+    .from(CACHE_TABLE)
+    .upsert({
+      cache_key: key,
+      image_hashes: hashes,
+      season: season || null,
+      formality: formality || null,
+      weather: weather || null,
+      prompt_version: String(promptVersion),
+      model,
+      analysis: stored,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'cache_key' })
+
+  if (error) throw error
+}
+
+/**
+ * Check that each image's content matches the hash the client claimed for it
+ * @param {Array<Object>} images - [{ key, url }]
+ * @param {Object} hashes - Claimed hash per piece key
+ * @returns {Promise<boolean>}
+ */
+export async function verifyImageHashes(images, hashes) {
+  const results = await Promise.all(images.map(async ({ key, url }) => {
+    const response = await fetch(url)
+    if (!response.ok) return false
+    return (await sha256Hex(await response.arrayBuffer())) === hashes[key]
+  }))
+  return results.every(Boolean)
+}
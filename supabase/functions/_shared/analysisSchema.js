@@ -0,0 +1,274 @@
+// Shared helper: schema for the outfit analysis object
+// Every analysis (Gemini, OpenAI-compatible, mock on the server or the client) goes through
+// validateAnalysis() before it reaches FitDisplay or save-fit. Fixable problems are repaired
+// (types coerced, defaults filled); answers that describe nothing are rejected so the
+// provider can ask the model again.
+
+import { SEASON_PRESETS, FORMALITY_LEVELS } from './seasonPresets.js'
+
+export const ANALYSIS_SEASONS = Object.keys(SEASON_PRESETS)
+export const ANALYSIS_FORMALITIES = Object.keys(FORMALITY_LEVELS)
+
+const PIECE_KEYS = ['top', 'topLayer', 'bottom', 'shoes']
+const COLOR_KEYS = [...PIECE_KEYS, 'accessories']
+const LIST_KEYS = ['accessories', 'aesthetic', 'accessories_tags']
+
+const SEASON_ALIASES = { autumn: 'Fall' }
+const FORMALITY_ALIASES = {
+  formal: 'semi-formal',
+  'smart-casual': 'semi-formal',
+  business: 'business-casual',
+  sport: 'sports',
+  sporty: 'sports',
+  athletic: 'sports',
+  active: 'sports'
+}
+
+// Fields that can be shown while an analysis is still streaming in (see analyze-fit); scores
+// depend on the whole analysis and wait for it
+export const PARTIAL_ANALYSIS_FIELDS = [
+  ...PIECE_KEYS,
+  'accessories',
+  'aesthetic',
+  'colors',
+  'ai_description',
+  'accessories_description'
+]
+
+/**
+ * Check whether a streamed field value is well-formed enough to show before validation
+ * @param {*} value - Field value parsed from a partial answer
+ * @returns {boolean} True for non-empty strings, string lists and objects of strings
+ */
+export function isPartialAnalysisValue(value) {
+  if (typeof value === 'string') return value.trim().length > 0
+  if (Array.isArray(value)) return value.every(item => typeof item === 'string')
+  if (value && typeof value === 'object') {
+    return Object.values(value).every(item => item === null || typeof item === 'string')
+  }
+  return false
+}
+
+export class AnalysisValidationError extends Error {
+  /**
+   * @param {string} message - Summary of what failed
+   * @param {Array<string>} issues - Problems that could not be repaired
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}: ${issues.join('; ')}` : message)
+    this.name = 'AnalysisValidationError'
+    this.issues = issues
+  }
+}
+
+// JSON schema for providers with structured output (Gemini responseSchema)
+const nullableString = { type: 'string', nullable: true }
+const stringList = { type: 'array', items: { type: 'string' } }
+
+export const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    top: nullableString,
+    topLayer: nullableString,
+    bottom: nullableString,
+    shoes: nullableString,
+    accessories: stringList,
+    aesthetic: stringList,
+    colors: {
+      type: 'object',
+      properties: Object.fromEntries(COLOR_KEYS.map(key => [key, nullableString]))
+    },
+    ai_description: { type: 'string' },
+    accessories_description: nullableString,
+    accessories_tags: stringList,
+    season: { type: 'string', format: 'enum', enum: ANALYSIS_SEASONS },
+    formality: { type: 'string', format: 'enum', enum: ANALYSIS_FORMALITIES },
+    confidence: { type: 'number' }
+  },
+  required: ['accessories', 'aesthetic', 'colors', 'ai_description', 'season', 'formality', 'confidence']
+}
+
+/**
+ * Coerce a value to trimmed text, or null
+ */
+function toText(value, key, repairs) {
+  if (value === undefined || value === null) return null
+  if (typeof value === 'string') return value.trim() || null
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    repairs.push(`${key} was a ${typeof value}`)
+    return String(value)
+  }
+  if (Array.isArray(value)) {
+    repairs.push(`${key} was a list`)
+    return value.filter(item => typeof item === 'string' && item.trim()).join(', ') || null
+  }
+
+  repairs.push(`${key} was not text`)
+  return null
+}
+
+/**
+ * Coerce a value to a list of unique, non-empty strings
+ */
+function toList(value, key, repairs) {
+  if (value === undefined || value === null) return []
+
+  let items = value
+  if (typeof value === 'string') {
+    repairs.push(`${key} was a string`)
+    items = value.split(/[,;]/)
+  } else if (!Array.isArray(value)) {
+    repairs.push(`${key} was not a list`)
+    return []
+  }
+
+  const seen = new Set()
+  return items
+    .map(item => typeof item === 'string' || typeof item === 'number' ? String(item).trim() : '')
+    .filter(item => {
+      const normalized = item.toLowerCase()
+      if (!item || seen.has(normalized)) return false
+      seen.add(normalized)
+      return true
+    })
+}
+
+/**
+ * Match a season name case-insensitively (Autumn counts as Fall)
+ * @returns {string|null} One of ANALYSIS_SEASONS
+ */
+function matchSeason(value) {
+  if (typeof value !== 'string') return null
+  const key = value.trim().toLowerCase()
+  return SEASON_ALIASES[key] || ANALYSIS_SEASONS.find(season => season.toLowerCase() === key) || null
+}
+
+/**
+ * Match a formality level, accepting spaces/underscores and common synonyms
+ * @returns {string|null} One of ANALYSIS_FORMALITIES
+ */
+function matchFormality(value) {
+  if (typeof value !== 'string') return null
+  const key = value.trim().toLowerCase().replace(/[\s_]+/g, '-')
+  if (ANALYSIS_FORMALITIES.includes(key)) return key
+  return FORMALITY_ALIASES[key] || null
+}
+
+/**
+ * Read a 0–1 confidence, accepting numeric strings and percentages
+ */
+function toConfidence(value, repairs) {
+  if (value === undefined || value === null || value === '') return null
+
+  let score = typeof value === 'string' ? Number.parseFloat(value) : value
+  if (typeof score !== 'number' || !Number.isFinite(score)) {
+    repairs.push('confidence was not a number')
+    return null
+  }
+  if (typeof value === 'string') repairs.push('confidence was a string')
+  if (score > 1 && score <= 100) {
+    repairs.push('confidence was a percentage')
+    score /= 100
+  }
+  if (score < 0 || score > 1) {
+    repairs.push('confidence was out of range')
+  }
+  return Math.min(Math.max(score, 0), 1)
+}
+
+/**
+ * Validate and repair an analysis object
+ * @param {Object} raw - Parsed provider output
+ * @param {Object} request - The analysis request; its season/formality/palette fill in invalid or missing values
+ * @returns {Object} { analysis, repairs } - analysis only has schema fields; repairs lists what was fixed
+ * @throws {AnalysisValidationError} When the answer can't be used (not an object, describes nothing)
+ */
+export function validateAnalysis(raw, request = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AnalysisValidationError('Analysis must be a JSON object')
+  }
+
+  const repairs = []
+  const analysis = {}
+
+  PIECE_KEYS.forEach(key => {
+    analysis[key] = toText(raw[key], key, repairs)
+  })
+  LIST_KEYS.forEach(key => {
+    analysis[key] = toList(raw[key], key, repairs)
+  })
+
+  let colors = raw.colors
+  if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+    repairs.push(colors === undefined || colors === null ? 'colors was missing' : 'colors was not an object')
+    colors = {}
+  }
+  analysis.colors = Object.fromEntries(
+    COLOR_KEYS.map(key => [key, toText(colors[key], `colors.${key}`, repairs)])
+  )
+  // Colors measured from the photos fill in any the answer left out
+  COLOR_KEYS.forEach(key => {
+    const measured = request.palette?.[key]?.[0]?.name
+    if (!analysis.colors[key] && measured) {
+      analysis.colors[key] = measured
+      repairs.push(`colors.${key} filled from the measured palette`)
+    }
+  })
+
+  analysis.ai_description = toText(raw.ai_description, 'ai_description', repairs)
+  analysis.accessories_description = toText(raw.accessories_description, 'accessories_description', repairs)
+
+  analysis.season = matchSeason(raw.season)
+  if (analysis.season !== raw.season) {
+    analysis.season = analysis.season || matchSeason(request.season)
+    repairs.push(`season "${raw.season}" became "${analysis.season}"`)
+  }
+
+  analysis.formality = matchFormality(raw.formality)
+  if (analysis.formality !== raw.formality) {
+    analysis.formality = analysis.formality || matchFormality(request.formality) || 'casual'
+    repairs.push(`formality "${raw.formality}" became "${analysis.formality}"`)
+  }
+
+  analysis.confidence = toConfidence(raw.confidence, repairs)
+
+  const describedPieces = PIECE_KEYS.filter(key => analysis[key])
+  if (describedPieces.length === 0 && !analysis.ai_description) {
+    throw new AnalysisValidationError('Analysis is unusable', ['it describes none of the outfit pieces'])
+  }
+
+  // Fill what can be derived from the rest of the answer
+  if (analysis.accessories_tags.length === 0 && analysis.accessories.length > 0) {
+    analysis.accessories_tags = [...analysis.accessories]
+    repairs.push('accessories_tags filled from accessories')
+  }
+  if (!analysis.ai_description) {
+    analysis.ai_description = describedPieces.map(key => analysis[key]).join(', ')
+    repairs.push('ai_description filled from the pieces')
+  }
+
+  return { analysis, repairs }
+}
+
+/**
+ * Parse a model's text answer into an object
+ * Markdown code fences and any text around the outermost {...} are ignored.
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed JSON
+ * @throws {AnalysisValidationError} When no JSON object can be read
+ */
+export function parseAnalysisText(text) {
+  const cleanedText = String(text ?? '').replace(/```(?:json)?\n?/g, '').trim()
+  const start = cleanedText.indexOf('{')
+  const end = cleanedText.lastIndexOf('}')
+
+  try {
+    if (start === -1 || end < start) throw new Error('no JSON object found')
+    return JSON.parse(cleanedText.slice(start, end + 1))
+  } catch (parseError) {
+    console.error('❌ Failed to parse AI response as JSON:', parseError.message)
+    console.error('Raw response:', text)
+    throw new AnalysisValidationError('AI response was not valid JSON', [parseError.message])
+  }
+}
@@ -0,0 +1,66 @@
+// Shared helper: identify the caller of an Edge Function
+// Signed-in users are identified by the Supabase Auth JWT in the Authorization header.
+// Anonymous demo sessions must present a signed token (see create-session) in the
+// x-session-token header; a bare session_id in the request body is never trusted.
+
+import { verifySessionToken } from './sessionToken.js'
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message)
+    this.name = 'AuthError'
+    this.status = status
+  }
+}
+
+/**
+ * Get the demo session proven by the x-session-token header
+ * @param {Request} req - Incoming request
+ * @returns {Promise<string|null>} demo_... session ID, or null
+ */
+export function getDemoSessionId(req) {
+  return verifySessionToken(
+    req.headers.get('x-session-token'),
+    Deno.env.get('SESSION_TOKEN_SECRET')
+  )
+}
+
+/**
+ * Resolve who is calling the function
+ * @param {Request} req - Incoming request
+ * @param {Object} supabase - Supabase client (service role)
+ * @returns {Promise<{ sessionId: string, userId: string|null, isDemo: boolean }>}
+ */
+export async function resolveCaller(req, supabase) {
+  const authHeader = req.headers.get('Authorization') || ''
+  const token = authHeader.replace(/^Bearer\s+/i, '')
+
+  if (token) {
+    // The anon key is also sent as a bearer token; getUser() fails for it and we fall through
+    const { data, error } = await supabase.auth.getUser(token)
+    if (!error && data?.user) {
+      return { sessionId: data.user.id, userId: data.user.id, isDemo: false }
+    }
+  }
+
+  const demoSessionId = await getDemoSessionId(req)
+  if (demoSessionId) {
+    return { sessionId: demoSessionId, userId: null, isDemo: true }
+  }
+
+  throw new AuthError('Sign in or provide a valid session token')
+}
+
+/**
+ * Require the service role key as the bearer token, for maintenance functions
+ * that act on every session (run from a trusted shell or a scheduled job)
+ * @param {Request} req - Incoming request
+ * @throws {AuthError} 401 without a token, 403 with any other token
+ */
+export function requireServiceRole(req) {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+  if (!token) throw new AuthError('Service role key required')
+  if (token !== Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) {
+    throw new AuthError('This function is restricted to the service role', 403)
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, sessionToken, TEST_ENV } from '../../local/testing.js'
+import { resolveCaller, requireServiceRole, AuthError } from './auth.js'
+import { signSessionToken } from './sessionToken.js'
+
+// Only 'user-jwt' belongs to an account
+const supabase = {
+  auth: {
+    async getUser(jwt) {
+      return jwt === 'user-jwt'
+        ? { data: { user: { id: 'user-1' } }, error: null }
+        : { data: { user: null }, error: { message: 'Invalid JWT', status: 401 } }
+    }
+  }
+}
+
+function request(headers = {}) {
+  return new Request('http://localhost/functions/v1/test', { method: 'POST', headers })
+}
+
+let closeStore
+beforeEach(() => { closeStore = openTestStore() })
+afterEach(() => closeStore())
+
+describe('resolveCaller', () => {
+  it('identifies a signed-in user by their JWT', async () => {
+    const caller = await resolveCaller(request({ Authorization: 'Bearer user-jwt' }), supabase)
+    expect(caller).toEqual({ sessionId: 'user-1', userId: 'user-1', isDemo: false })
+  })
+
+  it('identifies a demo session by its signed token', async () => {
+    const caller = await resolveCaller(request({ 'x-session-token': await sessionToken('demo_1_a') }), supabase)
+    expect(caller).toEqual({ sessionId: 'demo_1_a', userId: null, isDemo: true })
+  })
+
+  it('falls through to the session token when the bearer token is the anon key', async () => {
+    const caller = await resolveCaller(request({
+      Authorization: 'Bearer anon-key',
+      'x-session-token': await sessionToken('demo_1_a')
+    }), supabase)
+    expect(caller.sessionId).toBe('demo_1_a')
+  })
+
+  it('rejects forged tokens and bare session IDs', async () => {
+    const forged = await signSessionToken('demo_1_a', 'not-the-secret')
+
+    await expect(resolveCaller(request({ 'x-session-token': forged }), supabase)).rejects.toBeInstanceOf(AuthError)
+    await expect(resolveCaller(request({ 'x-session-token': 'demo_1_a' }), supabase)).rejects.toMatchObject({ status: 401 })
+    await expect(resolveCaller(request(), supabase)).rejects.toMatchObject({ status: 401 })
+  })
+})
+
+describe('requireServiceRole', () => {
+  it('accepts only the service role key', () => {
+    expect(() => requireServiceRole(request({ Authorization: `Bearer ${TEST_ENV.SUPABASE_SERVICE_ROLE_KEY}` }))).not.toThrow()
+    expect(() => requireServiceRole(request())).toThrow(expect.objectContaining({ status: 401 }))
+    expect(() => requireServiceRole(request({ Authorization: 'Bearer user-jwt' }))).toThrow(expect.objectContaining({ status: 403 }))
+  })
+})
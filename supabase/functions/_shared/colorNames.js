@@ -0,0 +1,151 @@
+// Shared helper: named colors for palettes
+// Extracted swatches (src/utils/colorExtraction.js) get the nearest name from this table, and
+// names reported by a model or the mock are turned back into a hex value for display.
+
+export const COLOR_NAMES = {
+  // Neutrals
+  white: '#FFFFFF',
+  ivory: '#FFFFF0',
+  cream: '#FFFDD0',
+  beige: '#F5F5DC',
+  tan: '#D2B48C',
+  camel: '#C19A6B',
+  khaki: '#C3B091',
+  taupe: '#8B8589',
+  'light grey': '#D3D3D3',
+  grey: '#808080',
+  charcoal: '#36454F',
+  black: '#000000',
+  brown: '#8B4513',
+  chocolate: '#5C3317',
+
+  // Blues
+  navy: '#000080',
+  'midnight blue': '#191970',
+  indigo: '#3F4B7A',
+  denim: '#1560BD',
+  'light wash': '#A4C2D8',
+  blue: '#0000FF',
+  'sky blue': '#87CEEB',
+  'electric blue': '#2F6BFF',
+  teal: '#008080',
+  turquoise: '#40E0D0',
+
+  // Greens
+  green: '#008000',
+  'forest green': '#228B22',
+  olive: '#808000',
+  'sage green': '#9CAF88',
+  'mint green': '#98FF98',
+
+  // Warm colors
+  red: '#FF0000',
+  crimson: '#DC143C',
+  'brick red': '#B22222',
+  burgundy: '#800020',
+  rust: '#B7410E',
+  orange: '#FFA500',
+  'neon orange': '#FF5F1F',
+  coral: '#FF7F50',
+  mustard: '#FFDB58',
+  yellow: '#FFFF00',
+  gold: '#D4AF37',
+
+  // Pinks and purples
+  pink: '#FFC0CB',
+  'pastel pink': '#FFD1DC',
+  'hot pink': '#FF69B4',
+  lavender: '#E6E6FA',
+  purple: '#800080',
+  plum: '#8E4585',
+
+  // Metals
+  silver: '#C0C0C0'
+}
+
+// Aliases for names models commonly use
+const COLOR_ALIASES = {
+  gray: 'grey',
+  'light gray': 'light grey',
+  'off-white': 'ivory',
+  'off white': 'ivory',
+  'dark wash': 'indigo',
+  maroon: 'burgundy',
+  neutral: 'light grey'
+}
+
+/**
+ * Parse a #RRGGBB hex string
+ * @returns {Array<number>} [r, g, b] 0–255
+ */
+export function hexToRgb(hex) {
+  const value = Number.parseInt(hex.replace('#', ''), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+/**
+ * Format an [r, g, b] triple as #RRGGBB
+ */
+export function rgbToHex([r, g, b]) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`.toUpperCase()
+}
+
+/**
+ * Convert sRGB to CIE Lab (D65), where euclidean distance roughly matches perceived difference
+ * @param {Array<number>} rgb - [r, g, b] 0–255
+ * @returns {Array<number>} [L, a, b]
+ */
+export function rgbToLab(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const c = channel / 255
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+  })
+
+  const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047
+  const y = r * 0.2126 + g * 0.7152 + b * 0.0722
+  const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883
+
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116)
+  const [fx, fy, fz] = [f(x), f(y), f(z)]
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)]
+}
+
+const NAMED_LABS = Object.entries(COLOR_NAMES).map(([name, hex]) => [name, rgbToLab(hexToRgb(hex))])
+
+/**
+ * Find the closest named color
+ * @param {string} hex - #RRGGBB
+ * @returns {string} Key of COLOR_NAMES
+ */
+export function nearestColorName(hex) {
+  const [l, a, b] = rgbToLab(hexToRgb(hex))
+  let best = null
+  let bestDistance = Infinity
+
+  NAMED_LABS.forEach(([name, [nl, na, nb]]) => {
+    const distance = (l - nl) ** 2 + (a - na) ** 2 + (b - nb) ** 2
+    if (distance < bestDistance) {
+      best = name
+      bestDistance = distance
+    }
+  })
+
+  return best
+}
+
+/**
+ * Look up the hex value of a color name
+ * Unknown multi-word names ("dark olive green") fall back to their last known word.
+ * @param {string} name - Color name
+ * @returns {string|null} #RRGGBB, or null when no part of the name is known
+ */
+export function colorNameToHex(name) {
+  if (typeof name !== 'string') return null
+  const key = name.trim().toLowerCase()
+  const known = COLOR_ALIASES[key] || key
+  if (COLOR_NAMES[known]) return COLOR_NAMES[known]
+
+  const word = key.split(/[\s-]+/).reverse().find(part => COLOR_NAMES[COLOR_ALIASES[part] || part])
+  return word ? COLOR_NAMES[COLOR_ALIASES[word] || word] : null
+}
@@ -0,0 +1,45 @@
+// Shared helper: SHA-256 content hashes for images and analysis cache keys
+// The client hashes each photo before upload; upload-file re-hashes what it receives and names
+// the object after the hash, so identical photos are stored once. analyze-fit caches results
+// under a key built from the piece hashes (see analysisCacheKey).
+
+const PIECE_KEYS = ['top', 'topLayer', 'bottom', 'shoes', 'accessories']
+// The weather fields buildAnalysisPrompt puts in the prompt, in a fixed order
+const WEATHER_KEYS = ['location', 'temperatureC', 'precipitationMm', 'windKph', 'needsTopLayer']
+
+/**
+ * SHA-256 of some bytes as lowercase hex
+ * @param {ArrayBuffer|Uint8Array|string} data - Bytes, or a string (hashed as UTF-8)
+ * @returns {Promise<string>} 64 hex characters
+ */
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Check for a well-formed content hash
+ */
+export function isContentHash(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value)
+}
+
+/**
+ * Cache key for an analysis
+ * Two requests share a key only when every piece has the same content, in the same slot,
+ * for the same season, formality, weather, prompt version and model.
+ * @param {Object} parts
+ * @param {Object} parts.hashes - Content hash per piece key ({ top, bottom, ... })
+ * @param {string} parts.season - Season context
+ * @param {string} parts.formality - Formality level
+ * @param {Object} parts.weather - Weather conditions sent with the request, if any
+ * @param {string} parts.promptVersion - PROMPT_VERSION from aiProviders.js
+ * @param {string} parts.model - "<provider>:<model>"
+ * @returns {Promise<string>} Key
+ */
+export function analysisCacheKey({ hashes, season, formality, weather, promptVersion, model }) {
+  const pieces = PIECE_KEYS.map(key => `${key}=${hashes[key] || ''}`).join('&')
+  const conditions = weather ? JSON.stringify(WEATHER_KEYS.map(key => weather[key] ?? null)) : ''
+  return sha256Hex([pieces, season || '', formality || '', conditions, promptVersion, model].join('|'))
+}
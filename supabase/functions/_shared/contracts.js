@@ -0,0 +1,446 @@
+// Shared request/response contracts for the Edge Functions
+// Each function validates its request against the contract, and the client wrappers
+// (src/lib/edgeFunctions.js) validate both what they send and what comes back, so a
+// field sent in the wrong place or under the wrong name fails loudly instead of
+// quietly falling through to the next layer of the fallback chain.
+
+// Bump when a contract changes in a way older clients or functions can't handle
+export const API_VERSION = 1
+export const SUPPORTED_API_VERSIONS = [1]
+export const API_VERSION_HEADER = 'x-api-version'
+
+export class ContractError extends Error {
+  /**
+   * @param {string} message - Summary of what failed
+   * @param {Array<string>} issues - One entry per invalid field
+   * @param {Object} options - { status, code } - code is 'invalid_request', 'invalid_response' or 'unsupported_version'
+   */
+  constructor(message, issues = [], { status = 400, code = 'invalid_request' } = {}) {
+    super(issues.length > 0 ? `${message}: ${issues.join('; ')}` : message)
+    this.name = 'ContractError'
+    this.issues = issues
+    this.status = status
+    this.code = code
+  }
+
+  /**
+   * Body for an Edge Function error response
+   */
+  toJSON() {
+    return { error: this.message, code: this.code, issues: this.issues }
+  }
+}
+
+// Field helpers; `optional` fields may be missing or undefined, `nullable` ones may be null
+const string = (options = {}) => ({ type: 'string', ...options })
+const number = (options = {}) => ({ type: 'number', ...options })
+const integer = (options = {}) => ({ type: 'integer', ...options })
+const boolean = (options = {}) => ({ type: 'boolean', ...options })
+const array = (items, options = {}) => ({ type: 'array', items, ...options })
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options })
+const file = (options = {}) => ({ type: 'file', ...options })
+const optional = (spec) => ({ ...spec, optional: true, nullable: true })
+
+const PIECE_CATEGORIES = ['top', 'topLayer', 'bottom', 'shoes', 'accessories']
+
+const PIECE_URLS = {
+  top_url: optional(string()),
+  top_layer_url: optional(string()),
+  bottom_url: optional(string()),
+  shoes_url: optional(string()),
+  accessories_url: optional(string())
+}
+
+const COLORS = object({
+  top: optional(string()),
+  topLayer: optional(string()),
+  bottom: optional(string()),
+  shoes: optional(string()),
+  accessories: optional(string())
+}, { open: true })
+
+// Dominant colors measured from each photo (src/utils/colorExtraction.js)
+const SWATCHES = optional(array(object({
+  hex: string(),
+  name: string(),
+  share: optional(number())
+})))
+
+// SHA-256 of each piece's image (_shared/contentHash.js), for the analysis cache
+const IMAGE_HASHES = object({
+  top: optional(string()),
+  topLayer: optional(string()),
+  bottom: optional(string()),
+  shoes: optional(string()),
+  accessories: optional(string())
+})
+
+const PALETTE = object({
+  top: SWATCHES,
+  topLayer: SWATCHES,
+  bottom: SWATCHES,
+  shoes: SWATCHES,
+  accessories: SWATCHES
+})
+
+// A row of the outfits table; extra columns are allowed so the schema can grow
+const OUTFIT = object({
+  id: string(),
+  session_id: string(),
+  client_id: optional(string()),
+  ...PIECE_URLS,
+  ai_image_url: optional(string()),
+  ai_description: optional(string()),
+  season: optional(string()),
+  formality: optional(string()),
+  aesthetic: optional(array(string())),
+  colors: optional(COLORS),
+  palette: optional(PALETTE),
+  accessories_description: optional(string()),
+  accessories_tags: optional(array(string())),
+  confidence: optional(number()),
+  created_at: string(),
+  updated_at: optional(string())
+}, { open: true })
+
+const OUTFIT_FILTERS = {
+  q: optional(string()),
+  season: optional(string()),
+  formality: optional(string()),
+  tag: optional(string()),
+  color: optional(string()),
+  sort: optional(string({ enum: ['newest', 'oldest', 'confidence'] }))
+}
+
+export const CONTRACTS = {
+  'analyze-fit': {
+    request: object({
+      // Ignored by the function, which identifies the caller from its token
+      session_id: optional(string()),
+      ...PIECE_URLS,
+      season: optional(string()),
+      formality: optional(string()),
+      weather: optional(object({}, { open: true })),
+      palette: optional(PALETTE),
+      // Cached when every piece has a hash; bypass_cache asks the model again (rerolls)
+      image_hashes: optional(IMAGE_HASHES),
+      bypass_cache: optional(boolean())
+    }),
+    response: object({
+      top: optional(string()),
+      topLayer: optional(string()),
+      bottom: optional(string()),
+      shoes: optional(string()),
+      accessories: optional(array(string())),
+      aesthetic: optional(array(string())),
+      colors: optional(COLORS),
+      palette: optional(PALETTE),
+      ai_description: optional(string()),
+      accessories_description: optional(string()),
+      accessories_tags: optional(array(string())),
+      season: optional(string()),
+      formality: optional(string()),
+      confidence: optional(number()),
+      ai_image_url: optional(string()),
+      // Which AI provider and model produced the analysis (see _shared/aiProviders.js)
+      provider: optional(string()),
+      model: optional(string()),
+      timestamp: optional(string()),
+      // Served from the analysis cache rather than a new model call
+      cached: optional(boolean())
+    }, { open: true })
+  },
+
+  'save-fit': {
+    request: object({
+      session_id: optional(string()),
+      client_id: optional(string()),
+      ...PIECE_URLS,
+      top_item_id: optional(string()),
+      top_layer_item_id: optional(string()),
+      bottom_item_id: optional(string()),
+      shoes_item_id: optional(string()),
+      accessories_item_id: optional(string()),
+      ai_description: optional(string()),
+      ai_image_url: optional(string()),
+      season: optional(string()),
+      formality: optional(string()),
+      aesthetic: optional(array(string())),
+      colors: optional(COLORS),
+      palette: optional(PALETTE),
+      accessories_description: optional(string()),
+      accessories_tags: optional(array(string())),
+      confidence: optional(number()),
+      saved: optional(boolean()),
+      created_at: optional(string()),
+      updated_at: optional(string())
+    }),
+    response: OUTFIT
+  },
+
+  // Either { id } for one full outfit, or filters and a page cursor for a list
+  getSavedFits: {
+    request: object({
+      id: optional(string()),
+      session_id: optional(string()),
+      ...OUTFIT_FILTERS,
+      cursor: optional(string()),
+      limit: optional(integer({ min: 1 }))
+    }),
+    response: object({
+      outfit: optional(OUTFIT),
+      outfits: optional(array(OUTFIT)),
+      next_cursor: optional(string())
+    })
+  },
+
+  'update-fit': {
+    request: object({
+      id: string(),
+      changes: object({
+        ai_description: optional(string()),
+        season: optional(string()),
+        formality: optional(string()),
+        aesthetic: optional(array(string()))
+      }),
+      expected_updated_at: optional(string())
+    }),
+    response: OUTFIT
+  },
+
+  'delete-fit': {
+    request: object({
+      id: string()
+    }),
+    response: object({
+      id: string(),
+      deleted: boolean(),
+      // Storage objects (originals and derivatives) removed with the outfit
+      removed_objects: optional(integer())
+    })
+  },
+
+  // multipart/form-data rather than JSON
+  'upload-file': {
+    request: object({
+      file: file(),
+      category: string({ enum: PIECE_CATEGORIES })
+    }),
+    response: object({
+      url: string(),
+      // Resized copies (see imagePaths.js); null when they could not be generated
+      thumb_url: optional(string()),
+      medium_url: optional(string()),
+      // SHA-256 of the file; objects are named after it, so re-uploads are deduplicated
+      hash: optional(string()),
+      deduplicated: optional(boolean())
+    })
+  },
+
+  'backfill-derivatives': {
+    request: object({
+      limit: optional(integer({ min: 1 })),
+      dry_run: optional(boolean())
+    }),
+    response: object({
+      dry_run: boolean(),
+      processed: integer(),
+      skipped: integer(),
+      failed: array(object({ path: string(), error: string() })),
+      remaining: integer()
+    })
+  },
+
+  'cleanup-storage': {
+    request: object({
+      dry_run: optional(boolean()),
+      grace_hours: optional(integer({ min: 1 }))
+    }),
+    response: object({
+      dry_run: boolean(),
+      grace_hours: integer(),
+      scanned_objects: integer(),
+      orphaned_objects: integer(),
+      removed_objects: integer(),
+      reclaimed_bytes: integer(),
+      // First orphans found, for reviewing a dry run
+      orphans: array(string())
+    })
+  },
+
+  'create-session': {
+    request: object({
+      session_id: optional(string()),
+      // Required with session_id: proves the offline session is the caller's (see sessionToken.js)
+      claim_secret: optional(string()),
+      preferences: optional(object({}, { open: true }))
+    }),
+    response: object({
+      session_id: string(),
+      token: string()
+    })
+  },
+
+  'upgrade-session': {
+    request: object({
+      demo_session_id: string()
+    }),
+    response: object({
+      user_id: string(),
+      outfits: integer(),
+      wardrobe_items: integer(),
+      storage_objects: integer()
+    })
+  }
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'array': return Array.isArray(value)
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value)
+    case 'file': return typeof Blob !== 'undefined' && value instanceof Blob
+    default: return false
+  }
+}
+
+/**
+ * Collect every way a value breaks a field spec
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec
+ * @param {string} path - Field path for messages
+ * @param {Array<string>} issues - Collected issues
+ */
+function checkValue(value, spec, path, issues) {
+  if (value === undefined) {
+    if (!spec.optional) issues.push(`${path || 'body'} is required`)
+    return
+  }
+  if (value === null) {
+    if (!spec.nullable) issues.push(`${path || 'body'} must not be null`)
+    return
+  }
+  if (!typeMatches(value, spec.type)) {
+    issues.push(`${path || 'body'} must be ${/^[aeiou]/.test(spec.type) ? 'an' : 'a'} ${spec.type}`)
+    return
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    issues.push(`${path} must be one of ${spec.enum.join(', ')}`)
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    issues.push(`${path} must be at least ${spec.min}`)
+  }
+  if (spec.type === 'array') {
+    value.forEach((item, index) => checkValue(item, spec.items, `${path}[${index}]`, issues))
+  }
+  if (spec.type === 'object') {
+    Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+      checkValue(value[key], fieldSpec, path ? `${path}.${key}` : key, issues)
+    })
+    if (!spec.open) {
+      Object.keys(value)
+        .filter(key => !(key in spec.fields))
+        .forEach(key => issues.push(`${path ? `${path}.${key}` : key} is not part of the contract`))
+    }
+  }
+}
+
+function getContract(functionName) {
+  const contract = CONTRACTS[functionName]
+  if (!contract) {
+    throw new ContractError(`No contract for function ${functionName}`, [], { status: 500 })
+  }
+  return contract
+}
+
+/**
+ * Check a request body against a function's contract
+ * @param {string} functionName - Edge Function name (key of CONTRACTS)
+ * @param {Object} body - Request body
+ * @returns {Object} The same body
+ * @throws {ContractError} 400 listing every invalid field
+ */
+export function validateRequest(functionName, body) {
+  const issues = []
+  checkValue(body, getContract(functionName).request, '', issues)
+  if (issues.length > 0) {
+    throw new ContractError(`Invalid ${functionName} request`, issues)
+  }
+  return body
+}
+
+/**
+ * Read a JSON request body
+ * @param {Request} req - Incoming request
+ * @returns {Promise<*>} Parsed body
+ * @throws {ContractError} 400 when the body is not valid JSON
+ */
+export async function readJsonBody(req) {
+  try {
+    return await req.json()
+  } catch {
+    throw new ContractError('Request body is not valid JSON', ['body must be valid JSON'])
+  }
+}
+
+/**
+ * Check a response body against a function's contract
+ * @param {string} functionName - Edge Function name (key of CONTRACTS)
+ * @param {Object} body - Response body
+ * @returns {Object} The same body
+ * @throws {ContractError} 502 listing every invalid field
+ */
+export function validateResponse(functionName, body) {
+  const issues = []
+  checkValue(body, getContract(functionName).response, '', issues)
+  if (issues.length > 0) {
+    throw new ContractError(`Invalid ${functionName} response`, issues, { status: 502, code: 'invalid_response' })
+  }
+  return body
+}
+
+/**
+ * Turn query parameters into a request body, converting values to the types the contract expects
+ * @param {string} functionName - Edge Function name (key of CONTRACTS)
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object} Request body
+ */
+export function requestFromQuery(functionName, searchParams) {
+  const { fields } = getContract(functionName).request
+  const body = {}
+
+  searchParams.forEach((value, key) => {
+    const type = fields[key]?.type
+    if (type === 'number' || type === 'integer') {
+      body[key] = value === '' ? undefined : Number(value)
+    } else if (type === 'boolean') {
+      body[key] = value === 'true'
+    } else {
+      body[key] = value
+    }
+  })
+
+  return body
+}
+
+/**
+ * Check the API version a request was made for
+ * Requests without the header (curl, older scripts) are treated as the current version.
+ * @param {Request} req - Incoming request
+ * @throws {ContractError} 400 when the version is not supported
+ */
+export function checkApiVersion(req) {
+  const header = req.headers.get(API_VERSION_HEADER)
+  if (header === null) return
+
+  if (!SUPPORTED_API_VERSIONS.includes(Number(header))) {
+    throw new ContractError(
+      `API version ${header} is not supported (supported: ${SUPPORTED_API_VERSIONS.join(', ')})`,
+      [],
+      { code: 'unsupported_version' }
+    )
+  }
+}
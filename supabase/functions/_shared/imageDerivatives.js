@@ -0,0 +1,62 @@
+// Shared helper: thumbnail and medium-size copies of uploaded images (Edge Functions only)
+// Uses ImageMagick compiled to WebAssembly, which reads the WebP the client uploads as well as
+// JPEG and PNG. Each derivative keeps the original's format and file name under its own folder
+// (see imagePaths.js).
+
+import { ImageMagick, initialize } from 'https://deno.land/x/imagemagick_deno@0.0.31/mod.ts'
+import { IMAGE_BUCKET, DERIVATIVES, derivativePath } from './imagePaths.js'
+
+const DERIVATIVE_QUALITY = 80
+
+let initialized = null
+
+/**
+ * Resize an image to a width, keeping its aspect ratio
+ * Images already narrower than the width are returned unchanged, so every derivative exists.
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {number} width - Target width
+ * @returns {Uint8Array} Encoded image
+ */
+function resizeToWidth(bytes, width) {
+  return ImageMagick.read(bytes, (image) => {
+    if (image.width <= width) return bytes
+
+    image.quality = DERIVATIVE_QUALITY
+    image.resize(width, Math.round(image.height * (width / image.width)))
+    // Strip anything the original still carries (EXIF, color profiles)
+    image.strip()
+    return image.write((data) => new Uint8Array(data))
+  })
+}
+
+/**
+ * Create and store every derivative of an original
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} originalPath - Path of the original in the bucket (<session>/originals/<file>)
+ * @param {Uint8Array} bytes - The original's content
+ * @param {string} contentType - The original's MIME type
+ * @returns {Promise<Object>} Public URL per variant, e.g. { thumb, medium }
+ */
+export async function storeDerivatives(supabase, originalPath, bytes, contentType) {
+  initialized = initialized || initialize()
+  await initialized
+
+  const urls = {}
+  for (const [variant, { width }] of Object.entries(DERIVATIVES)) {
+    const path = derivativePath(originalPath, variant)
+    const { error } = await supabase.storage
+      .from(IMAGE_BUCKET)
+      .upload(path, resizeToWidth(bytes, width), {
+        contentType,
+        cacheControl: '31536000',
+        // Backfills may retry after a partial run
+        upsert: true
+      })
+
+    if (error) throw error
+
+    urls[variant] = supabase.storage.from(IMAGE_BUCKET).getPublicUrl(path).data.publicUrl
+  }
+
+  return urls
+}
@@ -0,0 +1,119 @@
+// Shared helper: where outfit images and their derivatives live in Storage
+// Originals are stored as <session>/originals/<file>; upload-file writes a thumbnail and a
+// medium-size copy of each under sibling folders with the same file name, so the client can
+// derive every size from the original's URL (see LocalImage's srcset).
+
+export const IMAGE_BUCKET = 'outfit-images'
+export const ORIGINALS_FOLDER = 'originals'
+
+// Width of each derivative; the client caps originals at 1600px (src/utils/imagePreprocessing.js)
+export const DERIVATIVES = {
+  thumb: { folder: 'thumbs', width: 320 },
+  medium: { folder: 'medium', width: 960 }
+}
+export const ORIGINAL_WIDTH = 1600
+
+const ORIGINALS_SEGMENT = `/${ORIGINALS_FOLDER}/`
+
+/**
+ * Storage path of a derivative
+ * @param {string} path - Original's path or public URL
+ * @param {string} variant - Key of DERIVATIVES
+ * @returns {string|null} Derivative path/URL, or null when the image is not a stored original
+ */
+export function derivativePath(path, variant) {
+  if (typeof path !== 'string' || !path.includes(ORIGINALS_SEGMENT)) return null
+  // Only the last originals/ segment, in case a file name happens to contain it
+  const index = path.lastIndexOf(ORIGINALS_SEGMENT)
+  return `${path.slice(0, index)}/${DERIVATIVES[variant].folder}/${path.slice(index + ORIGINALS_SEGMENT.length)}`
+}
+
+/**
+ * Check whether a public URL points at an original in the outfit images bucket
+ */
+export function isStoredOriginal(url) {
+  return typeof url === 'string' &&
+    /^https?:/.test(url) &&
+    url.includes(`/${IMAGE_BUCKET}/`) &&
+    url.includes(ORIGINALS_SEGMENT)
+}
+
+/**
+ * Build an <img srcset> for a stored original
+ * @param {string} url - Public URL of the original
+ * @returns {string|null} "thumb 320w, medium 960w, original 1600w", or null for other images
+ */
+export function buildSrcSet(url) {
+  if (!isStoredOriginal(url)) return null
+
+  return [
+    ...Object.keys(DERIVATIVES).map(variant => `${derivativePath(url, variant)} ${DERIVATIVES[variant].width}w`),
+    `${url} ${ORIGINAL_WIDTH}w`
+  ].join(', ')
+}
+
+/**
+ * Path of an image in the outfit images bucket from its public URL
+ * @param {string} url - Public URL
+ * @returns {string|null} e.g. demo_1/originals/top_1_a.webp, or null for other URLs
+ */
+export function storagePathFromUrl(url) {
+  if (typeof url !== 'string') return null
+  const marker = `/object/public/${IMAGE_BUCKET}/`
+  const index = url.indexOf(marker)
+  return index === -1 ? null : decodeURIComponent(url.slice(index + marker.length).split('?')[0])
+}
+
+/**
+ * Every stored object belonging to an original: the original and its derivatives
+ * @param {string} originalPath - <session>/originals/<file>
+ * @returns {Array<string>} Paths
+ */
+export function imageObjectPaths(originalPath) {
+  return [originalPath, ...Object.keys(DERIVATIVES).map(variant => derivativePath(originalPath, variant))]
+    .filter(Boolean)
+}
+
+const EXTENSIONS = {
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif'
+}
+
+/**
+ * File name of an original in the bucket
+ * With a content hash the name is <category>_<sha256>.<ext>, so the same photo always maps to the
+ * same object and is only stored once; without one it is <category>_<timestamp>_<name>.
+ * @param {string} category - Piece category
+ * @param {Object} file - { hash, name, type }
+ * @returns {string} File name (without the <session>/originals/ folder)
+ */
+export function originalFileName(category, { hash = null, name = null, type = null } = {}) {
+  if (hash) {
+    const extension = EXTENSIONS[type] || name?.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase() || 'img'
+    return `${category}_${hash}.${extension}`
+  }
+  return `${category}_${Date.now()}_${(name || `${category}.jpg`).replace(/[^a-zA-Z0-9.-]/g, '_')}`
+}
+
+/**
+ * Content hash of a stored original, read from its content-addressed name
+ * @param {string} url - Public URL or path
+ * @returns {string|null} SHA-256 hex, or null for images stored under a timestamped name
+ */
+export function hashFromUrl(url) {
+  const match = typeof url === 'string' ? url.match(/_([0-9a-f]{64})\.[a-z0-9]+(?:\?|$)/) : null
+  return match ? match[1] : null
+}
+
+/**
+ * Check whether a Storage upload failed because the object already exists
+ * With content-addressed names that means the same photo is already stored.
+ * @param {Object} error - Storage error (or parsed error response body)
+ */
+export function isDuplicateObjectError(error) {
+  return String(error?.statusCode) === '409' ||
+    error?.error === 'Duplicate' ||
+    /already exists/i.test(error?.message || '')
+}
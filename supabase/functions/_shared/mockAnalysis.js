@@ -0,0 +1,256 @@
+// Shared helper: mock AI analysis for demo/fallback scenarios
+// Used by the client when analyze-fit is unreachable (via src/utils/mockAI.js)
+// and by analyze-fit itself when AI_PROVIDER=mock.
+// Output is deterministic: picks come from a PRNG seeded by the inputs (or an explicit seed),
+// so the same photos, season and formality always get the same analysis.
+
+import { getSeasonPreset } from './seasonPresets.js'
+import { getMockScenario } from './mockScenarios.js'
+
+// Mock generated image URL (would be from Nanobanana in production)
+// Use a simple SVG data URL to avoid CORS issues
+const MOCK_IMAGE_URL = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='400' height='600' viewBox='0 0 400 600'%3E%3Crect fill='%23334155' width='400' height='600'/%3E%3Ctext x='50%25' y='45%25' font-family='Arial, sans-serif' font-size='24' fill='%238B5CF6' text-anchor='middle' dominant-baseline='middle'%3E🔥 AI Generated%3C/text%3E%3Ctext x='50%25' y='55%25' font-family='Arial, sans-serif' font-size='18' fill='%2394A3B8' text-anchor='middle' dominant-baseline='middle'%3EOutfit Preview%3C/text%3E%3C/svg%3E`
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Derive the mock seed for an analysis
+ * An explicit seed wins; otherwise the image URLs, season and formality are hashed.
+ * @param {Object} params - Same parameters as generateMockAnalysis
+ * @returns {number} 32-bit seed
+ */
+export function getMockSeed({ seed, topUrl, topLayerUrl, bottomUrl, shoesUrl, accessoriesUrl, season, formality }) {
+  if (seed !== undefined && seed !== null && seed !== '') {
+    return hashString(String(seed))
+  }
+  return hashString([topUrl, topLayerUrl, bottomUrl, shoesUrl, accessoriesUrl, season, formality]
+    .map(value => value || '')
+    .join('|'))
+}
+
+/**
+ * Generate a mock AI analysis response
+ * This mimics the structure returned by Google AI Studio
+ * @param {Object} params - Analysis parameters
+ * @param {string} params.topUrl - Top image URL
+ * @param {string} params.topLayerUrl - Top layer image URL
+ * @param {string} params.bottomUrl - Bottom image URL
+ * @param {string} params.shoesUrl - Shoes image URL
+ * @param {string} params.accessoriesUrl - Accessories image URL
+ * @param {string} params.season - Selected season
+ * @param {string} params.formality - Formality level
+ * @param {Object} params.weather - Current conditions plus getWeatherContext() fields (optional)
+ * @param {Object} params.palette - Measured swatches per piece, { top: [{ hex, name, share }] } (optional)
+ * @param {string|number} params.seed - Fixed seed; derived from the other inputs when missing (optional)
+ * @param {string} params.scenario - Key of MOCK_SCENARIOS to return a curated analysis (optional)
+ * @param {string} params.timestamp - Timestamp to report, for fully reproducible output (optional)
+ * @returns {Object} Mock AI response matching expected structure
+ */
+export function generateMockAnalysis({ 
+  topUrl, 
+  topLayerUrl,
+  bottomUrl, 
+  shoesUrl, 
+  accessoriesUrl, 
+  season = 'Fall', 
+  formality = 'casual',
+  weather = null,
+  palette = null,
+  seed,
+  scenario,
+  timestamp = new Date().toISOString()
+}) {
+  console.log('🤖 Generating mock AI analysis (fallback mode)')
+
+  const curated = scenario ? getMockScenario(scenario) : null
+  if (scenario && !curated) {
+    console.warn(`⚠️ Unknown mock scenario "${scenario}", generating one instead`)
+  }
+  if (curated) {
+    return buildScenarioAnalysis(curated, { topUrl, topLayerUrl, bottomUrl, shoesUrl, accessoriesUrl, weather, timestamp })
+  }
+
+  const random = createRandom(getMockSeed({ seed, topUrl, topLayerUrl, bottomUrl, shoesUrl, accessoriesUrl, season, formality }))
+  
+  // Actual weather beats the calendar: a warm October day gets summer pieces
+  // Unknown seasons fall back to the default preset
+  const seasonPreset = getSeasonPreset(weather?.effectiveSeason || season)
+  const garmentSeason = seasonPreset.season
+  
+  // Mock clothing item descriptions based on season
+  const topDescriptions = {
+    Spring: ['floral blouse', 'light cardigan', 'pastel sweater', 'cotton tee'],
+    Summer: ['white tank top', 'crop top', 'linen shirt', 'bright tee'],
+    Fall: ['rust sweater', 'olive button-up', 'denim jacket', 'cozy hoodie'],
+    Winter: ['chunky knit sweater', 'thermal top', 'turtleneck', 'fleece pullover']
+  }
+  
+  const topLayerDescriptions = {
+    Spring: ['light denim jacket', 'bomber jacket', 'cardigan'],
+    Summer: ['kimono', 'sheer cover-up', 'vest'],
+    Fall: ['leather jacket', 'oversized blazer', 'wool coat'],
+    Winter: ['puffer jacket', 'parka', 'peacoat', 'trench coat']
+  }
+  
+  const bottomDescriptions = {
+    Spring: ['light wash jeans', 'floral skirt', 'khaki pants', 'midi skirt'],
+    Summer: ['denim shorts', 'white pants', 'flowy skirt', 'linen trousers'],
+    Fall: ['dark jeans', 'corduroy pants', 'plaid skirt', 'cargo pants'],
+    Winter: ['black jeans', 'wool trousers', 'fleece-lined leggings', 'thermal pants']
+  }
+  
+  const shoesDescriptions = {
+    Spring: ['white sneakers', 'canvas shoes', 'loafers', 'sandals'],
+    Summer: ['slides', 'espadrilles', 'sandals', 'white sneakers'],
+    Fall: ['ankle boots', 'combat boots', 'sneakers', 'oxfords'],
+    Winter: ['winter boots', 'Chelsea boots', 'insulated sneakers', 'hiking boots']
+  }
+  
+  // Select descriptions with the seeded PRNG
+  const getRandomItem = (arr) => arr[Math.floor(random() * arr.length)]
+  
+  const top = topUrl ? getRandomItem(topDescriptions[garmentSeason]) : null
+  const topLayer = topLayerUrl ? getRandomItem(topLayerDescriptions[garmentSeason]) : null
+  const bottom = bottomUrl ? getRandomItem(bottomDescriptions[garmentSeason]) : null
+  const shoes = shoesUrl ? getRandomItem(shoesDescriptions[garmentSeason]) : null
+  
+  // Generate accessories description
+  const accessoriesList = accessoriesUrl 
+    ? seasonPreset.recommendedAccessories.slice(0, 2)
+    : []
+  if (accessoriesUrl && weather?.isWet) {
+    accessoriesList.push('umbrella')
+  }
+  
+  // Generate aesthetic tags
+  const aestheticOptions = {
+    casual: ['streetwear', 'Y2K', 'casual', 'everyday', 'relaxed'],
+    'semi-formal': ['smart casual', 'chic', 'polished', 'refined'],
+    'business-casual': ['professional', 'corporate', 'minimalist', 'classic'],
+    sports: ['athletic', 'sporty', 'performance', 'active']
+  }
+  
+  const baseAesthetic = aestheticOptions[formality] || aestheticOptions.casual
+  const aesthetic = [
+    ...seasonPreset.aesthetic.slice(0, 2),
+    getRandomItem(baseAesthetic)
+  ]
+  
+  // Generate color palette; colors measured from the photos win over the season's suggestions
+  const measured = (key) => palette?.[key]?.[0]?.name
+  const colors = {
+    top: top ? measured('top') || seasonPreset.recommendedColors[0] : null,
+    topLayer: topLayer ? measured('topLayer') || seasonPreset.recommendedColors[1] : null,
+    bottom: bottom ? measured('bottom') || seasonPreset.recommendedColors[2] : null,
+    shoes: shoes ? measured('shoes') || seasonPreset.recommendedColors[3] || 'neutral' : null,
+    accessories: accessoriesList.length > 0 ? measured('accessories') || 'mixed metals' : null
+  }
+  
+  return {
+    top,
+    topLayer,
+    bottom,
+    shoes,
+    accessories: accessoriesList,
+    aesthetic,
+    colors,
+    ai_description: buildDescription({ top, topLayer, bottom, shoes, accessories: accessoriesList, weather }),
+    accessories_description: accessoriesList.length > 0 
+      ? `Accessorized with ${accessoriesList.join(' and ')}` 
+      : null,
+    accessories_tags: accessoriesList,
+    ai_image_url: MOCK_IMAGE_URL,
+    season,
+    formality,
+    weather,
+    // 0.70–0.95, stable for the same seed
+    confidence: Math.round((0.7 + random() * 0.25) * 100) / 100,
+    timestamp
+  }
+}
+
+/**
+ * Turn a curated scenario into an analysis for the pieces that were uploaded
+ */
+function buildScenarioAnalysis(curated, { topUrl, topLayerUrl, bottomUrl, shoesUrl, accessoriesUrl, weather, timestamp }) {
+  const top = topUrl ? curated.top : null
+  const topLayer = topLayerUrl ? curated.topLayer : null
+  const bottom = bottomUrl ? curated.bottom : null
+  const shoes = shoesUrl ? curated.shoes : null
+  const accessories = accessoriesUrl ? [...curated.accessories] : []
+
+  return {
+    top,
+    topLayer,
+    bottom,
+    shoes,
+    accessories,
+    aesthetic: [...curated.aesthetic],
+    colors: {
+      top: top ? curated.colors.top : null,
+      topLayer: topLayer ? curated.colors.topLayer : null,
+      bottom: bottom ? curated.colors.bottom : null,
+      shoes: shoes ? curated.colors.shoes : null,
+      accessories: accessories.length > 0 ? curated.colors.accessories : null
+    },
+    ai_description: curated.ai_description,
+    accessories_description: accessories.length > 0
+      ? `Accessorized with ${accessories.join(' and ')}`
+      : null,
+    accessories_tags: accessories,
+    ai_image_url: MOCK_IMAGE_URL,
+    season: curated.season,
+    formality: curated.formality,
+    weather,
+    confidence: curated.confidence,
+    timestamp
+  }
+}
+
+/**
+ * Build a human-readable description from analyzed items
+ */
+function buildDescription({ top, topLayer, bottom, shoes, accessories, weather }) {
+  const parts = []
+  
+  if (top) parts.push(top)
+  if (topLayer) parts.push(`with ${topLayer}`)
+  if (bottom) parts.push(bottom)
+  if (shoes) parts.push(shoes)
+  if (accessories && accessories.length > 0) {
+    parts.push(`accessorized with ${accessories.join(', ')}`)
+  }
+  
+  const description = parts.join(', ')
+  if (!weather?.summary) return description
+  
+  return `${description}. Weather ${weather.summary}: ${weather.suggestion.toLowerCase()}`
+}
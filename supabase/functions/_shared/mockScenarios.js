@@ -0,0 +1,115 @@
+// Shared helper: curated mock AI scenarios for demos and tests
+// A scenario replaces the generated analysis with a fixed, hand-written one. Pieces without
+// an uploaded image are still left out, so the result matches what was actually analyzed.
+
+export const MOCK_SCENARIOS = {
+  'winter-business-casual': {
+    label: 'Winter business casual',
+    season: 'Winter',
+    formality: 'business-casual',
+    top: 'charcoal merino turtleneck',
+    topLayer: 'camel wool overcoat',
+    bottom: 'grey pleated wool trousers',
+    shoes: 'brown leather Chelsea boots',
+    accessories: ['leather gloves', 'cashmere scarf'],
+    aesthetic: ['minimalist', 'professional', 'layered'],
+    colors: {
+      top: 'charcoal',
+      topLayer: 'camel',
+      bottom: 'grey',
+      shoes: 'brown',
+      accessories: 'tan leather'
+    },
+    ai_description: 'A warm, polished office look: charcoal turtleneck under a camel overcoat with grey wool trousers and Chelsea boots.',
+    confidence: 0.93
+  },
+  'summer-streetwear': {
+    label: 'Summer streetwear',
+    season: 'Summer',
+    formality: 'casual',
+    top: 'oversized white graphic tee',
+    topLayer: 'open short-sleeve camp shirt',
+    bottom: 'black cargo shorts',
+    shoes: 'white high-top sneakers',
+    accessories: ['bucket hat', 'sunglasses', 'chain necklace'],
+    aesthetic: ['streetwear', 'relaxed', 'Y2K'],
+    colors: {
+      top: 'white',
+      topLayer: 'sage green',
+      bottom: 'black',
+      shoes: 'white',
+      accessories: 'silver'
+    },
+    ai_description: 'Laid-back summer streetwear with an oversized graphic tee, cargo shorts and high-tops, finished with a bucket hat.',
+    confidence: 0.88
+  },
+  'spring-brunch': {
+    label: 'Spring brunch',
+    season: 'Spring',
+    formality: 'semi-formal',
+    top: 'pastel pink silk blouse',
+    topLayer: 'cream cropped cardigan',
+    bottom: 'white wide-leg trousers',
+    shoes: 'tan loafers',
+    accessories: ['gold hoop earrings', 'woven tote'],
+    aesthetic: ['chic', 'airy', 'polished'],
+    colors: {
+      top: 'pastel pink',
+      topLayer: 'cream',
+      bottom: 'white',
+      shoes: 'tan',
+      accessories: 'gold'
+    },
+    ai_description: 'A soft, put-together brunch outfit pairing a pink silk blouse and cream cardigan with white wide-leg trousers and loafers.',
+    confidence: 0.9
+  },
+  'fall-layers': {
+    label: 'Fall layers',
+    season: 'Fall',
+    formality: 'casual',
+    top: 'rust ribbed sweater',
+    topLayer: 'olive utility jacket',
+    bottom: 'dark wash straight jeans',
+    shoes: 'brown combat boots',
+    accessories: ['knit beanie', 'crossbody bag'],
+    aesthetic: ['earthy', 'layered', 'cozy'],
+    colors: {
+      top: 'rust',
+      topLayer: 'olive',
+      bottom: 'indigo',
+      shoes: 'brown',
+      accessories: 'mustard'
+    },
+    ai_description: 'Earthy fall layering with a rust sweater under an olive utility jacket, dark jeans and combat boots.',
+    confidence: 0.86
+  },
+  'rainy-gym-run': {
+    label: 'Rainy gym run',
+    season: 'Fall',
+    formality: 'sports',
+    top: 'moisture-wicking long-sleeve top',
+    topLayer: 'lightweight waterproof shell',
+    bottom: 'black running tights',
+    shoes: 'trail running shoes',
+    accessories: ['cap', 'fitness watch'],
+    aesthetic: ['athletic', 'performance', 'technical'],
+    colors: {
+      top: 'electric blue',
+      topLayer: 'black',
+      bottom: 'black',
+      shoes: 'neon orange',
+      accessories: 'black'
+    },
+    ai_description: 'Weather-ready activewear: a wicking long-sleeve and waterproof shell over running tights with grippy trail shoes.',
+    confidence: 0.84
+  }
+}
+
+/**
+ * Get a scenario by name
+ * @param {string} name - Key of MOCK_SCENARIOS
+ * @returns {Object|null} Scenario, or null for an unknown name
+ */
+export function getMockScenario(name) {
+  return MOCK_SCENARIOS[name] || null
+}
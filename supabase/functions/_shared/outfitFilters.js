@@ -0,0 +1,300 @@
+// Shared helper: search, filter, sort and paginate saved outfits
+// Used server-side by getSavedFits (and the client's direct DB query) and client-side for
+// outfits that only exist locally, so both paths agree on what a filter or a page means.
+
+export const OUTFIT_SORTS = {
+  newest: { label: 'Newest first' },
+  oldest: { label: 'Oldest first' },
+  confidence: { label: 'Highest confidence' }
+}
+
+export const DEFAULT_OUTFIT_FILTERS = {
+  q: '',
+  season: '',
+  formality: '',
+  tag: '',
+  color: '',
+  sort: 'newest'
+}
+
+export const DEFAULT_PAGE_SIZE = 24
+export const MAX_PAGE_SIZE = 100
+
+// Columns the favorites grid needs; the details view loads the full row
+export const OUTFIT_SUMMARY_FIELDS = [
+  'id', 'session_id', 'client_id',
+  'top_url', 'top_layer_url', 'bottom_url', 'shoes_url', 'accessories_url', 'ai_image_url',
+  'ai_description', 'aesthetic', 'colors', 'season', 'formality', 'confidence',
+  'created_at', 'updated_at'
+].join(', ')
+
+// Keys of the outfits.colors JSON object
+const COLOR_KEYS = ['top', 'topLayer', 'bottom', 'shoes', 'accessories']
+
+/**
+ * Clean up filters from a request body or URL
+ * Unknown keys are dropped and the color is limited to characters that are safe in a PostgREST filter.
+ * @param {Object} filters - Raw filters
+ * @returns {Object} Filters with every key of DEFAULT_OUTFIT_FILTERS
+ */
+export function normalizeOutfitFilters(filters = {}) {
+  const normalized = { ...DEFAULT_OUTFIT_FILTERS }
+
+  Object.keys(DEFAULT_OUTFIT_FILTERS).forEach(key => {
+    if (typeof filters[key] === 'string') {
+      normalized[key] = filters[key].trim()
+    }
+  })
+
+  normalized.color = normalized.color.replace(/[^a-zA-Z0-9# -]/g, '')
+  if (!OUTFIT_SORTS[normalized.sort]) {
+    normalized.sort = DEFAULT_OUTFIT_FILTERS.sort
+  }
+
+  return normalized
+}
+
+/**
+ * Check whether any filter narrows the results
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return ['q', 'season', 'formality', 'tag', 'color'].some(key => filters[key])
+}
+
+/**
+ * Add filters, ordering and the page cursor to a Supabase query on the outfits table
+ * Search uses the search_vector full-text column (see README schema).
+ * Pages are keyset-based: rows after the cursor in (sort value, created_at, id) order.
+ * @param {Object} query - supabase.from('outfits').select(...) builder
+ * @param {Object} filters - Normalized filters
+ * @param {string|null} cursor - Cursor from the previous page
+ * @returns {Object} The same builder, filtered and ordered
+ */
+export function applyOutfitFilters(query, filters, cursor = null) {
+  // PostgREST takes a single or= parameter, so OR groups are combined into one
+  const orGroups = []
+
+  if (filters.q) {
+    query = query.textSearch('search_vector', filters.q, { type: 'websearch', config: 'english' })
+  }
+  if (filters.season) {
+    query = query.eq('season', filters.season)
+  }
+  if (filters.formality) {
+    query = query.eq('formality', filters.formality)
+  }
+  if (filters.tag) {
+    query = query.contains('aesthetic', [filters.tag])
+  }
+  if (filters.color) {
+    orGroups.push(COLOR_KEYS.map(key => `colors->>${key}.ilike.*${filters.color}*`).join(','))
+  }
+
+  const position = decodeCursor(cursor)
+  if (position) {
+    orGroups.push(cursorConditions(position, filters.sort))
+  }
+
+  if (orGroups.length === 1) {
+    query = query.or(orGroups[0])
+  } else if (orGroups.length > 1) {
+    query = query.or(`and(${orGroups.map(group => `or(${group})`).join(',')})`)
+  }
+
+  const ascending = filters.sort === 'oldest'
+  if (filters.sort === 'confidence') {
+    query = query.order('confidence', { ascending: false, nullsFirst: false })
+  }
+  return query
+    .order('created_at', { ascending })
+    .order('id', { ascending })
+}
+
+/**
+ * PostgREST conditions for "comes after this position" in the given sort order
+ */
+function cursorConditions({ confidence, created_at, id }, sort) {
+  const op = sort === 'oldest' ? 'gt' : 'lt'
+  const sameTime = `created_at.eq."${created_at}"`
+  const byDate = [`created_at.${op}."${created_at}"`, `and(${sameTime},id.${op}.${id})`]
+
+  if (sort !== 'confidence') {
+    return byDate.join(',')
+  }
+
+  // Confidence sorts descending with unscored outfits last
+  if (confidence === null) {
+    return byDate.map(condition => `and(confidence.is.null,${condition})`).join(',')
+  }
+  return [
+    `confidence.lt.${confidence}`,
+    'confidence.is.null',
+    ...byDate.map(condition => `and(confidence.eq.${confidence},${condition})`)
+  ].join(',')
+}
+
+/**
+ * Encode the position of the last outfit on a page
+ * @param {Object} outfit - Last outfit on the page
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(outfit) {
+  return btoa(JSON.stringify({
+    confidence: outfit.confidence ?? null,
+    created_at: outfit.created_at,
+    id: outfit.id
+  }))
+}
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {string|null} cursor - Opaque cursor
+ * @returns {Object|null} { confidence, created_at, id }, or null for the first page / a malformed cursor
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null
+  try {
+    const position = JSON.parse(atob(cursor))
+    const confidence = position.confidence === null ? null : Number(position.confidence)
+    // Only values that are safe inside a PostgREST filter string
+    if (!/^[\w:.+ -]+$/.test(position.created_at) || !/^[\w-]+$/.test(position.id) || Number.isNaN(confidence)) {
+      return null
+    }
+    return { confidence, created_at: position.created_at, id: position.id }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Clamp a requested page size
+ * @param {number|string} limit - Requested page size
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE
+ */
+export function normalizePageSize(limit) {
+  const size = Number.parseInt(limit, 10)
+  if (!size || size < 1) return DEFAULT_PAGE_SIZE
+  return Math.min(size, MAX_PAGE_SIZE)
+}
+
+const lower = (value) => String(value || '').toLowerCase()
+
+/**
+ * Client-side version of applyOutfitFilters() for outfits that are not on the server
+ * Search matches every word of the query against the description, accessories and tags.
+ * @param {Array} outfits - Outfits
+ * @param {Object} filters - Normalized filters
+ * @returns {Array} Matching outfits in the requested order
+ */
+export function filterOutfits(outfits, filters) {
+  const words = lower(filters.q).split(/\s+/).filter(Boolean)
+
+  const matching = outfits.filter(outfit => {
+    if (words.length > 0) {
+      const text = lower([
+        outfit.ai_description,
+        outfit.accessories_description,
+        ...(outfit.aesthetic || []),
+        ...(outfit.accessories_tags || [])
+      ].join(' '))
+      if (!words.every(word => text.includes(word))) return false
+    }
+    if (filters.season && outfit.season !== filters.season) return false
+    if (filters.formality && outfit.formality !== filters.formality) return false
+    if (filters.tag && !(outfit.aesthetic || []).includes(filters.tag)) return false
+    if (filters.color) {
+      const colors = Object.values(outfit.colors || {}).map(lower)
+      if (!colors.some(color => color.includes(lower(filters.color)))) return false
+    }
+    return true
+  })
+
+  return sortOutfits(matching, filters.sort)
+}
+
+// Timestamps without a zone come from the database and are UTC
+function toTime(value) {
+  if (!value) return 0
+  const text = String(value)
+  return new Date(/(Z|[+-]\d\d:?\d\d)$/.test(text) ? text : `${text}Z`).getTime()
+}
+
+/**
+ * Compare two outfits in the given sort order (same order as applyOutfitFilters)
+ * @returns {number} Negative when a comes first
+ */
+export function compareOutfits(a, b, sort = 'newest') {
+  if (sort === 'confidence') {
+    const aScore = a.confidence ?? null
+    const bScore = b.confidence ?? null
+    if (aScore !== bScore) {
+      if (aScore === null) return 1
+      if (bScore === null) return -1
+      return bScore - aScore
+    }
+  }
+
+  const direction = sort === 'oldest' ? 1 : -1
+  const timeDiff = toTime(a.created_at) - toTime(b.created_at)
+  if (timeDiff !== 0) return direction * timeDiff
+  // Plain code-unit order, like Postgres compares UUIDs
+  const aId = String(a.id)
+  const bId = String(b.id)
+  return direction * (aId < bId ? -1 : aId > bId ? 1 : 0)
+}
+
+/**
+ * Sort outfits by date or confidence (ties fall back to date, then id)
+ * @param {Array} outfits - Outfits
+ * @param {string} sort - Key of OUTFIT_SORTS
+ * @returns {Array} Sorted copy
+ */
+export function sortOutfits(outfits, sort = 'newest') {
+  return [...outfits].sort((a, b) => compareOutfits(a, b, sort))
+}
+
+/**
+ * Keep only outfits that come after a cursor in the given sort order
+ * @param {Array} outfits - Outfits
+ * @param {string|null} cursor - Cursor from encodeCursor()
+ * @param {string} sort - Key of OUTFIT_SORTS
+ * @returns {Array} Outfits after the cursor
+ */
+export function afterCursor(outfits, cursor, sort) {
+  const position = decodeCursor(cursor)
+  if (!position) return outfits
+  return outfits.filter(outfit => compareOutfits(outfit, position, sort) > 0)
+}
+
+/**
+ * Keep only outfits that fall on the page between two cursors
+ * @param {Array} outfits - Outfits
+ * @param {string|null} cursor - Cursor the page started after
+ * @param {string|null} nextCursor - Cursor of the page's last outfit (null for the last page)
+ * @param {string} sort - Key of OUTFIT_SORTS
+ * @returns {Array} Outfits on the page
+ */
+export function withinPage(outfits, cursor, nextCursor, sort) {
+  const end = decodeCursor(nextCursor)
+  return afterCursor(outfits, cursor, sort)
+    .filter(outfit => !end || compareOutfits(outfit, end, sort) <= 0)
+}
+
+/**
+ * Client-side page of already filtered and sorted outfits
+ * @param {Array} outfits - Outfits in sort order
+ * @param {Object} filters - Normalized filters
+ * @param {string|null} cursor - Cursor from the previous page
+ * @param {number} limit - Page size
+ * @returns {Object} { outfits, nextCursor }
+ */
+export function paginateOutfits(outfits, filters, cursor, limit) {
+  const remaining = afterCursor(outfits, cursor, filters.sort)
+  const page = remaining.slice(0, limit)
+  return {
+    outfits: page,
+    nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1]) : null
+  }
+}
@@ -0,0 +1,92 @@
+// Shared helper: read fields out of a JSON object that is still being streamed
+// A model streams its answer a few characters at a time; this finds the top-level fields whose
+// values are already complete so they can be shown before the whole object has arrived.
+
+const WHITESPACE = /\s/
+
+// Index just past the string starting at text[start] (a quote), or -1 if it hasn't ended yet
+function scanString(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++
+    else if (text[i] === '"') return i + 1
+  }
+  return -1
+}
+
+// Index just past the value starting at text[start], or -1 if it hasn't ended yet
+function scanValue(text, start) {
+  const first = text[start]
+  if (first === '"') return scanString(text, start)
+
+  if (first === '{' || first === '[') {
+    let depth = 0
+    for (let i = start; i < text.length; i++) {
+      const char = text[i]
+      if (char === '"') {
+        const end = scanString(text, i)
+        if (end === -1) return -1
+        i = end - 1
+      } else if (char === '{' || char === '[') {
+        depth++
+      } else if (char === '}' || char === ']') {
+        depth--
+        if (depth === 0) return i + 1
+      }
+    }
+    return -1
+  }
+
+  // Numbers, true, false and null are only complete once something follows them
+  let end = start
+  while (end < text.length && !/[,}\]\s]/.test(text[end])) end++
+  return end < text.length ? end : -1
+}
+
+/**
+ * Parse the top-level fields of a partial JSON object that are already complete
+ * Text before the first "{" (such as a ```json fence) is skipped.
+ * @param {string} text - Streamed text so far
+ * @returns {Object} Complete fields, in the order they appear
+ */
+export function readCompleteFields(text) {
+  const fields = {}
+  if (typeof text !== 'string') return fields
+
+  let i = text.indexOf('{') + 1
+  if (i === 0) return fields
+
+  const skipWhitespace = () => {
+    while (i < text.length && WHITESPACE.test(text[i])) i++
+  }
+
+  try {
+    while (i < text.length) {
+      skipWhitespace()
+      if (text[i] === ',') {
+        i++
+        skipWhitespace()
+      }
+      if (text[i] !== '"') break
+
+      const keyEnd = scanString(text, i)
+      if (keyEnd === -1) break
+      const key = JSON.parse(text.slice(i, keyEnd))
+      i = keyEnd
+
+      skipWhitespace()
+      if (text[i] !== ':') break
+      i++
+      skipWhitespace()
+      if (i >= text.length) break
+
+      const valueEnd = scanValue(text, i)
+      if (valueEnd === -1) break
+      fields[key] = JSON.parse(text.slice(i, valueEnd))
+      i = valueEnd
+    }
+  } catch {
+    // Malformed so far; keep what parsed and let the full validation report it
+  }
+
+  return fields
+}
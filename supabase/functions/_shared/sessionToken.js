@@ -0,0 +1,101 @@
+// Shared helper: signed demo session tokens
+// Token format: <session_id>.<base64url(HMAC-SHA256(session_id, secret))>
+// The same signature is checked by the request_session_id() SQL function used in RLS policies.
+// Sessions started offline are named after a secret only the browser knows (see offlineSessionId),
+// so create-session can later issue their token to that browser and nobody else.
+
+import { sha256Hex } from './contentHash.js'
+
+const encoder = new TextEncoder()
+
+// demo_<timestamp>_<first 32 hex digits of SHA-256(claim secret)>
+const OFFLINE_SESSION_ID = /^demo_\d+_([0-9a-f]{32})$/
+
+function toBase64Url(buffer) {
+  const base64 = btoa(String.fromCharCode(...new Uint8Array(buffer)))
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+async function sign(message, secret) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return toBase64Url(signature)
+}
+
+// Compare without short-circuiting so timing does not leak the signature
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return diff === 0
+}
+
+/**
+ * Create a signed token for a demo session
+ * @param {string} sessionId - demo_... session ID
+ * @param {string} secret - SESSION_TOKEN_SECRET
+ * @returns {Promise<string>} Session token
+ */
+export async function signSessionToken(sessionId, secret) {
+  if (!secret) throw new Error('SESSION_TOKEN_SECRET is not configured')
+  return `${sessionId}.${await sign(sessionId, secret)}`
+}
+
+/**
+ * Verify a demo session token
+ * @param {string} token - Token from the x-session-token header
+ * @param {string} secret - SESSION_TOKEN_SECRET
+ * @returns {Promise<string|null>} The session ID, or null if the token is missing or forged
+ */
+export async function verifySessionToken(token, secret) {
+  if (!token || !secret) return null
+
+  const separator = token.lastIndexOf('.')
+  if (separator <= 0) return null
+
+  const sessionId = token.slice(0, separator)
+  const signature = token.slice(separator + 1)
+  if (!sessionId.startsWith('demo_')) return null
+
+  const expected = await sign(sessionId, secret)
+  return safeEqual(signature, expected) ? sessionId : null
+}
+
+/**
+ * Random secret for a session started offline; kept with the session until its token is issued
+ * @returns {string} 64 hex characters
+ */
+export function createClaimSecret() {
+  return [...crypto.getRandomValues(new Uint8Array(32))].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * ID for a session started offline, derived from its claim secret
+ * @param {string} claimSecret - createClaimSecret()
+ * @param {number} now - Creation time (ms)
+ * @returns {Promise<string>} demo_... session ID
+ */
+export async function offlineSessionId(claimSecret, now = Date.now()) {
+  return `demo_${now}_${(await sha256Hex(claimSecret)).slice(0, 32)}`
+}
+
+/**
+ * Check that a claim secret is the one an offline session ID was derived from
+ * IDs made any other way (including sessions from before tokens existed) can't be claimed.
+ * @param {string} sessionId - demo_... session ID
+ * @param {string} claimSecret - Secret sent by the client
+ * @returns {Promise<boolean>}
+ */
+export async function verifySessionClaim(sessionId, claimSecret) {
+  const match = OFFLINE_SESSION_ID.exec(sessionId || '')
+  if (!match || typeof claimSecret !== 'string' || !claimSecret) return false
+  return safeEqual((await sha256Hex(claimSecret)).slice(0, 32), match[1])
+}
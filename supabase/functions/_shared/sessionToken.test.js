@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import {
+  signSessionToken,
+  verifySessionToken,
+  createClaimSecret,
+  offlineSessionId,
+  verifySessionClaim
+} from './sessionToken.js'
+
+const SECRET = 'test-session-token-secret'
+
+describe('session tokens', () => {
+  it('verifies a token it signed', async () => {
+    const token = await signSessionToken('demo_1_a', SECRET)
+    expect(await verifySessionToken(token, SECRET)).toBe('demo_1_a')
+  })
+
+  it('rejects a token signed for another session', async () => {
+    const token = await signSessionToken('demo_1_a', SECRET)
+    const signature = token.slice(token.lastIndexOf('.') + 1)
+
+    expect(await verifySessionToken(`demo_2_b.${signature}`, SECRET)).toBeNull()
+  })
+
+  it('rejects tokens signed with another secret, unsigned IDs and non-demo IDs', async () => {
+    expect(await verifySessionToken(await signSessionToken('demo_1_a', 'other-secret'), SECRET)).toBeNull()
+    expect(await verifySessionToken('demo_1_a', SECRET)).toBeNull()
+    expect(await verifySessionToken(await signSessionToken('user-1', SECRET), SECRET)).toBeNull()
+    expect(await verifySessionToken(null, SECRET)).toBeNull()
+  })
+
+  it('refuses to sign without a secret', async () => {
+    await expect(signSessionToken('demo_1_a', '')).rejects.toThrow('SESSION_TOKEN_SECRET is not configured')
+  })
+})
+
+describe('offline session claims', () => {
+  it('accepts the secret an offline session ID was derived from', async () => {
+    const claimSecret = createClaimSecret()
+    const sessionId = await offlineSessionId(claimSecret, 1700000000000)
+
+    expect(sessionId).toMatch(/^demo_1700000000000_[0-9a-f]{32}$/)
+    expect(await verifySessionClaim(sessionId, claimSecret)).toBe(true)
+  })
+
+  it('rejects any other secret, and IDs not derived from one', async () => {
+    const sessionId = await offlineSessionId(createClaimSecret())
+
+    expect(await verifySessionClaim(sessionId, createClaimSecret())).toBe(false)
+    expect(await verifySessionClaim(sessionId, undefined)).toBe(false)
+    expect(await verifySessionClaim('demo_1700000000000_k3j9x0a1b', 'anything')).toBe(false)
+  })
+})
@@ -0,0 +1,108 @@
+// Shared helper: remove outfit images nothing refers to any more
+// An image is in use while any outfit or closet item points at it; deleting an outfit only
+// removes the images it was the last user of, together with their derivatives.
+// Used by delete-fit, cleanup-storage and the client's direct-delete fallback; upgrade-session
+// lists folders with it.
+
+import { IMAGE_BUCKET, storagePathFromUrl, imageObjectPaths } from './imagePaths.js'
+
+// Columns that can hold a URL in the outfit images bucket
+export const IMAGE_URL_COLUMNS = {
+  outfits: ['top_url', 'top_layer_url', 'bottom_url', 'shoes_url', 'accessories_url', 'ai_image_url'],
+  wardrobe_items: ['image_url']
+}
+
+const PAGE_SIZE = 1000
+// Storage accepts a limited number of paths per remove call
+const REMOVE_BATCH_SIZE = 100
+
+/**
+ * Collect the storage paths of every image still referenced
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - { sessionId } limits the scan to one session's rows
+ * @returns {Promise<Set<string>>} Paths of originals in use
+ */
+export async function findReferencedPaths(supabase, { sessionId = null } = {}) {
+  const referenced = new Set()
+
+  for (const [table, columns] of Object.entries(IMAGE_URL_COLUMNS)) {
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from(table)
+        .select(columns.join(', '))
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1)
+      if (sessionId) query = query.eq('session_id', sessionId)
+
+      const { data, error } = await query
+      if (error) throw error
+
+      data.forEach(row => columns.forEach(column => {
+        const path = storagePathFromUrl(row[column])
+        if (path) referenced.add(path)
+      }))
+      if (data.length < PAGE_SIZE) break
+    }
+  }
+
+  return referenced
+}
+
+/**
+ * List every entry in a bucket folder, page by page
+ * @param {Object} supabase - Supabase client
+ * @param {string} prefix - Folder path ('' for the bucket root)
+ * @returns {Promise<Array<Object>>} Entries; sub-folders come back without an id
+ */
+export async function listFiles(supabase, prefix) {
+  const files = []
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(IMAGE_BUCKET)
+      .list(prefix, { limit: PAGE_SIZE, offset })
+
+    if (error) throw error
+    files.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return files
+  }
+}
+
+/**
+ * Remove storage objects in batches
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} paths - Object paths
+ * @returns {Promise<Array<Object>>} The objects that existed and were removed
+ */
+export async function removeObjects(supabase, paths) {
+  const removed = []
+  for (let index = 0; index < paths.length; index += REMOVE_BATCH_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(IMAGE_BUCKET)
+      .remove(paths.slice(index, index + REMOVE_BATCH_SIZE))
+
+    if (error) throw error
+    removed.push(...(data || []))
+  }
+  return removed
+}
+
+/**
+ * Remove the images of a deleted row that no other outfit or closet item uses
+ * Call after the row is deleted, so its own references no longer count.
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} urls - Image URLs the deleted row held
+ * @param {string} sessionId - Owner; only objects in this session's folder are touched
+ * @returns {Promise<Array<Object>>} Removed objects (originals and derivatives)
+ */
+export async function removeUnreferencedImages(supabase, urls, sessionId) {
+  const candidates = [...new Set(urls.map(storagePathFromUrl))]
+    .filter(path => path && path.startsWith(`${sessionId}/`))
+  if (candidates.length === 0) return []
+
+  const referenced = await findReferencedPaths(supabase, { sessionId })
+  const paths = candidates
+    .filter(path => !referenced.has(path))
+    .flatMap(imageObjectPaths)
+
+  return paths.length > 0 ? removeObjects(supabase, paths) : []
+}
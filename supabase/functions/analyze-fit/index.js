@@ -1,28 +1,80 @@
 // Supabase Edge Function: analyze-fit
-// Analyzes outfit images using Google AI Studio (Gemini Vision API)
-
-import { GoogleGenerativeAI } from "@google/generative-ai";
+// Analyzes outfit images with the AI provider chosen by AI_PROVIDER (see _shared/aiProviders.js)
+// Results are cached by image content hash, season, formality, weather, prompt version and model
+// (see _shared/analysisCache.js); bypass_cache skips the lookup for rerolls.
+// Callers that send "Accept: text/event-stream" get server-sent events instead of one JSON body:
+//   progress  { stage }  cache, fetching_images ({ fetched, total }), analyzing, retrying ({ attempt })
+//   partial   { field, value } for each of PARTIAL_ANALYSIS_FIELDS as soon as the model has written it
+//   done      the analysis, exactly as the JSON response would be
+//   error     { status, error, details } once the stream has started
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+import { getAIProvider, ProviderConfigError, PROMPT_VERSION } from '../_shared/aiProviders.js'
+import { analysisCacheKey, isContentHash } from '../_shared/contentHash.js'
+import { readCachedAnalysis, writeCachedAnalysis, verifyImageHashes } from '../_shared/analysisCache.js'
+import { AnalysisValidationError } from '../_shared/analysisSchema.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version, accept',
 }
 
-// Helper function to fetch image as base64
-async function urlToGenerativePart(imageUrl) {
-  const response = await fetch(imageUrl);
-  const buffer = await response.arrayBuffer();
-  const base64 = btoa(String.fromCharCode(...new Uint8Array(buffer)));
-  
-  // Detect mime type from URL or default to jpeg
-  const mimeType = imageUrl.includes('.png') ? 'image/png' : 'image/jpeg';
-  
-  return {
-    inlineData: {
-      data: base64,
-      mimeType: mimeType,
-    },
-  };
+/**
+ * Status and body for a failed analysis, shared by JSON responses and "error" events
+ */
+function describeError(error) {
+  if (error instanceof ContractError) {
+    return { status: error.status, body: error.toJSON() }
+  }
+
+  if (error instanceof ProviderConfigError) {
+    return { status: 500, body: { error: error.message } }
+  }
+
+  // The model kept answering with something unusable; the client falls back to the mock
+  if (error instanceof AnalysisValidationError) {
+    return { status: 502, body: { error: 'AI returned an unusable analysis', details: error.message, issues: error.issues } }
+  }
+
+  if (error instanceof AuthError) {
+    return { status: error.status, body: { error: error.message } }
+  }
+
+  return { status: 500, body: { error: 'Failed to analyze outfit', details: error.message } }
+}
+
+/**
+ * Respond with server-sent events while the analysis runs
+ * @param {Function} run - (send) => Promise<Object> the analysis; send(event, data) emits an event
+ * @returns {Response} text/event-stream ending with a done or error event
+ */
+function streamAnalysis(run) {
+  const encoder = new TextEncoder()
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+      }
+
+      try {
+        send('done', await run(send))
+      } catch (error) {
+        console.error('❌ Error analyzing outfit:', error)
+        const { status, body } = describeError(error)
+        send('error', { status, ...body })
+      } finally {
+        controller.close()
+      }
+    }
+  })
+
+  return new Response(body, {
+    status: 200,
+    headers: { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+  })
 }
 
 Deno.serve(async (req) => {
@@ -32,126 +84,124 @@ Deno.serve(async (req) => {
   }
 
   try {
-    const payload = await req.json()
+    checkApiVersion(req)
+    const payload = validateRequest('analyze-fit', await readJsonBody(req))
     console.log('📥 Received analyze request:', payload)
 
     const {
-      session_id,
       top_url,
       top_layer_url,
       bottom_url,
       shoes_url,
       accessories_url,
       season,
-      formality
+      formality,
+      weather,
+      palette,
+      image_hashes,
+      bypass_cache
     } = payload
 
-    // Validate required fields
-    if (!session_id) {
-      return new Response(
-        JSON.stringify({ error: 'session_id is required' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
+    // Identify the caller from the JWT or signed demo session token
+    const supabase = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'))
+    const caller = await resolveCaller(req, supabase)
+    console.log('👤 Analyze request from session:', caller.sessionId)
 
-    // Fetch Google API key from Supabase secrets
-    const apiKey = Deno.env.get('GOOGLE_API_KEY')
-    if (!apiKey) {
-      console.error('❌ GOOGLE_API_KEY not found in environment variables')
-      return new Response(
-        JSON.stringify({ error: 'Google API key not configured' }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
+    // Pick the configured provider (Gemini, an OpenAI-compatible endpoint or the mock)
+    const provider = getAIProvider(name => Deno.env.get(name))
 
-    // Initialize Google AI Studio with the API key
-    const genAI = new GoogleGenerativeAI(apiKey)
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" })
-
-    // Build analysis prompt
-    const imageUrls = [
-      { url: top_url, label: 'top' },
-      { url: top_layer_url, label: 'top layer' },
-      { url: bottom_url, label: 'bottom' },
-      { url: shoes_url, label: 'shoes' },
-      { url: accessories_url, label: 'accessories' }
+    const images = [
+      { key: 'top', url: top_url, label: 'top' },
+      { key: 'topLayer', url: top_layer_url, label: 'top layer' },
+      { key: 'bottom', url: bottom_url, label: 'bottom' },
+      { key: 'shoes', url: shoes_url, label: 'shoes' },
+      { key: 'accessories', url: accessories_url, label: 'accessories' }
     ].filter(item => item.url)
 
-    if (imageUrls.length === 0) {
+    if (images.length === 0) {
       return new Response(
         JSON.stringify({ error: 'At least one image is required' }),
         { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       )
     }
 
-    const prompt = `You are a fashion AI assistant analyzing outfit images for the Fire Fit app.
-
-Context:
-- Season: ${season || 'not specified'}
-- Formality: ${formality || 'casual'}
-- Images provided: ${imageUrls.map(i => i.label).join(', ')}
-
-Analyze the outfit images and provide a JSON response with the following structure:
-{
-  "top": "brief description of the top (e.g., 'white cropped t-shirt')",
-  "topLayer": "brief description of top layer if present (e.g., 'denim jacket')",
-  "bottom": "brief description of bottom (e.g., 'light wash jeans')",
-  "shoes": "brief description of shoes (e.g., 'white sneakers')",
-  "accessories": ["array", "of", "accessories"],
-  "aesthetic": ["array", "of", "style", "tags"],
-  "colors": {
-    "top": "primary color",
-    "topLayer": "primary color",
-    "bottom": "primary color",
-    "shoes": "primary color",
-    "accessories": "color description"
-  },
-  "ai_description": "A complete sentence describing the entire outfit",
-  "accessories_description": "Specific description of accessories if present",
-  "accessories_tags": ["tag1", "tag2"],
-  "season": "${season}",
-  "formality": "${formality}",
-  "confidence": 0.85
-}
-
-Provide only the JSON response, no additional text.`
-
-    console.log('🤖 Fetching and processing images...')
+    // Cacheable only when every piece comes with a content hash
+    const hashes = Object.fromEntries(images.map(image => [image.key, image_hashes?.[image.key]]))
+    const cacheEntry = {
+      hashes,
+      season,
+      formality,
+      weather,
+      promptVersion: PROMPT_VERSION,
+      model: `${provider.name}:${provider.model}`
+    }
+    const cacheKey = Object.values(hashes).every(isContentHash) ? await analysisCacheKey(cacheEntry) : null
+    const previewUrl = top_url || bottom_url || shoes_url
+
+    // Everything after validation and auth; send(event, data) is only given when streaming
+    const analyze = async (send = null) => {
+      if (cacheKey && !bypass_cache) {
+        send?.('progress', { stage: 'cache' })
+        try {
+          const hit = await readCachedAnalysis(supabase, cacheKey)
+          if (hit) {
+            console.log('⚡ Analysis served from cache')
+            return {
+              ...hit.analysis,
+              palette: palette || null,
+              ai_image_url: previewUrl,
+              cached: true,
+              cached_at: hit.created_at
+            }
+          }
+        } catch (cacheError) {
+          console.warn('⚠️ Analysis cache unavailable:', cacheError.message)
+        }
+      }
 
-    // Convert image URLs to base64 parts for Gemini
-    const imageParts = await Promise.all(
-      imageUrls.map(item => urlToGenerativePart(item.url))
-    )
+      console.log(`🤖 Analyzing with ${provider.name} (${provider.model})${bypass_cache ? ', cache bypassed' : ''}...`)
+
+      // The measured palette guides the model's color names and fills colors it leaves out
+      // Providers only stream the model's answer when someone is listening
+      const analysisData = await provider.analyze({ images, season, formality, weather, palette }, send ? {
+        onProgress: progress => send('progress', progress),
+        onPartial: (field, value) => send('partial', { field, value })
+      } : {})
+
+      // Add metadata
+      analysisData.provider = provider.name
+      analysisData.model = provider.model
+      analysisData.timestamp = new Date().toISOString()
+      analysisData.palette = palette || null
+      analysisData.ai_image_url = previewUrl // Use first available image as preview
+      analysisData.cached = false
+
+      console.log('✅ Analysis complete')
+
+      // The mock is free and configurable, so only real model answers are cached
+      if (cacheKey && provider.name !== 'mock') {
+        try {
+          if (await verifyImageHashes(images, hashes)) {
+            await writeCachedAnalysis(supabase, cacheKey, { ...cacheEntry, analysis: analysisData })
+            console.log('💾 Analysis cached')
+          } else {
+            console.warn('⚠️ Image hashes did not match their content, not caching')
+          }
+        } catch (cacheError) {
+          console.warn('⚠️ Could not cache analysis:', cacheError.message)
+        }
+      }
 
-    console.log('🤖 Sending to Google AI Studio...')
-
-    // Generate content with images and prompt
-    const result = await model.generateContent([prompt, ...imageParts])
-    const response = await result.response
-    const text = response.text()
-
-    console.log('📄 AI Response:', text)
-
-    // Parse JSON from response
-    let analysisData
-    try {
-      // Remove markdown code blocks if present
-      const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
-      analysisData = JSON.parse(cleanedText)
-    } catch (parseError) {
-      console.error('❌ Failed to parse AI response as JSON:', parseError)
-      console.error('Raw response:', text)
-      throw new Error('AI response was not valid JSON')
+      return analysisData
     }
 
-    // Add metadata
-    analysisData.timestamp = new Date().toISOString()
-    analysisData.ai_image_url = top_url || bottom_url || shoes_url // Use first available image as preview
-
-    console.log('✅ Analysis complete')
+    if ((req.headers.get('accept') || '').includes('text/event-stream')) {
+      console.log('📡 Streaming analysis events')
+      return streamAnalysis(analyze)
+    }
 
     return new Response(
-      JSON.stringify(analysisData),
+      JSON.stringify(await analyze()),
       {
         status: 200,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -160,20 +210,11 @@ Provide only the JSON response, no additional text.`
 
   } catch (error) {
     console.error('❌ Error analyzing outfit:', error)
-    
+
+    const { status, body } = describeError(error)
     return new Response(
-      JSON.stringify({ 
-        error: 'Failed to analyze outfit', 
-        details: error.message 
-      }),
-      {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      }
+      JSON.stringify(body),
+      { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 })
-
-
-
-
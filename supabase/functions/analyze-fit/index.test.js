@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import process from 'node:process'
+import { openTestStore, callFunction, parseEvents, getRows, setRows } from '../../local/testing.js'
+import { analysisCacheKey } from '../_shared/contentHash.js'
+import { PROMPT_VERSION } from '../_shared/aiProviders.js'
+
+const SESSION = 'demo_1_test'
+const TOP_URL = 'http://localhost:54321/storage/v1/object/public/outfit-images/demo_1_test/originals/top.jpg'
+const TOP_HASH = 'a'.repeat(64)
+
+let closeStore
+beforeEach(() => {
+  closeStore = openTestStore()
+  process.env.AI_MOCK_SEED = 'tests'
+})
+afterEach(() => {
+  delete process.env.AI_MOCK_SEED
+  closeStore()
+})
+
+describe('analyze-fit', () => {
+  it('answers CORS preflight', async () => {
+    const { status, headers } = await callFunction('analyze-fit', undefined, { method: 'OPTIONS' })
+    expect(status).toBe(200)
+    expect(headers.get('access-control-allow-headers')).toContain('accept')
+  })
+
+  it('analyzes the outfit with the configured provider', async () => {
+    const { status, body } = await callFunction('analyze-fit', { top_url: TOP_URL, season: 'Fall', formality: 'casual' }, { sessionId: SESSION })
+
+    expect(status).toBe(200)
+    expect(body).toMatchObject({
+      top: expect.any(String),
+      ai_description: expect.any(String),
+      season: 'Fall',
+      formality: 'casual',
+      provider: 'mock',
+      model: 'mock',
+      ai_image_url: TOP_URL,
+      palette: null,
+      cached: false
+    })
+  })
+
+  it('streams progress, partial fields and the analysis as events', async () => {
+    const { status, headers, body } = await callFunction('analyze-fit', { top_url: TOP_URL }, {
+      sessionId: SESSION,
+      headers: { accept: 'text/event-stream' }
+    })
+
+    expect(status).toBe(200)
+    expect(headers.get('content-type')).toBe('text/event-stream')
+
+    const events = parseEvents(body)
+    expect(events[0]).toEqual({ event: 'progress', data: { stage: 'analyzing' } })
+    expect(events.filter(e => e.event === 'partial').map(e => e.data.field)).toContain('top')
+
+    const done = events.at(-1)
+    expect(done.event).toBe('done')
+    expect(done.data).toMatchObject({ provider: 'mock', ai_image_url: TOP_URL })
+    const partialTop = events.find(e => e.event === 'partial' && e.data.field === 'top')
+    expect(partialTop.data.value).toBe(done.data.top)
+  })
+
+  it('serves a cached analysis when every piece has a hash', async () => {
+    const cacheKey = await analysisCacheKey({
+      hashes: { top: TOP_HASH },
+      season: 'Fall',
+      formality: 'casual',
+      promptVersion: PROMPT_VERSION,
+      model: 'mock:mock'
+    })
+    setRows('analysis_cache', [{
+      cache_key: cacheKey,
+      analysis: { top: 'cached tee', ai_description: 'From the cache', provider: 'mock', model: 'mock' },
+      hit_count: 0,
+      created_at: '2026-01-01T12:00:00.000Z'
+    }])
+
+    const request = { top_url: TOP_URL, season: 'Fall', formality: 'casual', image_hashes: { top: TOP_HASH } }
+    const { body } = await callFunction('analyze-fit', request, { sessionId: SESSION })
+
+    expect(body).toMatchObject({ top: 'cached tee', cached: true, cached_at: '2026-01-01T12:00:00.000Z', ai_image_url: TOP_URL })
+    expect(getRows('analysis_cache')[0].hit_count).toBe(1)
+
+    const reroll = await callFunction('analyze-fit', { ...request, bypass_cache: true }, { sessionId: SESSION })
+    expect(reroll.body.cached).toBe(false)
+  })
+
+  it('keys cached analyses by the weather they were made for', async () => {
+    const rainy = { temperatureC: 9, precipitationMm: 4, windKph: 12, needsTopLayer: true, location: 'Leeds' }
+    const cacheKey = await analysisCacheKey({
+      hashes: { top: TOP_HASH },
+      season: 'Fall',
+      formality: 'casual',
+      weather: rainy,
+      promptVersion: PROMPT_VERSION,
+      model: 'mock:mock'
+    })
+    setRows('analysis_cache', [{
+      cache_key: cacheKey,
+      analysis: { top: 'tee under a raincoat', provider: 'mock', model: 'mock' },
+      hit_count: 0,
+      created_at: '2026-01-01T12:00:00.000Z'
+    }])
+
+    const request = { top_url: TOP_URL, season: 'Fall', formality: 'casual', image_hashes: { top: TOP_HASH } }
+    const sameWeather = await callFunction('analyze-fit', { ...request, weather: { ...rainy } }, { sessionId: SESSION })
+    expect(sameWeather.body).toMatchObject({ top: 'tee under a raincoat', cached: true })
+
+    const sunny = { ...rainy, temperatureC: 24, precipitationMm: 0, needsTopLayer: false }
+    const otherWeather = await callFunction('analyze-fit', { ...request, weather: sunny }, { sessionId: SESSION })
+    expect(otherWeather.body.cached).toBe(false)
+    const noWeather = await callFunction('analyze-fit', request, { sessionId: SESSION })
+    expect(noWeather.body.cached).toBe(false)
+  })
+
+  it('does not cache mock analyses', async () => {
+    await callFunction('analyze-fit', { top_url: TOP_URL, image_hashes: { top: TOP_HASH } }, { sessionId: SESSION })
+    expect(getRows('analysis_cache')).toEqual([])
+  })
+
+  it('requires at least one image', async () => {
+    const { status, body } = await callFunction('analyze-fit', { season: 'Fall' }, { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body.error).toBe('At least one image is required')
+  })
+
+  it('requires a session token', async () => {
+    const { status } = await callFunction('analyze-fit', { top_url: TOP_URL })
+    expect(status).toBe(401)
+  })
+
+  it('rejects requests that break the contract', async () => {
+    const { status, body } = await callFunction('analyze-fit', { top_url: 42 }, { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+  })
+
+  it('reports a provider without its key', async () => {
+    process.env.AI_PROVIDER = 'gemini'
+    delete process.env.GOOGLE_API_KEY
+
+    const { status, body } = await callFunction('analyze-fit', { top_url: TOP_URL }, { sessionId: SESSION })
+
+    expect(status).toBe(500)
+    expect(body.error).toBe('Google API key not configured')
+  })
+})
@@ -0,0 +1,145 @@
+// Supabase Edge Function: backfill-derivatives
+// Generates the thumbnail and medium-size copies for originals uploaded before upload-file
+// created them. Restricted to the service role; run it repeatedly until nothing remains.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { requireServiceRole, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+import { IMAGE_BUCKET, ORIGINALS_FOLDER, DERIVATIVES } from '../_shared/imagePaths.js'
+import { storeDerivatives } from '../_shared/imageDerivatives.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+// Originals processed per call; each one is downloaded and resized in memory
+const DEFAULT_LIMIT = 25
+const PAGE_SIZE = 1000
+
+// List every object name in a folder, page by page
+async function listAll(supabase, prefix) {
+  const names = []
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(IMAGE_BUCKET)
+      .list(prefix, { limit: PAGE_SIZE, offset })
+
+    if (error) throw error
+    names.push(...(data || []).map(object => object.name))
+    if (!data || data.length < PAGE_SIZE) return names
+  }
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    })
+  }
+
+  try {
+    checkApiVersion(req)
+    requireServiceRole(req)
+    const { limit = DEFAULT_LIMIT, dry_run = false } = validateRequest('backfill-derivatives', await readJsonBody(req))
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    console.log('📥 Backfilling derivatives:', { limit, dry_run })
+
+    // Step 1: Find originals missing any derivative
+    const missing = []
+    let skipped = 0
+    const sessionFolders = await listAll(supabase, '')
+
+    for (const session of sessionFolders) {
+      const originals = await listAll(supabase, `${session}/${ORIGINALS_FOLDER}`)
+      if (originals.length === 0) continue
+
+      const existing = await Promise.all(
+        Object.values(DERIVATIVES).map(async ({ folder }) => new Set(await listAll(supabase, `${session}/${folder}`)))
+      )
+
+      originals.forEach(name => {
+        if (existing.every(names => names.has(name))) {
+          skipped++
+        } else {
+          missing.push(`${session}/${ORIGINALS_FOLDER}/${name}`)
+        }
+      })
+    }
+
+    // Step 2: Generate derivatives for the first batch
+    const batch = dry_run ? [] : missing.slice(0, limit)
+    const failed = []
+    let processed = 0
+
+    for (const path of batch) {
+      try {
+        const { data: blob, error: downloadError } = await supabase.storage
+          .from(IMAGE_BUCKET)
+          .download(path)
+
+        if (downloadError) throw downloadError
+
+        await storeDerivatives(supabase, path, new Uint8Array(await blob.arrayBuffer()), blob.type)
+        processed++
+      } catch (error) {
+        console.warn('⚠️ Could not backfill', path, error.message)
+        failed.push({ path, error: error.message })
+      }
+    }
+
+    const result = {
+      dry_run,
+      processed,
+      skipped,
+      failed,
+      remaining: missing.length - processed
+    }
+
+    console.log('✅ Backfill finished:', { ...result, failed: failed.length })
+
+    return new Response(
+      JSON.stringify(result),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('❌ Error backfilling derivatives:', error)
+
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: 'Failed to backfill derivatives',
+        details: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, callFunction, listObjects, writeObject } from '../../local/testing.js'
+
+const BUCKET = 'outfit-images'
+
+function storeOriginal(path) {
+  writeObject(BUCKET, path, new TextEncoder().encode(path))
+}
+
+let closeStore
+beforeEach(() => {
+  closeStore = openTestStore()
+  storeOriginal('demo_1_a/originals/top_1.jpg')
+  storeOriginal('demo_1_a/originals/bottom_1.jpg')
+  storeOriginal('demo_2_b/originals/shoes_1.jpg')
+  // Already has both derivatives
+  storeOriginal('demo_2_b/originals/top_2.jpg')
+  storeOriginal('demo_2_b/thumbs/top_2.jpg')
+  storeOriginal('demo_2_b/medium/top_2.jpg')
+})
+afterEach(() => closeStore())
+
+describe('backfill-derivatives', () => {
+  it('reports missing derivatives without writing on a dry run', async () => {
+    const { status, body } = await callFunction('backfill-derivatives', { dry_run: true }, { serviceRole: true })
+
+    expect(status).toBe(200)
+    expect(body).toEqual({ dry_run: true, processed: 0, skipped: 1, failed: [], remaining: 3 })
+    expect(listObjects(BUCKET, 'demo_1_a').map(entry => entry.name)).toEqual(['originals'])
+  })
+
+  it('generates derivatives in batches', async () => {
+    const first = await callFunction('backfill-derivatives', { limit: 2 }, { serviceRole: true })
+    expect(first.body).toMatchObject({ processed: 2, skipped: 1, remaining: 1 })
+    expect(listObjects(BUCKET, 'demo_1_a/thumbs').map(entry => entry.name)).toEqual(['bottom_1.jpg', 'top_1.jpg'])
+
+    const second = await callFunction('backfill-derivatives', {}, { serviceRole: true })
+    expect(second.body).toMatchObject({ processed: 1, skipped: 3, remaining: 0 })
+    expect(listObjects(BUCKET, 'demo_2_b/medium').map(entry => entry.name)).toEqual(['shoes_1.jpg', 'top_2.jpg'])
+  })
+
+  it('requires the service role', async () => {
+    expect((await callFunction('backfill-derivatives', {})).status).toBe(401)
+    expect((await callFunction('backfill-derivatives', {}, { sessionId: 'demo_1_a' })).status).toBe(401)
+    expect((await callFunction('backfill-derivatives', {}, { headers: { Authorization: 'Bearer not-the-key' } })).status).toBe(403)
+    expect(listObjects(BUCKET, 'demo_1_a').map(entry => entry.name)).toEqual(['originals'])
+  })
+
+  it('rejects requests that break the contract', async () => {
+    const { status } = await callFunction('backfill-derivatives', { limit: 0 }, { serviceRole: true })
+    expect(status).toBe(400)
+  })
+
+  it('answers a malformed JSON body with a contract error instead of writing', async () => {
+    const { status, body } = await callFunction('backfill-derivatives', '{"dry_run": true', { serviceRole: true })
+
+    expect(status).toBe(400)
+    expect(body).toMatchObject({ code: 'invalid_request', issues: ['body must be valid JSON'] })
+    expect(listObjects(BUCKET, 'demo_1_a').map(entry => entry.name)).toEqual(['originals'])
+  })
+})
@@ -0,0 +1,149 @@
+// Supabase Edge Function: cleanup-storage
+// Scheduled garbage collection for the outfit images bucket. Removes originals no outfit or
+// closet item refers to, and derivatives whose original is gone, once they are older than a
+// grace period (so uploads for an analysis in progress are left alone). Restricted to the
+// service role; run it from pg_cron (see README) or by hand with "dry_run": true first.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { requireServiceRole, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+import { IMAGE_BUCKET, ORIGINALS_FOLDER, DERIVATIVES } from '../_shared/imagePaths.js'
+import { findReferencedPaths, removeObjects, listFiles } from '../_shared/storageCleanup.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+const DEFAULT_GRACE_HOURS = Number(Deno.env.get('STORAGE_GC_GRACE_HOURS')) || 24
+// Orphan paths listed in the response
+const REPORTED_ORPHANS = 100
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    })
+  }
+
+  try {
+    checkApiVersion(req)
+    requireServiceRole(req)
+    const {
+      dry_run = false,
+      grace_hours = DEFAULT_GRACE_HOURS
+    } = validateRequest('cleanup-storage', await readJsonBody(req))
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    console.log('📥 Storage cleanup:', { dry_run, grace_hours })
+
+    const cutoff = Date.now() - grace_hours * 60 * 60 * 1000
+    // Deduplicated uploads reuse an existing object, so go by its latest write or read
+    const isOld = (object) => Math.max(
+      ...[object.created_at, object.updated_at, object.last_accessed_at].map(time => new Date(time || 0).getTime())
+    ) < cutoff
+
+    // Step 1: Everything any outfit or closet item still points at, across all sessions
+    const referenced = await findReferencedPaths(supabase)
+
+    // Step 2: Walk each session folder for unreferenced originals and stray derivatives
+    const orphans = new Map()
+    let scanned = 0
+    const folders = (await listFiles(supabase, '')).filter(entry => !entry.id)
+
+    for (const { name: session } of folders) {
+      const originals = (await listFiles(supabase, `${session}/${ORIGINALS_FOLDER}`)).filter(entry => entry.id)
+      scanned += originals.length
+
+      const kept = new Set()
+      const removing = new Set()
+      originals.forEach(object => {
+        const path = `${session}/${ORIGINALS_FOLDER}/${object.name}`
+        if (!referenced.has(path) && isOld(object)) {
+          orphans.set(path, object.metadata?.size || 0)
+          removing.add(object.name)
+        } else {
+          kept.add(object.name)
+        }
+      })
+
+      for (const { folder } of Object.values(DERIVATIVES)) {
+        const derivatives = (await listFiles(supabase, `${session}/${folder}`)).filter(entry => entry.id)
+        scanned += derivatives.length
+
+        derivatives.forEach(object => {
+          // Copies of a removed original go with it; copies of a missing one wait out the grace period
+          if (!kept.has(object.name) && (removing.has(object.name) || isOld(object))) {
+            orphans.set(`${session}/${folder}/${object.name}`, object.metadata?.size || 0)
+          }
+        })
+      }
+    }
+
+    // Step 3: Remove them, counting only what was actually deleted
+    let removedObjects = 0
+    let reclaimedBytes = 0
+    if (dry_run) {
+      orphans.forEach(size => { reclaimedBytes += size })
+    } else if (orphans.size > 0) {
+      const removed = await removeObjects(supabase, [...orphans.keys()])
+      removedObjects = removed.length
+      removed.forEach(object => { reclaimedBytes += orphans.get(object.name) || 0 })
+    }
+
+    const result = {
+      dry_run,
+      grace_hours,
+      scanned_objects: scanned,
+      orphaned_objects: orphans.size,
+      removed_objects: removedObjects,
+      reclaimed_bytes: reclaimedBytes,
+      orphans: [...orphans.keys()].slice(0, REPORTED_ORPHANS)
+    }
+
+    console.log(`✅ Storage cleanup finished${dry_run ? ' (dry run)' : ''}:`, { ...result, orphans: undefined })
+
+    return new Response(
+      JSON.stringify(result),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('❌ Error cleaning up storage:', error)
+
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: 'Failed to clean up storage',
+        details: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
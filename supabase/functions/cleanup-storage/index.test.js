@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { openTestStore, callFunction, photoForm, listObjects } from '../../local/testing.js'
+
+const BUCKET = 'outfit-images'
+const SESSION = 'demo_1_test'
+const HOUR = 60 * 60 * 1000
+
+// Upload a photo for each piece; returns { <category>_url }
+async function uploadPhotos(categories) {
+  const urls = {}
+  for (const category of categories) {
+    const { body } = await callFunction('upload-file', photoForm(category), { sessionId: SESSION })
+    urls[`${category}_url`] = body.url
+  }
+  return urls
+}
+
+function names(folder) {
+  return listObjects(BUCKET, `${SESSION}/${folder}`).map(entry => entry.name.split('_')[0])
+}
+
+// Objects keep their real timestamps; only the function's clock moves
+function hoursLater(hours) {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(Date.now() + hours * HOUR)
+}
+
+let closeStore
+beforeEach(async () => {
+  closeStore = openTestStore()
+  const urls = await uploadPhotos(['top', 'bottom', 'shoes'])
+  await callFunction('save-fit', { top_url: urls.top_url, bottom_url: urls.bottom_url }, { sessionId: SESSION })
+})
+afterEach(() => {
+  vi.useRealTimers()
+  closeStore()
+})
+
+describe('cleanup-storage', () => {
+  it('leaves recent uploads alone', async () => {
+    const { status, body } = await callFunction('cleanup-storage', {}, { serviceRole: true })
+
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ dry_run: false, grace_hours: 24, scanned_objects: 9, orphaned_objects: 0, removed_objects: 0 })
+  })
+
+  it('lists unreferenced images past the grace period on a dry run', async () => {
+    hoursLater(25)
+
+    const { body } = await callFunction('cleanup-storage', { dry_run: true }, { serviceRole: true })
+
+    expect(body).toMatchObject({ dry_run: true, orphaned_objects: 3, removed_objects: 0, reclaimed_bytes: 33 })
+    expect(body.orphans.map(path => path.replace(/_[0-9a-f]+\.jpg$/, ''))).toEqual([
+      `${SESSION}/originals/shoes`,
+      `${SESSION}/thumbs/shoes`,
+      `${SESSION}/medium/shoes`
+    ])
+    expect(names('originals')).toEqual(['bottom', 'shoes', 'top'])
+  })
+
+  it('deletes nothing when the body is malformed', async () => {
+    hoursLater(25)
+
+    // A cut-off dry run must not be read as an empty body, i.e. a real run
+    const { status, body } = await callFunction('cleanup-storage', '{"dry_run": true', { serviceRole: true })
+
+    expect(status).toBe(400)
+    expect(body).toMatchObject({ code: 'invalid_request', issues: ['body must be valid JSON'] })
+    expect(names('originals')).toEqual(['bottom', 'shoes', 'top'])
+  })
+
+  it('removes unreferenced images and their derivatives', async () => {
+    hoursLater(25)
+
+    const { body } = await callFunction('cleanup-storage', {}, { serviceRole: true })
+
+    expect(body).toMatchObject({ orphaned_objects: 3, removed_objects: 3 })
+    expect(names('originals')).toEqual(['bottom', 'top'])
+    expect(names('thumbs')).toEqual(['bottom', 'top'])
+    expect(names('medium')).toEqual(['bottom', 'top'])
+  })
+
+  it('uses the grace period it is given', async () => {
+    hoursLater(2)
+
+    expect((await callFunction('cleanup-storage', { dry_run: true }, { serviceRole: true })).body.orphaned_objects).toBe(0)
+    expect((await callFunction('cleanup-storage', { dry_run: true, grace_hours: 1 }, { serviceRole: true })).body.orphaned_objects).toBe(3)
+  })
+
+  it('requires the service role', async () => {
+    hoursLater(25)
+
+    expect((await callFunction('cleanup-storage', {})).status).toBe(401)
+    expect((await callFunction('cleanup-storage', {}, { headers: { Authorization: 'Bearer not-the-key' } })).status).toBe(403)
+    expect(names('originals')).toEqual(['bottom', 'shoes', 'top'])
+  })
+
+  it('rejects a grace period under an hour', async () => {
+    const { status } = await callFunction('cleanup-storage', { grace_hours: 0 }, { serviceRole: true })
+    expect(status).toBe(400)
+  })
+})
@@ -0,0 +1,143 @@
+// Supabase Edge Function: create-session
+// Starts a demo session and issues the signed token that proves ownership of it
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { signSessionToken, verifySessionClaim } from '../_shared/sessionToken.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+function generateSessionId() {
+  return `demo_${Date.now()}_${crypto.randomUUID().replace(/-/g, '').slice(0, 9)}`
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    })
+  }
+
+  try {
+    checkApiVersion(req)
+    const { session_id, claim_secret, preferences } = validateRequest('create-session', await readJsonBody(req))
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    let sessionId = generateSessionId()
+
+    // A session started without a token claims one once; offline sessions need the secret their ID was derived from
+    if (session_id) {
+      if (!session_id.startsWith('demo_')) {
+        return new Response(
+          JSON.stringify({ error: 'session_id must be a demo session' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+
+      const { data: existing, error: lookupError } = await supabase
+        .from('demo_sessions')
+        .select('id, token_issued_at')
+        .eq('id', session_id)
+        .maybeSingle()
+
+      if (lookupError) throw lookupError
+
+      // Knowing an ID proves nothing, except for sessions from before claim secrets: those were
+      // created online, so they have a row that never got a token, and may claim one once by ID
+      const verified = claim_secret
+        ? await verifySessionClaim(session_id, claim_secret)
+        : Boolean(existing)
+
+      if (!verified) {
+        return new Response(
+          JSON.stringify({ error: 'Session ownership could not be verified' }),
+          { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+
+      if (existing?.token_issued_at) {
+        return new Response(
+          JSON.stringify({ error: 'Session has already been claimed' }),
+          { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+
+      sessionId = session_id
+    }
+
+    // A claim by ID only succeeds while the row is still unclaimed, so two racing claims can't both win
+    if (session_id && !claim_secret) {
+      const { data: claimed, error: claimError } = await supabase
+        .from('demo_sessions')
+        .update({ token_issued_at: new Date().toISOString(), ...(preferences && { preferences }) })
+        .eq('id', sessionId)
+        .is('token_issued_at', null)
+        .select('id')
+
+      if (claimError) throw claimError
+
+      if (!claimed.length) {
+        return new Response(
+          JSON.stringify({ error: 'Session has already been claimed' }),
+          { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+    } else {
+      const { error } = await supabase
+        .from('demo_sessions')
+        .upsert({
+          id: sessionId,
+          preferences: preferences || null,
+          token_issued_at: new Date().toISOString()
+        })
+
+      if (error) {
+        console.error('❌ Database error:', error)
+        throw error
+      }
+    }
+
+    const token = await signSessionToken(sessionId, Deno.env.get('SESSION_TOKEN_SECRET'))
+
+    console.log('✅ Session token issued:', sessionId)
+
+    return new Response(
+      JSON.stringify({ session_id: sessionId, token }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('❌ Error creating session:', error)
+
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: 'Failed to create session',
+        details: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import process from 'node:process'
+import { openTestStore, callFunction, getRows, setRows } from '../../local/testing.js'
+import { verifySessionToken, createClaimSecret, offlineSessionId } from '../_shared/sessionToken.js'
+
+let closeStore
+beforeEach(() => { closeStore = openTestStore() })
+afterEach(() => closeStore())
+
+describe('create-session', () => {
+  it('answers CORS preflight', async () => {
+    const response = await callFunction('create-session', undefined, { method: 'OPTIONS' })
+    expect(response.status).toBe(204)
+    expect(response.headers.get('access-control-allow-headers')).toContain('x-session-token')
+  })
+
+  it('issues a signed token for a new session', async () => {
+    const { status, body } = await callFunction('create-session', { preferences: { season: 'Fall' } })
+
+    expect(status).toBe(200)
+    expect(body.session_id).toMatch(/^demo_/)
+    expect(await verifySessionToken(body.token, process.env.SESSION_TOKEN_SECRET)).toBe(body.session_id)
+    expect(getRows('demo_sessions')).toEqual([
+      expect.objectContaining({ id: body.session_id, preferences: { season: 'Fall' }, token_issued_at: expect.any(String) })
+    ])
+  })
+
+  it('lets a session created offline claim its token once, with its claim secret', async () => {
+    const claimSecret = createClaimSecret()
+    const sessionId = await offlineSessionId(claimSecret)
+
+    const first = await callFunction('create-session', { session_id: sessionId, claim_secret: claimSecret })
+    expect(first.status).toBe(200)
+    expect(first.body.session_id).toBe(sessionId)
+
+    const second = await callFunction('create-session', { session_id: sessionId, claim_secret: claimSecret })
+    expect(second.status).toBe(409)
+  })
+
+  it('does not issue a token to someone who only knows the session ID', async () => {
+    const sessionId = await offlineSessionId(createClaimSecret())
+
+    const withoutSecret = await callFunction('create-session', { session_id: sessionId })
+    const wrongSecret = await callFunction('create-session', { session_id: sessionId, claim_secret: createClaimSecret() })
+
+    expect(withoutSecret.status).toBe(403)
+    expect(wrongSecret.status).toBe(403)
+    expect(getRows('demo_sessions')).toEqual([])
+  })
+
+  it('lets a session from before claim secrets claim its token once, by its ID', async () => {
+    setRows('demo_sessions', [{ id: 'demo_1_legacy1', preferences: {}, created_at: '2025-01-01T00:00:00.000Z' }])
+    setRows('outfits', [{ id: 'outfit-1', session_id: 'demo_1_legacy1', saved: true, created_at: '2025-01-01T00:00:00.000Z' }])
+
+    const first = await callFunction('create-session', { session_id: 'demo_1_legacy1', preferences: { season: 'Fall' } })
+    expect(first.status).toBe(200)
+    expect(await verifySessionToken(first.body.token, process.env.SESSION_TOKEN_SECRET)).toBe('demo_1_legacy1')
+    expect(getRows('demo_sessions')).toEqual([
+      expect.objectContaining({ id: 'demo_1_legacy1', preferences: { season: 'Fall' }, token_issued_at: expect.any(String) })
+    ])
+
+    const second = await callFunction('create-session', { session_id: 'demo_1_legacy1' })
+    expect(second.status).toBe(409)
+  })
+
+  it('does not issue tokens to guessed secrets or unknown sessions from before claim secrets', async () => {
+    setRows('demo_sessions', [{ id: 'demo_1_legacy1', preferences: {} }])
+
+    const guessed = await callFunction('create-session', { session_id: 'demo_1_legacy1', claim_secret: 'guess' })
+    const unknown = await callFunction('create-session', { session_id: 'demo_1_legacy2' })
+
+    expect(guessed.status).toBe(403)
+    expect(unknown.status).toBe(403)
+    expect(getRows('demo_sessions')).toEqual([{ id: 'demo_1_legacy1', preferences: {} }])
+  })
+
+  it('refuses to claim a session that is not a demo session', async () => {
+    const { status } = await callFunction('create-session', { session_id: 'user-1' })
+    expect(status).toBe(400)
+  })
+
+  it('rejects requests that break the contract', async () => {
+    const { status, body } = await callFunction('create-session', { preferences: 'casual' })
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+  })
+
+  it('answers a malformed JSON body with a contract error instead of a session', async () => {
+    const { status, body } = await callFunction('create-session', '{"session_id": "demo_1_')
+
+    expect(status).toBe(400)
+    expect(body).toMatchObject({ code: 'invalid_request', issues: ['body must be valid JSON'] })
+    expect(getRows('demo_sessions')).toEqual([])
+  })
+
+  it('rejects unsupported API versions', async () => {
+    const { status, body } = await callFunction('create-session', {}, { headers: { 'x-api-version': '99' } })
+    expect(status).toBe(400)
+    expect(body.code).toBe('unsupported_version')
+  })
+})
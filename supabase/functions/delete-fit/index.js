@@ -0,0 +1,118 @@
+// Supabase Edge Function: delete-fit
+// Deletes a saved outfit after checking that it belongs to the caller, along with any of its
+// images (and their derivatives) that no other outfit or closet item uses
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+import { IMAGE_URL_COLUMNS, removeUnreferencedImages } from '../_shared/storageCleanup.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    })
+  }
+
+  try {
+    checkApiVersion(req)
+    const { id } = validateRequest('delete-fit', await readJsonBody(req))
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    // Identify the caller from the JWT or signed demo session token
+    const { sessionId } = await resolveCaller(req, supabase)
+
+    console.log('📥 Received delete-fit request:', { id, sessionId })
+
+    const { data: outfit, error: lookupError } = await supabase
+      .from('outfits')
+      .select(['id', 'session_id', ...IMAGE_URL_COLUMNS.outfits].join(', '))
+      .eq('id', id)
+      .maybeSingle()
+
+    if (lookupError) throw lookupError
+
+    // Someone else's outfit looks exactly like a missing one
+    if (!outfit || outfit.session_id !== sessionId) {
+      return new Response(
+        JSON.stringify({ error: 'Outfit not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const { error } = await supabase
+      .from('outfits')
+      .delete()
+      .eq('id', id)
+      .eq('session_id', sessionId)
+
+    if (error) {
+      console.error('❌ Database error:', error)
+      throw error
+    }
+
+    console.log('✅ Outfit deleted:', id)
+
+    // The row is gone either way; images left behind are picked up by cleanup-storage
+    let removedObjects = 0
+    try {
+      const removed = await removeUnreferencedImages(
+        supabase,
+        IMAGE_URL_COLUMNS.outfits.map(column => outfit[column]),
+        sessionId
+      )
+      removedObjects = removed.length
+      console.log('🧹 Removed unused images:', removedObjects)
+    } catch (cleanupError) {
+      console.warn('⚠️ Could not remove outfit images:', cleanupError.message)
+    }
+
+    return new Response(
+      JSON.stringify({ id, deleted: true, removed_objects: removedObjects }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('❌ Error deleting outfit:', error)
+
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: 'Failed to delete outfit',
+        details: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, callFunction, photoForm, getRows, listObjects } from '../../local/testing.js'
+import { signSessionToken } from '../_shared/sessionToken.js'
+
+const SESSION = 'demo_1_test'
+
+async function saveOutfitWithPhotos(pieces) {
+  const urls = {}
+  for (const [category, content] of Object.entries(pieces)) {
+    const { body } = await callFunction('upload-file', photoForm(category, content), { sessionId: SESSION })
+    urls[`${category}_url`] = body.url
+  }
+  const { body } = await callFunction('save-fit', urls, { sessionId: SESSION })
+  return body
+}
+
+let closeStore
+beforeEach(() => { closeStore = openTestStore() })
+afterEach(() => closeStore())
+
+describe('delete-fit', () => {
+  it('deletes the outfit and its images with their derivatives', async () => {
+    const outfit = await saveOutfitWithPhotos({ top: 'tee', bottom: 'jeans' })
+
+    const { status, body } = await callFunction('delete-fit', { id: outfit.id }, { sessionId: SESSION })
+
+    expect(status).toBe(200)
+    expect(body).toEqual({ id: outfit.id, deleted: true, removed_objects: 6 })
+    expect(getRows('outfits')).toEqual([])
+    expect(listObjects('outfit-images', `${SESSION}/originals`)).toEqual([])
+  })
+
+  it('keeps images another outfit still uses', async () => {
+    const outfit = await saveOutfitWithPhotos({ top: 'tee', bottom: 'jeans' })
+    await saveOutfitWithPhotos({ top: 'tee' })
+
+    const { body } = await callFunction('delete-fit', { id: outfit.id }, { sessionId: SESSION })
+
+    expect(body.removed_objects).toBe(3)
+    expect(listObjects('outfit-images', `${SESSION}/originals`).map(entry => entry.name)).toEqual([
+      expect.stringMatching(/^top_/)
+    ])
+  })
+
+  it('treats another session\'s outfit as missing', async () => {
+    const outfit = await saveOutfitWithPhotos({ top: 'tee' })
+
+    const { status } = await callFunction('delete-fit', { id: outfit.id }, { sessionId: 'demo_2_other' })
+
+    expect(status).toBe(404)
+    expect(getRows('outfits')).toHaveLength(1)
+    expect(listObjects('outfit-images', `${SESSION}/originals`)).toHaveLength(1)
+  })
+
+  it('requires a session token', async () => {
+    const { status } = await callFunction('delete-fit', { id: 'outfit-1' })
+    expect(status).toBe(401)
+  })
+
+  it('does not accept a forged token for the owner\'s session', async () => {
+    const outfit = await saveOutfitWithPhotos({ top: 'tee' })
+    const forged = await signSessionToken(SESSION, 'not-the-secret')
+
+    const { status } = await callFunction('delete-fit', { id: outfit.id }, { headers: { 'x-session-token': forged } })
+
+    expect(status).toBe(401)
+    expect(getRows('outfits')).toHaveLength(1)
+    expect(listObjects('outfit-images', `${SESSION}/originals`)).toHaveLength(1)
+  })
+
+  it('rejects requests without an id', async () => {
+    const { status } = await callFunction('delete-fit', {}, { sessionId: SESSION })
+    expect(status).toBe(400)
+  })
+})
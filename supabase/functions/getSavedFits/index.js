@@ -1,11 +1,21 @@
 // Supabase Edge Function: getSavedFits
-// Retrieves all saved outfits for a session
+// Retrieves a page of saved outfits for a session, with optional search, filters and sorting,
+// or one full outfit record when called with an id
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, requestFromQuery, ContractError } from '../_shared/contracts.js'
+import {
+  normalizeOutfitFilters,
+  applyOutfitFilters,
+  encodeCursor,
+  normalizePageSize,
+  OUTFIT_SUMMARY_FIELDS
+} from '../_shared/outfitFilters.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
 }
 
@@ -19,42 +29,67 @@ Deno.serve(async (req) => {
   }
 
   try {
+    // supabase.functions.invoke() sends a POST body; plain GET callers use query parameters
     const url = new URL(req.url)
-    const sessionId = url.searchParams.get('session_id')
+    checkApiVersion(req)
+    const params = validateRequest('getSavedFits', req.method === 'POST'
+      ? await readJsonBody(req)
+      : requestFromQuery('getSavedFits', url.searchParams))
 
-    console.log('📥 Received getSavedFits request for session:', sessionId)
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    // Identify the caller from the JWT or signed demo session token
+    const { sessionId } = await resolveCaller(req, supabase)
+
+    // Single outfit: the full row for the details view
+    if (params.id) {
+      const { data: outfit, error } = await supabase
+        .from('outfits')
+        .select('*')
+        .eq('id', params.id)
+        .eq('session_id', sessionId)
+        .maybeSingle()
+
+      if (error) throw error
 
-    // Validate required fields
-    if (!sessionId) {
       return new Response(
-        JSON.stringify({ error: 'session_id query parameter is required' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        JSON.stringify({ outfit }),
+        { status: outfit ? 200 : 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       )
     }
 
-    // Initialize Supabase client
-    const supabaseUrl = Deno.env.get('SUPABASE_URL')
-    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
-    const supabase = createClient(supabaseUrl, supabaseKey)
+    const filters = normalizeOutfitFilters(params)
+    const limit = normalizePageSize(params.limit)
+    const cursor = params.cursor || null
+
+    console.log('📥 Received getSavedFits request for session:', sessionId, { ...filters, cursor, limit })
 
     console.log('📂 Fetching saved outfits...')
 
-    const { data, error } = await supabase
+    const query = supabase
       .from('outfits')
-      .select('*')
+      .select(OUTFIT_SUMMARY_FIELDS)
       .eq('session_id', sessionId)
       .eq('saved', true)
-      .order('created_at', { ascending: false })
+
+    // One extra row tells whether there is another page
+    const { data, error } = await applyOutfitFilters(query, filters, cursor).limit(limit + 1)
 
     if (error) {
       console.error('❌ Database error:', error)
       throw error
     }
 
-    console.log(`✅ Retrieved ${data.length} outfits`)
+    const outfits = data.slice(0, limit)
+    const next_cursor = data.length > limit ? encodeCursor(outfits[outfits.length - 1]) : null
+
+    console.log(`✅ Retrieved ${outfits.length} outfits`, next_cursor ? '(more available)' : '')
 
     return new Response(
-      JSON.stringify(data),
+      JSON.stringify({ outfits, next_cursor }),
       {
         status: 200,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -64,6 +99,20 @@ Deno.serve(async (req) => {
   } catch (error) {
     console.error('❌ Error fetching outfits:', error)
     
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+    
     return new Response(
       JSON.stringify({ 
         error: 'Failed to fetch outfits', 
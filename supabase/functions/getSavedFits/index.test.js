@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, callFunction, setRows } from '../../local/testing.js'
+import { signSessionToken } from '../_shared/sessionToken.js'
+
+const SESSION = 'demo_1_test'
+
+function outfit(id, overrides = {}) {
+  return {
+    id,
+    session_id: SESSION,
+    ai_description: `Outfit ${id}`,
+    season: 'Fall',
+    formality: 'casual',
+    aesthetic: [],
+    colors: {},
+    accessories_tags: [],
+    saved: true,
+    created_at: `2026-01-0${id}T12:00:00.000Z`,
+    updated_at: `2026-01-0${id}T12:00:00.000Z`,
+    ...overrides
+  }
+}
+
+let closeStore
+beforeEach(() => {
+  closeStore = openTestStore()
+  setRows('outfits', [
+    outfit('1'),
+    outfit('2', { season: 'Summer' }),
+    outfit('3'),
+    outfit('4', { session_id: 'demo_2_other' }),
+    outfit('5', { saved: false })
+  ])
+})
+afterEach(() => closeStore())
+
+describe('getSavedFits', () => {
+  it('lists the session\'s saved outfits, newest first', async () => {
+    const { status, body } = await callFunction('getSavedFits', {}, { sessionId: SESSION })
+
+    expect(status).toBe(200)
+    expect(body.outfits.map(o => o.id)).toEqual(['3', '2', '1'])
+    expect(body.next_cursor).toBeNull()
+  })
+
+  it('pages with a cursor', async () => {
+    const first = await callFunction('getSavedFits', { limit: 2 }, { sessionId: SESSION })
+    expect(first.body.outfits.map(o => o.id)).toEqual(['3', '2'])
+    expect(first.body.next_cursor).toEqual(expect.any(String))
+
+    const second = await callFunction('getSavedFits', { limit: 2, cursor: first.body.next_cursor }, { sessionId: SESSION })
+    expect(second.body.outfits.map(o => o.id)).toEqual(['1'])
+    expect(second.body.next_cursor).toBeNull()
+  })
+
+  it('filters and sorts', async () => {
+    const { body } = await callFunction('getSavedFits', { season: 'Fall', sort: 'oldest' }, { sessionId: SESSION })
+    expect(body.outfits.map(o => o.id)).toEqual(['1', '3'])
+  })
+
+  it('returns one full outfit by id', async () => {
+    const { status, body } = await callFunction('getSavedFits', { id: '2' }, { sessionId: SESSION })
+    expect(status).toBe(200)
+    expect(body.outfit).toMatchObject({ id: '2', season: 'Summer' })
+  })
+
+  it('does not return another session\'s outfit', async () => {
+    const { status, body } = await callFunction('getSavedFits', { id: '4' }, { sessionId: SESSION })
+    expect(status).toBe(404)
+    expect(body.outfit).toBeNull()
+  })
+
+  it('requires a session token', async () => {
+    const { status } = await callFunction('getSavedFits', {})
+    expect(status).toBe(401)
+  })
+
+  it('lists by the token\'s session, not the session_id in the body', async () => {
+    const { body } = await callFunction('getSavedFits', { session_id: SESSION }, { sessionId: 'demo_2_other' })
+    expect(body.outfits.map(o => o.id)).toEqual(['4'])
+  })
+
+  it('does not accept a forged token for another session', async () => {
+    const forged = await signSessionToken(SESSION, 'not-the-secret')
+
+    const { status } = await callFunction('getSavedFits', {}, { headers: { 'x-session-token': forged } })
+    expect(status).toBe(401)
+  })
+
+  it('answers a malformed JSON body with a contract error', async () => {
+    const { status, body } = await callFunction('getSavedFits', '{"season": ', { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body).toMatchObject({ code: 'invalid_request', issues: ['body must be valid JSON'] })
+  })
+
+  it('rejects requests that break the contract', async () => {
+    const { status, body } = await callFunction('getSavedFits', { sort: 'random' }, { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+  })
+})
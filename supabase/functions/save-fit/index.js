@@ -2,10 +2,12 @@
 // Saves analyzed outfit to the database
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
 }
 
@@ -19,57 +21,92 @@ Deno.serve(async (req) => {
   }
 
   try {
-    const payload = await req.json()
+    checkApiVersion(req)
+    const payload = validateRequest('save-fit', await readJsonBody(req))
     console.log('📥 Received save-fit request:', payload)
 
     const {
-      session_id,
+      client_id,
       top_url,
       top_layer_url,
       bottom_url,
       shoes_url,
       accessories_url,
+      top_item_id,
+      top_layer_item_id,
+      bottom_item_id,
+      shoes_item_id,
+      accessories_item_id,
       ai_description,
       ai_image_url,
       season,
       formality,
       aesthetic,
       colors,
+      palette,
       accessories_description,
-      accessories_tags
+      accessories_tags,
+      confidence,
+      created_at
     } = payload
 
-    // Validate required fields
-    if (!session_id) {
-      return new Response(
-        JSON.stringify({ error: 'session_id is required' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
-
     // Initialize Supabase client
     const supabaseUrl = Deno.env.get('SUPABASE_URL')
     const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
     const supabase = createClient(supabaseUrl, supabaseKey)
 
+    // Identify the caller from the JWT or signed demo session token
+    const caller = await resolveCaller(req, supabase)
+
+    // Replayed offline saves carry the same client_id; return the existing record instead of duplicating it
+    if (client_id) {
+      const { data: existing, error: lookupError } = await supabase
+        .from('outfits')
+        .select()
+        .eq('session_id', caller.sessionId)
+        .eq('client_id', client_id)
+        .maybeSingle()
+
+      if (lookupError) throw lookupError
+
+      if (existing) {
+        console.log('♻️ Outfit already saved:', existing.id)
+        return new Response(
+          JSON.stringify(existing),
+          { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+    }
+
     // Insert outfit record
+    const now = new Date().toISOString()
     const outfitData = {
-      session_id,
+      session_id: caller.sessionId,
+      client_id: client_id || null,
       top_url: top_url || null,
       top_layer_url: top_layer_url || null,
       bottom_url: bottom_url || null,
       shoes_url: shoes_url || null,
       accessories_url: accessories_url || null,
+      top_item_id: top_item_id || null,
+      top_layer_item_id: top_layer_item_id || null,
+      bottom_item_id: bottom_item_id || null,
+      shoes_item_id: shoes_item_id || null,
+      accessories_item_id: accessories_item_id || null,
       ai_description: ai_description || null,
       ai_image_url: ai_image_url || null,
       season: season || null,
       formality: formality || null,
       aesthetic: aesthetic || [],
       colors: colors || {},
+      palette: palette || null,
       accessories_description: accessories_description || null,
       accessories_tags: accessories_tags || [],
+      confidence: confidence ?? null,
       saved: true,
-      created_at: new Date().toISOString()
+      // Offline saves keep the time they were made
+      created_at: created_at || now,
+      updated_at: now
     }
 
     console.log('💾 Saving outfit to database...')
@@ -98,6 +135,20 @@ Deno.serve(async (req) => {
   } catch (error) {
     console.error('❌ Error saving outfit:', error)
     
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+    
     return new Response(
       JSON.stringify({ 
         error: 'Failed to save outfit', 
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, callFunction, getRows } from '../../local/testing.js'
+
+const SESSION = 'demo_1_test'
+
+let closeStore
+beforeEach(() => { closeStore = openTestStore() })
+afterEach(() => closeStore())
+
+describe('save-fit', () => {
+  it('saves the outfit for the calling session', async () => {
+    const { status, body } = await callFunction('save-fit', {
+      // Ignored: the session comes from the token
+      session_id: 'demo_2_someone_else',
+      top_url: 'http://localhost:54321/storage/v1/object/public/outfits/demo_1_test/top/abc.jpg',
+      ai_description: 'A clean everyday fit',
+      aesthetic: ['minimal'],
+      confidence: 0.8
+    }, { sessionId: SESSION })
+
+    expect(status).toBe(200)
+    expect(body).toMatchObject({
+      id: expect.any(String),
+      session_id: SESSION,
+      ai_description: 'A clean everyday fit',
+      aesthetic: ['minimal'],
+      bottom_url: null,
+      saved: true
+    })
+    expect(getRows('outfits')).toHaveLength(1)
+  })
+
+  it('returns the existing outfit when an offline save is replayed', async () => {
+    const outfit = { client_id: 'local_1', ai_description: 'Saved offline', created_at: '2026-01-02T03:04:05.000Z' }
+
+    const first = await callFunction('save-fit', outfit, { sessionId: SESSION })
+    const replay = await callFunction('save-fit', outfit, { sessionId: SESSION })
+
+    expect(first.body.created_at).toBe('2026-01-02T03:04:05.000Z')
+    expect(replay.status).toBe(200)
+    expect(replay.body.id).toBe(first.body.id)
+    expect(getRows('outfits')).toHaveLength(1)
+  })
+
+  it('requires a session token', async () => {
+    const { status } = await callFunction('save-fit', { ai_description: 'No token' })
+    expect(status).toBe(401)
+    expect(getRows('outfits')).toHaveLength(0)
+  })
+
+  it('answers a malformed JSON body with a contract error', async () => {
+    const { status, body } = await callFunction('save-fit', 'not json', { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+  })
+
+  it('rejects requests that break the contract', async () => {
+    const { status, body } = await callFunction('save-fit', { aesthetic: 'minimal' }, { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+    expect(body.issues).toEqual(['aesthetic must be an array'])
+  })
+})
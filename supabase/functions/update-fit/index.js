@@ -0,0 +1,120 @@
+// Supabase Edge Function: update-fit
+// Edits a saved outfit after checking ownership and that it has not changed since the client read it
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+// Fields users can edit from the favorites page
+const EDITABLE_FIELDS = ['ai_description', 'season', 'formality', 'aesthetic']
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    })
+  }
+
+  try {
+    checkApiVersion(req)
+    const { id, changes, expected_updated_at } = validateRequest('update-fit', await readJsonBody(req))
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    // Identify the caller from the JWT or signed demo session token
+    const { sessionId } = await resolveCaller(req, supabase)
+
+    console.log('📥 Received update-fit request:', { id, sessionId, fields: Object.keys(changes) })
+
+    const { data: outfit, error: lookupError } = await supabase
+      .from('outfits')
+      .select()
+      .eq('id', id)
+      .maybeSingle()
+
+    if (lookupError) throw lookupError
+
+    // Someone else's outfit looks exactly like a missing one
+    if (!outfit || outfit.session_id !== sessionId) {
+      return new Response(
+        JSON.stringify({ error: 'Outfit not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    // The client edited an older copy; send back the current one so it can decide
+    if (expected_updated_at && outfit.updated_at !== expected_updated_at) {
+      return new Response(
+        JSON.stringify({ error: 'Outfit was changed since it was loaded', current: outfit }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const updates = { updated_at: new Date().toISOString() }
+    EDITABLE_FIELDS.forEach(field => {
+      if (field in changes) updates[field] = changes[field]
+    })
+
+    const { data, error } = await supabase
+      .from('outfits')
+      .update(updates)
+      .eq('id', id)
+      .eq('session_id', sessionId)
+      .select()
+      .single()
+
+    if (error) {
+      console.error('❌ Database error:', error)
+      throw error
+    }
+
+    console.log('✅ Outfit updated:', id)
+
+    return new Response(
+      JSON.stringify(data),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('❌ Error updating outfit:', error)
+
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: 'Failed to update outfit',
+        details: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, callFunction, getRows, setRows } from '../../local/testing.js'
+
+const SESSION = 'demo_1_test'
+const UPDATED_AT = '2026-01-01T12:00:00.000Z'
+
+let closeStore
+beforeEach(() => {
+  closeStore = openTestStore()
+  setRows('outfits', [
+    { id: 'outfit-1', session_id: SESSION, ai_description: 'Before', season: 'Fall', aesthetic: [], saved: true, created_at: UPDATED_AT, updated_at: UPDATED_AT },
+    { id: 'outfit-2', session_id: 'demo_2_other', ai_description: 'Not yours', saved: true, created_at: UPDATED_AT, updated_at: UPDATED_AT }
+  ])
+})
+afterEach(() => closeStore())
+
+describe('update-fit', () => {
+  it('applies the changes and bumps updated_at', async () => {
+    const { status, body } = await callFunction('update-fit', {
+      id: 'outfit-1',
+      changes: { ai_description: 'After', aesthetic: ['minimal'] },
+      expected_updated_at: UPDATED_AT
+    }, { sessionId: SESSION })
+
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ id: 'outfit-1', ai_description: 'After', aesthetic: ['minimal'], season: 'Fall' })
+    expect(body.updated_at > UPDATED_AT).toBe(true)
+  })
+
+  it('answers 409 with the current outfit when it changed since it was loaded', async () => {
+    const { status, body } = await callFunction('update-fit', {
+      id: 'outfit-1',
+      changes: { ai_description: 'After' },
+      expected_updated_at: '2025-12-31T00:00:00.000Z'
+    }, { sessionId: SESSION })
+
+    expect(status).toBe(409)
+    expect(body.current).toMatchObject({ id: 'outfit-1', ai_description: 'Before' })
+    expect(getRows('outfits')[0].ai_description).toBe('Before')
+  })
+
+  it('treats another session\'s outfit as missing', async () => {
+    const { status } = await callFunction('update-fit', { id: 'outfit-2', changes: { ai_description: 'Mine now' } }, { sessionId: SESSION })
+
+    expect(status).toBe(404)
+    expect(getRows('outfits')[1].ai_description).toBe('Not yours')
+  })
+
+  it('answers 404 for a missing outfit', async () => {
+    const { status } = await callFunction('update-fit', { id: 'missing', changes: {} }, { sessionId: SESSION })
+    expect(status).toBe(404)
+  })
+
+  it('only accepts editable fields', async () => {
+    const { status, body } = await callFunction('update-fit', { id: 'outfit-1', changes: { session_id: 'demo_2_other' } }, { sessionId: SESSION })
+
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+    expect(getRows('outfits')[0].session_id).toBe(SESSION)
+  })
+
+  it('requires a session token', async () => {
+    const { status } = await callFunction('update-fit', { id: 'outfit-1', changes: { ai_description: 'After' } })
+    expect(status).toBe(401)
+  })
+})
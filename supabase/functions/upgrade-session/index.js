@@ -0,0 +1,199 @@
+// Supabase Edge Function: upgrade-session
+// Moves everything owned by an anonymous demo session to a signed-in user account
+// Every step only picks up what is still in the demo session, so a request that failed partway
+// is finished by sending it again; the session is marked upgraded once nothing is left.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, getDemoSessionId, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, readJsonBody, ContractError } from '../_shared/contracts.js'
+import { IMAGE_BUCKET, ORIGINALS_FOLDER, DERIVATIVES } from '../_shared/imagePaths.js'
+import { listFiles } from '../_shared/storageCleanup.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+const BUCKET = IMAGE_BUCKET
+// Originals and their resized copies
+const STORAGE_FOLDERS = [ORIGINALS_FOLDER, ...Object.values(DERIVATIVES).map(({ folder }) => folder)]
+const OUTFIT_URL_FIELDS = ['top_url', 'top_layer_url', 'bottom_url', 'shoes_url', 'accessories_url', 'ai_image_url']
+
+// Rewrite storage URLs from the demo folder to the user folder
+function rewriteUrl(url, demoSessionId, userId) {
+  return typeof url === 'string'
+    ? url.replace(`/${BUCKET}/${demoSessionId}/`, `/${BUCKET}/${userId}/`)
+    : url
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    })
+  }
+
+  try {
+    checkApiVersion(req)
+    const { demo_session_id } = validateRequest('upgrade-session', await readJsonBody(req))
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    // Only a signed-in user can receive the demo data
+    const caller = await resolveCaller(req, supabase)
+    const userId = caller.userId
+    if (!userId) {
+      throw new AuthError('Sign in to upgrade a demo session')
+    }
+
+    if (!demo_session_id.startsWith('demo_')) {
+      return new Response(
+        JSON.stringify({ error: 'demo_session_id must be a demo session' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    // The caller must also prove they own the demo session being upgraded
+    const tokenSessionId = await getDemoSessionId(req)
+    if (tokenSessionId !== demo_session_id) {
+      throw new AuthError('Session token does not match demo_session_id', 403)
+    }
+
+    // A retry by the same account finishes the move; another account can't take it over
+    const { data: demoSession, error: sessionError } = await supabase
+      .from('demo_sessions')
+      .select('upgraded_to')
+      .eq('id', demo_session_id)
+      .maybeSingle()
+
+    if (sessionError) throw sessionError
+    if (demoSession?.upgraded_to && demoSession.upgraded_to !== userId) {
+      return new Response(
+        JSON.stringify({ error: 'This demo session was already moved to another account' }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    console.log('📥 Upgrading demo session', demo_session_id, '→ user', userId)
+
+    // Step 1: Move storage objects to the user's folder
+    // Each folder is listed in full first: moving objects while paging would shift the offsets
+    let movedObjects = 0
+    const unmoved = []
+    for (const folder of STORAGE_FOLDERS) {
+      const objects = (await listFiles(supabase, `${demo_session_id}/${folder}`)).filter(entry => entry.id)
+
+      for (const object of objects) {
+        const { error: moveError } = await supabase.storage
+          .from(BUCKET)
+          .move(`${demo_session_id}/${folder}/${object.name}`, `${userId}/${folder}/${object.name}`)
+
+        if (moveError) {
+          console.warn('⚠️ Could not move object:', object.name, moveError.message)
+          unmoved.push(`${folder}/${object.name}`)
+          continue
+        }
+        movedObjects++
+      }
+    }
+
+    // Rows would point at images that are still in the demo folder: stop before reassigning any.
+    // Moved objects stay moved, so a retry only has the rest left to do.
+    if (unmoved.length > 0) {
+      throw new Error(`Could not move ${unmoved.length} image(s) to the account: ${unmoved.slice(0, 5).join(', ')}`)
+    }
+
+    // Step 2: Reassign outfits and rewrite their image URLs
+    const { data: outfits, error: outfitsError } = await supabase
+      .from('outfits')
+      .select('id, ' + OUTFIT_URL_FIELDS.join(', '))
+      .eq('session_id', demo_session_id)
+
+    if (outfitsError) throw outfitsError
+
+    for (const outfit of outfits) {
+      const updates = { session_id: userId }
+      OUTFIT_URL_FIELDS.forEach(field => {
+        updates[field] = rewriteUrl(outfit[field], demo_session_id, userId)
+      })
+
+      const { error } = await supabase.from('outfits').update(updates).eq('id', outfit.id)
+      if (error) throw error
+    }
+
+    // Step 3: Reassign wardrobe items
+    const { data: items, error: itemsError } = await supabase
+      .from('wardrobe_items')
+      .select('id, image_url')
+      .eq('session_id', demo_session_id)
+
+    if (itemsError) throw itemsError
+
+    for (const item of items) {
+      const { error } = await supabase
+        .from('wardrobe_items')
+        .update({ session_id: userId, image_url: rewriteUrl(item.image_url, demo_session_id, userId) })
+        .eq('id', item.id)
+      if (error) throw error
+    }
+
+    // Step 4: Mark the demo session as upgraded so it is not reused
+    const { error: upgradeError } = await supabase
+      .from('demo_sessions')
+      .update({ upgraded_to: userId })
+      .eq('id', demo_session_id)
+
+    if (upgradeError) throw upgradeError
+
+    const result = {
+      user_id: userId,
+      outfits: outfits.length,
+      wardrobe_items: items.length,
+      storage_objects: movedObjects
+    }
+
+    console.log('✅ Demo session upgraded:', result)
+
+    return new Response(
+      JSON.stringify(result),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('❌ Error upgrading session:', error)
+
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: 'Failed to upgrade session',
+        details: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
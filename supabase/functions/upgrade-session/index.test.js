@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { openTestStore, callFunction, photoForm, getRows, setRows, listObjects, writeObject } from '../../local/testing.js'
+
+const DEMO = 'demo_1_test'
+const USER = 'user-1'
+const USER_JWT = 'jwt-for-user-1'
+
+// Object paths whose move fails, as when Storage is briefly unavailable
+const failingMoves = new Set()
+
+// This one JWT belongs to USER
+vi.mock('../../local/supabaseClient.js', async (importOriginal) => {
+  const local = await importOriginal()
+  return {
+    ...local,
+    createClient(...args) {
+      const client = local.createClient(...args)
+      const getUser = client.auth.getUser
+      client.auth.getUser = async (jwt) => jwt === USER_JWT
+        ? { data: { user: { id: USER } }, error: null }
+        : getUser(jwt)
+
+      const fromBucket = client.storage.from
+      client.storage.from = (bucket) => {
+        const api = fromBucket(bucket)
+        const move = api.move
+        api.move = async (fromPath, toPath) => failingMoves.has(fromPath)
+          ? { data: null, error: { message: 'Storage unavailable', statusCode: '503' } }
+          : move(fromPath, toPath)
+        return api
+      }
+      return client
+    }
+  }
+})
+
+function asUser(sessionId = DEMO) {
+  return { sessionId, headers: { Authorization: `Bearer ${USER_JWT}` } }
+}
+
+let closeStore
+beforeEach(() => {
+  closeStore = openTestStore()
+  setRows('demo_sessions', [{ id: DEMO, preferences: {}, created_at: '2026-01-01T12:00:00.000Z' }])
+})
+afterEach(() => {
+  failingMoves.clear()
+  closeStore()
+})
+
+describe('upgrade-session', () => {
+  it('moves the demo session\'s outfits, closet and images to the account', async () => {
+    const { body: photo } = await callFunction('upload-file', photoForm('top'), { sessionId: DEMO })
+    const { body: outfit } = await callFunction('save-fit', { top_url: photo.url, ai_image_url: photo.url }, { sessionId: DEMO })
+    setRows('wardrobe_items', [{ id: 'item-1', session_id: DEMO, category: 'top', image_url: photo.url, created_at: '2026-01-01T12:00:00.000Z' }])
+
+    const { status, body } = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser())
+
+    expect(status).toBe(200)
+    expect(body).toEqual({ user_id: USER, outfits: 1, wardrobe_items: 1, storage_objects: 3 })
+
+    const movedUrl = photo.url.replace(`/${DEMO}/`, `/${USER}/`)
+    expect(getRows('outfits')).toEqual([expect.objectContaining({ id: outfit.id, session_id: USER, top_url: movedUrl, ai_image_url: movedUrl })])
+    expect(getRows('wardrobe_items')).toEqual([expect.objectContaining({ session_id: USER, image_url: movedUrl })])
+    expect(getRows('demo_sessions')[0].upgraded_to).toBe(USER)
+    expect(listObjects('outfit-images', `${USER}/originals`)).toHaveLength(1)
+    expect(listObjects('outfit-images', `${DEMO}/originals`)).toEqual([])
+  })
+
+  it('leaves rows with the demo session when an image fails to move, and finishes on retry', async () => {
+    const { body: photo } = await callFunction('upload-file', photoForm('top'), { sessionId: DEMO })
+    const { body: outfit } = await callFunction('save-fit', { top_url: photo.url }, { sessionId: DEMO })
+    failingMoves.add(`${DEMO}/originals/${photo.url.split('/').pop()}`)
+
+    const failed = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser())
+
+    expect(failed.status).toBe(500)
+    expect(getRows('outfits')).toEqual([expect.objectContaining({ id: outfit.id, session_id: DEMO, top_url: photo.url })])
+    expect(getRows('demo_sessions')[0].upgraded_to).toBeUndefined()
+
+    failingMoves.clear()
+    const retried = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser())
+
+    expect(retried.status).toBe(200)
+    expect(retried.body).toMatchObject({ outfits: 1, storage_objects: 1 })
+    expect(getRows('outfits')[0]).toMatchObject({ session_id: USER, top_url: photo.url.replace(`/${DEMO}/`, `/${USER}/`) })
+    expect(listObjects('outfit-images', `${USER}/thumbs`)).toHaveLength(1)
+  })
+
+  it('finishes an upgrade that stopped between reassigning outfits and wardrobe items', async () => {
+    setRows('outfits', [{ id: 'outfit-1', session_id: USER, saved: true, created_at: '2026-01-01T12:00:00.000Z' }])
+    setRows('wardrobe_items', [{ id: 'item-1', session_id: DEMO, category: 'top', created_at: '2026-01-01T12:00:00.000Z' }])
+
+    const { status, body } = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser())
+
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ outfits: 0, wardrobe_items: 1 })
+    expect(getRows('wardrobe_items')[0].session_id).toBe(USER)
+    expect(getRows('demo_sessions')[0].upgraded_to).toBe(USER)
+  })
+
+  it('does not move a session already upgraded to another account', async () => {
+    setRows('demo_sessions', [{ id: DEMO, preferences: {}, upgraded_to: 'user-2', created_at: '2026-01-01T12:00:00.000Z' }])
+    setRows('outfits', [{ id: 'outfit-1', session_id: DEMO, saved: true, created_at: '2026-01-01T12:00:00.000Z' }])
+
+    const { status } = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser())
+
+    expect(status).toBe(409)
+    expect(getRows('outfits')[0].session_id).toBe(DEMO)
+  })
+
+  it('moves folders holding more than one page of objects', async () => {
+    for (let index = 0; index < 1001; index++) {
+      writeObject('outfit-images', `${DEMO}/originals/top_${index}.jpg`, new Uint8Array([1]))
+    }
+
+    const { body } = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser())
+
+    expect(body.storage_objects).toBe(1001)
+    expect(listObjects('outfit-images', `${USER}/originals`, { limit: 2000 })).toHaveLength(1001)
+    expect(listObjects('outfit-images', `${DEMO}/originals`)).toEqual([])
+  })
+
+  it('requires a signed-in user', async () => {
+    const { status, body } = await callFunction('upgrade-session', { demo_session_id: DEMO }, { sessionId: DEMO })
+    expect(status).toBe(401)
+    expect(body.error).toBe('Sign in to upgrade a demo session')
+  })
+
+  it('requires the demo session\'s own token', async () => {
+    const { status } = await callFunction('upgrade-session', { demo_session_id: DEMO }, asUser('demo_2_other'))
+    expect(status).toBe(403)
+    expect(getRows('demo_sessions')[0].upgraded_to).toBeUndefined()
+  })
+
+  it('only upgrades demo sessions', async () => {
+    const { status } = await callFunction('upgrade-session', { demo_session_id: 'user-2' }, asUser())
+    expect(status).toBe(400)
+  })
+
+  it('rejects requests that break the contract', async () => {
+    const { status, body } = await callFunction('upgrade-session', {}, asUser())
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+  })
+})
@@ -1,11 +1,27 @@
 // Supabase Edge Function: upload-file
 // Handles file uploads to Supabase Storage
+// Stores the original under <session>/originals/ plus a thumbnail and medium-size copy in
+// sibling folders (see _shared/imagePaths.js), so galleries don't load full-size images.
+// Objects are named after the file's SHA-256, so uploading the same photo again reuses the
+// stored copy instead of writing a new one.
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { resolveCaller, AuthError } from '../_shared/auth.js'
+import { checkApiVersion, validateRequest, ContractError } from '../_shared/contracts.js'
+import {
+  IMAGE_BUCKET,
+  ORIGINALS_FOLDER,
+  DERIVATIVES,
+  derivativePath,
+  originalFileName,
+  isDuplicateObjectError
+} from '../_shared/imagePaths.js'
+import { sha256Hex } from '../_shared/contentHash.js'
+import { storeDerivatives } from '../_shared/imageDerivatives.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-api-version',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
 }
 
@@ -19,55 +35,73 @@ Deno.serve(async (req) => {
   }
 
   try {
+    checkApiVersion(req)
     const formData = await req.formData()
-    const file = formData.get('file')
-    const category = formData.get('category')
-    const sessionId = formData.get('session_id')
-
-    console.log('📥 Received upload request:', { category, sessionId })
-
-    // Validate required fields
-    if (!file || !category || !sessionId) {
-      return new Response(
-        JSON.stringify({ error: 'file, category, and session_id are required' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
+    const { file, category } = validateRequest('upload-file', Object.fromEntries(formData))
 
     // Initialize Supabase client
     const supabaseUrl = Deno.env.get('SUPABASE_URL')
     const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
     const supabase = createClient(supabaseUrl, supabaseKey)
 
-    // Generate file path
-    const timestamp = Date.now()
-    const fileName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_')
-    const filePath = `${sessionId}/originals/${category}_${timestamp}_${fileName}`
+    // Identify the caller from the JWT or signed demo session token
+    const { sessionId } = await resolveCaller(req, supabase)
+
+    console.log('📥 Received upload request:', { category, sessionId })
+
+    // Name the object after its content; the hash is computed here, never taken from the client
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    const hash = await sha256Hex(bytes)
+    const filePath = `${sessionId}/${ORIGINALS_FOLDER}/${originalFileName(category, { hash, name: file.name, type: file.type })}`
 
     console.log('📤 Uploading file to storage:', filePath)
 
     // Upload file
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('outfit-images')
+    const { error: uploadError } = await supabase.storage
+      .from(IMAGE_BUCKET)
       .upload(filePath, file, {
         cacheControl: '3600',
         upsert: false
       })
 
-    if (uploadError) {
+    const deduplicated = isDuplicateObjectError(uploadError)
+    if (uploadError && !deduplicated) {
       console.error('❌ Upload error:', uploadError)
       throw uploadError
     }
 
     // Get public URL
     const { data: publicUrlData } = supabase.storage
-      .from('outfit-images')
+      .from(IMAGE_BUCKET)
       .getPublicUrl(filePath)
 
-    console.log('✅ File uploaded successfully:', publicUrlData.publicUrl)
+    let derivatives = {}
+    if (deduplicated) {
+      // Already stored with its derivatives (or queued for backfill-derivatives)
+      console.log('♻️ Same photo already stored:', publicUrlData.publicUrl)
+      Object.keys(DERIVATIVES).forEach(variant => {
+        derivatives[variant] = derivativePath(publicUrlData.publicUrl, variant)
+      })
+    } else {
+      console.log('✅ File uploaded successfully:', publicUrlData.publicUrl)
+
+      // Derivatives are a nice-to-have: without them the client falls back to the original
+      try {
+        derivatives = await storeDerivatives(supabase, filePath, bytes, file.type)
+        console.log('🖼️ Derivatives stored:', Object.keys(derivatives).join(', '))
+      } catch (derivativeError) {
+        console.warn('⚠️ Could not generate derivatives:', derivativeError.message)
+      }
+    }
 
     return new Response(
-      JSON.stringify({ url: publicUrlData.publicUrl }),
+      JSON.stringify({
+        url: publicUrlData.publicUrl,
+        thumb_url: derivatives.thumb || null,
+        medium_url: derivatives.medium || null,
+        hash,
+        deduplicated
+      }),
       {
         status: 200,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -77,6 +111,20 @@ Deno.serve(async (req) => {
   } catch (error) {
     console.error('❌ Error uploading file:', error)
     
+    if (error instanceof ContractError) {
+      return new Response(
+        JSON.stringify(error),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (error instanceof AuthError) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: error.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+    
     return new Response(
       JSON.stringify({ 
         error: 'Failed to upload file', 
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openTestStore, callFunction, photoForm, listObjects } from '../../local/testing.js'
+
+const SESSION = 'demo_1_test'
+
+let closeStore
+beforeEach(() => { closeStore = openTestStore() })
+afterEach(() => closeStore())
+
+describe('upload-file', () => {
+  it('stores the photo under the session, named after its hash, with derivatives', async () => {
+    const { status, body } = await callFunction('upload-file', photoForm('top'), { sessionId: SESSION })
+
+    expect(status).toBe(200)
+    expect(body.hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(body.url).toBe(`http://localhost:54321/storage/v1/object/public/outfit-images/${SESSION}/originals/top_${body.hash}.jpg`)
+    expect(body.thumb_url).toBe(body.url.replace('/originals/', '/thumbs/'))
+    expect(body.medium_url).toBe(body.url.replace('/originals/', '/medium/'))
+    expect(body.deduplicated).toBe(false)
+    expect(listObjects('outfit-images', SESSION).map(entry => entry.name)).toEqual(['medium', 'originals', 'thumbs'])
+  })
+
+  it('deduplicates the same photo', async () => {
+    const first = await callFunction('upload-file', photoForm('top'), { sessionId: SESSION })
+    const second = await callFunction('upload-file', photoForm('top'), { sessionId: SESSION })
+
+    expect(second.status).toBe(200)
+    expect(second.body).toMatchObject({ url: first.body.url, thumb_url: first.body.thumb_url, deduplicated: true })
+    expect(listObjects('outfit-images', `${SESSION}/originals`)).toHaveLength(1)
+  })
+
+  it('requires a session token', async () => {
+    const { status } = await callFunction('upload-file', photoForm('top'))
+    expect(status).toBe(401)
+    expect(listObjects('outfit-images', '')).toEqual([])
+  })
+
+  it('rejects unknown categories', async () => {
+    const { status, body } = await callFunction('upload-file', photoForm('hat'), { sessionId: SESSION })
+    expect(status).toBe(400)
+    expect(body.code).toBe('invalid_request')
+  })
+
+  it('rejects a form without a file', async () => {
+    const form = new FormData()
+    form.append('category', 'top')
+
+    const { status } = await callFunction('upload-file', form, { sessionId: SESSION })
+    expect(status).toBe(400)
+  })
+})
@@ -0,0 +1,232 @@
+// Local stand-in: a minimal Supabase Auth for email/password accounts on /auth/v1
+// Covers what authAPI.js and supabase-js call: signup, token (password and refresh_token grants),
+// user and logout. Accounts are confirmed straight away and kept in the store's auth_users table
+// with scrypt password hashes. Access tokens are HS256 JWTs signed with SUPABASE_JWT_SECRET, so the
+// Edge Functions' auth.getUser(jwt) and the REST policies can verify them.
+
+import process from 'node:process'
+import { Buffer } from 'node:buffer'
+import { createHmac, randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'node:crypto'
+import { getRows, setRows } from './store.js'
+import { verifySessionToken } from '../functions/_shared/sessionToken.js'
+
+const USERS_TABLE = 'auth_users'
+const ACCESS_TOKEN_SECONDS = 3600
+const MIN_PASSWORD_LENGTH = 6
+
+const base64url = value => Buffer.from(value).toString('base64url')
+
+function jwtSecret() {
+  return process.env.SUPABASE_JWT_SECRET
+}
+
+function sign(payload) {
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`
+  return `${unsigned}.${createHmac('sha256', jwtSecret()).update(unsigned).digest('base64url')}`
+}
+
+function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return `${salt}:${scryptSync(password, salt, 32).toString('hex')}`
+}
+
+function passwordMatches(password, stored) {
+  const [salt, hash] = stored.split(':')
+  const expected = Buffer.from(hash, 'hex')
+  const actual = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex')
+  return timingSafeEqual(expected, actual)
+}
+
+// The user as Supabase Auth returns it, without the password hash and refresh tokens
+function publicUser(user) {
+  const visible = { ...user }
+  delete visible.password_hash
+  delete visible.refresh_tokens
+  return visible
+}
+
+// Errors in the shape auth-js reads: HTTP status, error_code and msg
+function authError(status, errorCode, msg) {
+  return json(status, { code: status, error_code: errorCode, msg })
+}
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+// New access and refresh token for a user; the refresh token is kept so it can be used once
+function issueSession(user) {
+  const now = Math.floor(Date.now() / 1000)
+  const refreshToken = randomBytes(24).toString('base64url')
+  const users = getRows(USERS_TABLE)
+  const stored = users.find(row => row.id === user.id)
+  stored.refresh_tokens = [...(stored.refresh_tokens || []), refreshToken]
+  stored.last_sign_in_at = new Date().toISOString()
+  setRows(USERS_TABLE, users)
+
+  return {
+    access_token: sign({
+      sub: user.id,
+      email: user.email,
+      aud: 'authenticated',
+      role: 'authenticated',
+      iat: now,
+      exp: now + ACCESS_TOKEN_SECONDS
+    }),
+    token_type: 'bearer',
+    expires_in: ACCESS_TOKEN_SECONDS,
+    expires_at: now + ACCESS_TOKEN_SECONDS,
+    refresh_token: refreshToken,
+    user: publicUser(stored)
+  }
+}
+
+/**
+ * Check an access token issued by the local Auth
+ * @param {string} token - JWT from an Authorization header
+ * @returns {Object|null} The user, or null when the token is invalid, expired or its user is gone
+ */
+export function verifyAccessToken(token) {
+  const [header, payload, signature] = String(token || '').split('.')
+  if (!header || !payload || !signature) return null
+
+  const expected = Buffer.from(createHmac('sha256', jwtSecret()).update(`${header}.${payload}`).digest('base64url'))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null
+
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+  if (!claims.sub || claims.exp * 1000 <= Date.now()) return null
+
+  const user = getRows(USERS_TABLE).find(row => row.id === claims.sub)
+  return user ? publicUser(user) : null
+}
+
+/**
+ * Who a request to the local REST or Storage routes comes from, like request_session_id() in the
+ * README: a signed-in user, a demo session with a valid x-session-token, or the service role
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Object>} { sessionId, serviceRole } - sessionId is null for anonymous callers
+ */
+export async function resolveRequestCaller(req) {
+  const token = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '')
+  if (token && token === process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    return { sessionId: null, serviceRole: true }
+  }
+
+  const user = verifyAccessToken(token)
+  if (user) return { sessionId: user.id, serviceRole: false }
+
+  const sessionId = await verifySessionToken(req.headers.get('x-session-token'), process.env.SESSION_TOKEN_SECRET)
+  return { sessionId: sessionId?.startsWith('demo_') ? sessionId : null, serviceRole: false }
+}
+
+async function readBody(req) {
+  try {
+    return await req.json()
+  } catch {
+    return {}
+  }
+}
+
+async function signUp(req) {
+  const { email, password } = await readBody(req)
+  if (typeof email !== 'string' || !email.includes('@')) {
+    return authError(400, 'validation_failed', 'Unable to validate email address: invalid format')
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return authError(422, 'weak_password', `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`)
+  }
+
+  const users = getRows(USERS_TABLE)
+  const normalizedEmail = email.trim().toLowerCase()
+  if (users.some(user => user.email === normalizedEmail)) {
+    return authError(422, 'user_already_exists', 'User already registered')
+  }
+
+  const now = new Date().toISOString()
+  const user = {
+    id: randomUUID(),
+    aud: 'authenticated',
+    role: 'authenticated',
+    email: normalizedEmail,
+    email_confirmed_at: now,
+    app_metadata: { provider: 'email', providers: ['email'] },
+    user_metadata: {},
+    identities: [],
+    created_at: now,
+    updated_at: now,
+    password_hash: hashPassword(password),
+    refresh_tokens: []
+  }
+  setRows(USERS_TABLE, [...users, user])
+  console.log('👤 Local account created:', user.email)
+
+  return json(200, issueSession(user))
+}
+
+async function grantToken(req, grantType) {
+  const body = await readBody(req)
+  const users = getRows(USERS_TABLE)
+
+  if (grantType === 'password') {
+    const user = users.find(row => row.email === String(body.email || '').trim().toLowerCase())
+    if (!user || !passwordMatches(String(body.password || ''), user.password_hash)) {
+      return authError(400, 'invalid_credentials', 'Invalid login credentials')
+    }
+    return json(200, issueSession(user))
+  }
+
+  if (grantType === 'refresh_token') {
+    // Refresh tokens are single use, like Supabase Auth's rotation
+    const user = users.find(row => (row.refresh_tokens || []).includes(body.refresh_token))
+    if (!user) {
+      return authError(400, 'refresh_token_not_found', 'Invalid Refresh Token: Refresh Token Not Found')
+    }
+    user.refresh_tokens = user.refresh_tokens.filter(token => token !== body.refresh_token)
+    setRows(USERS_TABLE, users)
+    return json(200, issueSession(user))
+  }
+
+  return authError(400, 'unsupported_grant_type', `grant_type=${grantType} is not emulated by the local server`)
+}
+
+function bearerUser(req) {
+  return verifyAccessToken((req.headers.get('authorization') || '').replace(/^Bearer\s+/i, ''))
+}
+
+/**
+ * Handle a request to /auth/v1/<route>
+ * @param {Request} req - Incoming request
+ * @param {string} route - Path after /auth/v1/
+ * @returns {Promise<Response>}
+ */
+export async function handleAuth(req, route) {
+  const { searchParams } = new URL(req.url)
+
+  if (route === 'signup' && req.method === 'POST') return signUp(req)
+  if (route === 'token' && req.method === 'POST') return grantToken(req, searchParams.get('grant_type'))
+
+  if (route === 'user' && req.method === 'GET') {
+    const user = bearerUser(req)
+    return user ? json(200, user) : authError(401, 'bad_jwt', 'invalid JWT: unable to parse or verify signature')
+  }
+
+  if (route === 'logout' && req.method === 'POST') {
+    const user = bearerUser(req)
+    if (!user) return authError(401, 'bad_jwt', 'invalid JWT: unable to parse or verify signature')
+
+    const users = getRows(USERS_TABLE)
+    users.find(row => row.id === user.id).refresh_tokens = []
+    setRows(USERS_TABLE, users)
+    return new Response(null, { status: 204 })
+  }
+
+  return authError(404, 'not_found', `${req.method} /auth/v1/${route} is not emulated by the local server`)
+}
@@ -0,0 +1,47 @@
+// Local stand-in: the parts of the Deno global the Edge Functions use (Deno.env, Deno.serve)
+// Importing a function's index.js registers its handler instead of starting a server, so the
+// local server and the function tests can call handlers directly.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import process from 'node:process'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+
+export const FUNCTIONS_DIR = fileURLToPath(new URL('../functions/', import.meta.url))
+
+const handlers = new Map()
+let loading = null
+
+globalThis.Deno = {
+  env: { get: (name) => process.env[name] },
+  serve(options, handler) {
+    handlers.set(loading, handler || options)
+  }
+}
+
+/**
+ * Names of every Edge Function (folders in supabase/functions not starting with _)
+ */
+export function listFunctions() {
+  return fs.readdirSync(FUNCTIONS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('_'))
+    .map(entry => entry.name)
+}
+
+/**
+ * Load a function and get its request handler
+ * Functions read Deno.env when handling a request, so set the environment before calling it.
+ * @param {string} name - Function name
+ * @returns {Promise<Function>} (Request) => Promise<Response>
+ */
+export async function loadFunction(name) {
+  if (!handlers.has(name)) {
+    loading = name
+    try {
+      await import(pathToFileURL(path.join(FUNCTIONS_DIR, name, 'index.js')).href)
+    } finally {
+      loading = null
+    }
+  }
+  return handlers.get(name)
+}
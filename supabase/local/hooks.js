@@ -0,0 +1,18 @@
+// Local stand-in: module resolution for running the Edge Functions under Node
+// Deno imports some dependencies by URL; these resolve to the local stand-ins instead.
+// Bare specifiers (e.g. @google/generative-ai) resolve from node_modules as usual.
+
+const STAND_INS = {
+  'https://esm.sh/@supabase/supabase-js@2': './supabaseClient.js',
+  'https://deno.land/x/imagemagick_deno@0.0.31/mod.ts': './imagemagick.js'
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (STAND_INS[specifier]) {
+    return { url: new URL(STAND_INS[specifier], import.meta.url).href, shortCircuit: true }
+  }
+  if (/^https?:\/\//.test(specifier)) {
+    throw new Error(`${specifier} has no local stand-in (add one to supabase/local/hooks.js)`)
+  }
+  return nextResolve(specifier, context)
+}
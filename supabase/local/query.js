@@ -0,0 +1,338 @@
+// Local stand-in: the supabase.from(table) query builder over the local store
+// Covers what the Edge Functions use: select/insert/upsert/update/delete, eq-style filters,
+// PostgREST or=() strings (with nested and()/or() and colors->>key paths), contains,
+// textSearch, order, limit/range and single/maybeSingle. Awaiting the builder runs it and
+// resolves to { data, error } like supabase-js.
+
+import { tableInfo, readColumn, getRows, setRows } from './store.js'
+
+// Split on commas that are not inside parentheses or double quotes
+function splitTopLevel(text) {
+  const parts = []
+  let depth = 0
+  let quoted = false
+  let start = 0
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '"' && text[i - 1] !== '\\') quoted = !quoted
+    if (quoted) continue
+    if (char === '(') depth++
+    if (char === ')') depth--
+    if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i))
+      start = i + 1
+    }
+  }
+  parts.push(text.slice(start))
+  return parts.map(part => part.trim()).filter(Boolean)
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\"/g, '"') : value
+}
+
+/**
+ * Parse a PostgREST logic string such as "a.eq.1,and(b.gt.2,c.is.null)"
+ * @param {string} text - Contents of or=(...) without the outer parentheses
+ * @param {string} type - 'or' or 'and', how the parts combine
+ * @returns {Object} Condition tree
+ */
+export function parseLogic(text, type = 'or') {
+  return {
+    type,
+    items: splitTopLevel(text).map(part => {
+      const group = part.match(/^(and|or)\((.*)\)$/)
+      if (group) return parseLogic(group[2], group[1])
+
+      // column.operator.value; the value may itself contain dots
+      const [column, operator, ...rest] = part.split('.')
+      return { type: 'condition', column, operator, value: unquote(rest.join('.')) }
+    })
+  }
+}
+
+// Column value, following colors->>key style JSON paths (as text, like Postgres)
+function columnValue(table, row, column) {
+  const [name, ...keys] = column.split('->>')
+  let value = readColumn(table, row, name)
+  for (const key of keys) value = value?.[key]
+  return value
+}
+
+function compare(a, b) {
+  const numberA = Number(a)
+  const numberB = Number(b)
+  if (a !== '' && b !== '' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB
+  return String(a).localeCompare(String(b))
+}
+
+function likePattern(pattern, flags) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*')
+  return new RegExp(`^${escaped}$`, flags)
+}
+
+// SQL semantics: comparisons with null are never true
+function matchesCondition(table, row, { column, operator, value }) {
+  const actual = columnValue(table, row, column)
+
+  if (operator === 'is') {
+    if (value === 'null') return actual === null || actual === undefined
+    return String(actual) === value
+  }
+  if (actual === null || actual === undefined) return false
+
+  switch (operator) {
+    case 'eq': return compare(actual, value) === 0
+    case 'neq': return compare(actual, value) !== 0
+    case 'gt': return compare(actual, value) > 0
+    case 'gte': return compare(actual, value) >= 0
+    case 'lt': return compare(actual, value) < 0
+    case 'lte': return compare(actual, value) <= 0
+    case 'like': return likePattern(value).test(String(actual))
+    case 'ilike': return likePattern(value, 'i').test(String(actual))
+    case 'in': return value.replace(/^\(|\)$/g, '').split(',').map(unquote).some(item => compare(actual, item) === 0)
+    default: throw new Error(`Operator "${operator}" is not emulated by the local stand-in`)
+  }
+}
+
+function matches(table, row, filter) {
+  if (filter.type === 'condition') return matchesCondition(table, row, filter)
+  if (filter.type === 'and') return filter.items.every(item => matches(table, row, item))
+  if (filter.type === 'or') return filter.items.some(item => matches(table, row, item))
+  return filter.test(row)
+}
+
+// websearch-style: every word must appear, "-word" must not
+function matchesTextSearch(text, query) {
+  const haystack = String(text || '').toLowerCase()
+  return query.toLowerCase().split(/\s+/).filter(word => word && word !== 'or').every(word =>
+    word.startsWith('-') ? !haystack.includes(word.slice(1)) : haystack.includes(word.replace(/"/g, ''))
+  )
+}
+
+function project(row, columns) {
+  if (!columns || columns === '*') return row
+  return Object.fromEntries(
+    columns.split(',').map(column => column.trim()).filter(Boolean).map(column => [column, row[column] ?? null])
+  )
+}
+
+function postgrestError(message, code = 'PGRST000') {
+  return { message, code, details: null, hint: null }
+}
+
+export class QueryBuilder {
+  constructor(table) {
+    this.table = table
+    this.action = 'select'
+    this.columns = '*'
+    this.returning = false
+    this.filters = []
+    this.orders = []
+    this.offset = 0
+    this.count = null
+    this.expect = null
+  }
+
+  select(columns = '*') {
+    // After insert/update/upsert/delete, select() asks for the affected rows back
+    if (this.action === 'select') this.columns = columns
+    else {
+      this.returning = true
+      this.columns = columns
+    }
+    return this
+  }
+
+  insert(values) {
+    this.action = 'insert'
+    this.values = Array.isArray(values) ? values : [values]
+    return this
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.action = 'upsert'
+    this.values = Array.isArray(values) ? values : [values]
+    this.conflictKey = onConflict
+    return this
+  }
+
+  update(values) {
+    this.action = 'update'
+    this.values = values
+    return this
+  }
+
+  delete() {
+    this.action = 'delete'
+    return this
+  }
+
+  filter(column, operator, value) {
+    this.filters.push({ type: 'condition', column, operator, value: String(value) })
+    return this
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value) }
+  neq(column, value) { return this.filter(column, 'neq', value) }
+  gt(column, value) { return this.filter(column, 'gt', value) }
+  gte(column, value) { return this.filter(column, 'gte', value) }
+  lt(column, value) { return this.filter(column, 'lt', value) }
+  lte(column, value) { return this.filter(column, 'lte', value) }
+  ilike(column, value) { return this.filter(column, 'ilike', value) }
+  like(column, value) { return this.filter(column, 'like', value) }
+  in(column, values) { return this.filter(column, 'in', `(${values.join(',')})`) }
+
+  is(column, value) {
+    this.filters.push({ type: 'condition', column, operator: 'is', value: String(value) })
+    return this
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value))
+    return this
+  }
+
+  or(text) {
+    this.filters.push(parseLogic(text.replace(/^\(|\)$/g, '')))
+    return this
+  }
+
+  contains(column, values) {
+    this.filters.push({
+      test: row => {
+        const actual = readColumn(this.table, row, column)
+        return Array.isArray(values)
+          ? Array.isArray(actual) && values.every(value => actual.includes(value))
+          : Object.entries(values).every(([key, value]) => actual?.[key] === value)
+      }
+    })
+    return this
+  }
+
+  textSearch(column, query) {
+    this.filters.push({ test: row => matchesTextSearch(readColumn(this.table, row, column), query) })
+    return this
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst })
+    return this
+  }
+
+  limit(count) {
+    this.count = count
+    return this
+  }
+
+  range(from, to) {
+    this.offset = from
+    this.count = to - from + 1
+    return this
+  }
+
+  single() {
+    this.expect = 'single'
+    return this
+  }
+
+  maybeSingle() {
+    this.expect = 'maybeSingle'
+    return this
+  }
+
+  // Requests against the local store finish right away
+  abortSignal() {
+    return this
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject)
+  }
+
+  matching(rows) {
+    return rows.filter(row => this.filters.every(filter => matches(this.table, row, filter)))
+  }
+
+  sorted(rows) {
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const valueA = columnValue(this.table, a, column)
+        const valueB = columnValue(this.table, b, column)
+        const nullA = valueA === null || valueA === undefined
+        const nullB = valueB === null || valueB === undefined
+        if (nullA || nullB) {
+          if (nullA && nullB) continue
+          return (nullA ? -1 : 1) * (nullsFirst ? 1 : -1)
+        }
+        const order = compare(valueA, valueB)
+        if (order !== 0) return ascending ? order : -order
+      }
+      return 0
+    })
+  }
+
+  execute() {
+    const { key, defaults } = tableInfo(this.table)
+    const rows = getRows(this.table)
+    let result
+
+    if (this.action === 'select') {
+      const selected = this.sorted(this.matching(rows))
+      result = selected.slice(this.offset, this.count === null ? undefined : this.offset + this.count)
+
+    } else if (this.action === 'insert') {
+      const inserted = this.values.map(values => ({ ...defaults(), ...values }))
+      const duplicate = inserted.find(row => rows.some(existing => existing[key] === row[key]))
+      if (duplicate) {
+        return { data: null, error: postgrestError(`duplicate key value violates unique constraint "${this.table}_pkey"`, '23505') }
+      }
+      setRows(this.table, [...rows, ...inserted])
+      result = inserted
+
+    } else if (this.action === 'upsert') {
+      const conflictKey = this.conflictKey || key
+      const written = this.values.map(values => {
+        const index = rows.findIndex(row => row[conflictKey] === values[conflictKey])
+        if (index === -1) {
+          const row = { ...defaults(), ...values }
+          rows.push(row)
+          return row
+        }
+        rows[index] = { ...rows[index], ...values }
+        return rows[index]
+      })
+      setRows(this.table, rows)
+      result = written
+
+    } else if (this.action === 'update') {
+      const updated = this.matching(rows)
+      const ids = new Set(updated.map(row => row[key]))
+      setRows(this.table, rows.map(row => ids.has(row[key]) ? { ...row, ...this.values } : row))
+      result = updated.map(row => ({ ...row, ...this.values }))
+
+    } else if (this.action === 'delete') {
+      const deleted = this.matching(rows)
+      const ids = new Set(deleted.map(row => row[key]))
+      setRows(this.table, rows.filter(row => !ids.has(row[key])))
+      result = deleted
+    }
+
+    // Writes only return rows when asked with select()
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null }
+    }
+
+    const data = result.map(row => project(row, this.columns))
+    if (this.expect === 'maybeSingle' && data.length <= 1) {
+      return { data: data[0] || null, error: null }
+    }
+    if (this.expect) {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: postgrestError('JSON object requested, multiple (or no) rows returned', 'PGRST116') }
+    }
+    return { data, error: null }
+  }
+}
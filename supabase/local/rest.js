@@ -0,0 +1,191 @@
+// Local stand-in: the PostgREST subset the app calls directly on /rest/v1/<table>
+// select, insert, upsert, update and delete with column=op.value filters, or=(), cs, textSearch,
+// order, limit/offset, single-object responses and Prefer: return=representation, run through
+// QueryBuilder. Row level security follows the README policies: outfits and wardrobe_items belong
+// to their session_id, a demo session can only read its own demo_sessions row and analysis_cache
+// is closed to clients. A demo session may update its own preferences and no other column, as the
+// README's column grant allows. The service role key bypasses them, as it does on Supabase.
+
+import { QueryBuilder } from './query.js'
+import { getRows, tableInfo } from './store.js'
+
+// Owner column and allowed actions per exposed table (see "Ownership (Row Level Security)")
+const POLICIES = {
+  outfits: { column: 'session_id', actions: ['select', 'insert', 'update', 'delete'] },
+  wardrobe_items: { column: 'session_id', actions: ['select', 'insert', 'update', 'delete'] },
+  demo_sessions: { column: 'id', actions: ['select', 'update'], updatableColumns: ['preferences'] },
+  analysis_cache: { column: null, actions: [] }
+}
+
+// Filter operators passed to QueryBuilder as they are
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in']
+// Query parameters that aren't column filters
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'or', 'columns', 'on_conflict']
+
+// Unique violations are conflicts; anything else the store refuses is a bad request
+const ERROR_STATUS = {
+  23505: 409
+}
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+function postgrestError(status, code, message, details = null) {
+  return json(status, { code, message, details, hint: null })
+}
+
+// Anonymous callers get 401 like PostgREST's anon role, known callers 403
+function policyViolation(table, caller) {
+  return postgrestError(caller.sessionId ? 403 : 401, '42501', `new row violates row-level security policy for table "${table}"`)
+}
+
+// cs.{a,b} for arrays, cs.{"key":"value"} for JSON objects
+function parseContains(value) {
+  try {
+    const parsed = JSON.parse(value)
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+  } catch {
+    // Not JSON: an array literal
+  }
+  return value.replace(/^\{|\}$/g, '').split(',').filter(Boolean).map(item => item.replace(/^"|"$/g, ''))
+}
+
+/**
+ * Apply one column=op.value parameter to the query
+ * @returns {string|null} An error message when the operator isn't emulated
+ */
+function applyFilter(query, column, expression) {
+  const [operator, ...rest] = expression.split('.')
+  const value = rest.join('.')
+
+  if (FILTER_OPERATORS.includes(operator)) {
+    query.filter(column, operator, value)
+    return null
+  }
+  if (operator === 'cs') {
+    query.contains(column, parseContains(value))
+    return null
+  }
+  // textSearch: [p|ph|w]fts(config).query
+  if (/^(p|ph|w)?fts(\(.*\))?$/.test(operator)) {
+    query.textSearch(column, value)
+    return null
+  }
+  return `"${operator}" is not emulated by the local server`
+}
+
+function applyOrder(query, order) {
+  for (const term of order.split(',').filter(Boolean)) {
+    const [column, direction = 'asc', nulls] = term.split('.')
+    const ascending = direction !== 'desc'
+    query.order(column, { ascending, nullsFirst: nulls ? nulls === 'nullsfirst' : !ascending })
+  }
+}
+
+/**
+ * Handle a request to /rest/v1/<table>
+ * @param {Request} req - Incoming request
+ * @param {string} table - Table name from the path
+ * @param {Object} caller - resolveRequestCaller() result
+ * @returns {Promise<Response>}
+ */
+export async function handleRest(req, table, caller) {
+  const policy = POLICIES[table]
+  if (!policy) {
+    return postgrestError(404, 'PGRST205', `Could not find the table 'public.${table}' in the schema cache`)
+  }
+
+  const { searchParams } = new URL(req.url)
+  const prefer = req.headers.get('prefer') || ''
+  const query = new QueryBuilder(table)
+
+  let body
+  if (!['GET', 'HEAD', 'DELETE'].includes(req.method)) {
+    try {
+      body = await req.json()
+    } catch {
+      return postgrestError(400, 'PGRST102', 'Empty or invalid json')
+    }
+  }
+
+  let action
+  if (['GET', 'HEAD'].includes(req.method)) {
+    action = 'select'
+    query.select(searchParams.get('select') || '*')
+  } else if (req.method === 'POST') {
+    action = prefer.includes('resolution=merge-duplicates') ? 'upsert' : 'insert'
+    if (action === 'upsert') query.upsert(body, { onConflict: searchParams.get('on_conflict') || undefined })
+    else query.insert(body)
+  } else if (req.method === 'PATCH') {
+    action = 'update'
+    query.update(body)
+  } else if (req.method === 'DELETE') {
+    action = 'delete'
+    query.delete()
+  } else {
+    return postgrestError(405, 'PGRST117', `Unsupported HTTP method: ${req.method}`)
+  }
+
+  if (action !== 'select' && prefer.includes('return=representation')) {
+    query.select(searchParams.get('select') || '*')
+  }
+
+  for (const [key, value] of searchParams) {
+    if (key === 'or') query.or(value)
+    else if (key === 'order') applyOrder(query, value)
+    else if (key === 'limit') query.limit(Number(value))
+    else if (key === 'offset') query.offset = Number(value)
+    else if (!RESERVED_PARAMS.includes(key)) {
+      const problem = applyFilter(query, key, value)
+      if (problem) return postgrestError(400, 'PGRST100', problem)
+    }
+  }
+
+  if (!caller.serviceRole) {
+    const owner = caller.sessionId
+    const allowed = (action === 'upsert' ? ['insert', 'update'] : [action])
+      .every(name => policy.actions.includes(name))
+    const owns = row => Boolean(owner) && row[policy.column] === owner
+
+    if (['insert', 'upsert'].includes(action)) {
+      // WITH CHECK: new rows must belong to the caller, and an upsert can't take over another's row
+      const conflictKey = query.conflictKey || tableInfo(table).key
+      const existing = getRows(table)
+      const takesOver = action === 'upsert' && query.values.some(values =>
+        existing.some(row => row[conflictKey] === values[conflictKey] && !owns(row))
+      )
+      if (!allowed || !query.values.every(owns) || takesOver) return policyViolation(table, caller)
+    } else {
+      // USING: other sessions' rows are invisible, as if they didn't exist
+      query.filters.push({ test: row => allowed && owns(row) })
+      if (action === 'update' && body?.[policy.column] !== undefined && body[policy.column] !== owner) {
+        return policyViolation(table, caller)
+      }
+      // Column grants are checked before any row is: one other column refuses the whole update
+      if (action === 'update' && policy.updatableColumns &&
+        Object.keys(body || {}).some(column => !policy.updatableColumns.includes(column))) {
+        return postgrestError(caller.sessionId ? 403 : 401, '42501', `permission denied for table ${table}`)
+      }
+    }
+  }
+
+  const { data, error } = await query
+  if (error) return json(ERROR_STATUS[error.code] || 400, error)
+
+  if (req.method === 'HEAD') return new Response(null, { status: 200 })
+  if (data === null) return new Response(null, { status: req.method === 'POST' ? 201 : 204 })
+
+  // single() and maybeSingle() on writes; supabase-js treats "0 rows" as null for maybeSingle()
+  if ((req.headers.get('accept') || '').includes('application/vnd.pgrst.object+json')) {
+    if (data.length !== 1) {
+      return postgrestError(406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned',
+        `The result contains ${data.length} rows`)
+    }
+    return json(req.method === 'POST' ? 201 : 200, data[0])
+  }
+  return json(req.method === 'POST' ? 201 : 200, data)
+}
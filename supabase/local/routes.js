@@ -0,0 +1,133 @@
+// Local stand-in: the routes server.js serves on VITE_SUPABASE_URL
+//   /functions/v1/<name>                every function in supabase/functions, unchanged
+//   /rest/v1/<table>                    the PostgREST subset the app uses, with its RLS (rest.js)
+//   /auth/v1/...                        email/password accounts (auth.js)
+//   /storage/v1/object/public/<bucket>/ objects in the local bucket (GET/HEAD)
+//   /storage/v1/object/<bucket>/        direct uploads and deletes, limited to the caller's folder
+// Kept apart from the server so tests can drive it with the real supabase-js client.
+
+import { readObject, writeObject, removeObjects, contentTypeOf, storageError } from './store.js'
+import { handleRest } from './rest.js'
+import { handleAuth, resolveRequestCaller } from './auth.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'content-length, content-type, content-range'
+}
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+}
+
+// REST and Auth answers get the CORS headers the functions add themselves
+function withCors(response) {
+  const headers = new Headers(response.headers)
+  Object.entries(corsHeaders).forEach(([name, value]) => headers.set(name, value))
+  return new Response(response.body, { status: response.status, headers })
+}
+
+// GET/HEAD /storage/v1/object/public/<bucket>/<path>
+function servePublicObject(req, bucket, objectPath) {
+  const bytes = readObject(bucket, objectPath)
+  if (!bytes) return json(404, storageError(404, 'not_found', 'Object not found'))
+
+  return new Response(req.method === 'HEAD' ? null : bytes, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': contentTypeOf(objectPath),
+      'Content-Length': String(bytes.length),
+      'Cache-Control': 'max-age=3600'
+    }
+  })
+}
+
+// The storage policies only let a caller write and delete in its own session folder
+function ownsPath(caller, objectPath) {
+  return caller.serviceRole || (Boolean(caller.sessionId) && objectPath.split('/')[0] === caller.sessionId)
+}
+
+// POST/PUT /storage/v1/object/<bucket>/<path>
+async function uploadObject(req, bucket, objectPath) {
+  if (!ownsPath(await resolveRequestCaller(req), objectPath)) {
+    return json(403, storageError(403, 'Unauthorized', 'new row violates row-level security policy'))
+  }
+
+  // supabase-js sends Blobs as multipart form data (file in the '' field), other bodies raw
+  const isForm = (req.headers.get('content-type') || '').startsWith('multipart/form-data')
+  const body = isForm ? (await req.formData()).get('') : await req.arrayBuffer()
+  const bytes = new Uint8Array(await new Response(body).arrayBuffer())
+
+  const error = writeObject(bucket, objectPath, bytes, {
+    upsert: req.method === 'PUT' || req.headers.get('x-upsert') === 'true'
+  })
+  if (error) return json(Number(error.statusCode), error)
+
+  return json(200, { Key: `${bucket}/${objectPath}`, Id: objectPath })
+}
+
+// DELETE /storage/v1/object/<bucket> { prefixes }: objects outside the caller's folder are left
+// alone, as the "Owners delete their images" policy does
+async function deleteObjects(req, bucket) {
+  const caller = await resolveRequestCaller(req)
+  const { prefixes = [] } = await req.json().catch(() => ({}))
+  return json(200, removeObjects(bucket, prefixes.filter(objectPath => ownsPath(caller, objectPath))))
+}
+
+/**
+ * Create the request router
+ * @param {Map<string, Function>} handlers - Edge Function handlers by name (see deno.js)
+ * @returns {Function} (Request) => Promise<Response>; errors become 500 responses
+ */
+export function createRouter(handlers) {
+  return async function route(req) {
+    try {
+      return await dispatch(handlers, req)
+    } catch (error) {
+      console.error('❌ Local server error:', error)
+      return json(500, { error: 'Local server error', details: error.message })
+    }
+  }
+}
+
+async function dispatch(handlers, req) {
+  const { pathname } = new URL(req.url)
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent)
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: { ...corsHeaders, 'Access-Control-Allow-Headers': req.headers.get('access-control-request-headers') || '*' }
+    })
+  }
+
+  if (parts[0] === 'functions' && parts[1] === 'v1') {
+    const handler = handlers.get(parts[2])
+    return handler ? handler(req) : json(404, { error: `Function "${parts[2]}" not found` })
+  }
+
+  if (parts[0] === 'rest' && parts[1] === 'v1' && parts.length === 3) {
+    return withCors(await handleRest(req, parts[2], await resolveRequestCaller(req)))
+  }
+
+  if (parts[0] === 'auth' && parts[1] === 'v1') {
+    return withCors(await handleAuth(req, parts.slice(2).join('/')))
+  }
+
+  if (parts[0] === 'storage' && parts[1] === 'v1' && parts[2] === 'object') {
+    if (parts[3] === 'public' && ['GET', 'HEAD'].includes(req.method)) {
+      return servePublicObject(req, parts[4], parts.slice(5).join('/'))
+    }
+    if (['POST', 'PUT'].includes(req.method)) {
+      return uploadObject(req, parts[3], parts.slice(4).join('/'))
+    }
+    if (req.method === 'DELETE' && parts.length === 4) {
+      return deleteObjects(req, parts[3])
+    }
+  }
+
+  return json(404, { message: `No route for ${req.method} ${pathname}` })
+}
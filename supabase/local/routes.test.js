@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { createClient } from '@supabase/supabase-js'
+import { openTestStore, sessionToken, getRows, setRows, listObjects, writeObject, TEST_ENV } from './testing.js'
+import { createRouter } from './routes.js'
+
+const route = createRouter(new Map())
+
+// The app's client, talking to the router instead of the network
+async function client(sessionId) {
+  const headers = sessionId ? { 'x-session-token': await sessionToken(sessionId) } : {}
+  return createClient(TEST_ENV.SUPABASE_URL, 'anon-key', {
+    global: { headers, fetch: (input, init) => route(new Request(input, init)) },
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+}
+
+let closeStore
+beforeEach(() => { closeStore = openTestStore() })
+afterEach(() => closeStore())
+
+describe('local REST', () => {
+  it('inserts and reads a session\'s own rows with filters, order and limit', async () => {
+    const supabase = await client('demo_1_a')
+    const { data: inserted, error } = await supabase
+      .from('outfits')
+      .insert([
+        { session_id: 'demo_1_a', rating: 6, is_favorite: false },
+        { session_id: 'demo_1_a', rating: 9, is_favorite: true },
+        { session_id: 'demo_1_a', rating: 3, is_favorite: false }
+      ])
+      .select()
+
+    expect(error).toBeNull()
+    expect(inserted).toHaveLength(3)
+
+    const { data } = await supabase
+      .from('outfits')
+      .select('rating')
+      .or('is_favorite.eq.true,rating.gte.5')
+      .order('rating', { ascending: false })
+      .limit(1)
+
+    expect(data).toEqual([{ rating: 9 }])
+  })
+
+  it('hides other sessions\' rows from reads, updates and deletes', async () => {
+    setRows('outfits', [{ id: 'fit-1', session_id: 'demo_1_a', rating: 5 }])
+    const other = await client('demo_2_b')
+
+    expect((await other.from('outfits').select()).data).toEqual([])
+    expect((await other.from('outfits').select().eq('id', 'fit-1').maybeSingle()).data).toBeNull()
+
+    const update = await other.from('outfits').update({ rating: 1 }).eq('id', 'fit-1').select()
+    expect(update.data).toEqual([])
+    await other.from('outfits').delete().eq('id', 'fit-1')
+
+    expect(getRows('outfits')).toEqual([{ id: 'fit-1', session_id: 'demo_1_a', rating: 5 }])
+  })
+
+  it('refuses rows written for another session or without one', async () => {
+    const owner = await client('demo_1_a')
+    const stolen = await owner.from('outfits').insert({ session_id: 'demo_2_b' })
+    expect(stolen.status).toBe(403)
+    expect(stolen.error.code).toBe('42501')
+
+    const anonymous = await (await client()).from('outfits').insert({ session_id: 'demo_1_a' })
+    expect(anonymous.status).toBe(401)
+
+    const cache = await owner.from('analysis_cache').select()
+    expect(cache.data).toEqual([])
+    expect(getRows('outfits')).toEqual([])
+  })
+
+  it('lets a session update its own preferences and no other column', async () => {
+    setRows('demo_sessions', [{ id: 'demo_1_a', preferences: {} }, { id: 'demo_2_b', preferences: {} }])
+    const supabase = await client('demo_1_a')
+
+    const own = await supabase.from('demo_sessions').update({ preferences: { season: 'Winter' } }).eq('id', 'demo_1_a')
+    expect(own.error).toBeNull()
+    await supabase.from('demo_sessions').update({ preferences: { season: 'Summer' } }).eq('id', 'demo_2_b')
+
+    const claim = await supabase.from('demo_sessions').update({ upgraded_to: 'user-1' }).eq('id', 'demo_1_a')
+    expect(claim.error.code).toBe('42501')
+
+    expect(getRows('demo_sessions')).toEqual([
+      { id: 'demo_1_a', preferences: { season: 'Winter' } },
+      { id: 'demo_2_b', preferences: {} }
+    ])
+  })
+
+  it('answers single() with one row and an error otherwise', async () => {
+    setRows('demo_sessions', [{ id: 'demo_1_a' }, { id: 'demo_2_b' }])
+    const supabase = await client('demo_1_a')
+
+    expect((await supabase.from('demo_sessions').select('id').single()).data).toEqual({ id: 'demo_1_a' })
+
+    const created = await supabase.from('outfits').insert({ session_id: 'demo_1_a' }).select().single()
+    expect(created.data.session_id).toBe('demo_1_a')
+
+    const missing = await supabase.from('outfits').select().eq('id', 'nope').single()
+    expect(missing.error.code).toBe('PGRST116')
+  })
+})
+
+describe('local Auth', () => {
+  it('signs up, signs in, identifies and signs out an account', async () => {
+    const supabase = await client()
+    const signUp = await supabase.auth.signUp({ email: 'Me@Example.com', password: 'secret-1' })
+    expect(signUp.error).toBeNull()
+    expect(signUp.data.user.email).toBe('me@example.com')
+
+    const signIn = await supabase.auth.signInWithPassword({ email: 'me@example.com', password: 'secret-1' })
+    expect(signIn.error).toBeNull()
+
+    const { data: { user } } = await supabase.auth.getUser(signIn.data.session.access_token)
+    expect(user.id).toBe(signUp.data.user.id)
+
+    // Rows are owned by the account's id, through the access token
+    const insert = await supabase.from('outfits').insert({ session_id: user.id }).select()
+    expect(insert.error).toBeNull()
+
+    expect((await supabase.auth.signOut()).error).toBeNull()
+    expect(getRows('auth_users')[0].refresh_tokens).toEqual([])
+  })
+
+  it('rejects a wrong password and a duplicate account', async () => {
+    const supabase = await client()
+    await supabase.auth.signUp({ email: 'me@example.com', password: 'secret-1' })
+
+    const wrong = await supabase.auth.signInWithPassword({ email: 'me@example.com', password: 'nope-nope' })
+    expect(wrong.error.code).toBe('invalid_credentials')
+
+    const again = await supabase.auth.signUp({ email: 'me@example.com', password: 'secret-1' })
+    expect(again.error.code).toBe('user_already_exists')
+  })
+})
+
+describe('local Storage', () => {
+  it('only removes objects in the caller\'s folder', async () => {
+    writeObject('outfit-images', 'demo_1_a/top.jpg', new Uint8Array([1]))
+    writeObject('outfit-images', 'demo_2_b/top.jpg', new Uint8Array([2]))
+    const supabase = await client('demo_1_a')
+
+    const { data, error } = await supabase.storage
+      .from('outfit-images')
+      .remove(['demo_1_a/top.jpg', 'demo_2_b/top.jpg'])
+
+    expect(error).toBeNull()
+    expect(data.map(object => object.name)).toEqual(['demo_1_a/top.jpg'])
+    expect(listObjects('outfit-images', 'demo_2_b')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,77 @@
+// Local stand-in server: runs the Edge Functions under Node, without a Supabase project
+// Serves the routes the app calls on VITE_SUPABASE_URL (functions, REST, Auth and Storage; see
+// routes.js). Tables and objects live in LOCAL_SUPABASE_DIR (see store.js). The AI provider
+// defaults to the mock, so the whole app runs offline.
+//
+//   npm run local-server
+//   VITE_SUPABASE_URL=http://localhost:54321 VITE_SUPABASE_ANON_KEY=local npm run dev
+
+import http from 'node:http'
+import path from 'node:path'
+import process from 'node:process'
+import { register } from 'node:module'
+import { Readable } from 'node:stream'
+import { openStore } from './store.js'
+import { createRouter } from './routes.js'
+
+const PORT = Number(process.env.LOCAL_SUPABASE_PORT) || 54321
+const DATA_DIR = process.env.LOCAL_SUPABASE_DIR || '.local-supabase'
+
+// Environment the functions read through Deno.env; anything already set wins
+const ENV_DEFAULTS = {
+  SUPABASE_URL: `http://localhost:${PORT}`,
+  SUPABASE_SERVICE_ROLE_KEY: 'local-service-role-key',
+  SESSION_TOKEN_SECRET: 'local-session-token-secret',
+  SUPABASE_JWT_SECRET: 'local-jwt-secret',
+  AI_PROVIDER: 'mock'
+}
+
+Object.entries(ENV_DEFAULTS).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value
+})
+
+openStore(DATA_DIR)
+register('./hooks.js', import.meta.url)
+
+// Loaded after the hooks, so the functions' URL imports resolve to the stand-ins
+const { listFunctions, loadFunction } = await import('./deno.js')
+
+const functionNames = listFunctions()
+const handlers = new Map()
+for (const name of functionNames) {
+  handlers.set(name, await loadFunction(name))
+}
+const route = createRouter(handlers)
+
+// Node request → fetch Request, and the Response (including event streams) back
+async function handle(incoming, outgoing) {
+  const hasBody = !['GET', 'HEAD'].includes(incoming.method)
+  const req = new Request(`http://${incoming.headers.host || `localhost:${PORT}`}${incoming.url}`, {
+    method: incoming.method,
+    headers: Object.entries(incoming.headers).flatMap(([name, value]) =>
+      [].concat(value).map(item => [name, item])
+    ),
+    body: hasBody ? Readable.toWeb(incoming) : undefined,
+    duplex: hasBody ? 'half' : undefined
+  })
+
+  const response = await route(req)
+  outgoing.writeHead(response.status, Object.fromEntries(response.headers))
+  if (response.body) {
+    for await (const chunk of response.body) {
+      if (outgoing.destroyed) break
+      outgoing.write(chunk)
+    }
+  }
+  outgoing.end()
+}
+
+http.createServer((incoming, outgoing) => {
+  handle(incoming, outgoing).catch(error => {
+    console.error('❌ Local server error:', error)
+    outgoing.destroy(error)
+  })
+}).listen(PORT, () => {
+  console.log(`🧪 Local Supabase stand-in on http://localhost:${PORT} (data in ${path.resolve(DATA_DIR)})`)
+  console.log(`⚡ Functions: ${functionNames.join(', ')}`)
+})
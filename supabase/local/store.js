@@ -0,0 +1,211 @@
+// Local stand-in: data behind the emulated Supabase client
+// Tables live in memory and are written to <dir>/db.json after every change; bucket objects are
+// plain files under <dir>/storage/<bucket>/. Delete the directory to start over.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { randomUUID } from 'node:crypto'
+
+// Primary key and column defaults per table, as in the README schema
+const TABLES = {
+  demo_sessions: {
+    key: 'id',
+    defaults: () => ({ started_at: new Date().toISOString() })
+  },
+  outfits: {
+    key: 'id',
+    defaults: () => ({ id: randomUUID(), created_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+  },
+  wardrobe_items: {
+    key: 'id',
+    defaults: () => ({ id: randomUUID(), created_at: new Date().toISOString() })
+  },
+  analysis_cache: {
+    key: 'cache_key',
+    defaults: () => ({ hit_count: 0, created_at: new Date().toISOString() })
+  }
+}
+
+// Generated columns, computed when read (outfits.search_vector)
+const GENERATED_COLUMNS = {
+  outfits: {
+    search_vector: row => [
+      row.ai_description,
+      row.accessories_description,
+      ...(row.aesthetic || []),
+      ...(row.accessories_tags || [])
+    ].filter(Boolean).join(' ')
+  }
+}
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+}
+
+let dataDir = null
+let tables = {}
+
+/**
+ * Load (or create) the data directory
+ * @param {string} dir - Directory holding db.json and storage/
+ */
+export function openStore(dir) {
+  dataDir = path.resolve(dir)
+  fs.mkdirSync(path.join(dataDir, 'storage'), { recursive: true })
+
+  const dbFile = path.join(dataDir, 'db.json')
+  tables = fs.existsSync(dbFile) ? JSON.parse(fs.readFileSync(dbFile, 'utf8')) : {}
+}
+
+function requireStore() {
+  if (!dataDir) throw new Error('Local store is not open (call openStore first)')
+}
+
+function save() {
+  fs.writeFileSync(path.join(dataDir, 'db.json'), JSON.stringify(tables, null, 2))
+}
+
+/**
+ * Table definition: { key, defaults }; unknown tables are keyed by id
+ */
+export function tableInfo(table) {
+  return TABLES[table] || { key: 'id', defaults: () => ({ id: randomUUID() }) }
+}
+
+/**
+ * Read a column, including generated ones
+ */
+export function readColumn(table, row, column) {
+  const generated = GENERATED_COLUMNS[table]?.[column]
+  return generated ? generated(row) : row[column]
+}
+
+/**
+ * Copies of every row in a table
+ */
+export function getRows(table) {
+  requireStore()
+  return structuredClone(tables[table] || [])
+}
+
+/**
+ * Replace the rows of a table and persist them
+ */
+export function setRows(table, rows) {
+  requireStore()
+  tables[table] = structuredClone(rows)
+  save()
+}
+
+/**
+ * Error like the ones Storage returns
+ */
+export function storageError(status, error, message) {
+  return { statusCode: String(status), status, error, message }
+}
+
+// Absolute path of an object, refusing paths that would leave the bucket
+function objectFile(bucket, objectPath) {
+  requireStore()
+  const root = path.join(dataDir, 'storage', bucket)
+  const file = path.resolve(root, objectPath)
+  if (!file.startsWith(root + path.sep)) {
+    throw Object.assign(new Error(`Invalid object path: ${objectPath}`), storageError(400, 'InvalidKey', `Invalid key: ${objectPath}`))
+  }
+  return file
+}
+
+/**
+ * Content type of an object, from its extension
+ */
+export function contentTypeOf(objectPath) {
+  return CONTENT_TYPES[path.extname(objectPath).toLowerCase()] || 'application/octet-stream'
+}
+
+/**
+ * Store an object
+ * @param {string} bucket - Bucket name
+ * @param {string} objectPath - Path inside the bucket
+ * @param {Uint8Array} bytes - Content
+ * @param {Object} options - { upsert } overwrites an existing object
+ * @returns {Object|null} Storage-style error, or null
+ */
+export function writeObject(bucket, objectPath, bytes, { upsert = false } = {}) {
+  const file = objectFile(bucket, objectPath)
+  if (!upsert && fs.existsSync(file)) {
+    return storageError(409, 'Duplicate', 'The resource already exists')
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, bytes)
+  return null
+}
+
+/**
+ * Read an object
+ * @returns {Buffer|null} Content, or null when it doesn't exist
+ */
+export function readObject(bucket, objectPath) {
+  const file = objectFile(bucket, objectPath)
+  return fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file) : null
+}
+
+/**
+ * List a folder like storage.list(): sub-folders without an id, files with their metadata
+ * @param {string} bucket - Bucket name
+ * @param {string} prefix - Folder path ('' for the bucket root)
+ * @param {Object} options - { limit, offset }
+ * @returns {Array<Object>} Entries sorted by name
+ */
+export function listObjects(bucket, prefix, { limit = 100, offset = 0 } = {}) {
+  const folder = prefix ? objectFile(bucket, prefix) : path.join(dataDir, 'storage', bucket)
+  if (!fs.existsSync(folder)) return []
+
+  return fs.readdirSync(folder, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(offset, offset + limit)
+    .map(entry => {
+      if (entry.isDirectory()) return { name: entry.name, id: null, metadata: null }
+
+      const stats = fs.statSync(path.join(folder, entry.name))
+      return {
+        name: entry.name,
+        id: `${prefix ? `${prefix}/` : ''}${entry.name}`,
+        created_at: stats.birthtime.toISOString(),
+        updated_at: stats.mtime.toISOString(),
+        last_accessed_at: stats.atime.toISOString(),
+        metadata: { size: stats.size, mimetype: contentTypeOf(entry.name) }
+      }
+    })
+}
+
+/**
+ * Remove objects
+ * @returns {Array<Object>} { name } of each object that existed and was removed
+ */
+export function removeObjects(bucket, paths) {
+  return paths.filter(objectPath => {
+    const file = objectFile(bucket, objectPath)
+    if (!fs.existsSync(file)) return false
+    fs.rmSync(file)
+    return true
+  }).map(name => ({ name, bucket_id: bucket }))
+}
+
+/**
+ * Move an object
+ * @returns {Object|null} Storage-style error, or null
+ */
+export function moveObject(bucket, fromPath, toPath) {
+  const from = objectFile(bucket, fromPath)
+  const to = objectFile(bucket, toPath)
+  if (!fs.existsSync(from)) return storageError(404, 'not_found', 'Object not found')
+
+  fs.mkdirSync(path.dirname(to), { recursive: true })
+  fs.renameSync(from, to)
+  return null
+}
@@ -0,0 +1,100 @@
+// Local stand-in for https://esm.sh/@supabase/supabase-js@2
+// The Edge Functions import createClient() from here when run by server.js: tables and storage
+// are served from the local store instead of a Supabase project. auth.getUser(jwt) checks tokens
+// issued by the local Auth (auth.js), so signed-in accounts work as they do on Supabase.
+
+import { QueryBuilder } from './query.js'
+import { verifyAccessToken } from './auth.js'
+import {
+  storageError,
+  writeObject,
+  readObject,
+  listObjects,
+  removeObjects,
+  moveObject,
+  contentTypeOf
+} from './store.js'
+
+// Bytes of anything the functions hand to upload()
+async function toBytes(body) {
+  if (body instanceof Uint8Array) return body
+  if (body instanceof ArrayBuffer) return new Uint8Array(body)
+  if (typeof body?.arrayBuffer === 'function') return new Uint8Array(await body.arrayBuffer())
+  if (typeof body === 'string') return new TextEncoder().encode(body)
+  throw new TypeError('Unsupported upload body')
+}
+
+// Storage failures come back as { data: null, error } like storage-js
+function attempt(operation) {
+  try {
+    return operation()
+  } catch (error) {
+    return { data: null, error }
+  }
+}
+
+function bucketApi(url, bucket) {
+  return {
+    async upload(path, body, { upsert = false } = {}) {
+      const bytes = await toBytes(body)
+      return attempt(() => {
+        const error = writeObject(bucket, path, bytes, { upsert })
+        return error ? { data: null, error } : { data: { path, fullPath: `${bucket}/${path}` }, error: null }
+      })
+    },
+
+    getPublicUrl(path) {
+      return { data: { publicUrl: `${url}/storage/v1/object/public/${bucket}/${path}` } }
+    },
+
+    async list(prefix = '', { limit, offset } = {}) {
+      return attempt(() => ({ data: listObjects(bucket, prefix, { limit, offset }), error: null }))
+    },
+
+    async remove(paths) {
+      return attempt(() => ({ data: removeObjects(bucket, paths), error: null }))
+    },
+
+    async download(path) {
+      return attempt(() => {
+        const bytes = readObject(bucket, path)
+        return bytes
+          ? { data: new Blob([bytes], { type: contentTypeOf(path) }), error: null }
+          : { data: null, error: storageError(404, 'not_found', 'Object not found') }
+      })
+    },
+
+    async move(fromPath, toPath) {
+      return attempt(() => {
+        const error = moveObject(bucket, fromPath, toPath)
+        return error ? { data: null, error } : { data: { message: 'Successfully moved' }, error: null }
+      })
+    }
+  }
+}
+
+/**
+ * Create a client backed by the local store
+ * @param {string} url - Public URL of the local server, used for object URLs
+ * @returns {Object} The subset of the supabase-js client the Edge Functions use
+ */
+export function createClient(url) {
+  const baseUrl = url.replace(/\/+$/, '')
+
+  return {
+    from: (table) => new QueryBuilder(table),
+
+    storage: {
+      from: (bucket) => bucketApi(baseUrl, bucket)
+    },
+
+    auth: {
+      async getUser(jwt) {
+        const user = verifyAccessToken(jwt)
+        return user
+          ? { data: { user }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT: unable to parse or verify signature', status: 401 } }
+      }
+    }
+  }
+}
@@ -0,0 +1,97 @@
+// Local stand-in: helpers for the Edge Function tests (npm test, "functions" project)
+// Each test gets an empty store in a temp directory and calls handlers the way
+// supabase.functions.invoke() would, with a signed session token or the service role key.
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import process from 'node:process'
+import { openStore, getRows, setRows, listObjects, writeObject } from './store.js'
+import { loadFunction } from './deno.js'
+import { signSessionToken } from '../functions/_shared/sessionToken.js'
+import { API_VERSION, API_VERSION_HEADER } from '../functions/_shared/contracts.js'
+
+export const TEST_ENV = {
+  SUPABASE_URL: 'http://localhost:54321',
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+  SESSION_TOKEN_SECRET: 'test-session-token-secret',
+  SUPABASE_JWT_SECRET: 'test-jwt-secret',
+  AI_PROVIDER: 'mock'
+}
+
+export { getRows, setRows, listObjects, writeObject }
+
+/**
+ * Point the functions at an empty store and the test environment
+ * @returns {Function} Cleanup that removes the store
+ */
+export function openTestStore() {
+  Object.assign(process.env, TEST_ENV)
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fire-fit-functions-'))
+  openStore(dir)
+  return () => fs.rmSync(dir, { recursive: true, force: true })
+}
+
+/**
+ * Signed token for a demo session, as create-session issues it
+ */
+export function sessionToken(sessionId) {
+  return signSessionToken(sessionId, TEST_ENV.SESSION_TOKEN_SECRET)
+}
+
+/**
+ * Form data for upload-file
+ * @param {string} category - Outfit piece
+ * @param {string} content - File contents (photos with the same content are deduplicated)
+ */
+export function photoForm(category, content = `${category} photo`) {
+  const form = new FormData()
+  form.append('file', new File([content], `${category}.jpg`, { type: 'image/jpeg' }))
+  form.append('category', category)
+  return form
+}
+
+/**
+ * Call an Edge Function handler
+ * @param {string} name - Function name
+ * @param {Object|FormData|string} body - JSON body, form data for uploads, or a raw string body
+ * @param {Object} options
+ * @param {string} options.sessionId - Sends a signed token for this demo session
+ * @param {boolean} options.serviceRole - Sends the service role key as the bearer token
+ * @param {string} options.method - HTTP method (POST by default)
+ * @param {Object} options.headers - Extra headers
+ * @returns {Promise<Object>} { status, headers, body } - body parsed as JSON when it is JSON
+ */
+export async function callFunction(name, body = undefined, { sessionId, serviceRole = false, method = 'POST', headers = {} } = {}) {
+  const handler = await loadFunction(name)
+  const requestHeaders = new Headers({ [API_VERSION_HEADER]: String(API_VERSION), ...headers })
+
+  if (sessionId) requestHeaders.set('x-session-token', await sessionToken(sessionId))
+  if (serviceRole) requestHeaders.set('Authorization', `Bearer ${TEST_ENV.SUPABASE_SERVICE_ROLE_KEY}`)
+
+  // Strings are sent as they are, e.g. to test malformed JSON
+  const isForm = body instanceof FormData
+  const isRaw = isForm || typeof body === 'string'
+  if (body !== undefined && !isForm) requestHeaders.set('Content-Type', 'application/json')
+
+  const response = await handler(new Request(`${TEST_ENV.SUPABASE_URL}/functions/v1/${name}`, {
+    method,
+    headers: requestHeaders,
+    body: body === undefined || isRaw ? body : JSON.stringify(body)
+  }))
+
+  const text = await response.text()
+  const isJson = (response.headers.get('content-type') || '').includes('application/json')
+  return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text }
+}
+
+/**
+ * Parse a text/event-stream body into [{ event, data }]
+ */
+export function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1] || 'message'
+    const data = block.match(/^data: (.*)$/m)?.[1]
+    return { event, data: data ? JSON.parse(data) : null }
+  })
+}
@@ -1,6 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Edge Functions import these by URL (Deno); their tests use the local stand-ins instead
+const LOCAL_STAND_INS = {
+  'https://esm.sh/@supabase/supabase-js@2': '/supabase/local/supabaseClient.js',
+  'https://deno.land/x/imagemagick_deno@0.0.31/mod.ts': '/supabase/local/imagemagick.js'
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
@@ -10,4 +16,31 @@ export default defineConfig({
       },
     }),
   ],
+  test: {
+    // The app logs every step; only show it for tests that fail
+    silent: 'passed-only',
+    projects: [
+      {
+        extends: true,
+        test: {
+          name: 'app',
+          include: ['src/**/*.test.{js,jsx}'],
+          environment: 'jsdom',
+          setupFiles: ['src/test/setup.js'],
+        },
+      },
+      {
+        extends: true,
+        test: {
+          name: 'functions',
+          include: ['supabase/**/*.test.js'],
+          environment: 'node',
+          alias: Object.entries(LOCAL_STAND_INS).map(([find, path]) => ({
+            find,
+            replacement: new URL(`.${path}`, import.meta.url).pathname,
+          })),
+        },
+      },
+    ],
+  },
 })